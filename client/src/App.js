@@ -1,24 +1,39 @@
 import React from 'react';
 import { Routes, Route } from 'react-router-dom';
 import Layout from './components/Layout';
+import ProtectedRoute from './components/ProtectedRoute';
+import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
 import CustomerList from './pages/CustomerList';
 import CustomerDetail from './pages/CustomerDetail';
 import CustomerForm from './pages/CustomerForm';
+import ImportCustomers from './pages/ImportCustomers';
 import AddressList from './pages/AddressList';
 import AddressForm from './pages/AddressForm';
 import MultipleAddresses from './pages/MultipleAddresses';
 import SingleAddress from './pages/SingleAddress';
+import Trash from './pages/Trash';
+import Duplicates from './pages/Duplicates';
+import ApiKeys from './pages/ApiKeys';
 import NotFound from './pages/NotFound';
 
 function App() {
   return (
     <div className="App">
       <Routes>
-        <Route path="/" element={<Layout />}>
+        <Route path="/login" element={<Login />} />
+        <Route
+          path="/"
+          element={
+            <ProtectedRoute>
+              <Layout />
+            </ProtectedRoute>
+          }
+        >
           <Route index element={<Dashboard />} />
           <Route path="customers" element={<CustomerList />} />
           <Route path="customers/new" element={<CustomerForm />} />
+          <Route path="customers/import" element={<ImportCustomers />} />
           <Route path="customers/:id" element={<CustomerDetail />} />
           <Route path="customers/:id/edit" element={<CustomerForm />} />
           <Route path="addresses" element={<AddressList />} />
@@ -26,6 +41,9 @@ function App() {
           <Route path="addresses/:id/edit" element={<AddressForm />} />
           <Route path="multiple-addresses" element={<MultipleAddresses />} />
           <Route path="single-address" element={<SingleAddress />} />
+          <Route path="duplicates" element={<Duplicates />} />
+          <Route path="trash" element={<Trash />} />
+          <Route path="api-keys" element={<ApiKeys />} />
           <Route path="*" element={<NotFound />} />
         </Route>
       </Routes>
@@ -0,0 +1,54 @@
+import React from 'react';
+
+// Horizontal bar chart drawn with plain elements, one row per item of `data`
+// ({ key, label, value, detail }), bars scaled to the largest value. With
+// `onSelect`, rows are buttons and clicking one calls onSelect(item); items
+// with `selectable: false` are shown but cannot be clicked.
+const BarChart = ({ data, onSelect, color = 'bg-blue-500', emptyMessage = 'No data yet' }) => {
+  if (data.length === 0) {
+    return <p className="py-8 text-sm text-center text-gray-500">{emptyMessage}</p>;
+  }
+
+  const max = Math.max(...data.map((item) => item.value), 1);
+
+  return (
+    <ul className="space-y-3">
+      {data.map((item) => {
+        const content = (
+          <>
+            <div className="flex items-baseline justify-between text-sm">
+              <span className="font-medium text-gray-900 truncate">{item.label}</span>
+              <span className="ml-3 text-gray-600 whitespace-nowrap">
+                {item.value}
+                {item.detail && <span className="text-gray-400"> · {item.detail}</span>}
+              </span>
+            </div>
+            <div className="mt-1 h-2.5 rounded-full bg-gray-100">
+              <div
+                className={`h-2.5 rounded-full ${color}`}
+                style={{ width: `${(item.value / max) * 100}%` }}
+              />
+            </div>
+          </>
+        );
+
+        return (
+          <li key={item.key ?? item.label}>
+            {onSelect && item.selectable !== false ? (
+              <button
+                type="button"
+                onClick={() => onSelect(item)}
+                className="w-full text-left rounded-md p-1 -m-1 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                title={`Show customers: ${item.label}`}
+              >
+                {content}
+              </button>
+            ) : content}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+const defaultNormalize = (value) => (value === null || value === undefined ? '' : String(value));
+
+// Three-way merge of a form edit against a record someone else saved in the
+// meantime. `base` is the record the form was loaded from, `mine` the form
+// values and `theirs` the latest saved record. Fields changed on one side only
+// merge automatically; fields changed differently on both sides are returned
+// as conflicts, merged as `mine` until the user picks otherwise.
+export const mergeChanges = (base, mine, theirs, fields) => {
+  const merged = {};
+  const conflicts = [];
+
+  fields.forEach(({ key, label, normalize = defaultNormalize, display = defaultNormalize }) => {
+    const baseValue = normalize(base[key]);
+    const mineValue = normalize(mine[key]);
+    const theirsValue = normalize(theirs[key]);
+
+    if (mineValue === theirsValue || theirsValue === baseValue) {
+      merged[key] = mine[key];
+    } else if (mineValue === baseValue) {
+      merged[key] = theirs[key];
+    } else {
+      merged[key] = mine[key];
+      conflicts.push({
+        key,
+        label,
+        mine: mine[key],
+        theirs: theirs[key],
+        mineDisplay: display(mine[key]),
+        theirsDisplay: display(theirs[key]),
+      });
+    }
+  });
+
+  return { merged, conflicts };
+};
+
+// Lets the user choose, per conflicting field, between their edit and the
+// version someone else saved. Calls onApply with the chosen values by key.
+const ConflictDialog = ({ title, conflicts, onApply, onCancel }) => {
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(conflicts.map((conflict) => [conflict.key, 'mine']))
+  );
+
+  const handleApply = () => {
+    onApply(Object.fromEntries(conflicts.map((conflict) => [
+      conflict.key,
+      choices[conflict.key] === 'mine' ? conflict.mine : conflict.theirs,
+    ])));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-2xl w-full mx-4">
+        <div className="flex items-center gap-2 mb-4">
+          <AlertTriangle className="h-5 w-5 text-yellow-500" />
+          <h3 className="text-lg font-medium text-gray-900">{title}</h3>
+        </div>
+        <p className="text-gray-600 mb-4">
+          Someone else saved changes while you were editing. Their other changes have been merged
+          into the form; choose which value to keep for each field you both changed.
+        </p>
+
+        <table className="table mb-6">
+          <thead className="table-header">
+            <tr>
+              <th className="table-header-cell">Field</th>
+              <th className="table-header-cell">Your edit</th>
+              <th className="table-header-cell">Their version</th>
+            </tr>
+          </thead>
+          <tbody className="table-body">
+            {conflicts.map((conflict) => (
+              <tr key={conflict.key}>
+                <td className="table-cell font-medium text-gray-900">{conflict.label}</td>
+                {['mine', 'theirs'].map((side) => (
+                  <td key={side} className="table-cell">
+                    <label className="flex items-start gap-2 cursor-pointer">
+                      <input
+                        type="radio"
+                        name={`conflict-${conflict.key}`}
+                        checked={choices[conflict.key] === side}
+                        onChange={() => setChoices((prev) => ({ ...prev, [conflict.key]: side }))}
+                        className="mt-1"
+                      />
+                      <span className="whitespace-pre-line">
+                        {(side === 'mine' ? conflict.mineDisplay : conflict.theirsDisplay) || '—'}
+                      </span>
+                    </label>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="flex gap-3">
+          <button onClick={onCancel} className="btn btn-secondary flex-1">
+            Cancel
+          </button>
+          <button onClick={handleApply} className="btn btn-primary flex-1">
+            Apply and Review
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictDialog;
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+  { value: 'ndjson', label: 'JSON lines' },
+];
+
+// Save a blob response under the name the server suggested
+const saveDownload = (response, fallbackName) => {
+  const disposition = response.headers['content-disposition'] || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : fallbackName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Export button with a format menu. `onExport(format)` must resolve to a blob
+// response from one of the export endpoints.
+const ExportButton = ({ onExport, name }) => {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async (format) => {
+    setOpen(false);
+    try {
+      setExporting(true);
+      const response = await onExport(format);
+      saveDownload(response, `${name}.${format}`);
+    } catch (error) {
+      console.error('Error exporting:', error);
+      toast.error(`Failed to export ${name}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={exporting}
+        className="btn btn-secondary flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <Download className="h-4 w-4" />
+        {exporting ? 'Exporting...' : 'Export'}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-40 bg-white border border-gray-200 rounded-md shadow-lg z-10">
+          {FORMATS.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => handleExport(value)}
+              className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportButton;
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Outlet, Link, useLocation } from 'react-router-dom';
+import { Outlet, Link, useLocation, useNavigate } from 'react-router-dom';
 import { 
   Users, 
   MapPin, 
@@ -8,12 +8,28 @@ import {
   X, 
   Search,
   Plus,
-  BarChart3
+  BarChart3,
+  GitMerge,
+  Trash2,
+  LogOut,
+  Building2,
+  KeyRound
 } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
 
 const Layout = () => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const location = useLocation();
+  const navigate = useNavigate();
+  const { user, logout, can, tenantId, switchTenant } = useAuth();
+  const tenants = user.tenants || [];
+
+  // Records open on the current page belong to the old organisation, so
+  // start over from the dashboard
+  const handleTenantChange = (e) => {
+    switchTenant(Number(e.target.value));
+    navigate('/');
+  };
 
   const navigation = [
     { name: 'Dashboard', href: '/', icon: Home },
@@ -21,7 +37,10 @@ const Layout = () => {
     { name: 'Addresses', href: '/addresses', icon: MapPin },
     { name: 'Multiple Addresses', href: '/multiple-addresses', icon: BarChart3 },
     { name: 'Single Address', href: '/single-address', icon: Search },
-  ];
+    { name: 'Duplicates', href: '/duplicates', icon: GitMerge },
+    { name: 'Trash', href: '/trash', icon: Trash2 },
+    { name: 'API Keys', href: '/api-keys', icon: KeyRound, permission: 'api-key:manage' },
+  ].filter((item) => !item.permission || can(item.permission));
 
   const isActive = (href) => {
     if (href === '/') {
@@ -119,6 +138,29 @@ const Layout = () => {
                 <Plus className="h-4 w-4" />
                 New Customer
               </Link>
+              {tenants.length > 1 && (
+                <div className="flex items-center gap-2">
+                  <Building2 className="h-4 w-4 text-gray-500" />
+                  <select
+                    value={tenantId ?? ''}
+                    onChange={handleTenantChange}
+                    className="input py-1"
+                    title="Organisation"
+                  >
+                    {tenants.map((tenant) => (
+                      <option key={tenant.id} value={tenant.id}>{tenant.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <span className="hidden sm:block text-sm text-gray-600">{user.username}</span>
+              <button
+                onClick={logout}
+                className="text-gray-500 hover:text-gray-700"
+                title="Log out"
+              >
+                <LogOut className="h-5 w-5" />
+              </button>
             </div>
           </div>
         </div>
@@ -126,7 +168,8 @@ const Layout = () => {
         {/* Page content */}
         <main className="py-6">
           <div className="mx-auto max-w-7xl px-4 sm:px-6 lg:px-8">
-            <Outlet />
+            {/* Keyed by tenant so pages reload their data after a switch */}
+            <Outlet key={tenantId} />
           </div>
         </main>
       </div>
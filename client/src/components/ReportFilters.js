@@ -0,0 +1,73 @@
+import React from 'react';
+import { Search, X } from 'lucide-react';
+
+const FILTER_FIELDS = [
+  { key: 'city', label: 'City' },
+  { key: 'state', label: 'State' },
+  { key: 'pin_code', label: 'Pin Code' },
+];
+
+// Search box, address filters and sort for the address count reports.
+// `values` holds search, city, state, pin_code and sort (e.g.
+// "address_count-desc", one of `sortOptions`); `onChange(key, value)` is
+// called as any of them is edited.
+const ReportFilters = ({ values, onChange, onClear, sortOptions }) => {
+  const active = Boolean(values.search || FILTER_FIELDS.some(({ key }) => values[key]));
+
+  return (
+    <div className="card p-6 space-y-4">
+      <div className="flex flex-col sm:flex-row gap-4">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Search customers..."
+            value={values.search}
+            onChange={(e) => onChange('search', e.target.value)}
+            className="input pl-10"
+          />
+        </div>
+        <div className="flex items-center gap-2">
+          <label className="text-sm text-gray-600">Sort by:</label>
+          <select
+            value={values.sort}
+            onChange={(e) => onChange('sort', e.target.value)}
+            className="input text-sm"
+          >
+            {sortOptions.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        {FILTER_FIELDS.map(({ key, label }) => (
+          <div key={key}>
+            <label className="form-label">{label}</label>
+            <input
+              type="text"
+              value={values[key]}
+              onChange={(e) => onChange(key, e.target.value)}
+              className="input"
+              placeholder={`Filter by ${label.toLowerCase()}`}
+            />
+          </div>
+        ))}
+      </div>
+
+      {active && (
+        <button
+          type="button"
+          onClick={onClear}
+          className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1"
+        >
+          <X className="h-3 w-3" />
+          Clear search and filters
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ReportFilters;
@@ -0,0 +1,107 @@
+import React from 'react';
+
+const HEIGHT = 100;
+// Width of each period in SVG units; columns leave a gap on either side
+const STEP = 10;
+const GAP = 1.5;
+
+// Columns for a count per period with a line for a running total over them,
+// drawn as an SVG that stretches to the width of its container. `data` is
+// [{ key, label, value, total }]; the columns and the line each have their
+// own scale, shown on the left and right.
+const TrendChart = ({ data, valueLabel, totalLabel, height = 220 }) => {
+  if (data.length === 0) {
+    return <p className="py-8 text-sm text-center text-gray-500">No data yet</p>;
+  }
+
+  const width = data.length * STEP;
+  const maxValue = Math.max(...data.map((item) => item.value), 1);
+  const minTotal = Math.min(...data.map((item) => item.total));
+  const maxTotal = Math.max(...data.map((item) => item.total));
+  // A flat total is drawn through the middle rather than along an edge
+  const totalY = (total) => (maxTotal === minTotal
+    ? HEIGHT / 2
+    : HEIGHT - ((total - minTotal) / (maxTotal - minTotal)) * (HEIGHT - 4) - 2);
+
+  const line = data.map((item, index) => `${index * STEP + STEP / 2},${totalY(item.total)}`).join(' ');
+  // Label the first, middle and last periods
+  const labelled = [...new Set([0, Math.floor((data.length - 1) / 2), data.length - 1])];
+
+  return (
+    <div>
+      <div className="flex items-center gap-4 mb-3 text-xs text-gray-600">
+        <span className="flex items-center">
+          <span className="inline-block h-3 w-3 rounded-sm bg-blue-500 mr-1.5" />
+          {valueLabel}
+        </span>
+        <span className="flex items-center">
+          <span className="inline-block h-0.5 w-4 bg-emerald-500 mr-1.5" />
+          {totalLabel}
+        </span>
+      </div>
+
+      <div className="flex">
+        <div className="flex flex-col justify-between pr-2 text-xs text-gray-500 text-right" style={{ height }}>
+          <span>{maxValue}</span>
+          <span>0</span>
+        </div>
+
+        <div className="flex-1 min-w-0">
+          <svg
+            viewBox={`0 0 ${width} ${HEIGHT}`}
+            preserveAspectRatio="none"
+            className="w-full border-b border-l border-gray-200"
+            style={{ height }}
+            role="img"
+            aria-label={`${valueLabel} and ${totalLabel} per period`}
+          >
+            {data.map((item, index) => {
+              const columnHeight = (item.value / maxValue) * HEIGHT;
+              return (
+                <rect
+                  key={item.key}
+                  x={index * STEP + GAP}
+                  y={HEIGHT - columnHeight}
+                  width={STEP - 2 * GAP}
+                  height={columnHeight}
+                  className="fill-blue-500 hover:fill-blue-600"
+                >
+                  <title>{`${item.label}: ${item.value} ${valueLabel.toLowerCase()}, ${item.total} ${totalLabel.toLowerCase()}`}</title>
+                </rect>
+              );
+            })}
+            <polyline
+              points={line}
+              fill="none"
+              className="stroke-emerald-500"
+              strokeWidth="2"
+              vectorEffect="non-scaling-stroke"
+            />
+          </svg>
+
+          <div className="relative h-5 mt-1 text-xs text-gray-500">
+            {labelled.map((index) => (
+              <span
+                key={index}
+                className="absolute whitespace-nowrap"
+                style={{
+                  left: `${((index + 0.5) / data.length) * 100}%`,
+                  transform: index === 0 ? 'none' : index === data.length - 1 ? 'translateX(-100%)' : 'translateX(-50%)',
+                }}
+              >
+                {data[index].label}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex flex-col justify-between pl-2 text-xs text-emerald-600" style={{ height }}>
+          <span>{maxTotal}</span>
+          <span>{minTotal === maxTotal ? '' : minTotal}</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrendChart;
@@ -0,0 +1,51 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { authAPI, session } from '../services/api';
+
+const AuthContext = createContext(null);
+
+// Provides the signed-in user, the organisation they are working in and
+// login/logout to the app. Both come from the stored session, so they also
+// update when the API client ends a session whose refresh token was rejected.
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(() => session.get()?.user || null);
+  const [tenantId, setTenantId] = useState(() => session.get()?.tenantId ?? null);
+
+  useEffect(() => session.subscribe((data) => {
+    setUser(data?.user || null);
+    setTenantId(data?.tenantId ?? null);
+  }), []);
+
+  const login = async (username, password) => {
+    const response = await authAPI.login(username, password);
+    session.save(response.data.data);
+    return response.data.data.user;
+  };
+
+  const logout = async () => {
+    const current = session.get();
+    session.clear();
+    if (current) {
+      try {
+        await authAPI.logout(current.refreshToken);
+      } catch (error) {
+        // The local session is gone either way
+        console.error('Error logging out:', error);
+      }
+    }
+  };
+
+  // Whether the signed-in user may do something, e.g. can('customer:delete').
+  // Only for hiding controls; the server enforces permissions itself.
+  const can = (permission) => Boolean(user?.permissions?.includes(permission));
+
+  // Work in another of the user's organisations from the next request on
+  const switchTenant = (id) => session.setTenant(id);
+
+  return (
+    <AuthContext.Provider value={{ user, login, logout, can, tenantId, switchTenant }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export const useAuth = () => useContext(AuthContext);
@@ -0,0 +1,124 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Largest page the list endpoints serve
+const MAX_LIMIT = 100;
+
+// Read a list from its start, following next_cursor from page to page until
+// `count` rows are read or the list ends
+const readRows = async (fetchPage, params, count) => {
+  let rows = [];
+  let total = 0;
+  let cursor = null;
+
+  do {
+    const response = await fetchPage({
+      ...params,
+      limit: Math.min(count - rows.length, MAX_LIMIT),
+      ...(cursor && { cursor }),
+    });
+    rows = rows.concat(response.data.data);
+    total = response.data.pagination.total;
+    cursor = response.data.pagination.next_cursor;
+  } while (cursor && rows.length < count);
+
+  return { rows, total, nextCursor: cursor };
+};
+
+// Rows of a list endpoint paged by cursor, for infinite scrolling.
+// `fetchPage(params)` requests one page, e.g. customerAPI.getCustomers, and
+// `params` holds the filters and sort; the list starts over whenever they
+// change. Render an element with `sentinelRef` below the rows while
+// `hasMore`: the next page loads as it scrolls into view. `refresh()` reads
+// the rows already shown again without the loading state, so live updates
+// keep the reader's place.
+const useCursorList = (fetchPage, params, { limit = 25, onError } = {}) => {
+  const [rows, setRows] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const sentinelRef = useRef(null);
+  // Bumped whenever the rows are replaced, so a page that arrives for an
+  // earlier version of the list is dropped rather than appended
+  const generation = useRef(0);
+  const fetchingMore = useRef(false);
+  const latest = useRef();
+  latest.current = { fetchPage, params, limit, onError, rows, nextCursor };
+
+  const replaceRows = async (count, { quiet = false } = {}) => {
+    const current = ++generation.current;
+    fetchingMore.current = false;
+    setLoadingMore(false);
+    if (!quiet) setLoading(true);
+
+    try {
+      const page = await readRows(latest.current.fetchPage, latest.current.params, count);
+      if (current !== generation.current) return;
+      setRows(page.rows);
+      setTotal(page.total);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      if (current === generation.current) latest.current.onError?.(error);
+    } finally {
+      if (current === generation.current) setLoading(false);
+    }
+  };
+
+  const loadMore = async () => {
+    const { fetchPage, params, limit, nextCursor } = latest.current;
+    if (!nextCursor || fetchingMore.current) return;
+
+    const current = generation.current;
+    fetchingMore.current = true;
+    setLoadingMore(true);
+
+    try {
+      const response = await fetchPage({ ...params, limit, cursor: nextCursor });
+      if (current !== generation.current) return;
+      setRows((prev) => prev.concat(response.data.data));
+      setTotal(response.data.pagination.total);
+      setNextCursor(response.data.pagination.next_cursor);
+    } catch (error) {
+      if (current === generation.current) latest.current.onError?.(error);
+    } finally {
+      if (current === generation.current) {
+        fetchingMore.current = false;
+        setLoadingMore(false);
+      }
+    }
+  };
+
+  const refresh = () => replaceRows(Math.max(latest.current.rows.length, latest.current.limit), { quiet: true });
+
+  // Start over from the first page whenever the filters or sort change
+  const paramsKey = JSON.stringify(params);
+  useEffect(() => {
+    replaceRows(latest.current.limit);
+  }, [paramsKey]);
+
+  // Observing again after each page also loads the next one straight away
+  // when the sentinel is still in view, e.g. on a tall screen
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel) return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) loadMore();
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loading, nextCursor]);
+
+  return {
+    rows,
+    setRows,
+    total,
+    loading,
+    loadingMore,
+    hasMore: nextCursor !== null,
+    refresh,
+    sentinelRef,
+  };
+};
+
+export default useCursorList;
@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react';
+import { liveEvents } from '../services/api';
+
+// Call `onEvents(events)` with the organisation's change events while the
+// component is mounted. Events arriving within `delayMs` of each other are
+// handed over together, so a burst such as an import causes one refresh
+// rather than hundreds. The latest `onEvents` is always the one called.
+const useLiveEvents = (onEvents, delayMs = 300) => {
+  const handler = useRef(onEvents);
+  handler.current = onEvents;
+
+  useEffect(() => {
+    let pending = [];
+    let timer = null;
+
+    const unsubscribe = liveEvents.subscribe((event) => {
+      pending.push(event);
+      if (!timer) {
+        timer = setTimeout(() => {
+          const events = pending;
+          pending = [];
+          timer = null;
+          handler.current(events);
+        }, delayMs);
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      clearTimeout(timer);
+    };
+  }, [delayMs]);
+};
+
+export default useLiveEvents;
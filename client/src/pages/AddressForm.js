@@ -8,8 +8,24 @@ import {
   Star
 } from 'lucide-react';
 import { addressAPI, customerAPI } from '../services/api';
+import ConflictDialog, { mergeChanges } from '../components/ConflictDialog';
 import toast from 'react-hot-toast';
 
+const ADDRESS_FIELDS = [
+  { key: 'address_line1', label: 'Address Line 1' },
+  { key: 'address_line2', label: 'Address Line 2' },
+  { key: 'city', label: 'City' },
+  { key: 'state', label: 'State' },
+  { key: 'pin_code', label: 'PIN Code' },
+  { key: 'country', label: 'Country' },
+  {
+    key: 'is_primary',
+    label: 'Primary Address',
+    normalize: (value) => String(Boolean(value)),
+    display: (value) => (value ? 'Yes' : 'No'),
+  },
+];
+
 const AddressForm = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -17,6 +33,7 @@ const AddressForm = () => {
   const [address, setAddress] = useState(null);
   const [customers, setCustomers] = useState([]);
   const [selectedCustomer, setSelectedCustomer] = useState(null);
+  const [conflict, setConflict] = useState(null);
 
   const {
     register,
@@ -83,7 +100,7 @@ const AddressForm = () => {
       };
       
       if (isEditing) {
-        await addressAPI.updateAddress(id, formData);
+        await addressAPI.updateAddress(id, formData, address.version);
         toast.success('Address updated successfully');
       } else {
         await addressAPI.createAddress(formData);
@@ -93,6 +110,10 @@ const AddressForm = () => {
       navigate('/addresses');
     } catch (error) {
       console.error('Error saving address:', error);
+      if (error.response?.status === 412) {
+        handleConflict(data, error.response.data.data);
+        return;
+      }
       const errorMessage = error.response?.data?.message || 'Failed to save address';
       toast.error(errorMessage);
     } finally {
@@ -100,6 +121,26 @@ const AddressForm = () => {
     }
   };
 
+  // Someone else saved the address since we loaded it: merge their changes
+  // into the form and ask about fields we both changed
+  const handleConflict = (mine, current) => {
+    const { merged, conflicts } = mergeChanges(address, mine, current, ADDRESS_FIELDS);
+    if (conflicts.length === 0) {
+      applyMerge(current, merged);
+      return;
+    }
+    setConflict({ current, merged, conflicts });
+  };
+
+  // Load merged values into the form, with `current` as the new base version
+  const applyMerge = (current, values) => {
+    setAddress(current);
+    ADDRESS_FIELDS.forEach(({ key }) => setValue(key, values[key] ?? ''));
+    setValue('is_primary', Boolean(values.is_primary));
+    setConflict(null);
+    toast('Merged with the latest saved changes. Review and save again.');
+  };
+
   const handleCustomerChange = (customerId) => {
     setSelectedCustomer(customerId);
     setValue('customer_id', customerId);
@@ -307,6 +348,15 @@ const AddressForm = () => {
           </button>
         </div>
       </form>
+
+      {conflict && (
+        <ConflictDialog
+          title="Address Changed"
+          conflicts={conflict.conflicts}
+          onApply={(choices) => applyMerge(conflict.current, { ...conflict.merged, ...choices })}
+          onCancel={() => setConflict(null)}
+        />
+      )}
     </div>
   );
 };
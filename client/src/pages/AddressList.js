@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { 
   Search, 
@@ -7,83 +7,98 @@ import {
   Edit, 
   Trash2, 
   Eye,
-  ChevronLeft,
-  ChevronRight,
   X,
   MapPin,
   Star
 } from 'lucide-react';
 import { addressAPI } from '../services/api';
+import ExportButton from '../components/ExportButton';
+import { useAuth } from '../context/AuthContext';
+import useLiveEvents from '../hooks/useLiveEvents';
+import useCursorList from '../hooks/useCursorList';
 import toast from 'react-hot-toast';
 
 const AddressList = () => {
-  const [addresses, setAddresses] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const { can } = useAuth();
   const [filters, setFilters] = useState({
     customer_id: '',
     city: '',
     state: '',
     pin_code: '',
   });
-  const [pagination, setPagination] = useState({
-    page: 1,
-    limit: 10,
-    total: 0,
-    totalPages: 0,
-  });
   const [sortBy, setSortBy] = useState('created_at');
   const [sortOrder, setSortOrder] = useState('desc');
   const [showFilters, setShowFilters] = useState(false);
   const [deleteConfirm, setDeleteConfirm] = useState(null);
 
-  useEffect(() => {
-    fetchAddresses();
-  }, [pagination.page, pagination.limit, filters, sortBy, sortOrder]);
-
-  const fetchAddresses = async () => {
-    try {
-      setLoading(true);
-      const params = {
-        page: pagination.page,
-        limit: pagination.limit,
-        sort: sortBy,
-        order: sortOrder,
-        ...filters,
-      };
-
-      const response = await addressAPI.getAddresses(params);
-      setAddresses(response.data.data);
-      setPagination(prev => ({
-        ...prev,
-        total: response.data.pagination.total,
-        totalPages: response.data.pagination.totalPages,
-      }));
-    } catch (error) {
+  // Addresses load a page at a time as the list is scrolled, following the
+  // cursor so rows added or removed meanwhile are never skipped or repeated
+  const {
+    rows: addresses,
+    setRows: setAddresses,
+    total,
+    loading,
+    loadingMore,
+    hasMore,
+    refresh,
+    sentinelRef,
+  } = useCursorList(addressAPI.getAddresses, {
+    sort: sortBy,
+    order: sortOrder,
+    ...filters,
+  }, {
+    onError: (error) => {
       console.error('Error fetching addresses:', error);
       toast.error('Failed to load addresses');
-    } finally {
-      setLoading(false);
+    },
+  });
+
+  // Keep the list current with changes made elsewhere. Updated addresses are
+  // patched in place; anything else reloads the rows shown, since customer
+  // writes can add, remove or rename the addresses shown too.
+  useLiveEvents((events) => {
+    const updates = new Map();
+    let reload = false;
+
+    events.forEach((event) => {
+      if (event.type === 'address.updated') {
+        updates.set(event.data.id, event.data);
+      } else {
+        reload = true;
+      }
+    });
+
+    if (reload) {
+      refresh();
+    } else if (updates.size > 0) {
+      setAddresses((prev) => prev.map((address) => (
+        updates.has(address.id) ? { ...address, ...updates.get(address.id) } : address
+      )));
     }
-  };
+  });
 
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }));
-    setPagination(prev => ({ ...prev, page: 1 }));
   };
 
   const clearFilters = () => {
     setFilters({ customer_id: '', city: '', state: '', pin_code: '' });
-    setPagination(prev => ({ ...prev, page: 1 }));
   };
 
-  const handleDelete = async (addressId) => {
+  const handleDelete = async (address) => {
     try {
-      await addressAPI.deleteAddress(addressId);
+      await addressAPI.deleteAddress(address.id, address.version);
       toast.success('Address deleted successfully');
-      fetchAddresses();
+      refresh();
       setDeleteConfirm(null);
     } catch (error) {
       console.error('Error deleting address:', error);
+      if (error.response?.status === 412) {
+        toast.error('Address was changed by someone else. Review it before deleting.');
+        refresh();
+        setDeleteConfirm(null);
+        return;
+      }
       toast.error('Failed to delete address');
     }
   };
@@ -106,7 +121,13 @@ const AddressList = () => {
             Manage all customer addresses
           </p>
         </div>
-        <div className="mt-4 sm:mt-0">
+        <div className="mt-4 sm:mt-0 flex gap-3">
+          {can('customer:export') && (
+            <ExportButton
+              name="addresses"
+              onExport={(format) => addressAPI.exportAddresses({ format, ...filters })}
+            />
+          )}
           <Link
             to="/addresses/new"
             className="btn btn-primary flex items-center gap-2"
@@ -206,9 +227,7 @@ const AddressList = () => {
       {/* Results Summary */}
       <div className="flex items-center justify-between">
         <p className="text-sm text-gray-600">
-          Showing {((pagination.page - 1) * pagination.limit) + 1} to{' '}
-          {Math.min(pagination.page * pagination.limit, pagination.total)} of{' '}
-          {pagination.total} addresses
+          Showing {addresses.length} of {total} addresses
         </p>
         <div className="flex items-center gap-2">
           <label className="text-sm text-gray-600">Sort by:</label>
@@ -297,13 +316,15 @@ const AddressList = () => {
                       >
                         <Edit className="h-4 w-4" />
                       </Link>
-                      <button
-                        onClick={() => setDeleteConfirm(address.id)}
-                        className="text-red-600 hover:text-red-800"
-                        title="Delete address"
-                      >
-                        <Trash2 className="h-4 w-4" />
-                      </button>
+                      {can('address:delete') && (
+                        <button
+                          onClick={() => setDeleteConfirm(address)}
+                          className="text-red-600 hover:text-red-800"
+                          title="Delete address"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      )}
                     </div>
                   </td>
                 </tr>
@@ -337,47 +358,12 @@ const AddressList = () => {
         )}
       </div>
 
-      {/* Pagination */}
-      {pagination.totalPages > 1 && (
-        <div className="flex items-center justify-between">
-          <div className="flex items-center gap-2">
-            <button
-              onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
-              disabled={pagination.page === 1}
-              className="btn btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              <ChevronLeft className="h-4 w-4" />
-              Previous
-            </button>
-            <span className="text-sm text-gray-600">
-              Page {pagination.page} of {pagination.totalPages}
-            </span>
-            <button
-              onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
-              disabled={pagination.page === pagination.totalPages}
-              className="btn btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              Next
-              <ChevronRight className="h-4 w-4" />
-            </button>
-          </div>
-          <div className="flex items-center gap-2">
-            <label className="text-sm text-gray-600">Show:</label>
-            <select
-              value={pagination.limit}
-              onChange={(e) => setPagination(prev => ({ 
-                ...prev, 
-                limit: parseInt(e.target.value),
-                page: 1 
-              }))}
-              className="input text-sm"
-            >
-              <option value={5}>5</option>
-              <option value={10}>10</option>
-              <option value={25}>25</option>
-              <option value={50}>50</option>
-            </select>
-          </div>
+      {/* The next page loads as this comes into view */}
+      {hasMore && (
+        <div ref={sentinelRef} className="flex justify-center py-4">
+          {loadingMore && (
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+          )}
         </div>
       )}
 
@@ -389,7 +375,7 @@ const AddressList = () => {
               Delete Address
             </h3>
             <p className="text-gray-600 mb-6">
-              Are you sure you want to delete this address? This action cannot be undone.
+              Are you sure you want to delete this address? It will be moved to the trash, where it can be restored.
             </p>
             <div className="flex gap-3">
               <button
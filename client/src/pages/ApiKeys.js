@@ -0,0 +1,323 @@
+import React, { useState, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import { Copy, KeyRound, Plus, X } from 'lucide-react';
+import { apiKeyAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+// Scopes a key can be given; the same permissions users get from their role
+const SCOPES = [
+  { value: 'customer:read', label: 'Read customers and addresses' },
+  { value: 'customer:write', label: 'Create, update and import customers' },
+  { value: 'customer:delete', label: 'Delete and restore customers' },
+  { value: 'customer:export', label: 'Export customers and addresses' },
+  { value: 'address:write', label: 'Create and update addresses' },
+  { value: 'address:delete', label: 'Delete and restore addresses' },
+];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const keyStatus = (apiKey) => {
+  if (apiKey.revoked_at) return { label: 'Revoked', className: 'badge-danger' };
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+    return { label: 'Expired', className: 'badge-warning' };
+  }
+  return { label: 'Active', className: 'badge-success' };
+};
+
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [revokeConfirm, setRevokeConfirm] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isSubmitting },
+  } = useForm({ defaultValues: { name: '', scopes: ['customer:read'], expires_at: '' } });
+
+  useEffect(() => {
+    fetchApiKeys();
+  }, []);
+
+  const fetchApiKeys = async () => {
+    try {
+      setLoading(true);
+      const response = await apiKeyAPI.getApiKeys();
+      setApiKeys(response.data.data);
+    } catch (error) {
+      console.error('Error fetching API keys:', error);
+      toast.error('Failed to load API keys');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onSubmit = async ({ name, scopes, expires_at }) => {
+    try {
+      const response = await apiKeyAPI.createApiKey({
+        name,
+        scopes,
+        // The date input gives a day; the key works until the end of it
+        expires_at: expires_at ? new Date(`${expires_at}T23:59:59`).toISOString() : null,
+      });
+      setCreatedKey(response.data.data);
+      setShowForm(false);
+      reset();
+      fetchApiKeys();
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      const validation = error.response?.data?.errors?.[0]?.msg;
+      toast.error(validation || error.response?.data?.message || 'Failed to create API key');
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    try {
+      await apiKeyAPI.revokeApiKey(id);
+      toast.success('API key revoked');
+      setRevokeConfirm(null);
+      fetchApiKeys();
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      toast.error(error.response?.data?.message || 'Failed to revoke API key');
+    }
+  };
+
+  const copyKey = async () => {
+    try {
+      await navigator.clipboard.writeText(createdKey.key);
+      toast.success('Key copied to clipboard');
+    } catch (error) {
+      toast.error('Could not copy; select the key and copy it instead');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">API Keys</h1>
+          <p className="mt-2 text-gray-600">
+            Keys let integrations such as an ERP use the customer and address API without signing in
+          </p>
+        </div>
+        {!showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="btn btn-primary flex items-center gap-2 mt-4 sm:mt-0"
+          >
+            <Plus className="h-4 w-4" />
+            New API Key
+          </button>
+        )}
+      </div>
+
+      {/* Newly created key, shown once */}
+      {createdKey && (
+        <div className="card p-6 border-green-300 bg-green-50">
+          <div className="flex items-start justify-between">
+            <div className="min-w-0">
+              <h2 className="text-lg font-semibold text-gray-900">Key "{createdKey.name}" created</h2>
+              <p className="mt-1 text-sm text-gray-600">
+                Copy it now. It will not be shown again.
+              </p>
+              <div className="mt-3 flex items-center gap-2">
+                <code className="block flex-1 min-w-0 break-all rounded bg-white border border-gray-200 px-3 py-2 text-sm">
+                  {createdKey.key}
+                </code>
+                <button onClick={copyKey} className="btn btn-secondary flex items-center gap-2">
+                  <Copy className="h-4 w-4" />
+                  Copy
+                </button>
+              </div>
+              <p className="mt-2 text-sm text-gray-600">
+                Send it as <code>X-API-Key: &lt;key&gt;</code> or <code>Authorization: Bearer &lt;key&gt;</code>.
+              </p>
+            </div>
+            <button
+              onClick={() => setCreatedKey(null)}
+              className="ml-4 text-gray-400 hover:text-gray-600"
+              title="Dismiss"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Create form */}
+      {showForm && (
+        <form onSubmit={handleSubmit(onSubmit)} className="card p-6 space-y-4">
+          <h2 className="text-xl font-semibold text-gray-900">New API Key</h2>
+
+          <div>
+            <label className="form-label">Name</label>
+            <input
+              type="text"
+              placeholder="e.g. ERP nightly sync"
+              {...register('name', {
+                required: 'Name is required',
+                maxLength: { value: 100, message: 'Name must be at most 100 characters' },
+              })}
+              className={`input ${errors.name ? 'border-red-500' : ''}`}
+            />
+            {errors.name && <p className="form-error">{errors.name.message}</p>}
+          </div>
+
+          <div>
+            <label className="form-label">Scopes</label>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              {SCOPES.map(({ value, label }) => (
+                <label key={value} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    value={value}
+                    {...register('scopes', { validate: (scopes) => scopes.length > 0 || 'Pick at least one scope' })}
+                  />
+                  {label} <span className="text-gray-400">({value})</span>
+                </label>
+              ))}
+            </div>
+            {errors.scopes && <p className="form-error">{errors.scopes.message}</p>}
+          </div>
+
+          <div>
+            <label className="form-label">Expires on (optional)</label>
+            <input
+              type="date"
+              min={new Date().toISOString().slice(0, 10)}
+              {...register('expires_at')}
+              className="input max-w-xs"
+            />
+          </div>
+
+          <div className="flex gap-3">
+            <button type="submit" disabled={isSubmitting} className="btn btn-primary disabled:opacity-50">
+              {isSubmitting ? 'Creating...' : 'Create Key'}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setShowForm(false);
+                reset();
+              }}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Keys */}
+      <div className="card">
+        {apiKeys.length === 0 ? (
+          <div className="text-center py-12">
+            <KeyRound className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No API keys</h3>
+            <p className="mt-1 text-sm text-gray-500">Create a key to connect an integration.</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead className="table-header">
+                <tr>
+                  <th className="table-header-cell">Name</th>
+                  <th className="table-header-cell">Scopes</th>
+                  <th className="table-header-cell">Expires</th>
+                  <th className="table-header-cell">Last Used</th>
+                  <th className="table-header-cell">Requests</th>
+                  <th className="table-header-cell">Status</th>
+                  <th className="table-header-cell">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="table-body">
+                {apiKeys.map((apiKey) => {
+                  const status = keyStatus(apiKey);
+                  return (
+                    <tr key={apiKey.id} className="table-row">
+                      <td className="table-cell">
+                        <div className="font-medium text-gray-900">{apiKey.name}</div>
+                        <div className="text-sm text-gray-500">
+                          <code>{apiKey.prefix}…</code>
+                          {apiKey.created_by && ` • by ${apiKey.created_by}`}
+                        </div>
+                      </td>
+                      <td className="table-cell">
+                        <div className="flex flex-wrap gap-1">
+                          {apiKey.scopes.map((scope) => (
+                            <span key={scope} className="badge badge-primary">{scope}</span>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="table-cell text-sm text-gray-500">
+                        {apiKey.expires_at ? formatDate(apiKey.expires_at) : 'Never'}
+                      </td>
+                      <td className="table-cell text-sm text-gray-500">{formatDate(apiKey.last_used_at)}</td>
+                      <td className="table-cell text-sm text-gray-900">{apiKey.request_count}</td>
+                      <td className="table-cell">
+                        <span className={`badge ${status.className}`}>{status.label}</span>
+                      </td>
+                      <td className="table-cell">
+                        {!apiKey.revoked_at && (
+                          <button
+                            onClick={() => setRevokeConfirm(apiKey)}
+                            className="text-red-600 hover:text-red-900 text-sm font-medium"
+                          >
+                            Revoke
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Revoke Confirmation Modal */}
+      {revokeConfirm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              Revoke API Key
+            </h3>
+            <p className="text-gray-600 mb-6">
+              Revoke "{revokeConfirm.name}"? Integrations using it stop working immediately. This action cannot be undone.
+            </p>
+            <div className="flex gap-3">
+              <button
+                onClick={() => setRevokeConfirm(null)}
+                className="btn btn-secondary flex-1"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => handleRevoke(revokeConfirm.id)}
+                className="btn btn-danger flex-1"
+              >
+                Revoke
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApiKeys;
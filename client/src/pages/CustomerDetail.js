@@ -9,15 +9,19 @@ import {
   Mail, 
   Star,
   Plus,
-  Calendar
+  Calendar,
+  History
 } from 'lucide-react';
-import { customerAPI } from '../services/api';
+import { customerAPI, auditAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 import toast from 'react-hot-toast';
 
 const CustomerDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { can } = useAuth();
   const [customer, setCustomer] = useState(null);
+  const [auditEvents, setAuditEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [deleteConfirm, setDeleteConfirm] = useState(false);
 
@@ -28,8 +32,12 @@ const CustomerDetail = () => {
   const fetchCustomer = async () => {
     try {
       setLoading(true);
-      const response = await customerAPI.getCustomer(id);
+      const [response, auditResponse] = await Promise.all([
+        customerAPI.getCustomer(id),
+        auditAPI.getEvents('customer', id),
+      ]);
       setCustomer(response.data.data);
+      setAuditEvents(auditResponse.data.data);
     } catch (error) {
       console.error('Error fetching customer:', error);
       toast.error('Failed to load customer data');
@@ -41,11 +49,17 @@ const CustomerDetail = () => {
 
   const handleDelete = async () => {
     try {
-      await customerAPI.deleteCustomer(id);
+      await customerAPI.deleteCustomer(id, customer.version);
       toast.success('Customer deleted successfully');
       navigate('/customers');
     } catch (error) {
       console.error('Error deleting customer:', error);
+      if (error.response?.status === 412) {
+        toast.error('Customer was changed by someone else. Review it before deleting.');
+        setDeleteConfirm(false);
+        fetchCustomer();
+        return;
+      }
       toast.error('Failed to delete customer');
     }
   };
@@ -60,6 +74,15 @@ const CustomerDetail = () => {
     });
   };
 
+  const actionBadges = {
+    create: 'badge-success',
+    update: 'badge-primary',
+    delete: 'badge-danger',
+    restore: 'badge-warning',
+  };
+
+  const formatValue = (value) => (value === null || value === '' ? '—' : String(value));
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-96">
@@ -107,13 +130,15 @@ const CustomerDetail = () => {
             <Edit className="h-4 w-4" />
             Edit
           </Link>
-          <button
-            onClick={() => setDeleteConfirm(true)}
-            className="btn btn-danger flex items-center gap-2"
-          >
-            <Trash2 className="h-4 w-4" />
-            Delete
-          </button>
+          {can('customer:delete') && (
+            <button
+              onClick={() => setDeleteConfirm(true)}
+              className="btn btn-danger flex items-center gap-2"
+            >
+              <Trash2 className="h-4 w-4" />
+              Delete
+            </button>
+          )}
         </div>
       </div>
 
@@ -266,6 +291,47 @@ const CustomerDetail = () => {
         </div>
       </div>
 
+      {/* History */}
+      <div className="card p-6">
+        <div className="flex items-center gap-2 mb-6">
+          <History className="h-5 w-5 text-gray-400" />
+          <h2 className="text-xl font-semibold text-gray-900">History</h2>
+        </div>
+
+        {auditEvents.length > 0 ? (
+          <ol className="border-l border-gray-200 ml-2 space-y-6">
+            {auditEvents.map((event) => (
+              <li key={event.id} className="relative pl-6">
+                <span className="absolute -left-1.5 top-1.5 h-3 w-3 rounded-full bg-blue-600 border-2 border-white"></span>
+                <div className="flex items-center gap-2 mb-1">
+                  <span className={`badge ${actionBadges[event.action] || 'badge-primary'}`}>
+                    {event.action}
+                  </span>
+                  <span className="text-sm font-medium text-gray-900">
+                    {event.entity_type === 'customer' ? 'Customer' : `Address #${event.entity_id}`}
+                  </span>
+                  <span className="text-sm text-gray-500">
+                    by {event.actor} • {formatDate(event.created_at)}
+                  </span>
+                </div>
+                {event.action === 'update' && (
+                  <ul className="text-sm text-gray-600 space-y-1">
+                    {Object.entries(event.changes).map(([field, change]) => (
+                      <li key={field}>
+                        <span className="font-medium text-gray-700">{field.replace(/_/g, ' ')}</span>:{' '}
+                        <span className="line-through">{formatValue(change.before)}</span> → {formatValue(change.after)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <p className="text-sm text-gray-500">No recorded changes yet.</p>
+        )}
+      </div>
+
       {/* Delete Confirmation Modal */}
       {deleteConfirm && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -275,7 +341,7 @@ const CustomerDetail = () => {
             </h3>
             <p className="text-gray-600 mb-6">
               Are you sure you want to delete {customer.first_name} {customer.last_name}? 
-              This action cannot be undone and will also delete all associated addresses.
+              The customer and all associated addresses will be moved to the trash, where they can be restored.
             </p>
             <div className="flex gap-3">
               <button
@@ -10,8 +10,33 @@ import {
   Star
 } from 'lucide-react';
 import { customerAPI } from '../services/api';
+import ConflictDialog, { mergeChanges } from '../components/ConflictDialog';
 import toast from 'react-hot-toast';
 
+// Address list compared as a whole when merging concurrent edits
+const serializeAddresses = (addresses = []) => JSON.stringify(addresses.map(addr => [
+  addr.id,
+  addr.address_line1,
+  addr.address_line2 || '',
+  addr.city,
+  addr.state,
+  addr.pin_code,
+  addr.country || '',
+  Boolean(addr.is_primary),
+]));
+
+const describeAddresses = (addresses = []) => addresses
+  .map(addr => `${addr.address_line1}, ${addr.city}, ${addr.state} ${addr.pin_code}${addr.is_primary ? ' (primary)' : ''}`)
+  .join('\n');
+
+const CUSTOMER_FIELDS = [
+  { key: 'first_name', label: 'First Name' },
+  { key: 'last_name', label: 'Last Name' },
+  { key: 'phone_number', label: 'Phone Number' },
+  { key: 'email', label: 'Email' },
+  { key: 'addresses', label: 'Addresses', normalize: serializeAddresses, display: describeAddresses },
+];
+
 const CustomerForm = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -19,6 +44,7 @@ const CustomerForm = () => {
   const [customer, setCustomer] = useState(null);
   const [addresses, setAddresses] = useState([]);
   const [showAddressForm, setShowAddressForm] = useState(false);
+  const [conflict, setConflict] = useState(null);
 
   const {
     register,
@@ -80,7 +106,7 @@ const CustomerForm = () => {
       console.log('Submitting customer data:', customerData);
 
       if (isEditing) {
-        await customerAPI.updateCustomer(id, customerData);
+        await customerAPI.updateCustomer(id, customerData, customer.version);
         toast.success('Customer updated successfully');
       } else {
         await customerAPI.createCustomer(customerData);
@@ -90,6 +116,10 @@ const CustomerForm = () => {
       navigate('/customers');
     } catch (error) {
       console.error('Error saving customer:', error);
+      if (error.response?.status === 412) {
+        handleConflict({ ...data, addresses }, error.response.data.data);
+        return;
+      }
       const errorMessage = error.response?.data?.message || 'Failed to save customer';
       toast.error(errorMessage);
     } finally {
@@ -97,6 +127,29 @@ const CustomerForm = () => {
     }
   };
 
+  // Someone else saved the customer since we loaded it: merge their changes
+  // into the form and ask about fields we both changed
+  const handleConflict = (mine, current) => {
+    const { merged, conflicts } = mergeChanges(customer, mine, current, CUSTOMER_FIELDS);
+    if (conflicts.length === 0) {
+      applyMerge(current, merged);
+      return;
+    }
+    setConflict({ current, merged, conflicts });
+  };
+
+  // Load merged values into the form, with `current` as the new base version
+  const applyMerge = (current, values) => {
+    setCustomer(current);
+    setValue('first_name', values.first_name);
+    setValue('last_name', values.last_name);
+    setValue('phone_number', values.phone_number);
+    setValue('email', values.email || '');
+    setAddresses(values.addresses || []);
+    setConflict(null);
+    toast('Merged with the latest saved changes. Review and save again.');
+  };
+
   const addAddress = () => {
     setAddresses(prev => [
       ...prev,
@@ -417,6 +470,15 @@ const CustomerForm = () => {
           </button>
         </div>
       </form>
+
+      {conflict && (
+        <ConflictDialog
+          title="Customer Changed"
+          conflicts={conflict.conflicts}
+          onApply={(choices) => applyMerge(conflict.current, { ...conflict.merged, ...choices })}
+          onCancel={() => setConflict(null)}
+        />
+      )}
     </div>
   );
 };
@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { 
   Search, 
   Filter, 
@@ -7,92 +7,131 @@ import {
   Edit, 
   Trash2, 
   Eye,
-  ChevronLeft,
-  ChevronRight,
   X,
-  Users
+  Users,
+  Upload
 } from 'lucide-react';
 import { customerAPI } from '../services/api';
+import ExportButton from '../components/ExportButton';
+import { useAuth } from '../context/AuthContext';
+import useLiveEvents from '../hooks/useLiveEvents';
+import useCursorList from '../hooks/useCursorList';
 import toast from 'react-hot-toast';
 
 const CustomerList = () => {
-  const [customers, setCustomers] = useState([]);
-  const [loading, setLoading] = useState(true);
+  // Links such as the dashboard's drill-down can open the list filtered, e.g.
+  // /customers?state=MH or /customers?max_addresses=0
+  const [searchParams] = useSearchParams();
   const [searchTerm, setSearchTerm] = useState('');
-  const [filters, setFilters] = useState({
-    city: '',
-    state: '',
-    pin_code: '',
-  });
-  const [pagination, setPagination] = useState({
-    page: 1,
-    limit: 10,
-    total: 0,
-    totalPages: 0,
-  });
+  const [filters, setFilters] = useState(() => ({
+    city: searchParams.get('city') || '',
+    state: searchParams.get('state') || '',
+    pin_code: searchParams.get('pin_code') || '',
+    min_addresses: searchParams.get('min_addresses') || '',
+    max_addresses: searchParams.get('max_addresses') || '',
+  }));
   const [sortBy, setSortBy] = useState('created_at');
   const [sortOrder, setSortOrder] = useState('desc');
-  const [showFilters, setShowFilters] = useState(false);
+  const [showFilters, setShowFilters] = useState(() => Object.values(filters).some(Boolean));
   const [deleteConfirm, setDeleteConfirm] = useState(null);
 
   const navigate = useNavigate();
+  const { can } = useAuth();
 
-  useEffect(() => {
-    fetchCustomers();
-  }, [pagination.page, pagination.limit, searchTerm, filters, sortBy, sortOrder]);
-
-  const fetchCustomers = async () => {
-    try {
-      setLoading(true);
-      const params = {
-        page: pagination.page,
-        limit: pagination.limit,
-        search: searchTerm,
-        sort: sortBy,
-        order: sortOrder,
-        _t: Date.now(), // Cache busting parameter
-        ...filters,
-      };
+  // Filters that are set; an empty address count bound is not a valid one
+  const activeFilters = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
 
-      const response = await customerAPI.getCustomers(params);
-      setCustomers(response.data.data);
-      setPagination(prev => ({
-        ...prev,
-        total: response.data.pagination.total,
-        totalPages: response.data.pagination.totalPages,
-      }));
-    } catch (error) {
+  // Customers load a page at a time as the list is scrolled, following the
+  // cursor so rows added or removed meanwhile are never skipped or repeated
+  const {
+    rows: customers,
+    setRows: setCustomers,
+    total,
+    loading,
+    loadingMore,
+    hasMore,
+    refresh,
+    sentinelRef,
+  } = useCursorList(customerAPI.getCustomers, {
+    search: searchTerm,
+    sort: sortBy,
+    order: sortOrder,
+    ...activeFilters,
+  }, {
+    onError: (error) => {
       console.error('Error fetching customers:', error);
       toast.error('Failed to load customers');
-    } finally {
-      setLoading(false);
+    },
+  });
+
+  // Keep the list current with changes made elsewhere. Updated customers are
+  // patched in place; anything that may add or remove rows reloads the rows
+  // shown, as do address changes that could affect them.
+  useLiveEvents((events) => {
+    const shown = new Set(customers.map((customer) => customer.id));
+    const addressFilter = Object.values(filters).some(Boolean);
+    const updates = new Map();
+    let reload = false;
+
+    events.forEach((event) => {
+      if (event.type === 'customer.updated') {
+        updates.set(event.data.id, event.data);
+      } else if (event.type.startsWith('address.')) {
+        reload = reload || addressFilter || shown.has(event.data.customer_id);
+      } else {
+        reload = true;
+      }
+    });
+
+    if (reload) {
+      refresh();
+    } else if (updates.size > 0) {
+      setCustomers((prev) => prev.map((customer) => (
+        updates.has(customer.id) ? { ...customer, ...updates.get(customer.id) } : customer
+      )));
     }
-  };
+  });
 
+  // The list already follows the search box as it is typed in
   const handleSearch = (e) => {
     e.preventDefault();
-    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  // Rank matches by relevance while searching, newest first otherwise
+  const handleSearchChange = (value) => {
+    setSearchTerm(value);
+    if (value && !searchTerm) {
+      setSortBy('relevance');
+      setSortOrder('desc');
+    } else if (!value && sortBy === 'relevance') {
+      setSortBy('created_at');
+      setSortOrder('desc');
+    }
   };
 
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }));
-    setPagination(prev => ({ ...prev, page: 1 }));
   };
 
   const clearFilters = () => {
-    setFilters({ city: '', state: '', pin_code: '' });
-    setSearchTerm('');
-    setPagination(prev => ({ ...prev, page: 1 }));
+    setFilters({ city: '', state: '', pin_code: '', min_addresses: '', max_addresses: '' });
+    handleSearchChange('');
   };
 
-  const handleDelete = async (customerId) => {
+  const handleDelete = async (customer) => {
     try {
-      await customerAPI.deleteCustomer(customerId);
+      await customerAPI.deleteCustomer(customer.id, customer.version);
       toast.success('Customer deleted successfully');
-      fetchCustomers();
+      refresh();
       setDeleteConfirm(null);
     } catch (error) {
       console.error('Error deleting customer:', error);
+      if (error.response?.status === 412) {
+        toast.error('Customer was changed by someone else. Review it before deleting.');
+        refresh();
+        setDeleteConfirm(null);
+        return;
+      }
       toast.error('Failed to delete customer');
     }
   };
@@ -116,6 +155,17 @@ const CustomerList = () => {
     return addresses.find(addr => addr.is_primary) || addresses[0];
   };
 
+  // Search snippets wrap matched words in <mark></mark>; render those parts
+  // as elements rather than injecting the snippet as HTML
+  const renderSnippet = (snippet) => {
+    return snippet.split(/(<mark>.*?<\/mark>)/g).map((part, index) => {
+      if (part.startsWith('<mark>')) {
+        return <mark key={index} className="bg-yellow-200 text-gray-900">{part.slice(6, -7)}</mark>;
+      }
+      return part;
+    });
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-96">
@@ -134,7 +184,22 @@ const CustomerList = () => {
             Manage your customer records and their addresses
           </p>
         </div>
-        <div className="mt-4 sm:mt-0">
+        <div className="mt-4 sm:mt-0 flex gap-3">
+          {can('customer:export') && (
+            <ExportButton
+              name="customers"
+              onExport={(format) => customerAPI.exportCustomers({ format, search: searchTerm, ...activeFilters })}
+            />
+          )}
+          {can('customer:write') && (
+            <Link
+              to="/customers/import"
+              className="btn btn-secondary flex items-center gap-2"
+            >
+              <Upload className="h-4 w-4" />
+              Import
+            </Link>
+          )}
           <Link
             to="/customers/new"
             className="btn btn-primary flex items-center gap-2"
@@ -156,7 +221,7 @@ const CustomerList = () => {
                   type="text"
                   placeholder="Search customers..."
                   value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
+                  onChange={(e) => handleSearchChange(e.target.value)}
                   className="input pl-10"
                 />
               </div>
@@ -178,7 +243,7 @@ const CustomerList = () => {
           </div>
 
           {showFilters && (
-            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 pt-4 border-t border-gray-200">
+            <div className="grid grid-cols-1 sm:grid-cols-3 lg:grid-cols-5 gap-4 pt-4 border-t border-gray-200">
               <div>
                 <label className="form-label">City</label>
                 <input
@@ -209,6 +274,28 @@ const CustomerList = () => {
                   placeholder="Filter by pin code"
                 />
               </div>
+              <div>
+                <label className="form-label">Min Addresses</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={filters.min_addresses}
+                  onChange={(e) => handleFilterChange('min_addresses', e.target.value)}
+                  className="input"
+                  placeholder="Any"
+                />
+              </div>
+              <div>
+                <label className="form-label">Max Addresses</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={filters.max_addresses}
+                  onChange={(e) => handleFilterChange('max_addresses', e.target.value)}
+                  className="input"
+                  placeholder="Any"
+                />
+              </div>
             </div>
           )}
 
@@ -219,7 +306,7 @@ const CustomerList = () => {
                 <span className="badge badge-primary flex items-center gap-1">
                   Search: {searchTerm}
                   <button
-                    onClick={() => setSearchTerm('')}
+                    onClick={() => handleSearchChange('')}
                     className="ml-1"
                   >
                     <X className="h-3 w-3" />
@@ -253,9 +340,7 @@ const CustomerList = () => {
       {/* Results Summary */}
       <div className="flex items-center justify-between">
         <p className="text-sm text-gray-600">
-          Showing {((pagination.page - 1) * pagination.limit) + 1} to{' '}
-          {Math.min(pagination.page * pagination.limit, pagination.total)} of{' '}
-          {pagination.total} customers
+          Showing {customers.length} of {total} customers
         </p>
         <div className="flex items-center gap-2">
           <label className="text-sm text-gray-600">Sort by:</label>
@@ -268,12 +353,15 @@ const CustomerList = () => {
             }}
             className="input text-sm"
           >
+            {searchTerm && <option value="relevance-desc">Best Match</option>}
             <option value="created_at-desc">Newest First</option>
             <option value="created_at-asc">Oldest First</option>
             <option value="first_name-asc">First Name A-Z</option>
             <option value="first_name-desc">First Name Z-A</option>
             <option value="last_name-asc">Last Name A-Z</option>
             <option value="last_name-desc">Last Name Z-A</option>
+            <option value="address_count-desc">Most Addresses</option>
+            <option value="address_count-asc">Fewest Addresses</option>
           </select>
         </div>
       </div>
@@ -304,6 +392,11 @@ const CustomerList = () => {
                           {customer.first_name} {customer.last_name}
                         </div>
                         <div className="text-sm text-gray-500">ID: {customer.id}</div>
+                        {customer.search_snippet && (
+                          <div className="text-xs text-gray-500 mt-1">
+                            {renderSnippet(customer.search_snippet)}
+                          </div>
+                        )}
                       </div>
                     </td>
                     <td className="table-cell">
@@ -352,13 +445,15 @@ const CustomerList = () => {
                         >
                           <Edit className="h-4 w-4" />
                         </Link>
-                        <button
-                          onClick={() => setDeleteConfirm(customer.id)}
-                          className="text-red-600 hover:text-red-800"
-                          title="Delete customer"
-                        >
-                          <Trash2 className="h-4 w-4" />
-                        </button>
+                        {can('customer:delete') && (
+                          <button
+                            onClick={() => setDeleteConfirm(customer)}
+                            className="text-red-600 hover:text-red-800"
+                            title="Delete customer"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -393,47 +488,12 @@ const CustomerList = () => {
         )}
       </div>
 
-      {/* Pagination */}
-      {pagination.totalPages > 1 && (
-        <div className="flex items-center justify-between">
-          <div className="flex items-center gap-2">
-            <button
-              onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
-              disabled={pagination.page === 1}
-              className="btn btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              <ChevronLeft className="h-4 w-4" />
-              Previous
-            </button>
-            <span className="text-sm text-gray-600">
-              Page {pagination.page} of {pagination.totalPages}
-            </span>
-            <button
-              onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
-              disabled={pagination.page === pagination.totalPages}
-              className="btn btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              Next
-              <ChevronRight className="h-4 w-4" />
-            </button>
-          </div>
-          <div className="flex items-center gap-2">
-            <label className="text-sm text-gray-600">Show:</label>
-            <select
-              value={pagination.limit}
-              onChange={(e) => setPagination(prev => ({ 
-                ...prev, 
-                limit: parseInt(e.target.value),
-                page: 1 
-              }))}
-              className="input text-sm"
-            >
-              <option value={5}>5</option>
-              <option value={10}>10</option>
-              <option value={25}>25</option>
-              <option value={50}>50</option>
-            </select>
-          </div>
+      {/* The next page loads as this comes into view */}
+      {hasMore && (
+        <div ref={sentinelRef} className="flex justify-center py-4">
+          {loadingMore && (
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+          )}
         </div>
       )}
 
@@ -445,7 +505,7 @@ const CustomerList = () => {
               Delete Customer
             </h3>
             <p className="text-gray-600 mb-6">
-              Are you sure you want to delete this customer? This action cannot be undone.
+              Are you sure you want to delete this customer? The customer and their addresses will be moved to the trash, where they can be restored.
             </p>
             <div className="flex gap-3">
               <button
@@ -1,63 +1,116 @@
-import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
-import { 
-  Users, 
-  MapPin, 
-  Plus, 
-  Search, 
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import {
+  Users,
+  UserX,
+  MapPin,
+  Plus,
   BarChart3,
   TrendingUp,
   Home,
   Building
 } from 'lucide-react';
-import { customerAPI, addressAPI } from '../services/api';
+import { statsAPI } from '../services/api';
+import BarChart from '../components/BarChart';
+import TrendChart from '../components/TrendChart';
+import useLiveEvents from '../hooks/useLiveEvents';
 import toast from 'react-hot-toast';
 
-const Dashboard = () => {
-  const [stats, setStats] = useState({
-    totalCustomers: 0,
-    totalAddresses: 0,
-    multipleAddresses: 0,
-    singleAddress: 0,
+const INTERVALS = [
+  { value: 'day', label: 'Daily' },
+  { value: 'week', label: 'Weekly' },
+  { value: 'month', label: 'Monthly' },
+];
+
+// A UTC date as YYYY-MM-DD, the format of date inputs and the stats API,
+// which counts days in UTC
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+// Growth ranges one click away, ending today (UTC)
+const RANGE_PRESETS = [
+  { label: '30 days', interval: 'day', days: 30 },
+  { label: '12 weeks', interval: 'week', days: 12 * 7 },
+  { label: '12 months', interval: 'month', days: 365 },
+];
+
+const presetRange = ({ interval, days }) => {
+  const from = new Date();
+  from.setUTCDate(from.getUTCDate() - (days - 1));
+  return { interval, from: toDay(from), to: toDay(new Date()) };
+};
+
+// Customers with this many addresses or more share the last bar
+const DISTRIBUTION_CAP = 5;
+
+// How a growth period is labelled: its day, the Monday its week starts on,
+// or its month
+const formatPeriod = (period, interval) => {
+  const date = new Date(`${period}T00:00:00Z`);
+  if (interval === 'month') {
+    return date.toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+  }
+  const day = date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+  return interval === 'week' ? `Week of ${day}` : day;
+};
+
+// Bars for the address count distribution, the largest counts folded into
+// one "5+" bar. Customers with one address, or several, open the matching
+// report; those without any open the customer list filtered to them.
+const distributionBars = (distribution) => {
+  const bars = [];
+  distribution.forEach(({ address_count: count, customers }) => {
+    const capped = Math.min(count, DISTRIBUTION_CAP);
+    const last = bars[bars.length - 1];
+    if (last && last.key === capped) {
+      last.value += customers;
+      return;
+    }
+    let label = `${capped} addresses`;
+    if (capped === 0) label = 'No address';
+    if (capped === 1) label = '1 address';
+    if (capped === DISTRIBUTION_CAP) label = `${DISTRIBUTION_CAP}+ addresses`;
+    let href = '/multiple-addresses';
+    if (capped === 0) href = '/customers?max_addresses=0';
+    if (capped === 1) href = '/single-address';
+    bars.push({ key: capped, label, value: customers, href });
   });
-  const [loading, setLoading] = useState(true);
+  return bars;
+};
 
-  useEffect(() => {
-    fetchDashboardStats();
-  }, []);
+const Dashboard = () => {
+  const [stats, setStats] = useState(null);
+  const [range, setRange] = useState(() => presetRange(RANGE_PRESETS[0]));
+  const [loading, setLoading] = useState(true);
+  const navigate = useNavigate();
 
-  const fetchDashboardStats = async () => {
+  // A quiet fetch refreshes the figures without the loading spinner
+  const fetchDashboardStats = useCallback(async ({ quiet = false } = {}) => {
     try {
-      setLoading(true);
-      
-      // Fetch customers
-      const customersResponse = await customerAPI.getCustomers({ limit: 1 });
-      const totalCustomers = customersResponse.data.pagination?.total || 0;
-
-      // Fetch addresses
-      const addressesResponse = await addressAPI.getAddresses({ limit: 1 });
-      const totalAddresses = addressesResponse.data.pagination?.total || 0;
-
-      // Fetch multiple addresses
-      const multipleResponse = await customerAPI.getMultipleAddresses();
-      const multipleAddresses = multipleResponse.data.data?.length || 0;
-
-      // Fetch single addresses
-      const singleResponse = await customerAPI.getSingleAddress();
-      const singleAddress = singleResponse.data.data?.length || 0;
-
-      setStats({
-        totalCustomers,
-        totalAddresses,
-        multipleAddresses,
-        singleAddress,
-      });
+      if (!quiet) setLoading(true);
+      const response = await statsAPI.getStats(range);
+      setStats(response.data.data);
     } catch (error) {
       console.error('Error fetching dashboard stats:', error);
-      toast.error('Failed to load dashboard statistics');
+      toast.error(error.response?.data?.message || 'Failed to load dashboard statistics');
     } finally {
       setLoading(false);
     }
+  }, [range]);
+
+  useEffect(() => {
+    fetchDashboardStats();
+  }, [fetchDashboardStats]);
+
+  // Any change to customers or addresses may change the figures
+  useLiveEvents(() => fetchDashboardStats({ quiet: true }));
+
+  const handleRangeChange = (key, value) => {
+    setRange((prev) => ({ ...prev, [key]: value }));
+  };
+
+  // Drill down from a state or city bar to the customers with an address there
+  const showCustomersIn = (filters) => {
+    navigate(`/customers?${new URLSearchParams(filters)}`);
   };
 
   const quickActions = [
@@ -91,40 +144,64 @@ const Dashboard = () => {
     },
   ];
 
+  // Later fetches, e.g. for another range, keep showing the current figures
+  if (!stats) {
+    return loading ? (
+      <div className="flex items-center justify-center min-h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    ) : (
+      <div className="card p-12 text-center">
+        <p className="text-gray-600">Dashboard statistics could not be loaded.</p>
+        <button type="button" onClick={() => fetchDashboardStats()} className="btn btn-primary mt-4">
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  const {
+    totals,
+    address_distribution: addressDistribution,
+    by_state: byState,
+    by_city: byCity,
+    growth,
+  } = stats;
+
   const statCards = [
     {
       name: 'Total Customers',
-      value: stats.totalCustomers,
+      value: totals.customers,
       icon: Users,
       color: 'bg-blue-500',
     },
     {
       name: 'Total Addresses',
-      value: stats.totalAddresses,
+      value: totals.addresses,
       icon: MapPin,
       color: 'bg-green-500',
     },
     {
       name: 'Multiple Addresses',
-      value: stats.multipleAddresses,
+      value: totals.multiple_addresses,
       icon: Building,
       color: 'bg-purple-500',
     },
     {
       name: 'Single Address',
-      value: stats.singleAddress,
+      value: totals.single_address,
       icon: Home,
       color: 'bg-orange-500',
     },
+    {
+      name: 'No Address',
+      value: totals.no_address,
+      icon: UserX,
+      color: 'bg-red-500',
+    },
   ];
 
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center min-h-96">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
-      </div>
-    );
-  }
+  const newCustomers = growth.periods.reduce((sum, period) => sum + period.new_customers, 0);
 
   return (
     <div className="space-y-6">
@@ -137,7 +214,7 @@ const Dashboard = () => {
       </div>
 
       {/* Stats Grid */}
-      <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-4">
+      <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-5">
         {statCards.map((stat) => {
           const Icon = stat.icon;
           return (
@@ -183,6 +260,135 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Customer growth */}
+      <div className="card">
+        <div className="px-6 py-4 border-b border-gray-200 space-y-3">
+          <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+            <div className="flex items-center">
+              <TrendingUp className="h-5 w-5 text-blue-600 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">Customer Growth</h2>
+              <span className="ml-3 text-sm text-gray-500">{newCustomers} new in this range</span>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {RANGE_PRESETS.map((preset) => (
+                <button
+                  key={preset.label}
+                  type="button"
+                  onClick={() => setRange(presetRange(preset))}
+                  className="btn btn-secondary text-sm"
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="grid grid-cols-1 gap-3 sm:grid-cols-3">
+            <label className="form-group">
+              <span className="form-label">From</span>
+              <input
+                type="date"
+                value={range.from}
+                max={range.to}
+                onChange={(e) => e.target.value && handleRangeChange('from', e.target.value)}
+                className="input"
+              />
+            </label>
+            <label className="form-group">
+              <span className="form-label">To</span>
+              <input
+                type="date"
+                value={range.to}
+                min={range.from}
+                onChange={(e) => e.target.value && handleRangeChange('to', e.target.value)}
+                className="input"
+              />
+            </label>
+            <label className="form-group">
+              <span className="form-label">Group by</span>
+              <select
+                value={range.interval}
+                onChange={(e) => handleRangeChange('interval', e.target.value)}
+                className="input"
+              >
+                {INTERVALS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+        <div className="p-6">
+          <TrendChart
+            data={growth.periods.map((row) => ({
+              key: row.period,
+              label: formatPeriod(row.period, growth.interval),
+              value: row.new_customers,
+              total: row.total_customers,
+            }))}
+            valueLabel="New customers"
+            totalLabel="Total customers"
+          />
+        </div>
+      </div>
+
+      {/* Where addresses are. Bars open the customer list filtered to them. */}
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+        <div className="card">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+            <h2 className="text-lg font-semibold text-gray-900">Addresses by State</h2>
+            <span className="ml-3 text-sm text-gray-500">All time</span>
+          </div>
+          <div className="p-6">
+            <BarChart
+              data={byState.map((row) => ({
+                key: row.state,
+                label: row.state,
+                value: row.addresses,
+                detail: `${row.customers} customers`,
+              }))}
+              onSelect={(item) => showCustomersIn({ state: item.key })}
+              emptyMessage="No addresses yet"
+            />
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+            <h2 className="text-lg font-semibold text-gray-900">Top Cities</h2>
+            <span className="ml-3 text-sm text-gray-500">All time</span>
+          </div>
+          <div className="p-6">
+            <BarChart
+              data={byCity.map((row) => ({
+                key: `${row.city}|${row.state}`,
+                label: `${row.city}, ${row.state}`,
+                value: row.addresses,
+                detail: `${row.customers} customers`,
+                filters: { city: row.city, state: row.state },
+              }))}
+              onSelect={(item) => showCustomersIn(item.filters)}
+              color="bg-purple-500"
+              emptyMessage="No addresses yet"
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* How many addresses customers have */}
+      <div className="card">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+          <h2 className="text-lg font-semibold text-gray-900">Addresses per Customer</h2>
+          <span className="ml-3 text-sm text-gray-500">All time</span>
+        </div>
+        <div className="p-6">
+          <BarChart
+            data={distributionBars(addressDistribution)}
+            onSelect={(item) => navigate(item.href)}
+            color="bg-orange-500"
+            emptyMessage="No customers yet"
+          />
+        </div>
+      </div>
     </div>
   );
 };
@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  GitMerge,
+  Eye,
+  Star,
+  Users
+} from 'lucide-react';
+import { customerAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const MERGE_FIELDS = [
+  { key: 'first_name', label: 'First Name' },
+  { key: 'last_name', label: 'Last Name' },
+  { key: 'phone_number', label: 'Phone Number' },
+  { key: 'email', label: 'Email' },
+];
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+const Duplicates = () => {
+  const [pairs, setPairs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [minScore, setMinScore] = useState(0.6);
+  const [review, setReview] = useState(null);
+  const [merging, setMerging] = useState(false);
+
+  const fetchDuplicates = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await customerAPI.getDuplicates({ min_score: minScore });
+      setPairs(response.data.data);
+    } catch (error) {
+      console.error('Error fetching duplicates:', error);
+      toast.error('Failed to load duplicate customers');
+    } finally {
+      setLoading(false);
+    }
+  }, [minScore]);
+
+  useEffect(() => {
+    fetchDuplicates();
+  }, [fetchDuplicates]);
+
+  // Start reviewing a pair, keeping the older customer and its values by default
+  const startReview = (index) => {
+    setReview({
+      index,
+      survivor: 0,
+      fields: Object.fromEntries(MERGE_FIELDS.map(({ key }) => [key, 0])),
+    });
+  };
+
+  const chooseSurvivor = (survivor) => {
+    setReview(prev => ({
+      ...prev,
+      survivor,
+      fields: Object.fromEntries(MERGE_FIELDS.map(({ key }) => [key, survivor])),
+    }));
+  };
+
+  const handleMerge = async () => {
+    const pair = pairs[review.index];
+    const survivor = pair.customers[review.survivor];
+    const duplicate = pair.customers[1 - review.survivor];
+
+    try {
+      setMerging(true);
+      await customerAPI.mergeCustomers({
+        survivor_id: survivor.id,
+        survivor_version: survivor.version,
+        duplicate_id: duplicate.id,
+        duplicate_version: duplicate.version,
+        fields: Object.fromEntries(MERGE_FIELDS.map(({ key }) => [
+          key,
+          review.fields[key] === review.survivor ? 'survivor' : 'duplicate',
+        ])),
+      });
+      toast.success(`Merged into ${survivor.first_name} ${survivor.last_name}`);
+      setReview(null);
+      fetchDuplicates();
+    } catch (error) {
+      console.error('Error merging customers:', error);
+      if (error.response?.status === 412) {
+        toast.error('One of these customers was changed by someone else. Review them again.');
+        setReview(null);
+        fetchDuplicates();
+        return;
+      }
+      toast.error(error.response?.data?.message || 'Failed to merge customers');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  const renderCustomer = (customer, side, pairIndex) => {
+    const reviewing = review && review.index === pairIndex;
+    const isSurvivor = reviewing && review.survivor === side;
+
+    return (
+      <div
+        className={`border rounded-lg p-4 ${
+          isSurvivor ? 'border-green-200 bg-green-50' : 'border-gray-200'
+        }`}
+      >
+        <div className="flex items-start justify-between mb-2">
+          <div>
+            <h3 className="font-medium text-gray-900">
+              {customer.first_name} {customer.last_name}
+            </h3>
+            <p className="text-sm text-gray-500">
+              ID: {customer.id} • {customer.phone_number}
+            </p>
+            {customer.email && (
+              <p className="text-sm text-gray-500">{customer.email}</p>
+            )}
+          </div>
+          <Link
+            to={`/customers/${customer.id}`}
+            className="text-blue-600 hover:text-blue-800"
+            title="View customer details"
+          >
+            <Eye className="h-4 w-4" />
+          </Link>
+        </div>
+
+        <div className="space-y-1 text-sm">
+          {customer.addresses.map((address) => (
+            <p key={address.id} className="text-gray-600 flex items-center gap-1">
+              {address.is_primary ? <Star className="h-3 w-3 text-green-600" /> : null}
+              {address.address_line1}, {address.city}, {address.state} {address.pin_code}
+            </p>
+          ))}
+        </div>
+
+        {reviewing && (
+          <label className="mt-3 flex items-center gap-2 text-sm font-medium text-gray-700 cursor-pointer">
+            <input
+              type="radio"
+              name={`survivor-${pairIndex}`}
+              checked={isSurvivor}
+              onChange={() => chooseSurvivor(side)}
+            />
+            Keep this customer
+          </label>
+        )}
+      </div>
+    );
+  };
+
+  const renderReview = (pair) => (
+    <div className="mt-4 border-t border-gray-200 pt-4">
+      <h4 className="font-medium text-gray-900 mb-2">Choose the values to keep</h4>
+      <table className="table mb-4">
+        <thead className="table-header">
+          <tr>
+            <th className="table-header-cell">Field</th>
+            <th className="table-header-cell">Customer #{pair.customers[0].id}</th>
+            <th className="table-header-cell">Customer #{pair.customers[1].id}</th>
+          </tr>
+        </thead>
+        <tbody className="table-body">
+          {MERGE_FIELDS.map(({ key, label }) => (
+            <tr key={key}>
+              <td className="table-cell font-medium">{label}</td>
+              {[0, 1].map((side) => (
+                <td key={side} className="table-cell">
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="radio"
+                      name={`field-${key}`}
+                      checked={review.fields[key] === side}
+                      onChange={() => setReview(prev => ({
+                        ...prev,
+                        fields: { ...prev.fields, [key]: side },
+                      }))}
+                    />
+                    {pair.customers[side][key] || '—'}
+                  </label>
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-sm text-gray-500 mb-4">
+        All addresses move to the customer you keep. The other customer is removed permanently.
+      </p>
+      <div className="flex justify-end gap-3">
+        <button onClick={() => setReview(null)} className="btn btn-secondary">
+          Cancel
+        </button>
+        <button
+          onClick={handleMerge}
+          disabled={merging}
+          className="btn btn-primary flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <GitMerge className="h-4 w-4" />
+          Merge Customers
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Duplicate Customers</h1>
+          <p className="mt-2 text-gray-600">
+            Customers that look like the same person, scored on name, phone and address similarity
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <label className="text-sm font-medium text-gray-700">Minimum score:</label>
+          <select
+            value={minScore}
+            onChange={(e) => {
+              setReview(null);
+              setMinScore(parseFloat(e.target.value));
+            }}
+            className="input text-sm"
+          >
+            <option value={0.5}>50%</option>
+            <option value={0.6}>60%</option>
+            <option value={0.7}>70%</option>
+            <option value={0.8}>80%</option>
+            <option value={0.9}>90%</option>
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center min-h-96">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : pairs.length === 0 ? (
+        <div className="card text-center py-12">
+          <Users className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No likely duplicates</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Try lowering the minimum score.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {pairs.map((pair, index) => (
+            <div key={`${pair.customers[0].id}-${pair.customers[1].id}`} className="card p-6">
+              <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                  <span className="badge badge-warning">{percent(pair.score)} match</span>
+                  <span className="text-sm text-gray-500">
+                    Name {percent(pair.reasons.name)} • Phone {percent(pair.reasons.phone)} • Address {percent(pair.reasons.address)}
+                  </span>
+                </div>
+                {!(review && review.index === index) && (
+                  <button
+                    onClick={() => startReview(index)}
+                    className="btn btn-primary flex items-center gap-2"
+                  >
+                    <GitMerge className="h-4 w-4" />
+                    Review & Merge
+                  </button>
+                )}
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {renderCustomer(pair.customers[0], 0, index)}
+                {renderCustomer(pair.customers[1], 1, index)}
+              </div>
+
+              {review && review.index === index && renderReview(pair)}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Duplicates;
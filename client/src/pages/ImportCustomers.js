@@ -0,0 +1,356 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import {
+  ArrowLeft,
+  Upload,
+  CheckCircle,
+  AlertTriangle,
+  FileText
+} from 'lucide-react';
+import { customerAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const IMPORT_FIELDS = [
+  { key: 'first_name', label: 'First Name', required: true, aliases: ['first', 'firstname', 'given_name'] },
+  { key: 'last_name', label: 'Last Name', required: true, aliases: ['last', 'lastname', 'surname'] },
+  { key: 'phone_number', label: 'Phone Number', required: true, aliases: ['phone', 'mobile', 'phone_no'] },
+  { key: 'email', label: 'Email', aliases: ['email_address', 'e_mail'] },
+  { key: 'address_line1', label: 'Address Line 1', aliases: ['address', 'street', 'address1', 'line1'] },
+  { key: 'address_line2', label: 'Address Line 2', aliases: ['address2', 'line2'] },
+  { key: 'city', label: 'City', aliases: ['town'] },
+  { key: 'state', label: 'State', aliases: ['province'] },
+  { key: 'pin_code', label: 'Pin Code', aliases: ['pin', 'pincode', 'zip', 'postal_code'] },
+  { key: 'country', label: 'Country', aliases: [] },
+  { key: 'is_primary', label: 'Primary Address', aliases: ['primary'] },
+];
+
+const STEPS = ['Upload', 'Map Columns', 'Validate', 'Done'];
+
+const normalizeHeader = (header) =>
+  header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Column names from the first line of a CSV file, honouring quoted commas
+const readCsvHeader = (text) => {
+  const columns = [];
+  let field = '';
+  let quoted = false;
+  for (const char of text.replace(/^\uFEFF/, '')) {
+    if (quoted) {
+      if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      columns.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      break;
+    } else {
+      field += char;
+    }
+  }
+  columns.push(field.trim());
+  return columns.filter(Boolean);
+};
+
+// Best guess at which column holds each field, by name or common alias
+const guessMapping = (columns) => {
+  const mapping = {};
+  IMPORT_FIELDS.forEach(({ key, aliases }) => {
+    const column = columns.find((name) => {
+      const normalized = normalizeHeader(name);
+      return normalized === key || aliases.includes(normalized);
+    });
+    if (column) mapping[key] = column;
+  });
+  return mapping;
+};
+
+const ImportCustomers = () => {
+  const navigate = useNavigate();
+  const [step, setStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [columns, setColumns] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleFile = (event) => {
+    const selected = event.target.files[0];
+    if (!selected) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const format = /\.(jsonl|ndjson)$/i.test(selected.name) ? 'jsonl' : 'csv';
+      const data = reader.result;
+      setFile({ name: selected.name, format, data });
+      setSummary(null);
+
+      if (format === 'csv') {
+        const header = readCsvHeader(data);
+        setColumns(header);
+        setMapping(guessMapping(header));
+      } else {
+        setColumns([]);
+        setMapping({});
+      }
+    };
+    reader.onerror = () => toast.error('Could not read the file');
+    reader.readAsText(selected);
+  };
+
+  // Fields left unmapped are sent as null so the server skips them; JSON lines
+  // already use the field names
+  const buildRequest = (dryRun) => ({
+    format: file.format,
+    data: file.data,
+    mapping: file.format === 'csv'
+      ? Object.fromEntries(IMPORT_FIELDS.map(({ key }) => [key, mapping[key] || null]))
+      : undefined,
+    dryRun,
+  });
+
+  const handleValidate = async () => {
+    try {
+      setLoading(true);
+      const response = await customerAPI.importCustomers(buildRequest(true));
+      setSummary(response.data.data);
+      setStep(2);
+    } catch (error) {
+      console.error('Error validating import:', error);
+      toast.error(error.response?.data?.message || 'Failed to validate import');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setLoading(true);
+      const response = await customerAPI.importCustomers(buildRequest(false));
+      setSummary(response.data.data);
+      setStep(3);
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error importing customers:', error);
+      if (error.response?.data?.errors) {
+        setSummary((prev) => ({ ...prev, errors: error.response.data.errors }));
+      }
+      toast.error(error.response?.data?.message || 'Failed to import customers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const missingRequired = file?.format === 'csv'
+    ? IMPORT_FIELDS.filter(({ key, required }) => required && !mapping[key])
+    : [];
+
+  const renderUpload = () => (
+    <div className="card p-6 space-y-4">
+      <p className="text-gray-600">
+        Upload a CSV file with one row per address (rows with the same phone number belong to the
+        same customer), or a JSON lines file with one customer per line. Customers whose phone
+        number already exists are updated and gain any new addresses; ones the file would not change
+        are left as they are.
+      </p>
+      <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-8 cursor-pointer hover:border-blue-400">
+        <Upload className="h-8 w-8 text-gray-400" />
+        <span className="mt-2 text-sm text-gray-600">
+          {file ? file.name : 'Choose a .csv, .jsonl or .ndjson file'}
+        </span>
+        <input
+          type="file"
+          accept=".csv,.jsonl,.ndjson,text/csv"
+          onChange={handleFile}
+          className="hidden"
+        />
+      </label>
+      <div className="flex justify-end">
+        <button
+          onClick={() => (file.format === 'csv' ? setStep(1) : handleValidate())}
+          disabled={!file || loading}
+          className="btn btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {file?.format === 'jsonl' ? 'Validate' : 'Next'}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderMapping = () => (
+    <div className="card p-6 space-y-4">
+      <p className="text-gray-600">
+        Choose the column of <span className="font-medium">{file.name}</span> that holds each field.
+      </p>
+      <table className="table">
+        <thead className="table-header">
+          <tr>
+            <th className="table-header-cell">Field</th>
+            <th className="table-header-cell">Column</th>
+          </tr>
+        </thead>
+        <tbody className="table-body">
+          {IMPORT_FIELDS.map(({ key, label, required }) => (
+            <tr key={key}>
+              <td className="table-cell font-medium">
+                {label}{required && <span className="text-red-500"> *</span>}
+              </td>
+              <td className="table-cell">
+                <select
+                  value={mapping[key] || ''}
+                  onChange={(e) => setMapping((prev) => ({ ...prev, [key]: e.target.value }))}
+                  className="input text-sm"
+                >
+                  <option value="">Not imported</option>
+                  {columns.map((column) => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {missingRequired.length > 0 && (
+        <p className="text-sm text-red-600">
+          Map a column to {missingRequired.map(({ label }) => label).join(', ')}.
+        </p>
+      )}
+      <div className="flex justify-between">
+        <button onClick={() => setStep(0)} className="btn btn-secondary">
+          Back
+        </button>
+        <button
+          onClick={handleValidate}
+          disabled={missingRequired.length > 0 || loading}
+          className="btn btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Validate
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderSummary = () => (
+    <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+      {[
+        ['Customers', summary.customers],
+        ['New', summary.created],
+        ['Updated', summary.updated],
+        ['Unchanged', summary.unchanged],
+        ['New addresses', summary.addresses],
+      ].map(([label, value]) => (
+        <div key={label} className="border border-gray-200 rounded-lg p-4 text-center">
+          <p className="text-2xl font-bold text-gray-900">{value}</p>
+          <p className="text-sm text-gray-500">{label}</p>
+        </div>
+      ))}
+    </div>
+  );
+
+  const renderValidation = () => (
+    <div className="card p-6 space-y-4">
+      {renderSummary()}
+      {summary.errors.length === 0 ? (
+        <p className="flex items-center gap-2 text-green-700">
+          <CheckCircle className="h-5 w-5" />
+          Every row is valid and ready to import.
+        </p>
+      ) : (
+        <>
+          <p className="flex items-center gap-2 text-red-700">
+            <AlertTriangle className="h-5 w-5" />
+            Fix these {summary.errors.length} errors in the file and upload it again. Nothing is
+            imported while there are errors.
+          </p>
+          <table className="table">
+            <thead className="table-header">
+              <tr>
+                <th className="table-header-cell">Line</th>
+                <th className="table-header-cell">Field</th>
+                <th className="table-header-cell">Error</th>
+              </tr>
+            </thead>
+            <tbody className="table-body">
+              {summary.errors.map((error, index) => (
+                <tr key={index}>
+                  <td className="table-cell">{error.line}</td>
+                  <td className="table-cell">{error.path || '—'}</td>
+                  <td className="table-cell">{error.msg}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+      <div className="flex justify-between">
+        <button onClick={() => setStep(file.format === 'csv' ? 1 : 0)} className="btn btn-secondary">
+          Back
+        </button>
+        <button
+          onClick={handleImport}
+          disabled={summary.errors.length > 0 || loading}
+          className="btn btn-primary flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Upload className="h-4 w-4" />
+          Import {summary.customers} Customers
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderDone = () => (
+    <div className="card p-6 space-y-4">
+      <p className="flex items-center gap-2 text-green-700">
+        <CheckCircle className="h-5 w-5" />
+        Import complete.
+      </p>
+      {renderSummary()}
+      <div className="flex justify-end">
+        <button onClick={() => navigate('/customers')} className="btn btn-primary">
+          View Customers
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center gap-4">
+        <Link to="/customers" className="text-gray-600 hover:text-gray-900">
+          <ArrowLeft className="h-5 w-5" />
+        </Link>
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Import Customers</h1>
+          <p className="mt-2 text-gray-600">
+            Add or update customers and addresses from a file
+          </p>
+        </div>
+      </div>
+
+      {/* Steps */}
+      <ol className="flex items-center gap-4 text-sm">
+        {STEPS.map((label, index) => (
+          <li
+            key={label}
+            className={`flex items-center gap-2 ${
+              index === step ? 'text-blue-600 font-medium' : index < step ? 'text-gray-900' : 'text-gray-400'
+            }`}
+          >
+            <FileText className="h-4 w-4" />
+            {index + 1}. {label}
+          </li>
+        ))}
+      </ol>
+
+      {step === 0 && renderUpload()}
+      {step === 1 && renderMapping()}
+      {step === 2 && renderValidation()}
+      {step === 3 && renderDone()}
+    </div>
+  );
+};
+
+export default ImportCustomers;
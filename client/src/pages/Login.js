@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { LogIn } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import toast from 'react-hot-toast';
+
+const Login = () => {
+  const { user, login } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [loading, setLoading] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm();
+
+  // Back to the page that sent the user here
+  const from = location.state?.from?.pathname || '/';
+
+  if (user) {
+    return <Navigate to={from} replace />;
+  }
+
+  const onSubmit = async ({ username, password }) => {
+    try {
+      setLoading(true);
+      await login(username, password);
+      navigate(from, { replace: true });
+    } catch (error) {
+      console.error('Error logging in:', error);
+      toast.error(error.response?.data?.message || 'Failed to log in');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="card p-8 w-full max-w-md">
+        <h1 className="text-2xl font-bold text-gray-900 text-center">Customer CRUD</h1>
+        <p className="mt-2 text-gray-600 text-center">Sign in to continue</p>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="mt-6 space-y-4">
+          <div>
+            <label className="form-label">Username</label>
+            <input
+              type="text"
+              autoComplete="username"
+              autoFocus
+              {...register('username', { required: 'Username is required' })}
+              className={`input ${errors.username ? 'border-red-500' : ''}`}
+            />
+            {errors.username && (
+              <p className="form-error">{errors.username.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label className="form-label">Password</label>
+            <input
+              type="password"
+              autoComplete="current-password"
+              {...register('password', { required: 'Password is required' })}
+              className={`input ${errors.password ? 'border-red-500' : ''}`}
+            />
+            {errors.password && (
+              <p className="form-error">{errors.password.message}</p>
+            )}
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="btn btn-primary w-full flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <LogIn className="h-4 w-4" />
+            {loading ? 'Signing in...' : 'Sign In'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
@@ -8,37 +8,68 @@ import {
   Star,
   Building
 } from 'lucide-react';
-import { customerAPI } from '../services/api';
+import { customerAPI, statsAPI } from '../services/api';
+import ReportFilters from '../components/ReportFilters';
+import useCursorList from '../hooks/useCursorList';
 import toast from 'react-hot-toast';
 
+const SORT_OPTIONS = [
+  { value: 'address_count-desc', label: 'Most Addresses' },
+  { value: 'address_count-asc', label: 'Fewest Addresses' },
+  { value: 'created_at-desc', label: 'Newest First' },
+  { value: 'created_at-asc', label: 'Oldest First' },
+  { value: 'first_name-asc', label: 'First Name A-Z' },
+  { value: 'last_name-asc', label: 'Last Name A-Z' },
+];
+
+const NO_FILTERS = { search: '', city: '', state: '', pin_code: '' };
+
+// Customers and addresses in the whole report, from the address count
+// distribution of the dashboard statistics
+const reportTotals = (distribution) => {
+  const rows = distribution.filter((row) => row.address_count > 1);
+  return {
+    customers: rows.reduce((total, row) => total + row.customers, 0),
+    addresses: rows.reduce((total, row) => total + row.address_count * row.customers, 0),
+  };
+};
+
 const MultipleAddresses = () => {
-  const [customers, setCustomers] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [sort, setSort] = useState(SORT_OPTIONS[0].value);
+  const [totals, setTotals] = useState({ customers: 0, addresses: 0 });
+  const [sortBy, sortOrder] = sort.split('-');
+
+  // The report loads a page at a time as it is scrolled
+  const {
+    rows: customers,
+    total,
+    loading,
+    loadingMore,
+    hasMore,
+    sentinelRef,
+  } = useCursorList(customerAPI.getMultipleAddresses, { ...filters, sort: sortBy, order: sortOrder }, {
+    onError: (error) => {
+      console.error('Error fetching customers with multiple addresses:', error);
+      toast.error('Failed to load customers with multiple addresses');
+    },
+  });
 
   useEffect(() => {
-    fetchMultipleAddresses();
+    statsAPI.getStats()
+      .then((response) => setTotals(reportTotals(response.data.data.address_distribution)))
+      .catch((error) => console.error('Error fetching address totals:', error));
   }, []);
 
-  const fetchMultipleAddresses = async () => {
-    try {
-      setLoading(true);
-      const response = await customerAPI.getMultipleAddresses();
-      setCustomers(response.data.data);
-    } catch (error) {
-      console.error('Error fetching customers with multiple addresses:', error);
-      toast.error('Failed to load customers with multiple addresses');
-    } finally {
-      setLoading(false);
+  const handleFilterChange = (key, value) => {
+    if (key === 'sort') {
+      setSort(value);
+    } else {
+      setFilters((prev) => ({ ...prev, [key]: value }));
     }
   };
 
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center min-h-96">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
-      </div>
-    );
-  }
+  const filtered = Object.values(filters).some(Boolean);
 
   return (
     <div className="space-y-6">
@@ -59,7 +90,7 @@ const MultipleAddresses = () => {
             </div>
             <div className="ml-4">
               <p className="text-sm font-medium text-gray-600">Total Customers</p>
-              <p className="text-2xl font-semibold text-gray-900">{customers.length}</p>
+              <p className="text-2xl font-semibold text-gray-900">{totals.customers}</p>
             </div>
           </div>
         </div>
@@ -71,9 +102,7 @@ const MultipleAddresses = () => {
             </div>
             <div className="ml-4">
               <p className="text-sm font-medium text-gray-600">Total Addresses</p>
-              <p className="text-2xl font-semibold text-gray-900">
-                {customers.reduce((total, customer) => total + customer.address_count, 0)}
-              </p>
+              <p className="text-2xl font-semibold text-gray-900">{totals.addresses}</p>
             </div>
           </div>
         </div>
@@ -86,28 +115,41 @@ const MultipleAddresses = () => {
             <div className="ml-4">
               <p className="text-sm font-medium text-gray-600">Avg Addresses</p>
               <p className="text-2xl font-semibold text-gray-900">
-                {customers.length > 0 
-                  ? (customers.reduce((total, customer) => total + customer.address_count, 0) / customers.length).toFixed(1)
-                  : '0'
-                }
+                {totals.customers > 0 ? (totals.addresses / totals.customers).toFixed(1) : '0'}
               </p>
             </div>
           </div>
         </div>
       </div>
 
+      <ReportFilters
+        values={{ ...filters, sort }}
+        onChange={handleFilterChange}
+        onClear={() => setFilters(NO_FILTERS)}
+        sortOptions={SORT_OPTIONS}
+      />
+
       {/* Customers List */}
       <div className="card">
-        <div className="p-6 border-b border-gray-200">
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
           <h2 className="text-xl font-semibold text-gray-900">Customers with Multiple Addresses</h2>
+          {!loading && (
+            <p className="text-sm text-gray-600">Showing {customers.length} of {total}</p>
+          )}
         </div>
 
-        {customers.length === 0 ? (
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+          </div>
+        ) : customers.length === 0 ? (
           <div className="text-center py-12">
             <Building className="mx-auto h-12 w-12 text-gray-400" />
             <h3 className="mt-2 text-sm font-medium text-gray-900">No customers found</h3>
             <p className="mt-1 text-sm text-gray-500">
-              No customers have multiple addresses yet.
+              {filtered
+                ? 'Try adjusting your search or filters.'
+                : 'No customers have multiple addresses yet.'}
             </p>
             <Link to="/customers" className="btn btn-primary mt-4">
               View All Customers
@@ -201,6 +243,15 @@ const MultipleAddresses = () => {
             ))}
           </div>
         )}
+
+        {/* The next page loads as this comes into view */}
+        {hasMore && !loading && (
+          <div ref={sentinelRef} className="flex justify-center py-4">
+            {loadingMore && (
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
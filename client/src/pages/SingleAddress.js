@@ -8,37 +8,63 @@ import {
   Star,
   Home
 } from 'lucide-react';
-import { customerAPI } from '../services/api';
+import { customerAPI, statsAPI } from '../services/api';
+import ReportFilters from '../components/ReportFilters';
+import useCursorList from '../hooks/useCursorList';
 import toast from 'react-hot-toast';
 
+const SORT_OPTIONS = [
+  { value: 'created_at-desc', label: 'Newest First' },
+  { value: 'created_at-asc', label: 'Oldest First' },
+  { value: 'first_name-asc', label: 'First Name A-Z' },
+  { value: 'first_name-desc', label: 'First Name Z-A' },
+  { value: 'last_name-asc', label: 'Last Name A-Z' },
+  { value: 'last_name-desc', label: 'Last Name Z-A' },
+];
+
+const NO_FILTERS = { search: '', city: '', state: '', pin_code: '' };
+
 const SingleAddress = () => {
-  const [customers, setCustomers] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [sort, setSort] = useState(SORT_OPTIONS[0].value);
+  const [reportTotal, setReportTotal] = useState(0);
+  const [sortBy, sortOrder] = sort.split('-');
 
+  // The report loads a page at a time as it is scrolled
+  const {
+    rows: customers,
+    total,
+    loading,
+    loadingMore,
+    hasMore,
+    sentinelRef,
+  } = useCursorList(customerAPI.getSingleAddress, { ...filters, sort: sortBy, order: sortOrder }, {
+    onError: (error) => {
+      console.error('Error fetching customers with single address:', error);
+      toast.error('Failed to load customers with single address');
+    },
+  });
+
+  // Customers in the whole report, from the address count distribution of
+  // the dashboard statistics
   useEffect(() => {
-    fetchSingleAddress();
+    statsAPI.getStats()
+      .then((response) => {
+        const row = response.data.data.address_distribution.find((entry) => entry.address_count === 1);
+        setReportTotal(row ? row.customers : 0);
+      })
+      .catch((error) => console.error('Error fetching address totals:', error));
   }, []);
 
-  const fetchSingleAddress = async () => {
-    try {
-      setLoading(true);
-      const response = await customerAPI.getSingleAddress();
-      setCustomers(response.data.data);
-    } catch (error) {
-      console.error('Error fetching customers with single address:', error);
-      toast.error('Failed to load customers with single address');
-    } finally {
-      setLoading(false);
+  const handleFilterChange = (key, value) => {
+    if (key === 'sort') {
+      setSort(value);
+    } else {
+      setFilters((prev) => ({ ...prev, [key]: value }));
     }
   };
 
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center min-h-96">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
-      </div>
-    );
-  }
+  const filtered = Object.values(filters).some(Boolean);
 
   return (
     <div className="space-y-6">
@@ -59,7 +85,7 @@ const SingleAddress = () => {
             </div>
             <div className="ml-4">
               <p className="text-sm font-medium text-gray-600">Total Customers</p>
-              <p className="text-2xl font-semibold text-gray-900">{customers.length}</p>
+              <p className="text-2xl font-semibold text-gray-900">{reportTotal}</p>
             </div>
           </div>
         </div>
@@ -71,26 +97,40 @@ const SingleAddress = () => {
             </div>
             <div className="ml-4">
               <p className="text-sm font-medium text-gray-600">Total Addresses</p>
-              <p className="text-2xl font-semibold text-gray-900">
-                {customers.reduce((total, customer) => total + customer.address_count, 0)}
-              </p>
+              <p className="text-2xl font-semibold text-gray-900">{reportTotal}</p>
             </div>
           </div>
         </div>
       </div>
 
+      <ReportFilters
+        values={{ ...filters, sort }}
+        onChange={handleFilterChange}
+        onClear={() => setFilters(NO_FILTERS)}
+        sortOptions={SORT_OPTIONS}
+      />
+
       {/* Customers List */}
       <div className="card">
-        <div className="p-6 border-b border-gray-200">
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
           <h2 className="text-xl font-semibold text-gray-900">Customers with Single Address</h2>
+          {!loading && (
+            <p className="text-sm text-gray-600">Showing {customers.length} of {total}</p>
+          )}
         </div>
 
-        {customers.length === 0 ? (
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+          </div>
+        ) : customers.length === 0 ? (
           <div className="text-center py-12">
             <Home className="mx-auto h-12 w-12 text-gray-400" />
             <h3 className="mt-2 text-sm font-medium text-gray-900">No customers found</h3>
             <p className="mt-1 mb-4 text-sm text-gray-500">
-              No customers have only one address yet.
+              {filtered
+                ? 'Try adjusting your search or filters.'
+                : 'No customers have only one address yet.'}
             </p>
             <Link to="/customers" className="btn btn-primary mt-4">
               View All Customers
@@ -178,6 +218,15 @@ const SingleAddress = () => {
             ))}
           </div>
         )}
+
+        {/* The next page loads as this comes into view */}
+        {hasMore && !loading && (
+          <div ref={sentinelRef} className="flex justify-center py-4">
+            {loadingMore && (
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Users,
+  MapPin,
+  RotateCcw,
+  Trash2
+} from 'lucide-react';
+import { customerAPI, addressAPI, trashAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const Trash = () => {
+  const [customers, setCustomers] = useState([]);
+  const [addresses, setAddresses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [purgeConfirm, setPurgeConfirm] = useState(null);
+
+  useEffect(() => {
+    fetchTrash();
+  }, []);
+
+  const fetchTrash = async () => {
+    try {
+      setLoading(true);
+      const response = await trashAPI.getTrash();
+      setCustomers(response.data.data.customers);
+      setAddresses(response.data.data.addresses);
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      toast.error('Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestoreCustomer = async (customerId) => {
+    try {
+      await customerAPI.restoreCustomer(customerId);
+      toast.success('Customer restored successfully');
+      fetchTrash();
+    } catch (error) {
+      console.error('Error restoring customer:', error);
+      toast.error(error.response?.data?.message || 'Failed to restore customer');
+    }
+  };
+
+  const handleRestoreAddress = async (addressId) => {
+    try {
+      await addressAPI.restoreAddress(addressId);
+      toast.success('Address restored successfully');
+      fetchTrash();
+    } catch (error) {
+      console.error('Error restoring address:', error);
+      toast.error(error.response?.data?.message || 'Failed to restore address');
+    }
+  };
+
+  const handlePurge = async ({ type, id }) => {
+    try {
+      if (type === 'customer') {
+        await trashAPI.purgeCustomer(id);
+      } else {
+        await trashAPI.purgeAddress(id);
+      }
+      toast.success(type === 'customer' ? 'Customer permanently deleted' : 'Address permanently deleted');
+      setPurgeConfirm(null);
+      fetchTrash();
+    } catch (error) {
+      console.error('Error purging from trash:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete permanently');
+    }
+  };
+
+  const formatAddress = (address) => (
+    [address.address_line1, address.address_line2, address.city, address.state, address.pin_code]
+      .filter(Boolean)
+      .join(', ')
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Trash</h1>
+        <p className="mt-2 text-gray-600">
+          Deleted customers and addresses can be restored or permanently deleted
+        </p>
+      </div>
+
+      {/* Deleted Customers */}
+      <div className="card">
+        <div className="p-6 border-b border-gray-200">
+          <h2 className="text-xl font-semibold text-gray-900">Deleted Customers ({customers.length})</h2>
+        </div>
+
+        {customers.length === 0 ? (
+          <div className="text-center py-12">
+            <Users className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No deleted customers</h3>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {customers.map((customer) => (
+              <div key={customer.id} className="p-6 flex items-start justify-between">
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900">
+                    {customer.first_name} {customer.last_name}
+                  </h3>
+                  <p className="text-sm text-gray-500">
+                    ID: {customer.id} • {customer.phone_number}
+                    {customer.email && ` • ${customer.email}`}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    Deleted {new Date(customer.deleted_at).toLocaleString()} • {customer.addresses.length} address{customer.addresses.length !== 1 ? 'es' : ''}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 ml-4">
+                  <button
+                    onClick={() => handleRestoreCustomer(customer.id)}
+                    className="btn btn-secondary flex items-center gap-2"
+                  >
+                    <RotateCcw className="h-4 w-4" />
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => setPurgeConfirm({ type: 'customer', id: customer.id })}
+                    className="btn btn-danger flex items-center gap-2"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                    Delete Forever
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Deleted Addresses */}
+      <div className="card">
+        <div className="p-6 border-b border-gray-200">
+          <h2 className="text-xl font-semibold text-gray-900">Deleted Addresses ({addresses.length})</h2>
+        </div>
+
+        {addresses.length === 0 ? (
+          <div className="text-center py-12">
+            <MapPin className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No deleted addresses</h3>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {addresses.map((address) => (
+              <div key={address.id} className="p-6 flex items-start justify-between">
+                <div>
+                  <h3 className="font-medium text-gray-900">{formatAddress(address)}</h3>
+                  <p className="text-sm text-gray-500">
+                    {address.first_name} {address.last_name} (ID: {address.customer_id})
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    Deleted {new Date(address.deleted_at).toLocaleString()}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 ml-4">
+                  <button
+                    onClick={() => handleRestoreAddress(address.id)}
+                    className="btn btn-secondary flex items-center gap-2"
+                  >
+                    <RotateCcw className="h-4 w-4" />
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => setPurgeConfirm({ type: 'address', id: address.id })}
+                    className="btn btn-danger flex items-center gap-2"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                    Delete Forever
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Purge Confirmation Modal */}
+      {purgeConfirm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              Delete Forever
+            </h3>
+            <p className="text-gray-600 mb-6">
+              {purgeConfirm.type === 'customer'
+                ? 'Permanently delete this customer and their addresses? This action cannot be undone.'
+                : 'Permanently delete this address? This action cannot be undone.'}
+            </p>
+            <div className="flex gap-3">
+              <button
+                onClick={() => setPurgeConfirm(null)}
+                className="btn btn-secondary flex-1"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => handlePurge(purgeConfirm)}
+                className="btn btn-danger flex-1"
+              >
+                Delete Forever
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
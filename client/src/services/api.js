@@ -9,10 +9,57 @@ const api = axios.create({
   },
 });
 
+const SESSION_KEY = 'session';
+const sessionListeners = new Set();
+
+// The organisation to work in after `data` replaces `previous`: the one
+// already picked while the user still belongs to it, otherwise their first
+const pickTenant = (data, previous) => {
+  const tenants = data.user?.tenants || [];
+  const kept = tenants.find((tenant) => tenant.id === previous?.tenantId);
+  return (kept || tenants[0])?.id ?? null;
+};
+
+// The signed-in user's tokens and the organisation (tenant) they are working
+// in, kept in localStorage so a reload stays signed in. Listeners hear about
+// every change, including the interceptor below ending a session that can no
+// longer be refreshed.
+export const session = {
+  get: () => JSON.parse(localStorage.getItem(SESSION_KEY) || 'null'),
+
+  save: (data) => {
+    const saved = { ...data, tenantId: pickTenant(data, session.get()) };
+    localStorage.setItem(SESSION_KEY, JSON.stringify(saved));
+    sessionListeners.forEach((listener) => listener(saved));
+  },
+
+  // Switch the organisation later requests work in
+  setTenant: (tenantId) => {
+    session.save({ ...session.get(), tenantId });
+  },
+
+  clear: () => {
+    localStorage.removeItem(SESSION_KEY);
+    sessionListeners.forEach((listener) => listener(null));
+  },
+
+  // Returns a function that removes the listener
+  subscribe: (listener) => {
+    sessionListeners.add(listener);
+    return () => sessionListeners.delete(listener);
+  },
+};
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
-    // Add any auth tokens here if needed
+    const current = session.get();
+    if (current && !config.headers.Authorization) {
+      config.headers.Authorization = `Bearer ${current.accessToken}`;
+    }
+    if (current?.tenantId) {
+      config.headers['X-Tenant-Id'] = current.tenantId;
+    }
     return config;
   },
   (error) => {
@@ -20,17 +67,190 @@ api.interceptors.request.use(
   }
 );
 
+// Concurrent requests that hit an expired access token share one refresh
+let refreshing = null;
+
+const refreshSession = () => {
+  if (!refreshing) {
+    const current = session.get();
+    refreshing = axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken: current?.refreshToken })
+      .then((response) => {
+        session.save(response.data.data);
+        return response.data.data;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
 // Response interceptor
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
+  async (error) => {
+    const { config, response } = error;
+
+    // Retry once with a fresh access token; give up on the session if the
+    // refresh token is rejected too
+    if (response?.status === 401 && session.get() && !config.retried && !config.url.startsWith('/auth/')) {
+      try {
+        const refreshed = await refreshSession();
+        config.retried = true;
+        config.headers.Authorization = `Bearer ${refreshed.accessToken}`;
+        return api(config);
+      } catch (refreshError) {
+        session.clear();
+      }
+    }
+
     console.error('API Error:', error);
     return Promise.reject(error);
   }
 );
 
+// Live change events of the current organisation, streamed from /api/events
+// as Server-Sent Events. fetch() is used rather than EventSource, which cannot
+// send the Authorization and X-Tenant-Id headers. One connection is shared by
+// all listeners: opened for the first, closed after the last, and reopened
+// after errors, when the access token runs out and when the user switches
+// organisation. Listeners get { id, type, created_at, data }, and
+// { type: 'reconnected' } after a reconnect since events may have been missed.
+const eventListeners = new Set();
+let eventStream = null;
+const EVENT_RETRY_MIN_MS = 1000;
+const EVENT_RETRY_MAX_MS = 30000;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const notifyEventListeners = (event) => {
+  eventListeners.forEach((listener) => listener(event));
+};
+
+// Hand every complete message in the stream to the listeners; resolves when
+// the server ends the stream
+const readEvents = async (body) => {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+    messages.forEach((message) => {
+      const data = message.split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trimStart());
+      if (data.length > 0) notifyEventListeners(JSON.parse(data.join('\n')));
+    });
+  }
+};
+
+const openEventStream = () => {
+  let controller = null;
+  let tenantId = null;
+
+  const run = async (signal) => {
+    let delay = EVENT_RETRY_MIN_MS;
+    let opened = false;
+    let refreshed = false;
+    while (!signal.aborted && session.get()) {
+      const current = session.get();
+      try {
+        const headers = { Accept: 'text/event-stream', Authorization: `Bearer ${current.accessToken}` };
+        if (current.tenantId) headers['X-Tenant-Id'] = current.tenantId;
+        const response = await fetch(`${API_BASE_URL}/events`, { headers, signal });
+
+        // Refresh an expired access token, once per connection attempt
+        if (response.status === 401 && !refreshed) {
+          refreshed = true;
+          try {
+            await refreshSession();
+          } catch (refreshError) {
+            session.clear();
+            return;
+          }
+          continue;
+        }
+        // Not allowed to read customers here; retrying will not change that
+        if (response.status === 403) return;
+        if (!response.ok) throw new Error(`Event stream answered ${response.status}`);
+
+        if (opened) notifyEventListeners({ type: 'reconnected' });
+        opened = true;
+        refreshed = false;
+        delay = EVENT_RETRY_MIN_MS;
+        await readEvents(response.body);
+      } catch (error) {
+        if (signal.aborted) return;
+        console.error('Event stream error:', error);
+        await wait(delay);
+        delay = Math.min(delay * 2, EVENT_RETRY_MAX_MS);
+        refreshed = false;
+      }
+    }
+  };
+
+  const start = () => {
+    controller?.abort();
+    controller = new AbortController();
+    tenantId = session.get()?.tenantId ?? null;
+    run(controller.signal);
+  };
+
+  const stopWatchingSession = session.subscribe((data) => {
+    if (!data) {
+      controller.abort();
+    } else if (controller.signal.aborted || (data.tenantId ?? null) !== tenantId) {
+      start();
+    }
+  });
+  start();
+
+  return {
+    close: () => {
+      stopWatchingSession();
+      controller.abort();
+    },
+  };
+};
+
+export const liveEvents = {
+  // Call `listener(event)` for every change event; returns a function that
+  // removes the listener
+  subscribe: (listener) => {
+    eventListeners.add(listener);
+    if (!eventStream) eventStream = openEventStream();
+    return () => {
+      eventListeners.delete(listener);
+      if (eventListeners.size === 0 && eventStream) {
+        eventStream.close();
+        eventStream = null;
+      }
+    };
+  },
+};
+
+// If-Match header naming the version of a record the client last read
+const ifMatch = (version) => ({ headers: { 'If-Match': `"${version}"` } });
+
+// Authentication API calls
+export const authAPI = {
+  // Sign in; resolves to { accessToken, refreshToken, expiresIn, user }, the
+  // user listing the tenants they belong to
+  login: (username, password) => {
+    return api.post('/auth/login', { username, password });
+  },
+
+  // End the session of a refresh token
+  logout: (refreshToken) => {
+    return api.post('/auth/logout', { refreshToken });
+  },
+};
+
 // Customer API calls
 export const customerAPI = {
   // Get all customers with pagination and search
@@ -48,24 +268,51 @@ export const customerAPI = {
     return api.post('/customers', data);
   },
 
-  // Update customer
-  updateCustomer: (id, data) => {
-    return api.put(`/customers/${id}`, data);
+  // Update customer; rejected with 412 if it changed since `version`
+  updateCustomer: (id, data, version) => {
+    return api.put(`/customers/${id}`, data, ifMatch(version));
+  },
+
+  // Delete customer; rejected with 412 if it changed since `version`
+  deleteCustomer: (id, version) => {
+    return api.delete(`/customers/${id}`, ifMatch(version));
+  },
+
+  // Get a page of customers with multiple addresses; takes the same params
+  // as getCustomers
+  getMultipleAddresses: (params = {}) => {
+    return api.get('/customers/multiple-addresses', { params });
+  },
+
+  // Get a page of customers with a single address; takes the same params as
+  // getCustomers
+  getSingleAddress: (params = {}) => {
+    return api.get('/customers/single-address', { params });
+  },
+
+  // Restore customer from the trash
+  restoreCustomer: (id) => {
+    return api.post(`/customers/${id}/restore`);
+  },
+
+  // Get likely duplicate customer pairs, best first
+  getDuplicates: (params = {}) => {
+    return api.get('/customers/duplicates', { params });
   },
 
-  // Delete customer
-  deleteCustomer: (id) => {
-    return api.delete(`/customers/${id}`);
+  // Merge a duplicate customer into a survivor
+  mergeCustomers: (data) => {
+    return api.post('/customers/merge', data);
   },
 
-  // Get customers with multiple addresses
-  getMultipleAddresses: () => {
-    return api.get('/customers/multiple-addresses');
+  // Download every customer matching the list filters as csv, xlsx or ndjson
+  exportCustomers: (params = {}) => {
+    return api.get('/customers/export', { params, responseType: 'blob' });
   },
 
-  // Get customers with single address
-  getSingleAddress: () => {
-    return api.get('/customers/single-address');
+  // Import customers from CSV or JSON lines; { format, data, mapping, dryRun }
+  importCustomers: (data) => {
+    return api.post('/customers/import', data);
   },
 };
 
@@ -86,20 +333,83 @@ export const addressAPI = {
     return api.post('/addresses', data);
   },
 
-  // Update address
-  updateAddress: (id, data) => {
-    return api.put(`/addresses/${id}`, data);
+  // Update address; rejected with 412 if it changed since `version`
+  updateAddress: (id, data, version) => {
+    return api.put(`/addresses/${id}`, data, ifMatch(version));
   },
 
-  // Delete address
-  deleteAddress: (id) => {
-    return api.delete(`/addresses/${id}`);
+  // Delete address; rejected with 412 if it changed since `version`
+  deleteAddress: (id, version) => {
+    return api.delete(`/addresses/${id}`, ifMatch(version));
   },
 
   // Get addresses for a specific customer
   getCustomerAddresses: (customerId) => {
     return api.get(`/addresses/customer/${customerId}`);
   },
+
+  // Restore address from the trash
+  restoreAddress: (id) => {
+    return api.post(`/addresses/${id}/restore`);
+  },
+
+  // Download every address matching the list filters as csv, xlsx or ndjson
+  exportAddresses: (params = {}) => {
+    return api.get('/addresses/export', { params, responseType: 'blob' });
+  },
+};
+
+// Trash API calls
+export const trashAPI = {
+  // Get deleted customers and addresses
+  getTrash: () => {
+    return api.get('/trash');
+  },
+
+  // Permanently delete a customer in the trash
+  purgeCustomer: (id) => {
+    return api.delete(`/trash/${id}`, { params: { purge: true } });
+  },
+
+  // Permanently delete an address in the trash
+  purgeAddress: (id) => {
+    return api.delete(`/trash/addresses/${id}`, { params: { purge: true } });
+  },
+};
+
+// Audit API calls
+export const auditAPI = {
+  // Get audit events for a customer (including its addresses) or an address
+  getEvents: (entity, id) => {
+    return api.get('/audit', { params: { entity, id } });
+  },
+};
+
+// Statistics API calls
+export const statsAPI = {
+  // Dashboard figures; params are { interval, from, to, top }, all optional
+  getStats: (params = {}) => {
+    return api.get('/stats', { params });
+  },
+};
+
+// API key API calls
+export const apiKeyAPI = {
+  // Get the current organisation's API keys
+  getApiKeys: () => {
+    return api.get('/api-keys');
+  },
+
+  // Create a key from { name, scopes, expires_at }; the response holds the
+  // key itself, which cannot be fetched again
+  createApiKey: (data) => {
+    return api.post('/api-keys', data);
+  },
+
+  // Revoke a key
+  revokeApiKey: (id) => {
+    return api.delete(`/api-keys/${id}`);
+  },
 };
 
 // Health check
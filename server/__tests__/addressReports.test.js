@@ -0,0 +1,55 @@
+const request = require('supertest');
+const { connection, setupDatabase, createApp } = require('./support');
+const customerRoutes = require('../routes/customers');
+const { repositoriesFor } = require('../repositories');
+
+describe('Address count reports', () => {
+  let app;
+
+  beforeAll(async () => {
+    const tenantId = await setupDatabase();
+    app = createApp('/api/customers', customerRoutes, tenantId);
+
+    // One customer with each number of addresses from 0 to 4
+    const { customerRepository } = repositoriesFor(tenantId);
+    for (let count = 0; count <= 4; count++) {
+      const addresses = Array.from({ length: count }, (_, n) => ({
+        address_line1: `${n + 1} Main Road`, city: 'Pune', state: 'Maharashtra', pin_code: '411001', is_primary: n === 0
+      }));
+      await customerRepository.create({ first_name: 'Asha', last_name: `Count${count}`, phone_number: `900000000${count}` }, addresses);
+    }
+  });
+
+  afterAll(() => connection.close());
+
+  async function addressCounts(path, query = {}) {
+    const response = await request(app).get(path).query({ ...query, sort: 'address_count', order: 'asc' }).expect(200);
+    expect(response.body.pagination.total).toBe(response.body.data.length);
+    return response.body.data.map(customer => customer.addresses.length);
+  }
+
+  test('GET /multiple-addresses keeps to two addresses or more within the bounds asked for', async () => {
+    expect(await addressCounts('/api/customers/multiple-addresses')).toEqual([2, 3, 4]);
+    expect(await addressCounts('/api/customers/multiple-addresses', { max_addresses: 3 })).toEqual([2, 3]);
+    expect(await addressCounts('/api/customers/multiple-addresses', { min_addresses: 3 })).toEqual([3, 4]);
+    expect(await addressCounts('/api/customers/multiple-addresses', { min_addresses: 0, max_addresses: 2 })).toEqual([2]);
+    expect(await addressCounts('/api/customers/multiple-addresses', { max_addresses: 1 })).toEqual([]);
+  });
+
+  test('GET /single-address keeps to one address within the bounds asked for', async () => {
+    expect(await addressCounts('/api/customers/single-address')).toEqual([1]);
+    expect(await addressCounts('/api/customers/single-address', { min_addresses: 0, max_addresses: 5 })).toEqual([1]);
+    expect(await addressCounts('/api/customers/single-address', { max_addresses: 0 })).toEqual([]);
+    expect(await addressCounts('/api/customers/single-address', { min_addresses: 2 })).toEqual([]);
+  });
+
+  test('the reports validate the bounds like the customer list', async () => {
+    for (const path of ['/api/customers/multiple-addresses', '/api/customers/single-address', '/api/customers']) {
+      const response = await request(app).get(path).query({ min_addresses: 3, max_addresses: 2 }).expect(400);
+      expect(response.body.errors).toEqual([
+        expect.objectContaining({ path: 'max_addresses', msg: 'max_addresses must not be less than min_addresses' })
+      ]);
+      await request(app).get(path).query({ min_addresses: -1 }).expect(400);
+    }
+  });
+});
@@ -0,0 +1,99 @@
+const request = require('supertest');
+const { connection, setupDatabase, createTenant, bearer, createKey } = require('./support');
+const app = require('../index');
+const { repositoriesFor, apiKeyRepository } = require('../repositories');
+
+describe('API keys', () => {
+  let tenantA;
+  let tenantB;
+
+  beforeAll(async () => {
+    tenantA = await setupDatabase();
+    tenantB = await createTenant('Other');
+    await repositoriesFor(tenantA).customerRepository.create({ first_name: 'Asha', last_name: 'Kumar', phone_number: '9000000001' }, []);
+    await repositoriesFor(tenantB).customerRepository.create({ first_name: 'Ravi', last_name: 'Shah', phone_number: '9000000002' }, []);
+  });
+
+  afterAll(() => connection.close());
+
+  const customersWith = (key) => request(app).get('/api/customers').set('X-API-Key', key);
+
+  test('work in X-API-Key and as a Bearer token', async () => {
+    const { key } = await createKey(tenantA);
+    expect(key.startsWith('ck_')).toBe(true);
+
+    await customersWith(key).expect(200);
+    await request(app).get('/api/customers').set('Authorization', `Bearer ${key}`).expect(200);
+  });
+
+  test('refuse a key that does not exist', async () => {
+    const response = await customersWith('ck_not-a-real-key').expect(401);
+    expect(response.body).toEqual({ success: false, message: 'Invalid, expired or revoked API key' });
+  });
+
+  test('refuse a revoked key', async () => {
+    const { id, key } = await createKey(tenantA);
+    await customersWith(key).expect(200);
+
+    await request(app).delete(`/api/api-keys/${id}`).set('Authorization', bearer([tenantA])).expect(200);
+
+    const response = await customersWith(key).expect(401);
+    expect(response.body).toEqual({ success: false, message: 'Invalid, expired or revoked API key' });
+    await request(app).get('/api/customers').set('Authorization', `Bearer ${key}`).expect(401);
+  });
+
+  test('refuse an expired key', async () => {
+    const { key } = await createKey(tenantA, { expiresAt: new Date(Date.now() - 1000) });
+
+    const response = await customersWith(key).expect(401);
+    expect(response.body).toEqual({ success: false, message: 'Invalid, expired or revoked API key' });
+  });
+
+  test('only allow what their scopes allow', async () => {
+    const { key } = await createKey(tenantA, { scopes: ['customer:read'] });
+    await customersWith(key).expect(200);
+
+    const write = await request(app)
+      .post('/api/customers')
+      .set('X-API-Key', key)
+      .send({ first_name: 'Meena', last_name: 'Iyer', phone_number: '9000000003' })
+      .expect(403);
+    expect(write.body).toEqual({ success: false, message: 'Missing permission: customer:write' });
+
+    await request(app).get('/api/customers/export').set('X-API-Key', key).expect(403);
+  });
+
+  test('are tied to the tenant they were created in', async () => {
+    const { key } = await createKey(tenantB);
+
+    const response = await customersWith(key).expect(200);
+    expect(response.body.data.map(customer => customer.first_name)).toEqual(['Ravi']);
+
+    await customersWith(key).set('X-Tenant-Id', String(tenantA)).expect(403);
+  });
+
+  test('cannot reach routes for signed-in users only', async () => {
+    const { key } = await createKey(tenantA);
+    await request(app).get('/api/trash').set('X-API-Key', key).expect(401);
+    await request(app).get('/api/api-keys').set('X-API-Key', key).expect(401);
+  });
+
+  test('count every request made with them', async () => {
+    const { id, key } = await createKey(tenantA);
+    expect(await apiKeyRepository.findById(tenantA, id)).toMatchObject({ request_count: 0, last_used_at: null });
+
+    await customersWith(key).expect(200);
+    const first = await apiKeyRepository.findById(tenantA, id);
+    expect(first.request_count).toBe(1);
+    expect(first.last_used_at).not.toBeNull();
+
+    await customersWith(key).expect(200);
+    await request(app).get('/api/addresses').set('Authorization', `Bearer ${key}`).expect(200);
+    const third = await apiKeyRepository.findById(tenantA, id);
+    expect(third.request_count).toBe(3);
+    expect(third.last_used_at >= first.last_used_at).toBe(true);
+
+    const listed = await request(app).get('/api/api-keys').set('Authorization', bearer([tenantA])).expect(200);
+    expect(listed.body.data.find(apiKey => apiKey.id === id)).toMatchObject({ request_count: 3 });
+  });
+});
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const { connection, setupDatabase, createApp, createTenant } = require('./support');
+const customerRoutes = require('../routes/customers');
+const addressRoutes = require('../routes/addresses');
+const auditRoutes = require('../routes/audit');
+
+const pune = { address_line1: '12 MG Road', city: 'Pune', state: 'Maharashtra', pin_code: '411001', is_primary: true };
+
+describe('Audit trail', () => {
+  let customers;
+  let addresses;
+  let audit;
+  let otherAudit;
+
+  beforeAll(async () => {
+    const tenantId = await setupDatabase();
+    customers = createApp('/api/customers', customerRoutes, tenantId);
+    addresses = createApp('/api/addresses', addressRoutes, tenantId);
+    audit = createApp('/api/audit', auditRoutes, tenantId);
+    otherAudit = createApp('/api/audit', auditRoutes, await createTenant('Other'));
+  });
+
+  afterAll(() => connection.close());
+
+  let phone = 9000000000;
+  async function createCustomer(firstName = 'Asha', customerAddresses = [pune]) {
+    phone++;
+    const response = await request(customers).post('/api/customers').send({
+      first_name: firstName, last_name: 'Kumar', phone_number: String(phone), addresses: customerAddresses
+    }).expect(201);
+    return response.body.data.id;
+  }
+
+  const eventsOf = async (entity, id, app = audit) => (await request(app).get('/api/audit').query({ entity, id }).expect(200)).body.data;
+  const findCustomer = async id => (await request(customers).get(`/api/customers/${id}`).expect(200)).body.data;
+
+  test('records who created a customer and its addresses with their values', async () => {
+    const id = await createCustomer();
+    const [address] = (await findCustomer(id)).addresses;
+
+    const events = await eventsOf('customer', id);
+    expect(events.map(event => [event.entity_type, event.action])).toEqual([['address', 'create'], ['customer', 'create']]);
+    expect(events[1]).toMatchObject({ actor: 'tester', entity_id: id, customer_id: id, created_at: expect.any(String) });
+    expect(events[1].changes).toMatchObject({
+      first_name: { before: null, after: 'Asha' },
+      last_name: { before: null, after: 'Kumar' },
+      phone_number: { before: null, after: String(phone) }
+    });
+    expect(events[1].changes).not.toHaveProperty('email');
+    expect(events[0]).toMatchObject({ entity_id: address.id, customer_id: id });
+    expect(events[0].changes.city).toEqual({ before: null, after: 'Pune' });
+  });
+
+  test('records only the fields an update changed, and nothing for an update that changes nothing', async () => {
+    const id = await createCustomer();
+    const before = await findCustomer(id);
+    const [address] = before.addresses;
+
+    await request(customers).put(`/api/customers/${id}`).set('If-Match', '"1"').send({
+      first_name: 'Asha', last_name: 'Rao', phone_number: before.phone_number,
+      addresses: [{ ...pune, id: address.id, address_line1: '14 MG Road' }]
+    }).expect(200);
+    // The customer is recorded before its addresses, so it is listed after them
+    const [addressUpdate, update] = await eventsOf('customer', id);
+    expect(update).toMatchObject({ entity_type: 'customer', action: 'update', changes: { last_name: { before: 'Kumar', after: 'Rao' } } });
+    expect(addressUpdate).toMatchObject({
+      entity_type: 'address',
+      entity_id: address.id,
+      action: 'update',
+      changes: { address_line1: { before: '12 MG Road', after: '14 MG Road' } }
+    });
+
+    const unchanged = await findCustomer(id);
+    await request(customers).put(`/api/customers/${id}`).set('If-Match', `"${unchanged.version}"`).send({
+      first_name: 'Asha', last_name: 'Rao', phone_number: before.phone_number,
+      addresses: [{ ...pune, id: address.id, address_line1: '14 MG Road' }]
+    }).expect(200);
+    expect(await eventsOf('customer', id)).toHaveLength(4);
+  });
+
+  test('records the values a delete removed and a restore brought back', async () => {
+    const id = await createCustomer();
+
+    await request(customers).delete(`/api/customers/${id}`).set('If-Match', '"1"').expect(200);
+    const [deleted] = await eventsOf('customer', id);
+    expect(deleted).toMatchObject({ entity_type: 'customer', action: 'delete', actor: 'tester' });
+    expect(deleted.changes.first_name).toEqual({ before: 'Asha', after: null });
+
+    await request(customers).post(`/api/customers/${id}/restore`).expect(200);
+    const [restored] = await eventsOf('customer', id);
+    expect(restored).toMatchObject({ entity_type: 'customer', action: 'restore' });
+    expect(restored.changes.first_name).toEqual({ before: null, after: 'Asha' });
+
+    // Addresses move with the customer and are not recorded on their own
+    expect((await eventsOf('customer', id)).filter(event => event.entity_type === 'address')).toHaveLength(1);
+  });
+
+  test('records a merge on both customers and on every address that moved', async () => {
+    const survivorId = await createCustomer('Asha', []);
+    const duplicateId = await createCustomer('Aasha');
+    const [moved] = (await findCustomer(duplicateId)).addresses;
+
+    await request(customers).post('/api/customers/merge').send({
+      survivor_id: survivorId,
+      survivor_version: 1,
+      duplicate_id: duplicateId,
+      duplicate_version: 1,
+      fields: { phone_number: 'duplicate' }
+    }).expect(200);
+
+    const survivorMerge = (await eventsOf('customer', survivorId)).find(event => event.entity_type === 'customer');
+    expect(survivorMerge).toMatchObject({ entity_type: 'customer', action: 'merge', actor: 'tester' });
+    expect(survivorMerge.changes).toEqual({
+      phone_number: { before: String(phone - 1), after: String(phone) },
+      merged_from: { before: null, after: duplicateId }
+    });
+
+    const [duplicateMerge] = await eventsOf('customer', duplicateId);
+    expect(duplicateMerge).toMatchObject({ entity_type: 'customer', entity_id: duplicateId, action: 'merge' });
+    expect(duplicateMerge.changes).toMatchObject({
+      first_name: { before: 'Aasha', after: null },
+      merged_into: { before: null, after: survivorId }
+    });
+
+    const [addressMove] = await eventsOf('address', moved.id);
+    expect(addressMove).toMatchObject({
+      action: 'update',
+      customer_id: survivorId,
+      changes: { customer_id: { before: duplicateId, after: survivorId } }
+    });
+  });
+
+  describe('GET /api/audit', () => {
+    test('lists the events of one address, or of a customer with its addresses', async () => {
+      const id = await createCustomer();
+      const [first] = (await findCustomer(id)).addresses;
+      const created = await request(addresses).post('/api/addresses').send({
+        ...pune, customer_id: id, address_line1: '4 FC Road', is_primary: false
+      }).expect(201);
+      const secondId = created.body.data.id;
+      await request(addresses).delete(`/api/addresses/${secondId}`).set('If-Match', '"1"').expect(200);
+
+      const second = await eventsOf('address', secondId);
+      expect(second.map(event => [event.entity_id, event.action])).toEqual([[secondId, 'delete'], [secondId, 'create']]);
+      expect(await eventsOf('address', first.id)).toHaveLength(1);
+
+      const all = await eventsOf('customer', id);
+      expect(all.map(event => [event.entity_type, event.entity_id, event.action])).toEqual([
+        ['address', secondId, 'delete'],
+        ['address', secondId, 'create'],
+        ['address', first.id, 'create'],
+        ['customer', id, 'create']
+      ]);
+    });
+
+    test('only lists events of the tenant asking', async () => {
+      const id = await createCustomer();
+      expect(await eventsOf('customer', id)).not.toHaveLength(0);
+      expect(await eventsOf('customer', id, otherAudit)).toEqual([]);
+    });
+
+    test('requires an entity and an id', async () => {
+      const wrongEntity = await request(audit).get('/api/audit').query({ entity: 'tenant', id: 1 }).expect(400);
+      expect(wrongEntity.body.errors).toEqual([expect.objectContaining({ path: 'entity', msg: 'Entity must be customer or address' })]);
+
+      const noId = await request(audit).get('/api/audit').query({ entity: 'customer' }).expect(400);
+      expect(noId.body.errors).toEqual([expect.objectContaining({ path: 'id', msg: 'Id must be a positive integer' })]);
+    });
+  });
+});
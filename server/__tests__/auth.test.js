@@ -0,0 +1,135 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// A known secret so the test can sign an expired token, and room for more
+// logins than the usual auth limit allows
+process.env.JWT_SECRET = 'test-secret';
+process.env.RATE_LIMITS = JSON.stringify({ auth: { write: { capacity: 100, windowSeconds: 60 } } });
+
+const { connection, setupDatabase } = require('./support');
+const app = require('../index');
+const { userRepository, tenantRepository } = require('../repositories');
+const { hashPassword } = require('../utils/auth');
+
+const PASSWORD = 'correct horse battery staple';
+
+describe('Authentication', () => {
+  let tenantId;
+  let userId;
+
+  beforeAll(async () => {
+    tenantId = await setupDatabase();
+    userId = await userRepository.create('asha', await hashPassword(PASSWORD), 'manager');
+    await tenantRepository.addMember(tenantId, userId);
+  });
+
+  afterAll(() => connection.close());
+
+  const login = (password = PASSWORD, username = 'asha') => request(app).post('/api/auth/login').send({ username, password });
+  const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+  const customers = (accessToken) => request(app).get('/api/customers').set('Authorization', `Bearer ${accessToken}`);
+
+  describe('POST /api/auth/login', () => {
+    test('refuses a wrong password or an unknown user alike', async () => {
+      const wrong = await login('wrong password').expect(401);
+      expect(wrong.body).toEqual({ success: false, message: 'Invalid username or password' });
+
+      const unknown = await login(PASSWORD, 'nobody').expect(401);
+      expect(unknown.body).toEqual(wrong.body);
+    });
+
+    test('returns tokens, permissions and tenants for the right password', async () => {
+      const response = await login().expect(200);
+      expect(response.body.data).toMatchObject({
+        accessToken: expect.any(String),
+        refreshToken: expect.any(String),
+        expiresIn: expect.any(Number),
+        user: {
+          id: userId,
+          username: 'asha',
+          role: 'manager',
+          permissions: expect.arrayContaining(['customer:read', 'customer:write']),
+          tenants: [{ id: tenantId, name: 'Default' }]
+        }
+      });
+      await customers(response.body.data.accessToken).expect(200);
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    test('swaps a refresh token for a new pair', async () => {
+      const { body: { data: first } } = await login().expect(200);
+
+      const response = await refresh(first.refreshToken).expect(200);
+      const second = response.body.data;
+      expect(second.refreshToken).not.toBe(first.refreshToken);
+      expect(second.accessToken).toEqual(expect.any(String));
+      await customers(second.accessToken).expect(200);
+
+      // The new refresh token works in turn
+      await refresh(second.refreshToken).expect(200);
+    });
+
+    test('ends every session of the user when a used refresh token comes back', async () => {
+      const { body: { data: stolen } } = await login().expect(200);
+      const { body: { data: otherDevice } } = await login().expect(200);
+      const { body: { data: rotated } } = await refresh(stolen.refreshToken).expect(200);
+
+      const response = await refresh(stolen.refreshToken).expect(401);
+      expect(response.body).toEqual({ success: false, message: 'Invalid or expired refresh token' });
+
+      await refresh(rotated.refreshToken).expect(401);
+      await refresh(otherDevice.refreshToken).expect(401);
+      const { open } = await connection.get(
+        'SELECT COUNT(*) as open FROM sessions WHERE user_id = ? AND revoked_at IS NULL',
+        [userId]
+      );
+      expect(open).toBe(0);
+    });
+
+    test('refuses an unknown refresh token', async () => {
+      await refresh('not-a-refresh-token').expect(401);
+      await refresh('').expect(400);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    test('ends the session of the refresh token', async () => {
+      const { body: { data: session } } = await login().expect(200);
+      const { body: { data: other } } = await login().expect(200);
+
+      await request(app).post('/api/auth/logout').send({ refreshToken: session.refreshToken }).expect(200);
+
+      // Other sessions go on
+      await refresh(other.refreshToken).expect(200);
+      await refresh(session.refreshToken).expect(401);
+    });
+  });
+
+  describe('requireAuth', () => {
+    test('refuses a request without an access token', async () => {
+      const response = await request(app).get('/api/customers').expect(401);
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+      expect(response.body).toEqual({ success: false, message: 'Authentication required' });
+    });
+
+    test('refuses an expired access token', async () => {
+      const expired = jwt.sign(
+        { username: 'asha', role: 'manager', tenants: [tenantId], exp: Math.floor(Date.now() / 1000) - 60 },
+        process.env.JWT_SECRET,
+        { subject: String(userId) }
+      );
+
+      const response = await customers(expired).expect(401);
+      expect(response.headers['www-authenticate']).toBe('Bearer error="invalid_token"');
+      expect(response.body).toEqual({ success: false, message: 'Access token expired' });
+    });
+
+    test('refuses an access token signed with another secret', async () => {
+      const forged = jwt.sign({ username: 'asha', role: 'admin', tenants: [tenantId] }, 'another-secret', { subject: String(userId) });
+
+      const response = await customers(forged).expect(401);
+      expect(response.body).toEqual({ success: false, message: 'Invalid access token' });
+    });
+  });
+});
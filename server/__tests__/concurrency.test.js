@@ -0,0 +1,125 @@
+const request = require('supertest');
+const express = require('express');
+const { connection, setupDatabase, createApp } = require('./support');
+const customerRoutes = require('../routes/customers');
+const addressRoutes = require('../routes/addresses');
+
+const customer = { first_name: 'Asha', last_name: 'Kumar', phone_number: '9000000001' };
+const address = { address_line1: '12 MG Road', city: 'Pune', state: 'Maharashtra', pin_code: '411001' };
+
+describe('If-Match on customer and address writes', () => {
+  let app;
+
+  beforeAll(async () => {
+    const tenantId = await setupDatabase();
+    app = express();
+    app.use(createApp('/api/customers', customerRoutes, tenantId));
+    app.use(createApp('/api/addresses', addressRoutes, tenantId));
+  });
+
+  afterAll(() => connection.close());
+
+  let phone = 9000000000;
+  async function createCustomer() {
+    phone++;
+    const response = await request(app)
+      .post('/api/customers')
+      .send({ ...customer, phone_number: String(phone), addresses: [address] })
+      .expect(201);
+    return { id: response.body.data.id, etag: response.headers.etag };
+  }
+
+  describe('PUT /api/customers/:id', () => {
+    test('answers 428 without If-Match', async () => {
+      const { id } = await createCustomer();
+
+      const response = await request(app).put(`/api/customers/${id}`).send({ ...customer, phone_number: String(phone) }).expect(428);
+      expect(response.body).toEqual({ success: false, message: 'If-Match header is required' });
+    });
+
+    test('answers 412 with the current customer when If-Match is stale', async () => {
+      const { id, etag } = await createCustomer();
+      await request(app).put(`/api/customers/${id}`).set('If-Match', etag).send({ ...customer, phone_number: String(phone), first_name: 'Ravi' }).expect(200);
+
+      const response = await request(app).put(`/api/customers/${id}`).set('If-Match', etag).send({ ...customer, phone_number: String(phone), first_name: 'Old' }).expect(412);
+      expect(response.headers.etag).toBe('"2"');
+      expect(response.body.message).toBe('Customer was modified by someone else');
+      expect(response.body.data).toMatchObject({ id, first_name: 'Ravi', version: 2 });
+    });
+
+    test('writes and bumps the ETag when If-Match is current', async () => {
+      const { id, etag } = await createCustomer();
+      expect(etag).toBe('"1"');
+
+      const response = await request(app).put(`/api/customers/${id}`).set('If-Match', etag).send({ ...customer, phone_number: String(phone), first_name: 'Ravi' }).expect(200);
+      expect(response.headers.etag).toBe('"2"');
+      expect(response.body.data.version).toBe(2);
+
+      const read = await request(app).get(`/api/customers/${id}`).expect(200);
+      expect(read.headers.etag).toBe('"2"');
+      expect(read.body.data.first_name).toBe('Ravi');
+    });
+
+    test('answers 412 to a weak ETag, which If-Match compares strongly', async () => {
+      const { id } = await createCustomer();
+
+      for (const tag of ['W/"1"', '*', '1']) {
+        const response = await request(app).put(`/api/customers/${id}`).set('If-Match', tag).send({ ...customer, phone_number: String(phone), first_name: 'Ravi' }).expect(412);
+        expect(response.headers.etag).toBe('"1"');
+      }
+      const read = await request(app).get(`/api/customers/${id}`).expect(200);
+      expect(read.body.data).toMatchObject({ first_name: 'Asha', version: 1 });
+    });
+  });
+
+  describe('DELETE /api/customers/:id', () => {
+    test('answers 428 without If-Match and 412 when it is stale', async () => {
+      const { id } = await createCustomer();
+
+      await request(app).delete(`/api/customers/${id}`).expect(428);
+      const response = await request(app).delete(`/api/customers/${id}`).set('If-Match', '"7"').expect(412);
+      expect(response.headers.etag).toBe('"1"');
+      await request(app).get(`/api/customers/${id}`).expect(200);
+    });
+
+    test('moves the customer to the trash when If-Match is current', async () => {
+      const { id, etag } = await createCustomer();
+
+      await request(app).delete(`/api/customers/${id}`).set('If-Match', etag).expect(200);
+      await request(app).get(`/api/customers/${id}`).expect(404);
+    });
+  });
+
+  describe('PUT /api/addresses/:id', () => {
+    async function createAddress() {
+      const { id } = await createCustomer();
+      const read = await request(app).get(`/api/addresses/customer/${id}`).expect(200);
+      const [stored] = read.body.data;
+      return { id: stored.id, etag: `"${stored.version}"` };
+    }
+
+    test('answers 428 without If-Match', async () => {
+      const { id } = await createAddress();
+      await request(app).put(`/api/addresses/${id}`).send(address).expect(428);
+    });
+
+    test('answers 412 with the current address when If-Match is stale', async () => {
+      const { id, etag } = await createAddress();
+      await request(app).put(`/api/addresses/${id}`).set('If-Match', etag).send({ ...address, city: 'Mumbai' }).expect(200);
+
+      const response = await request(app).put(`/api/addresses/${id}`).set('If-Match', etag).send({ ...address, city: 'Nagpur' }).expect(412);
+      expect(response.body.message).toBe('Address was modified by someone else');
+      expect(response.body.data).toMatchObject({ id, city: 'Mumbai' });
+      expect(response.headers.etag).toBe(`"${response.body.data.version}"`);
+    });
+
+    test('writes and bumps the ETag when If-Match is current', async () => {
+      const { id, etag } = await createAddress();
+
+      const response = await request(app).put(`/api/addresses/${id}`).set('If-Match', etag).send({ ...address, city: 'Mumbai' }).expect(200);
+      const version = Number(etag.replace(/"/g, ''));
+      expect(response.headers.etag).toBe(`"${version + 1}"`);
+      expect(response.body.data.version).toBe(version + 1);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const request = require('supertest');
+const { connection, setupDatabase, createApp } = require('./support');
+const customerRoutes = require('../routes/customers');
+const addressRoutes = require('../routes/addresses');
+const { repositoriesFor } = require('../repositories');
+const { CUSTOMER_SORT_FIELDS, ADDRESS_SORT_FIELDS } = require('../utils/validators');
+
+const CITIES = [['Pune', 'Maharashtra'], ['Mumbai', 'Maharashtra'], ['Chennai', 'Tamil Nadu']];
+
+describe('Cursor pagination', () => {
+  let customersApp;
+  let addressesApp;
+
+  beforeAll(async () => {
+    const tenantId = await setupDatabase();
+    customersApp = createApp('/api/customers', customerRoutes, tenantId);
+    addressesApp = createApp('/api/addresses', addressRoutes, tenantId);
+
+    // Many customers share a name, an address count and (created in the same
+    // second) a creation time, so every sort has ties for the id to break.
+    // The Kumars all rank the same in a search for them.
+    const { customerRepository } = repositoriesFor(tenantId);
+    for (let i = 0; i < 14; i++) {
+      const addresses = Array.from({ length: i % 4 }, (_, n) => {
+        const [city, state] = CITIES[(i + n) % CITIES.length];
+        return { address_line1: `${n + 1} Main Road`, city, state, pin_code: '400001', is_primary: n === 0 };
+      });
+      await customerRepository.create({
+        first_name: i % 2 ? 'Asha' : 'Ravi',
+        last_name: i < 8 ? 'Kumar' : 'Shah',
+        phone_number: String(9000000000 + i)
+      }, addresses);
+    }
+  });
+
+  afterAll(() => connection.close());
+
+  // Every page of a list from the first, four rows at a time; resolves to the
+  // pages' responses
+  async function walk(app, path, query) {
+    const pages = [];
+    let cursor;
+    do {
+      const response = await request(app).get(path).query({ ...query, limit: 4, ...(cursor ? { cursor } : {}) }).expect(200);
+      pages.push(response.body);
+      cursor = response.body.pagination.next_cursor;
+    } while (cursor && pages.length < 20);
+    return pages;
+  }
+
+  // The ids of a whole list read in one page, to compare a walk with
+  async function allIds(app, path, query) {
+    const response = await request(app).get(path).query({ ...query, limit: 100 }).expect(200);
+    return response.body.data.map(row => row.id);
+  }
+
+  async function expectStableWalk(app, path, query) {
+    const expected = await allIds(app, path, query);
+    const pages = await walk(app, path, query);
+    const ids = pages.flatMap(page => page.data.map(row => row.id));
+
+    expect(ids).toEqual(expected);
+    expect(new Set(ids).size).toBe(ids.length);
+    pages.forEach(page => expect(page.pagination.total).toBe(expected.length));
+
+    const last = pages[pages.length - 1];
+    expect(last.pagination).toMatchObject({ hasNext: false, next_cursor: null });
+    expect(pages.slice(0, -1).every(page => page.pagination.hasNext)).toBe(true);
+  }
+
+  describe('GET /api/customers', () => {
+    const sorts = CUSTOMER_SORT_FIELDS.filter(sort => sort !== 'relevance');
+
+    test.each(sorts.flatMap(sort => [[sort, 'asc'], [sort, 'desc']]))(
+      'walks sort=%s&order=%s without repeating or skipping a customer',
+      (sort, order) => expectStableWalk(customersApp, '/api/customers', { sort, order })
+    );
+
+    test('walks search results by relevance', async () => {
+      await expectStableWalk(customersApp, '/api/customers', { search: 'Kumar' });
+      await expectStableWalk(customersApp, '/api/customers', { search: 'Kumar', sort: 'relevance' });
+    });
+
+    test('walks filtered lists', async () => {
+      await expectStableWalk(customersApp, '/api/customers', { city: 'Pune', sort: 'address_count' });
+      await expectStableWalk(customersApp, '/api/customers', { min_addresses: 1, sort: 'first_name', order: 'asc' });
+    });
+
+    test('gives the last page no next cursor', async () => {
+      const response = await request(customersApp).get('/api/customers').query({ limit: 100 }).expect(200);
+      expect(response.body.pagination).toMatchObject({ total: 14, hasNext: false, next_cursor: null });
+    });
+
+    test('rejects a tampered cursor', async () => {
+      const first = await request(customersApp).get('/api/customers').query({ sort: 'first_name', limit: 4 }).expect(200);
+      const cursor = first.body.pagination.next_cursor;
+      const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+      const tampered = [
+        'not-a-cursor',
+        cursor.slice(0, -3),
+        Buffer.from(JSON.stringify({ ...payload, after: [{}, 1] })).toString('base64url'),
+        Buffer.from(JSON.stringify({ ...payload, after: payload.after.slice(1) })).toString('base64url'),
+        Buffer.from(JSON.stringify({ ...payload, sort: 'id asc' })).toString('base64url')
+      ];
+
+      for (const value of tampered) {
+        const response = await request(customersApp).get('/api/customers').query({ sort: 'first_name', cursor: value }).expect(400);
+        expect(response.body).toMatchObject({ success: false, errors: [{ path: 'cursor', msg: 'Invalid cursor' }] });
+      }
+    });
+
+    test('rejects a cursor made for another sort', async () => {
+      const first = await request(customersApp).get('/api/customers').query({ sort: 'first_name', limit: 4 }).expect(200);
+      const cursor = first.body.pagination.next_cursor;
+
+      const response = await request(customersApp).get('/api/customers').query({ sort: 'last_name', cursor }).expect(400);
+      expect(response.body.errors).toEqual([expect.objectContaining({ path: 'cursor', msg: 'Invalid cursor' })]);
+    });
+  });
+
+  describe('GET /api/addresses', () => {
+    test.each(ADDRESS_SORT_FIELDS.flatMap(sort => [[sort, 'asc'], [sort, 'desc']]))(
+      'walks sort=%s&order=%s without repeating or skipping an address',
+      (sort, order) => expectStableWalk(addressesApp, '/api/addresses', { sort, order })
+    );
+
+    test('rejects a tampered cursor', async () => {
+      const response = await request(addressesApp).get('/api/addresses').query({ cursor: 'not-a-cursor' }).expect(400);
+      expect(response.body.errors).toEqual([expect.objectContaining({ path: 'cursor', msg: 'Invalid cursor' })]);
+    });
+  });
+});
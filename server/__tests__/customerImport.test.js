@@ -0,0 +1,52 @@
+const request = require('supertest');
+const { connection, setupDatabase, createApp } = require('./support');
+const customerRoutes = require('../routes/customers');
+
+const CSV = [
+  'first_name,last_name,phone_number,email,address_line1,city,state,pin_code,is_primary',
+  'Asha,Kumar,9000000001,asha@example.com,12 MG Road,Pune,Maharashtra,411001,true',
+  'Asha,Kumar,9000000001,asha@example.com,4 Park Street,Mumbai,Maharashtra,400001,false',
+  'Ravi,Shah,9000000002,,7 Lake Road,Nagpur,Maharashtra,440001,true'
+].join('\n');
+
+describe('Importing customers again', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = createApp('/api/customers', customerRoutes, await setupDatabase());
+  });
+
+  afterAll(() => connection.close());
+
+  const importCsv = (data, query = '') => request(app)
+    .post(`/api/customers/import${query}`)
+    .set('Content-Type', 'text/csv')
+    .send(data);
+  const auditEntries = async () => (await connection.get('SELECT COUNT(*) as count FROM audit_events')).count;
+
+  test('leaves customers the file does not change alone', async () => {
+    const first = await importCsv(CSV).expect(200);
+    expect(first.body.data).toMatchObject({ customers: 2, created: 2, updated: 0, unchanged: 0, addresses: 3 });
+    const versions = await connection.all('SELECT id, version FROM customers ORDER BY id');
+    const entries = await auditEntries();
+
+    const dryRun = await importCsv(CSV, '?dryRun=true').expect(200);
+    expect(dryRun.body.data).toMatchObject({ dryRun: true, created: 0, updated: 0, unchanged: 2, addresses: 0 });
+
+    const again = await importCsv(CSV).expect(200);
+    expect(again.body.data).toMatchObject({ customers: 2, created: 0, updated: 0, unchanged: 2, addresses: 0 });
+    expect(await connection.all('SELECT id, version FROM customers ORDER BY id')).toEqual(versions);
+    expect(await auditEntries()).toBe(entries);
+  });
+
+  test('still updates customers with new details or addresses', async () => {
+    const changed = CSV
+      .replace('Ravi,Shah', 'Ravindra,Shah')
+      .concat('\nAsha,Kumar,9000000001,asha@example.com,9 Hill Road,Pune,Maharashtra,411002,false');
+
+    const response = await importCsv(changed).expect(200);
+    expect(response.body.data).toMatchObject({ created: 0, updated: 2, unchanged: 0, addresses: 1 });
+    expect(await connection.get('SELECT first_name, version FROM customers WHERE phone_number = ?', ['9000000002']))
+      .toEqual({ first_name: 'Ravindra', version: 2 });
+  });
+});
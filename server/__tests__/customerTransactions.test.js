@@ -0,0 +1,69 @@
+const request = require('supertest');
+const { connection, setupDatabase, createApp } = require('./support');
+const customerRoutes = require('../routes/customers');
+
+const address = (overrides = {}) => ({
+  address_line1: '12 MG Road',
+  city: 'Pune',
+  state: 'Maharashtra',
+  pin_code: '411001',
+  ...overrides
+});
+
+describe('Saving a customer with its addresses', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = createApp('/api/customers', customerRoutes, await setupDatabase());
+  });
+
+  afterAll(() => connection.close());
+
+  const count = async (table) => (await connection.get(`SELECT COUNT(*) as count FROM ${table}`)).count;
+
+  test('writes nothing when one of the addresses fails', async () => {
+    const customers = await count('customers');
+    const addresses = await count('addresses');
+
+    const response = await request(app)
+      .post('/api/customers')
+      .send({
+        first_name: 'Asha',
+        last_name: 'Kumar',
+        phone_number: '9000000001',
+        addresses: [address(), address({ city: undefined })]
+      })
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.message).toBe('Failed to save address at index 1');
+    expect(response.body.errors[0]).toMatchObject({ type: 'address', index: 1, path: 'addresses[1]' });
+    expect(await count('customers')).toBe(customers);
+    expect(await count('addresses')).toBe(addresses);
+    expect(await connection.get('SELECT id FROM customers WHERE phone_number = ?', ['9000000001'])).toBeUndefined();
+  });
+
+  test('keeps the stored customer and addresses when an update fails', async () => {
+    const created = await request(app)
+      .post('/api/customers')
+      .send({ first_name: 'Ravi', last_name: 'Shah', phone_number: '9000000002', addresses: [address()] })
+      .expect(201);
+    const { id } = created.body.data;
+    const before = await connection.all('SELECT * FROM addresses WHERE customer_id = ? ORDER BY id', [id]);
+
+    const response = await request(app)
+      .put(`/api/customers/${id}`)
+      .set('If-Match', created.headers.etag)
+      .send({
+        first_name: 'Ravindra',
+        last_name: 'Shah',
+        phone_number: '9000000002',
+        addresses: [address({ city: 'Mumbai' }), address({ pin_code: undefined })]
+      })
+      .expect(400);
+
+    expect(response.body.message).toBe('Failed to save address at index 1');
+    expect(await connection.get('SELECT first_name, version FROM customers WHERE id = ?', [id])).toEqual({ first_name: 'Ravi', version: 1 });
+    expect(await connection.all('SELECT * FROM addresses WHERE customer_id = ? ORDER BY id', [id])).toEqual(before);
+  });
+});
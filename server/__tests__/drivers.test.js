@@ -0,0 +1,198 @@
+const { newDb, DataType } = require('pg-mem');
+const { createSqliteDriver } = require('../database/drivers/sqlite');
+const { createPostgresDriver } = require('../database/drivers/postgres');
+const { migrate, rollback, getPendingMigrations, loadMigrations } = require('../database/migrator');
+const { CustomerRepository } = require('../repositories/CustomerRepository');
+const { AddressWriteError } = require('../repositories/AddressRepository');
+
+// The same suite runs against every storage driver. PostgreSQL is emulated
+// in memory by pg-mem, which stands in for a pg Pool.
+const DRIVERS = [
+  ['SQLite', () => createSqliteDriver(':memory:')],
+  ['PostgreSQL (pg-mem)', () => createPostgresDriver({ pool: createPgMemPool() })]
+];
+
+// A pg Pool over a fresh pg-mem database. pg-mem commits every statement as
+// it runs and ignores BEGIN and ROLLBACK, so a snapshot taken at BEGIN is
+// restored on ROLLBACK. Its pool hands out itself as the client, which the
+// driver's transactions then share with other statements; the tests never
+// overlap the two.
+function createPgMemPool() {
+  const mem = newDb({ noAstCoverageCheck: true });
+  // Native functions pg-mem leaves out, with PostgreSQL's 1-based positions
+  for (const args of [[DataType.text, DataType.integer], [DataType.text, DataType.integer, DataType.integer]]) {
+    mem.public.registerFunction({
+      name: 'substr',
+      args,
+      returns: DataType.text,
+      implementation: (text, start, length) => text.substr(start - 1, length)
+    });
+  }
+  const { Pool } = mem.adapters.createPg();
+  const pool = new Pool();
+  const query = pool.query.bind(pool);
+  let snapshot = null;
+
+  pool.query = (sql, params) => {
+    switch (sql) {
+      case 'BEGIN':
+        snapshot = mem.backup();
+        return Promise.resolve({ rows: [], rowCount: 0 });
+      case 'COMMIT':
+        snapshot = null;
+        return Promise.resolve({ rows: [], rowCount: 0 });
+      case 'ROLLBACK':
+        snapshot.restore();
+        snapshot = null;
+        return Promise.resolve({ rows: [], rowCount: 0 });
+      default:
+        return query(sql, params);
+    }
+  };
+  return pool;
+}
+
+const customer = (n) => ({
+  first_name: `Asha${n}`,
+  last_name: 'Kumar',
+  phone_number: String(9000000000 + n),
+  email: `asha${n}@example.com`
+});
+
+const address = (city) => ({ address_line1: `1 ${city} Road`, city, state: 'Maharashtra', pin_code: '411001' });
+
+describe.each(DRIVERS)('%s driver', (name, createDriver) => {
+  let db;
+  let customers;
+
+  beforeEach(async () => {
+    db = createDriver();
+    await migrate(db);
+    const { id: tenantId } = await db.get('SELECT id FROM tenants ORDER BY id LIMIT 1');
+    customers = new CustomerRepository(db, tenantId);
+  });
+
+  afterEach(() => db.close());
+
+  const count = async (table) => (await db.get(`SELECT COUNT(*) as count FROM ${table}`)).count;
+
+  describe('migrations', () => {
+    test('apply every migration once', async () => {
+      expect(await getPendingMigrations(db)).toEqual([]);
+      expect(await migrate(db)).toEqual([]);
+    });
+
+    // pg-mem cannot create a table again once it has been dropped, so only
+    // the latest migrations, which add indexes, are taken down and up again
+    test('roll back and apply again', async () => {
+      const latest = loadMigrations().slice(-2).map(migration => migration.version);
+      const reverted = await rollback(db, 2);
+      expect(reverted.map(migration => migration.version)).toEqual([...latest].reverse());
+      expect((await getPendingMigrations(db)).map(migration => migration.version)).toEqual(latest);
+
+      const applied = await migrate(db);
+      expect(applied.map(migration => migration.version)).toEqual(latest);
+    });
+  });
+
+  describe('queries', () => {
+    test('create, read, update and delete rows', async () => {
+      const { lastID } = await db.run('INSERT INTO tenants (name) VALUES (?)', ['Acme']);
+      expect(await db.get('SELECT name FROM tenants WHERE id = ?', [lastID])).toEqual({ name: 'Acme' });
+
+      const { changes } = await db.run('UPDATE tenants SET name = ? WHERE id = ?', ['Acme Ltd', lastID]);
+      expect(changes).toBe(1);
+      expect(await db.all('SELECT name FROM tenants WHERE id >= ? ORDER BY id', [lastID])).toEqual([{ name: 'Acme Ltd' }]);
+
+      expect((await db.run('DELETE FROM tenants WHERE id = ?', [lastID])).changes).toBe(1);
+      expect(await db.get('SELECT name FROM tenants WHERE id = ?', [lastID])).toBeUndefined();
+    });
+
+    test('return counts as numbers and flags as 1 or 0', async () => {
+      await customers.create(customer(1), [address('Pune'), address('Mumbai')]);
+      expect(await db.get('SELECT COUNT(*) as count FROM customers')).toEqual({ count: 1 });
+      expect(await db.get('SELECT has_multiple_addresses, only_one_address FROM customers'))
+        .toEqual({ has_multiple_addresses: 1, only_one_address: 0 });
+    });
+
+    test('recognise constraint errors', async () => {
+      await customers.create(customer(1));
+      const error = await customers.create(customer(1)).catch(err => err);
+      expect(db.isConstraintError(error)).toBe(true);
+    });
+  });
+
+  describe('transactions', () => {
+    test('commit the work when it succeeds', async () => {
+      const result = await db.transaction(async () => {
+        await db.run('INSERT INTO tenants (name) VALUES (?)', ['Committed']);
+        return 'done';
+      });
+      expect(result).toBe('done');
+      expect(await db.get('SELECT name FROM tenants WHERE name = ?', ['Committed'])).toEqual({ name: 'Committed' });
+    });
+
+    test('roll back all of the work, nested calls included, when it throws', async () => {
+      const failure = db.transaction(async () => {
+        await db.run('INSERT INTO tenants (name) VALUES (?)', ['Outer']);
+        await db.transaction(() => db.run('INSERT INTO tenants (name) VALUES (?)', ['Inner']));
+        throw new Error('Rolled back');
+      });
+      await expect(failure).rejects.toThrow('Rolled back');
+      expect(await db.all('SELECT name FROM tenants WHERE name IN (?, ?)', ['Outer', 'Inner'])).toEqual([]);
+    });
+
+    test('save a customer and its addresses together or not at all', async () => {
+      const error = await customers.create(customer(1), [address('Pune'), { ...address('Mumbai'), city: null }]).catch(err => err);
+      expect(error).toBeInstanceOf(AddressWriteError);
+      expect(error.index).toBe(1);
+      expect(await count('customers')).toBe(0);
+      expect(await count('addresses')).toBe(0);
+    });
+  });
+
+  describe('customers', () => {
+    test('are written and read through the repository', async () => {
+      const id = await customers.create(customer(1), [address('Pune')]);
+      const created = await customers.findById(id);
+      expect(created).toMatchObject({ ...customer(1), version: 1 });
+      expect(created.addresses.map(row => row.city)).toEqual(['Pune']);
+
+      await customers.update(id, { ...customer(1), first_name: 'Ravi' }, [{ ...address('Mumbai'), id: created.addresses[0].id }], 1);
+      const updated = await customers.findById(id);
+      expect(updated).toMatchObject({ first_name: 'Ravi', version: 2 });
+      expect(updated.addresses.map(row => row.city)).toEqual(['Mumbai']);
+
+      await customers.delete(id, 2);
+      expect(await customers.findById(id)).toBeUndefined();
+      expect(await customers.purge(id)).toBe(1);
+      expect(await count('addresses')).toBe(0);
+    });
+
+    test('are found by search', async () => {
+      await customers.create(customer(1), [address('Pune')]);
+      await customers.create({ ...customer(2), first_name: 'Ravi', email: 'ravi@example.com' });
+
+      const byName = await customers.findPage({ search: 'asha' });
+      expect(byName.total).toBe(1);
+      expect(byName.rows[0].first_name).toBe('Asha1');
+
+      const byPhone = await customers.findPage({ search: '9000000002' });
+      expect(byPhone.rows.map(row => row.first_name)).toEqual(['Ravi']);
+
+      expect((await customers.findPage({ search: 'nobody' })).total).toBe(0);
+    });
+
+    test('are paired as duplicate candidates', async () => {
+      const first = await customers.create(customer(1), [address('Pune')]);
+      const second = await customers.create(customer(2), [address('Pune')]);
+      await customers.create({ ...customer(3), first_name: 'Ravi', last_name: 'Shah' });
+
+      const pairs = [];
+      for await (const pair of customers.iterateDuplicateCandidates({ phoneSuffix: 4, maxBlockSize: 200 })) {
+        pairs.push(pair.map(row => row.id));
+      }
+      expect(pairs).toEqual([[first, second]]);
+    });
+  });
+});
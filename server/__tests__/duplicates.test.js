@@ -0,0 +1,229 @@
+const request = require('supertest');
+const { connection, setupDatabase, createApp } = require('./support');
+const customerRoutes = require('../routes/customers');
+const { repositoriesFor } = require('../repositories');
+const { scorePair, findDuplicatePairs } = require('../utils/duplicates');
+
+const address = (line, pinCode = '411001', isPrimary = false) => ({
+  address_line1: line, city: 'Pune', state: 'Maharashtra', pin_code: pinCode, is_primary: isPrimary
+});
+
+describe('scorePair', () => {
+  const customer = (firstName, lastName, phoneNumber, addresses = []) => ({
+    first_name: firstName, last_name: lastName, phone_number: phoneNumber, addresses
+  });
+
+  test('gives the same customer entered twice a full score', () => {
+    const a = customer('Asha', 'Kumar', '9000000001', [address('12 MG Road')]);
+    expect(scorePair(a, { ...a })).toEqual({ score: 1, reasons: { name: 1, phone: 1, address: 1 } });
+  });
+
+  test('forgives a typo in the name', () => {
+    const { reasons } = scorePair(customer('John', 'Smith', '9000000001'), customer('Jon', 'Smith', '8000000002'));
+    expect(reasons.name).toBeGreaterThan(0.9);
+    expect(reasons.name).toBeLessThan(1);
+  });
+
+  test('counts a phone suffix of four digits or more', () => {
+    const phone = (a, b) => scorePair(customer('Asha', 'Kumar', a), customer('Asha', 'Kumar', b)).reasons.phone;
+    expect(phone('9876541234', '8000001234')).toBe(0.4);
+    expect(phone('9000001234', '8000001234')).toBe(0.9);
+    expect(phone('9000000234', '8000001234')).toBe(0);
+  });
+
+  test('only counts addresses in the same pin code with close street lines', () => {
+    const withAddress = (line, pinCode) => customer('Asha', 'Kumar', '9000000001', [address(line, pinCode)]);
+    const shared = (a, b) => scorePair(a, b).reasons.address;
+
+    expect(shared(withAddress('12 MG Road', '411001'), withAddress('12, M.G. Road', '411001'))).toBeGreaterThan(0.8);
+    expect(shared(withAddress('12 MG Road', '411001'), withAddress('12 MG Road', '411002'))).toBe(0);
+    expect(shared(withAddress('12 MG Road', '411001'), withAddress('Flat 7 Koregaon Park', '411001'))).toBe(0);
+  });
+
+  test('weighs name, phone and address', () => {
+    const { score } = scorePair(
+      customer('Asha', 'Kumar', '9000000001', [address('12 MG Road')]),
+      customer('Asha', 'Kumar', '8000000002', [address('4 FC Road', '411004')])
+    );
+    expect(score).toBeCloseTo(0.5);
+  });
+});
+
+describe('Duplicate customers', () => {
+  let app;
+  let customers;
+  let addresses;
+
+  beforeAll(async () => {
+    const tenantId = await setupDatabase();
+    app = createApp('/api/customers', customerRoutes, tenantId);
+    ({ customerRepository: customers, addressRepository: addresses } = repositoriesFor(tenantId));
+  });
+
+  afterAll(() => connection.close());
+
+  beforeEach(async () => {
+    await connection.run('DELETE FROM addresses');
+    await connection.run('DELETE FROM customers');
+  });
+
+  describe('GET /api/customers/duplicates', () => {
+    test('pairs customers that share a blocking key, best first', async () => {
+      const asha = await customers.create({ first_name: 'Asha', last_name: 'Kumar', phone_number: '9876541234' }, [address('12 MG Road')]);
+      const ashaAgain = await customers.create({ first_name: 'Asha', last_name: 'Kumar', phone_number: '8000001234' }, [address('12, MG Road')]);
+      const john = await customers.create({ first_name: 'John', last_name: 'Smith', phone_number: '9000005678' });
+      const jon = await customers.create({ first_name: 'Jon', last_name: 'Smith', phone_number: '8000005678' });
+      await customers.create({ first_name: 'Ravi', last_name: 'Shah', phone_number: '7000009999' }, [address('4 FC Road', '411004')]);
+
+      const response = await request(app).get('/api/customers/duplicates').expect(200);
+      expect(response.body.data.map(pair => pair.customers.map(customer => customer.id))).toEqual([[asha, ashaAgain], [john, jon]]);
+      expect(response.body.data[0]).toMatchObject({
+        score: expect.any(Number),
+        reasons: { name: 1, phone: 0.4, address: expect.any(Number) }
+      });
+      expect(response.body.data[0].customers[0].addresses).toHaveLength(1);
+    });
+
+    test('does not compare customers that share no blocking key', async () => {
+      // The same name spelled with different initials puts them in different blocks
+      await customers.create({ first_name: 'Asha', last_name: 'Kumar', phone_number: '9000000001' });
+      await customers.create({ first_name: 'Aasha', last_name: 'Cumar', phone_number: '8000000002' });
+
+      expect(await findDuplicatePairs(customers, { minScore: 0 })).toEqual([]);
+    });
+
+    test('leaves out customers in the trash', async () => {
+      await customers.create({ first_name: 'Asha', last_name: 'Kumar', phone_number: '9000001234' });
+      const trashed = await customers.create({ first_name: 'Asha', last_name: 'Kumar', phone_number: '8000001234' });
+      await customers.delete(trashed);
+
+      const response = await request(app).get('/api/customers/duplicates').expect(200);
+      expect(response.body.data).toEqual([]);
+    });
+
+    test('reads candidates in batches and keeps the best ones', async () => {
+      for (let n = 0; n < 6; n++) {
+        await customers.create({ first_name: 'Asha', last_name: 'Kumar', phone_number: `900000000${n}` });
+      }
+
+      const pairs = [];
+      const batched = {
+        iterateDuplicateCandidates: options => customers.iterateDuplicateCandidates(options, 4)
+      };
+      for await (const pair of batched.iterateDuplicateCandidates({ phoneSuffix: 4, maxBlockSize: 200 })) {
+        pairs.push(pair.map(customer => customer.id));
+      }
+      expect(pairs).toHaveLength(15);
+      expect(new Set(pairs.map(pair => pair.join(':'))).size).toBe(15);
+
+      expect(await findDuplicatePairs(batched, { minScore: 0.5, limit: 3 })).toHaveLength(3);
+
+      // A key shared by more customers than a block may hold says nothing
+      const crowded = customers.iterateDuplicateCandidates({ phoneSuffix: 4, maxBlockSize: 5 });
+      expect((await crowded.next()).done).toBe(true);
+    });
+
+    test('validates min_score and limit', async () => {
+      await request(app).get('/api/customers/duplicates').query({ min_score: 2 }).expect(400);
+      await request(app).get('/api/customers/duplicates').query({ limit: 0 }).expect(400);
+    });
+  });
+
+  describe('POST /api/customers/merge', () => {
+    async function pair() {
+      const survivorId = await customers.create(
+        { first_name: 'Asha', last_name: 'Kumar', phone_number: '9000001234', email: 'asha@example.com' },
+        [address('12 MG Road', '411001', true)]
+      );
+      const duplicateId = await customers.create(
+        { first_name: 'Aasha', last_name: 'Kumaar', phone_number: '8000001234', email: 'asha.k@example.com' },
+        [address('4 FC Road', '411004', true), address('7 Koregaon Park', '411001')]
+      );
+      return { survivorId, duplicateId };
+    }
+
+    const merge = body => request(app).post('/api/customers/merge').send(body);
+
+    test('moves the addresses across and keeps the fields picked', async () => {
+      const { survivorId, duplicateId } = await pair();
+
+      const response = await merge({
+        survivor_id: survivorId,
+        survivor_version: 1,
+        duplicate_id: duplicateId,
+        duplicate_version: 1,
+        fields: { last_name: 'duplicate', email: 'duplicate' }
+      }).expect(200);
+
+      expect(response.headers.etag).toBe('"2"');
+      expect(response.body.data).toMatchObject({
+        id: survivorId,
+        version: 2,
+        first_name: 'Asha',
+        last_name: 'Kumaar',
+        phone_number: '9000001234',
+        email: 'asha.k@example.com'
+      });
+
+      // The survivor keeps its primary address
+      const moved = await addresses.listForCustomer(survivorId);
+      expect(moved.map(row => [row.address_line1, Boolean(row.is_primary)])).toEqual([
+        ['12 MG Road', true],
+        ['4 FC Road', false],
+        ['7 Koregaon Park', false]
+      ]);
+      expect(await connection.get('SELECT id FROM customers WHERE id = ?', [duplicateId])).toBeUndefined();
+    });
+
+    test('lets the survivor take over the duplicate phone number', async () => {
+      const { survivorId, duplicateId } = await pair();
+
+      const response = await merge({
+        survivor_id: survivorId,
+        survivor_version: 1,
+        duplicate_id: duplicateId,
+        duplicate_version: 1,
+        fields: { phone_number: 'duplicate' }
+      }).expect(200);
+      expect(response.body.data.phone_number).toBe('8000001234');
+    });
+
+    test('refuses stale versions of either customer with 412', async () => {
+      const { survivorId, duplicateId } = await pair();
+      const survivor = await customers.findById(survivorId);
+      await customers.update(survivorId, { ...survivor, first_name: 'Asha R' }, survivor.addresses);
+
+      const staleSurvivor = await merge({ survivor_id: survivorId, survivor_version: 1, duplicate_id: duplicateId, duplicate_version: 1 }).expect(412);
+      expect(staleSurvivor.headers.etag).toBe('"2"');
+      expect(staleSurvivor.body).toMatchObject({ success: false, message: 'Customer was modified by someone else', data: { id: survivorId, version: 2 } });
+
+      const staleDuplicate = await merge({ survivor_id: survivorId, survivor_version: 2, duplicate_id: duplicateId, duplicate_version: 3 }).expect(412);
+      expect(staleDuplicate.body.data).toMatchObject({ id: duplicateId, version: 1 });
+
+      // Nothing moved
+      expect(await addresses.listForCustomer(duplicateId)).toHaveLength(2);
+      expect(await customers.findById(duplicateId)).toBeDefined();
+    });
+
+    test('refuses a customer that does not exist or is merged into itself', async () => {
+      const { survivorId } = await pair();
+
+      await merge({ survivor_id: survivorId, survivor_version: 1, duplicate_id: survivorId + 100, duplicate_version: 1 }).expect(404);
+      const itself = await merge({ survivor_id: survivorId, survivor_version: 1, duplicate_id: survivorId, duplicate_version: 1 }).expect(400);
+      expect(itself.body.errors).toEqual([expect.objectContaining({ path: 'duplicate_id', msg: 'Cannot merge a customer into itself' })]);
+    });
+
+    test('only takes fields from the survivor or the duplicate', async () => {
+      const { survivorId, duplicateId } = await pair();
+
+      const response = await merge({
+        survivor_id: survivorId,
+        survivor_version: 1,
+        duplicate_id: duplicateId,
+        duplicate_version: 1,
+        fields: { email: 'neither' }
+      }).expect(400);
+      expect(response.body.errors).toEqual([expect.objectContaining({ msg: 'Each field must be taken from survivor or duplicate' })]);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const http = require('http');
+const request = require('supertest');
+const { connection, setupDatabase, createTenant, bearer, createKey } = require('./support');
+const app = require('../index');
+const { publish, subscriberCount } = require('../utils/events');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Event stream', () => {
+  let server;
+  let tenantA;
+  let tenantB;
+
+  beforeAll(async () => {
+    tenantA = await setupDatabase();
+    tenantB = await createTenant('Other');
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await connection.close();
+  });
+
+  // Open GET /api/events with `headers`; resolves once the stream has
+  // started, with the messages received so far (kept up to date) and a
+  // function that disconnects
+  function openStream(headers) {
+    return new Promise((resolve, reject) => {
+      const req = http.get({ host: '127.0.0.1', port: server.address().port, path: '/api/events', headers }, (res) => {
+        const stream = { status: res.statusCode, headers: res.headers, text: '', messages: [], close: () => req.destroy() };
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          stream.text += chunk;
+          const blocks = stream.text.split('\n\n');
+          stream.text = blocks.pop();
+          for (const block of blocks) {
+            const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+            if (fields.event) stream.messages.push({ ...fields, data: JSON.parse(fields.data) });
+          }
+        });
+        res.once('data', () => resolve(stream));
+        res.on('error', () => {});
+      });
+      req.on('error', reject);
+    });
+  }
+
+  test('sends the tenant its own events and nothing from other tenants', async () => {
+    const streamA = await openStream({ Authorization: bearer([tenantA]) });
+    const streamB = await openStream({ Authorization: bearer([tenantB]) });
+    expect(streamA.status).toBe(200);
+    expect(streamA.headers['content-type']).toMatch(/^text\/event-stream/);
+
+    const created = await request(app)
+      .post('/api/customers')
+      .set('Authorization', bearer([tenantA]))
+      .send({ first_name: 'Asha', last_name: 'Kumar', phone_number: '9000000001' })
+      .expect(201);
+    publish(tenantB, 'customer.deleted', { id: 99 });
+    await wait(50);
+
+    expect(streamA.messages).toEqual([{
+      id: expect.any(String),
+      event: 'customer.created',
+      data: {
+        id: streamA.messages[0].id,
+        type: 'customer.created',
+        created_at: expect.any(String),
+        data: expect.objectContaining({ id: created.body.data.id, first_name: 'Asha' })
+      }
+    }]);
+    expect(streamB.messages.map(message => [message.event, message.data.data])).toEqual([['customer.deleted', { id: 99 }]]);
+
+    streamA.close();
+    streamB.close();
+  });
+
+  test('works with an API key of the tenant', async () => {
+    const { key } = await createKey(tenantB, { scopes: ['customer:read'] });
+    const stream = await openStream({ 'X-API-Key': key });
+
+    publish(tenantA, 'customer.created', { id: 1 });
+    publish(tenantB, 'customer.created', { id: 2 });
+    await wait(50);
+    expect(stream.messages.map(message => message.data.data)).toEqual([{ id: 2 }]);
+    stream.close();
+  });
+
+  test('refuses a request without a token', async () => {
+    const response = await request(app).get('/api/events').expect(401);
+    expect(response.body).toEqual({ success: false, message: 'Authentication required' });
+  });
+
+  test('refuses a key without customer:read or a tenant the user is not in', async () => {
+    const { key } = await createKey(tenantA, { scopes: ['customer:write'] });
+    const missing = await request(app).get('/api/events').set('X-API-Key', key).expect(403);
+    expect(missing.body).toEqual({ success: false, message: 'Missing permission: customer:read' });
+
+    await request(app)
+      .get('/api/events')
+      .set('Authorization', bearer([tenantA]))
+      .set('X-Tenant-Id', String(tenantB))
+      .expect(403);
+  });
+
+  test('stops listening when the client disconnects', async () => {
+    const before = subscriberCount();
+    const stream = await openStream({ Authorization: bearer([tenantA]) });
+    expect(subscriberCount()).toBe(before + 1);
+
+    stream.close();
+    await wait(50);
+    expect(subscriberCount()).toBe(before);
+  });
+});
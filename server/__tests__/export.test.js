@@ -0,0 +1,196 @@
+const request = require('supertest');
+const ExcelJS = require('exceljs');
+const { connection, setupDatabase, createApp, createTenant } = require('./support');
+const customerRoutes = require('../routes/customers');
+const { repositoriesFor } = require('../repositories');
+const { parseCsv, formatCsvRow } = require('../utils/csv');
+
+const HEADER = 'customer_id,first_name,last_name,phone_number,email,address_line1,address_line2,city,state,pin_code,country,is_primary';
+
+// Collect a binary response body into a Buffer
+function binary(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  return workbook.getWorksheet('customers');
+}
+
+describe('Customer export', () => {
+  let app;
+  let ids;
+
+  beforeAll(async () => {
+    const tenantId = await setupDatabase();
+    app = createApp('/api/customers', customerRoutes, tenantId);
+
+    const { customerRepository } = repositoriesFor(tenantId);
+    ids = {
+      asha: await customerRepository.create({ first_name: 'Asha', last_name: 'Kumar', phone_number: '9000000001', email: 'asha@example.com' }, [
+        { address_line1: '12 MG Road', city: 'Pune', state: 'Maharashtra', pin_code: '411001', is_primary: true },
+        { address_line1: '4 Park Street', city: 'Mumbai', state: 'Maharashtra', pin_code: '400001' }
+      ]),
+      ravi: await customerRepository.create({ first_name: 'Ravi', last_name: 'Shah, Jr.', phone_number: '9000000002' }, [
+        { address_line1: '7 Lake Road', address_line2: 'Near the "big" tree', city: 'Pune', state: 'Maharashtra', pin_code: '411002', is_primary: true }
+      ]),
+      meena: await customerRepository.create({ first_name: 'Meena', last_name: 'Iyer', phone_number: '9000000003' }, [])
+    };
+  });
+
+  afterAll(() => connection.close());
+
+  const exportOf = (query, target = app) => request(target).get('/api/customers/export').query(query);
+
+  describe('GET /api/customers/export', () => {
+    test('writes CSV in the import layout, one row per address', async () => {
+      const response = await exportOf({ format: 'csv' }).expect(200);
+      expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="customers.csv"');
+
+      expect(response.text.split('\r\n')).toEqual([
+        HEADER,
+        `${ids.asha},Asha,Kumar,9000000001,asha@example.com,12 MG Road,,Pune,Maharashtra,411001,India,true`,
+        `${ids.asha},Asha,Kumar,9000000001,asha@example.com,4 Park Street,,Mumbai,Maharashtra,400001,India,false`,
+        `${ids.ravi},Ravi,"Shah, Jr.",9000000002,,7 Lake Road,"Near the ""big"" tree",Pune,Maharashtra,411002,India,true`,
+        `${ids.meena},Meena,Iyer,9000000003,,,,,,,,`,
+        ''
+      ]);
+    });
+
+    test('keeps to the list filters, with only the matching addresses', async () => {
+      const byCity = await exportOf({ format: 'csv', city: 'Pune' }).expect(200);
+      expect(parseCsv(byCity.text).slice(1).map(({ values }) => [values[0], values[5]])).toEqual([
+        [String(ids.asha), '12 MG Road'],
+        [String(ids.ravi), '7 Lake Road']
+      ]);
+
+      const bySearch = await exportOf({ format: 'ndjson', search: 'ravi' }).expect(200);
+      expect(bySearch.text.trim().split('\n').map(line => JSON.parse(line).id)).toEqual([ids.ravi]);
+
+      const byCount = await exportOf({ format: 'ndjson', min_addresses: 2 }).expect(200);
+      expect(byCount.text.trim().split('\n').map(line => JSON.parse(line).id)).toEqual([ids.asha]);
+    });
+
+    test('writes NDJSON with one customer and its addresses per line', async () => {
+      const response = await exportOf({ format: 'ndjson', city: 'Mumbai' }).expect(200);
+      expect(response.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="customers.ndjson"');
+
+      const lines = response.text.trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toEqual([{
+        id: ids.asha,
+        first_name: 'Asha',
+        last_name: 'Kumar',
+        phone_number: '9000000001',
+        email: 'asha@example.com',
+        created_at: expect.any(String),
+        updated_at: expect.any(String),
+        addresses: [{
+          id: expect.any(Number),
+          address_line1: '4 Park Street',
+          address_line2: '',
+          city: 'Mumbai',
+          state: 'Maharashtra',
+          pin_code: '400001',
+          country: 'India',
+          is_primary: false
+        }]
+      }]);
+    });
+
+    test('writes XLSX with the same rows as CSV', async () => {
+      const response = await exportOf({ format: 'xlsx', state: 'Maharashtra' }).buffer(true).parse(binary).expect(200);
+      expect(response.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="customers.xlsx"');
+
+      const sheet = await readXlsx(response.body);
+      expect(sheet.getRow(1).values.slice(1)).toEqual(HEADER.split(','));
+      expect(sheet.getRow(1).font).toMatchObject({ bold: true });
+      expect(sheet.rowCount).toBe(4);
+      expect(sheet.getRow(4).values.slice(1)).toEqual([
+        ids.ravi, 'Ravi', 'Shah, Jr.', '9000000002', undefined, '7 Lake Road', 'Near the "big" tree', 'Pune', 'Maharashtra', '411002', 'India', true
+      ]);
+    });
+
+    test('refuses an unknown format or bad filters', async () => {
+      const response = await exportOf({ format: 'pdf' }).expect(400);
+      expect(response.body.errors).toEqual([expect.objectContaining({ path: 'format', msg: 'Format must be csv, xlsx or ndjson' })]);
+      await exportOf({ min_addresses: 2, max_addresses: 1 }).expect(400);
+    });
+  });
+
+  describe('formula cells', () => {
+    let formulas;
+
+    beforeAll(async () => {
+      const tenantId = await createTenant('Formulas');
+      formulas = createApp('/api/customers', customerRoutes, tenantId);
+      await repositoriesFor(tenantId).customerRepository.create(
+        { first_name: '=HYPERLINK("http://example.com")', last_name: '+Kumar', phone_number: '9000000001' },
+        [{ address_line1: '-12 MG Road', address_line2: '@SUM(1,2)', city: 'Pune', state: 'Maharashtra', pin_code: '411001' }]
+      );
+    });
+
+    test('are written as text in CSV', async () => {
+      const response = await exportOf({ format: 'csv' }, formulas).expect(200);
+      const [, row] = parseCsv(response.text);
+      expect(row.values.slice(1, 7)).toEqual([
+        '\'=HYPERLINK("http://example.com")', '\'+Kumar', '9000000001', '', '\'-12 MG Road', '\'@SUM(1,2)'
+      ]);
+    });
+
+    test('are written as text in XLSX', async () => {
+      const response = await exportOf({ format: 'xlsx' }, formulas).buffer(true).parse(binary).expect(200);
+      const row = (await readXlsx(response.body)).getRow(2);
+      for (const [column, value] of [[2, '=HYPERLINK("http://example.com")'], [3, '+Kumar'], [6, '-12 MG Road'], [7, '@SUM(1,2)']]) {
+        expect(row.getCell(column).type).toBe(ExcelJS.ValueType.String);
+        expect(row.getCell(column).value).toBe(value);
+      }
+    });
+
+    test('are left alone in NDJSON, which no spreadsheet opens', async () => {
+      const response = await exportOf({ format: 'ndjson' }, formulas).expect(200);
+      expect(JSON.parse(response.text)).toMatchObject({ first_name: '=HYPERLINK("http://example.com")', last_name: '+Kumar' });
+    });
+
+    test('leave numbers and other text alone', () => {
+      expect(formatCsvRow([-1, 'a-b', 'Pune', null, true])).toBe('-1,a-b,Pune,,true\r\n');
+      expect(formatCsvRow(['\tTab', '\rReturn'])).toBe('\'\tTab,"\'\rReturn"\r\n');
+    });
+  });
+
+  describe('round trip', () => {
+    // Everything but the ids, which the importing tenant assigns itself
+    const withoutIds = text => parseCsv(text).map(({ values }) => values.slice(1));
+
+    async function importInto(name, contentType, data) {
+      const target = createApp('/api/customers', customerRoutes, await createTenant(name));
+      const response = await request(target).post('/api/customers/import').set('Content-Type', contentType).send(data).expect(200);
+      expect(response.body.data).toMatchObject({ customers: 3, created: 3, addresses: 3, errors: [] });
+      return target;
+    }
+
+    test('imports a CSV export back into the same customers', async () => {
+      const exported = (await exportOf({ format: 'csv' }).expect(200)).text;
+      const target = await importInto('From CSV', 'text/csv', exported);
+
+      const again = await exportOf({ format: 'csv' }, target).expect(200);
+      expect(withoutIds(again.text)).toEqual(withoutIds(exported));
+    });
+
+    test('imports an NDJSON export back into the same customers', async () => {
+      const exported = (await exportOf({ format: 'ndjson' }).expect(200)).text;
+      const target = await importInto('From NDJSON', 'application/x-ndjson', exported);
+
+      const [original, again] = await Promise.all([
+        exportOf({ format: 'csv' }).expect(200),
+        exportOf({ format: 'csv' }, target).expect(200)
+      ]);
+      expect(withoutIds(again.text)).toEqual(withoutIds(original.text));
+    });
+  });
+});
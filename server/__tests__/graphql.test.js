@@ -0,0 +1,83 @@
+const request = require('supertest');
+const { connection, setupDatabase, createApp } = require('./support');
+const graphqlRoutes = require('../routes/graphql');
+const { repositoriesFor } = require('../repositories');
+
+describe('GraphQL', () => {
+  let app;
+  let asha;
+  let ravi;
+
+  beforeAll(async () => {
+    const tenantId = await setupDatabase();
+    app = createApp('/graphql', graphqlRoutes, tenantId);
+
+    const { customerRepository } = repositoriesFor(tenantId);
+    asha = await customerRepository.create(
+      { first_name: 'Asha', last_name: 'Kumar', phone_number: '9000000001' },
+      [
+        { address_line1: '12 MG Road', city: 'Pune', state: 'Maharashtra', pin_code: '411001', is_primary: true },
+        { address_line1: '4 FC Road', city: 'Pune', state: 'Maharashtra', pin_code: '411004' }
+      ]
+    );
+    ravi = await customerRepository.create(
+      { first_name: 'Ravi', last_name: 'Shah', phone_number: '9000000002' },
+      [{ address_line1: '7 Park Street', city: 'Kolkata', state: 'West Bengal', pin_code: '700016' }]
+    );
+  });
+
+  afterAll(() => connection.close());
+
+  async function graphql(query) {
+    const response = await request(app).post('/graphql').send({ query }).expect(200);
+    expect(response.body.errors).toBeUndefined();
+    return response.body.data;
+  }
+
+  // Address lines of each customer, by customer id
+  function addressLinesById(customers) {
+    return Object.fromEntries(customers.map(customer => [
+      customer.id,
+      customer.addresses.map(address => address.address_line1).sort()
+    ]));
+  }
+
+  test('lists customers with their addresses', async () => {
+    const data = await graphql(`{
+      customers(sort: first_name, order: asc) {
+        items { id address_count addresses { id address_line1 } primary_address { address_line1 } }
+      }
+    }`);
+
+    const { items } = data.customers;
+    expect(addressLinesById(items)).toEqual({
+      [asha]: ['12 MG Road', '4 FC Road'],
+      [ravi]: ['7 Park Street']
+    });
+    expect(items.map(customer => customer.address_count)).toEqual([2, 1]);
+    expect(items[0].primary_address).toEqual({ address_line1: '12 MG Road' });
+  });
+
+  test("reads an address's customer and that customer's addresses", async () => {
+    const data = await graphql(`{
+      addresses(sort: city, order: asc) {
+        items { address_line1 customer { id addresses { id address_line1 } } }
+      }
+    }`);
+
+    const { items } = data.addresses;
+    expect(items).toHaveLength(3);
+    for (const address of items) {
+      expect(address.customer.addresses.map(({ address_line1 }) => address_line1)).toContain(address.address_line1);
+    }
+    expect(addressLinesById(items.map(address => address.customer))).toEqual({
+      [asha]: ['12 MG Road', '4 FC Road'],
+      [ravi]: ['7 Park Street']
+    });
+  });
+
+  test('reads one customer with its addresses', async () => {
+    const data = await graphql(`{ customer(id: ${ravi}) { first_name addresses { city } } }`);
+    expect(data.customer).toEqual({ first_name: 'Ravi', addresses: [{ city: 'Kolkata' }] });
+  });
+});
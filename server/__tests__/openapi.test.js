@@ -0,0 +1,49 @@
+const express = require('express');
+const request = require('supertest');
+const docsRoutes = require('../routes/docs');
+const { routesOf, routesMissingFrom } = require('../utils/openapi');
+
+const { apiDocument, DOCUMENTED_ROUTERS } = docsRoutes;
+
+describe('OpenAPI document', () => {
+  test('describes every customer, address and trash route', () => {
+    expect(routesMissingFrom(apiDocument, DOCUMENTED_ROUTERS)).toEqual([]);
+  });
+
+  test('describes no route that does not exist', () => {
+    const routes = new Set(DOCUMENTED_ROUTERS
+      .flatMap(({ prefix, router }) => routesOf(router, prefix))
+      .map(route => `${route.method} ${route.path}`));
+    const operations = Object.entries(apiDocument.paths)
+      .flatMap(([path, methods]) => Object.keys(methods).map(method => `${method} ${path}`));
+
+    expect(operations.filter(operation => !routes.has(operation))).toEqual([]);
+  });
+
+  test('takes request schemas and permissions from the routes', () => {
+    const { CustomerInput, AddressInput } = apiDocument.components.schemas;
+    expect(CustomerInput.required).toEqual(['first_name', 'last_name', 'phone_number']);
+    expect(CustomerInput.properties.phone_number).toMatchObject({ type: 'string', pattern: '^[0-9]{10}$' });
+    expect(AddressInput.properties.pin_code).toMatchObject({ type: 'string', pattern: '^[0-9]{6}$' });
+
+    const list = apiDocument.paths['/api/customers'].get;
+    expect(list['x-permissions']).toEqual(['customer:read']);
+    expect(list.parameters).toContainEqual(expect.objectContaining({
+      name: 'limit',
+      in: 'query',
+      schema: { type: 'integer', minimum: 1, maximum: 100 }
+    }));
+  });
+
+  test('is served with Swagger UI', async () => {
+    const app = express();
+    app.use('/api', docsRoutes);
+
+    const spec = await request(app).get('/api/openapi.json').expect(200);
+    expect(spec.body.openapi).toMatch(/^3\./);
+
+    const page = await request(app).get('/api/docs/').expect(200);
+    expect(page.text).toContain('swagger-initializer.js');
+    await request(app).get('/api/docs/swagger-initializer.js').expect('Content-Type', /javascript/).expect(200);
+  });
+});
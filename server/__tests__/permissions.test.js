@@ -0,0 +1,75 @@
+const request = require('supertest');
+const { connection, setupDatabase, bearer } = require('./support');
+const app = require('../index');
+const { repositoriesFor } = require('../repositories');
+
+describe('Role permissions', () => {
+  let tenantId;
+  let customerId;
+
+  beforeAll(async () => {
+    tenantId = await setupDatabase();
+    customerId = await repositoriesFor(tenantId).customerRepository.create(
+      { first_name: 'Asha', last_name: 'Kumar', phone_number: '9000000001' },
+      [{ address_line1: '12 MG Road', city: 'Pune', state: 'Maharashtra', pin_code: '411001', is_primary: true }]
+    );
+  });
+
+  afterAll(() => connection.close());
+
+  const as = (role, req) => req.set('Authorization', bearer([tenantId], role, role));
+
+  describe('an agent', () => {
+    test('can look customers up', async () => {
+      await as('agent', request(app).get('/api/customers')).expect(200);
+      await as('agent', request(app).get(`/api/customers/${customerId}`)).expect(200);
+    });
+
+    test('cannot delete a customer', async () => {
+      const response = await as('agent', request(app).delete(`/api/customers/${customerId}`)).set('If-Match', '"1"').expect(403);
+      expect(response.body).toEqual({ success: false, message: 'Missing permission: customer:delete' });
+      expect(await repositoriesFor(tenantId).customerRepository.findById(customerId)).toMatchObject({ version: 1 });
+    });
+
+    test('cannot export customers', async () => {
+      const response = await as('agent', request(app).get('/api/customers/export')).expect(403);
+      expect(response.body).toEqual({ success: false, message: 'Missing permission: customer:export' });
+    });
+
+    test('cannot merge customers', async () => {
+      const response = await as('agent', request(app).post('/api/customers/merge')).send({
+        survivor_id: customerId,
+        survivor_version: 1,
+        duplicate_id: customerId + 1,
+        duplicate_version: 1
+      }).expect(403);
+      expect(response.body).toEqual({ success: false, message: 'Missing permission: customer:write, customer:delete' });
+    });
+  });
+
+  describe('a manager', () => {
+    test('cannot manage API keys', async () => {
+      const list = await as('manager', request(app).get('/api/api-keys')).expect(403);
+      expect(list.body).toEqual({ success: false, message: 'Missing permission: api-key:manage' });
+      await as('manager', request(app).post('/api/api-keys')).send({ name: 'Sync', scopes: ['customer:read'] }).expect(403);
+
+      const { keys } = await connection.get('SELECT COUNT(*) as keys FROM api_keys');
+      expect(keys).toBe(0);
+    });
+
+    test('cannot manage webhooks', async () => {
+      const list = await as('manager', request(app).get('/api/webhooks')).expect(403);
+      expect(list.body).toEqual({ success: false, message: 'Missing permission: webhook:manage' });
+      await as('manager', request(app).post('/api/webhooks')).send({ url: 'https://example.com/hook', events: ['customer.created'] }).expect(403);
+
+      const { webhooks } = await connection.get('SELECT COUNT(*) as webhooks FROM webhooks');
+      expect(webhooks).toBe(0);
+    });
+  });
+
+  test('an admin can reach all of these', async () => {
+    await as('admin', request(app).get('/api/customers/export')).expect(200);
+    await as('admin', request(app).get('/api/api-keys')).expect(200);
+    await as('admin', request(app).get('/api/webhooks')).expect(200);
+  });
+});
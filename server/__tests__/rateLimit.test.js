@@ -0,0 +1,48 @@
+const request = require('supertest');
+const { connection, setupDatabase } = require('./support');
+
+// Small limits, and client addresses taken from X-Forwarded-For so each test
+// starts with buckets of its own
+process.env.RATE_LIMITS = JSON.stringify({
+  ip: { read: { capacity: 5, windowSeconds: 60 } },
+  customers: { read: { capacity: 2, windowSeconds: 60 } }
+});
+process.env.TRUST_PROXY = '1';
+
+const app = require('../index');
+const { signAccessToken } = require('../utils/auth');
+
+describe('Rate limiting', () => {
+  let token;
+
+  beforeAll(async () => {
+    const tenantId = await setupDatabase();
+    token = signAccessToken({ id: 1, username: 'tester', role: 'admin' }, [tenantId]);
+  });
+
+  afterAll(() => connection.close());
+
+  test('limits requests per IP before credentials are checked', async () => {
+    for (let n = 0; n < 5; n++) {
+      await request(app).get('/api/customers').set('X-Forwarded-For', '203.0.113.1').set('X-API-Key', `guess-${n}`).expect(401);
+    }
+
+    const response = await request(app).get('/api/customers').set('X-Forwarded-For', '203.0.113.1').set('X-API-Key', 'guess-5').expect(429);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    expect(response.headers['ratelimit-policy']).toBe('5;w=60');
+    expect(response.body).toEqual({ success: false, message: 'Too many requests, please try again later' });
+
+    // Other addresses are not affected
+    await request(app).get('/api/customers').set('X-Forwarded-For', '203.0.113.2').expect(401);
+  });
+
+  test('limits each signed-in user per route group', async () => {
+    for (let n = 0; n < 2; n++) {
+      await request(app).get('/api/customers').set('X-Forwarded-For', '203.0.113.3').set('Authorization', `Bearer ${token}`).expect(200);
+    }
+
+    const response = await request(app).get('/api/customers').set('X-Forwarded-For', '203.0.113.3').set('Authorization', `Bearer ${token}`).expect(429);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    expect(response.headers['ratelimit-policy']).toBe('2;w=60');
+  });
+});
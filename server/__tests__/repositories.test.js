@@ -0,0 +1,169 @@
+const { createSqliteDriver } = require('../database/drivers/sqlite');
+const { migrate } = require('../database/migrator');
+const { CustomerRepository } = require('../repositories/CustomerRepository');
+const { AddressRepository } = require('../repositories/AddressRepository');
+const { VersionConflictError } = require('../repositories/errors');
+
+const address = (city, overrides = {}) => ({
+  address_line1: `1 ${city} Road`,
+  city,
+  state: 'Maharashtra',
+  pin_code: '411001',
+  ...overrides
+});
+
+describe('Repositories on in-memory SQLite', () => {
+  let db;
+  let customers;
+  let addresses;
+  let otherTenantCustomers;
+
+  beforeEach(async () => {
+    db = createSqliteDriver(':memory:');
+    await migrate(db);
+    const { id: tenantId } = await db.get('SELECT id FROM tenants ORDER BY id LIMIT 1');
+    const { lastID: otherTenantId } = await db.run('INSERT INTO tenants (name) VALUES (?)', ['Other']);
+
+    addresses = new AddressRepository(db, tenantId);
+    customers = new CustomerRepository(db, tenantId, addresses);
+    otherTenantCustomers = new CustomerRepository(db, otherTenantId);
+  });
+
+  afterEach(() => db.close());
+
+  const createCustomer = (n, customerAddresses = [], repository = customers) => repository.create({
+    first_name: `First${n}`,
+    last_name: `Last${n}`,
+    phone_number: String(9000000000 + n),
+    email: `customer${n}@example.com`
+  }, customerAddresses);
+
+  describe('CustomerRepository', () => {
+    test('pages through customers in sort order with a total', async () => {
+      for (let n = 1; n <= 5; n++) await createCustomer(n);
+
+      const first = await customers.findPage({ page: 1, limit: 2, sort: 'first_name', order: 'asc' });
+      expect(first.total).toBe(5);
+      expect(first.rows.map(row => row.first_name)).toEqual(['First1', 'First2']);
+
+      const last = await customers.findPage({ page: 3, limit: 2, sort: 'first_name', order: 'asc' });
+      expect(last.rows.map(row => row.first_name)).toEqual(['First5']);
+      expect(last.nextCursor).toBeNull();
+    });
+
+    test('filters by search, address and address count', async () => {
+      await createCustomer(1, [address('Pune')]);
+      await createCustomer(2, [address('Mumbai'), address('Pune')]);
+      await createCustomer(3);
+
+      const search = await customers.findPage({ search: 'First2' });
+      expect(search.rows.map(row => row.first_name)).toEqual(['First2']);
+
+      const pune = await customers.findPage({ city: 'pun', sort: 'first_name', order: 'asc' });
+      expect(pune.rows.map(row => row.first_name)).toEqual(['First1', 'First2']);
+      // Only the matching addresses are attached, but all are counted
+      expect(pune.rows[1].addresses.map(row => row.city)).toEqual(['Pune']);
+      expect(pune.rows[1].address_count).toBe(2);
+
+      const withoutAddresses = await customers.findPage({ maxAddresses: 0 });
+      expect(withoutAddresses.rows.map(row => row.first_name)).toEqual(['First3']);
+    });
+
+    test('keeps customers in the trash out of reads until they are restored', async () => {
+      const id = await createCustomer(1, [address('Pune')]);
+      await customers.delete(id);
+
+      expect(await customers.findById(id)).toBeUndefined();
+      expect(await customers.exists(id)).toBe(false);
+      expect((await customers.findPage()).total).toBe(0);
+      expect(await addresses.findByCustomerId(id)).toEqual([]);
+
+      const [deleted] = await customers.findDeleted();
+      expect(deleted.id).toBe(id);
+      expect(deleted.addresses).toHaveLength(1);
+
+      await customers.restore(id);
+      const restored = await customers.findById(id);
+      expect(restored.addresses.map(row => row.city)).toEqual(['Pune']);
+    });
+
+    test('bumps the version on every write and rejects a stale one', async () => {
+      const id = await createCustomer(1);
+      expect((await customers.findById(id)).version).toBe(1);
+
+      await customers.update(id, { first_name: 'Asha', last_name: 'Kumar', phone_number: '9000000001' }, [], 1);
+      expect((await customers.findById(id)).version).toBe(2);
+
+      await expect(customers.update(id, { first_name: 'Old', last_name: 'Edit', phone_number: '9000000001' }, [], 1))
+        .rejects.toBeInstanceOf(VersionConflictError);
+      await expect(customers.delete(id, 1)).rejects.toBeInstanceOf(VersionConflictError);
+      expect((await customers.findById(id)).first_name).toBe('Asha');
+    });
+
+    test('only sees the customers of its own tenant', async () => {
+      const id = await createCustomer(1);
+      await createCustomer(2, [], otherTenantCustomers);
+
+      expect(await otherTenantCustomers.findById(id)).toBeUndefined();
+      expect((await customers.findPage()).total).toBe(1);
+      expect((await otherTenantCustomers.findPage()).total).toBe(1);
+    });
+  });
+
+  describe('AddressRepository', () => {
+    test('pages and filters addresses', async () => {
+      const id = await createCustomer(1, [address('Pune'), address('Mumbai'), address('Nagpur')]);
+      await createCustomer(2, [address('Pune')]);
+
+      const byCity = await addresses.findPage({ sort: 'city', order: 'asc', limit: 2 });
+      expect(byCity.total).toBe(4);
+      expect(byCity.rows.map(row => row.city)).toEqual(['Mumbai', 'Nagpur']);
+
+      const pune = await addresses.findPage({ city: 'Pune' });
+      expect(pune.total).toBe(2);
+
+      const ofCustomer = await addresses.findPage({ customerId: id });
+      expect(ofCustomer.total).toBe(3);
+      expect(ofCustomer.rows[0]).toMatchObject({ first_name: 'First1', phone_number: '9000000001' });
+    });
+
+    test('keeps addresses in the trash out of reads and the address flags', async () => {
+      const customerId = await createCustomer(1, [address('Pune'), address('Mumbai')]);
+      const [pune] = await addresses.listForCustomer(customerId);
+      expect(await db.get('SELECT has_multiple_addresses, only_one_address FROM customers WHERE id = ?', [customerId]))
+        .toEqual({ has_multiple_addresses: 1, only_one_address: 0 });
+
+      await addresses.delete(pune.id, customerId);
+      expect(await addresses.findById(pune.id)).toBeUndefined();
+      expect((await addresses.findPage()).total).toBe(1);
+      expect((await addresses.findDeleted()).map(row => row.id)).toEqual([pune.id]);
+      expect(await db.get('SELECT has_multiple_addresses, only_one_address FROM customers WHERE id = ?', [customerId]))
+        .toEqual({ has_multiple_addresses: 0, only_one_address: 1 });
+
+      await addresses.restore(pune.id, customerId);
+      expect((await addresses.findById(pune.id)).city).toBe('Pune');
+    });
+
+    test('bumps the address and its customer versions and rejects a stale one', async () => {
+      const customerId = await createCustomer(1, [address('Pune')]);
+      const [stored] = await addresses.listForCustomer(customerId);
+      const customerVersion = (await customers.findById(customerId)).version;
+
+      await addresses.update(stored.id, customerId, address('Mumbai'), stored.version);
+      expect((await addresses.findById(stored.id)).version).toBe(stored.version + 1);
+      expect((await customers.findById(customerId)).version).toBe(customerVersion + 1);
+
+      await expect(addresses.update(stored.id, customerId, address('Nagpur'), stored.version))
+        .rejects.toBeInstanceOf(VersionConflictError);
+      expect((await addresses.findById(stored.id)).city).toBe('Mumbai');
+    });
+
+    test('keeps one primary address per customer', async () => {
+      const customerId = await createCustomer(1, [address('Pune', { is_primary: true })]);
+      const id = await addresses.create(customerId, address('Mumbai', { is_primary: true }));
+
+      const primary = (await addresses.listForCustomer(customerId)).filter(row => row.is_primary);
+      expect(primary.map(row => row.id)).toEqual([id]);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const { connection, setupDatabase, createApp, createTenant } = require('./support');
+const statsRoutes = require('../routes/stats');
+const { repositoriesFor } = require('../repositories');
+
+const address = (city, state) => ({ address_line1: `1 ${city} Road`, city, state, pin_code: '411001' });
+
+describe('Stats', () => {
+  let tenantId;
+  let app;
+
+  beforeAll(async () => {
+    tenantId = await setupDatabase();
+    app = createApp('/api/stats', statsRoutes, tenantId);
+    const { customerRepository, addressRepository } = repositoriesFor(tenantId);
+
+    async function customer(firstName, phone, createdAt, addresses = []) {
+      const id = await customerRepository.create({ first_name: firstName, last_name: 'Kumar', phone_number: phone }, addresses);
+      await connection.run('UPDATE customers SET created_at = ? WHERE id = ?', [createdAt, id]);
+      return id;
+    }
+
+    await customer('Old', '9000000001', '2026-01-15 09:00:00', [address('Pune', 'Maharashtra')]);
+    const asha = await customer('Asha', '9000000002', '2026-03-02 10:00:00', [
+      address('Pune', 'Maharashtra'),
+      address('Mumbai', 'Maharashtra'),
+      address('Chennai', 'Tamil Nadu')
+    ]);
+    await customer('Ravi', '9000000003', '2026-03-04 18:30:00', [address('Kolkata', 'West Bengal')]);
+    await customer('Meena', '9000000004', '2026-03-10 08:00:00');
+
+    // Neither trashed rows nor other tenants count
+    const chennai = (await addressRepository.listForCustomer(asha)).find(row => row.city === 'Chennai');
+    await addressRepository.delete(chennai.id, asha);
+    const trashed = await customer('Trashed', '9000000005', '2026-03-03 12:00:00', [address('Delhi', 'Delhi')]);
+    await customerRepository.delete(trashed);
+    const other = await createTenant('Other');
+    await repositoriesFor(other).customerRepository.create(
+      { first_name: 'Other', last_name: 'Tenant', phone_number: '9000000006' },
+      [address('Pune', 'Maharashtra')]
+    );
+  });
+
+  afterAll(() => connection.close());
+
+  const stats = (query) => request(app).get('/api/stats').query(query);
+
+  test('counts customers and addresses outside the trash', async () => {
+    const { body: { data } } = await stats({ from: '2026-03-01', to: '2026-03-15' }).expect(200);
+
+    expect(data.totals).toEqual({ customers: 4, addresses: 4, multiple_addresses: 1, single_address: 2, no_address: 1 });
+    expect(data.address_distribution).toEqual([
+      { address_count: 0, customers: 1 },
+      { address_count: 1, customers: 2 },
+      { address_count: 2, customers: 1 }
+    ]);
+  });
+
+  test('ranks states and cities by number of addresses', async () => {
+    const { body: { data } } = await stats({ from: '2026-03-01', to: '2026-03-15' }).expect(200);
+
+    expect(data.by_state).toEqual([
+      { state: 'Maharashtra', addresses: 3, customers: 2 },
+      { state: 'West Bengal', addresses: 1, customers: 1 }
+    ]);
+    expect(data.by_city).toEqual([
+      { city: 'Pune', state: 'Maharashtra', addresses: 2, customers: 2 },
+      { city: 'Kolkata', state: 'West Bengal', addresses: 1, customers: 1 },
+      { city: 'Mumbai', state: 'Maharashtra', addresses: 1, customers: 1 }
+    ]);
+
+    const topOne = await stats({ from: '2026-03-01', to: '2026-03-15', top: 1 }).expect(200);
+    expect(topOne.body.data.by_state.map(row => row.state)).toEqual(['Maharashtra']);
+    expect(topOne.body.data.by_city.map(row => row.city)).toEqual(['Pune']);
+  });
+
+  test('counts growth per day, week and month with a running total', async () => {
+    const days = await stats({ interval: 'day', from: '2026-03-01', to: '2026-03-04' }).expect(200);
+    expect(days.body.data.growth).toEqual({
+      interval: 'day',
+      from: '2026-03-01',
+      to: '2026-03-04',
+      periods: [
+        { period: '2026-03-01', new_customers: 0, total_customers: 1 },
+        { period: '2026-03-02', new_customers: 1, total_customers: 2 },
+        { period: '2026-03-03', new_customers: 0, total_customers: 2 },
+        { period: '2026-03-04', new_customers: 1, total_customers: 3 }
+      ]
+    });
+
+    // Weeks start on Monday, and the first and last ones are counted whole
+    const weeks = await stats({ interval: 'week', from: '2026-03-01', to: '2026-03-10' }).expect(200);
+    expect(weeks.body.data.growth.periods).toEqual([
+      { period: '2026-02-23', new_customers: 0, total_customers: 1 },
+      { period: '2026-03-02', new_customers: 2, total_customers: 3 },
+      { period: '2026-03-09', new_customers: 1, total_customers: 4 }
+    ]);
+
+    const months = await stats({ interval: 'month', from: '2026-01-20', to: '2026-03-01' }).expect(200);
+    expect(months.body.data.growth.periods).toEqual([
+      { period: '2026-01-01', new_customers: 1, total_customers: 1 },
+      { period: '2026-02-01', new_customers: 0, total_customers: 1 },
+      { period: '2026-03-01', new_customers: 3, total_customers: 4 }
+    ]);
+  });
+
+  test('covers the last 30 days by default', async () => {
+    const { body: { data } } = await stats().expect(200);
+    expect(data.growth.interval).toBe('day');
+    expect(data.growth.periods).toHaveLength(30);
+    expect(data.growth.to).toBe(new Date().toISOString().slice(0, 10));
+  });
+
+  test('refuses a range it cannot chart', async () => {
+    const reversed = await stats({ from: '2026-03-10', to: '2026-03-01' }).expect(400);
+    expect(reversed.body).toEqual({ success: false, message: 'From must not be after to' });
+
+    const tooLong = await stats({ interval: 'day', from: '2024-01-01', to: '2026-03-01' }).expect(400);
+    expect(tooLong.body.message).toBe('Range is too long for interval day; use a longer interval or a shorter range');
+    await stats({ interval: 'month', from: '2024-01-01', to: '2026-03-01' }).expect(200);
+
+    await stats({ interval: 'year' }).expect(400);
+    await stats({ from: 'last week' }).expect(400);
+    await stats({ top: 0 }).expect(400);
+  });
+
+  test('gives zeros for a tenant without customers', async () => {
+    const empty = await createTenant('Empty');
+    expect(await repositoriesFor(empty).statsRepository.totals()).toEqual({
+      customers: 0, addresses: 0, multiple_addresses: 0, single_address: 0, no_address: 0
+    });
+    expect(await repositoriesFor(empty).statsRepository.addressDistribution()).toEqual([]);
+  });
+});
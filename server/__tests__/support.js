@@ -0,0 +1,54 @@
+// Shared setup for tests that go through the application's own database
+// connection. Requiring this first points that connection at a throwaway
+// in-memory SQLite database, whatever DATABASE_URL the shell has.
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const express = require('express');
+const { connection } = require('../database/database');
+const { migrate } = require('../database/migrator');
+const { tenantRepository, apiKeyRepository } = require('../repositories');
+const { requireTenant } = require('../utils/tenant');
+const { signAccessToken } = require('../utils/auth');
+const { createApiKey } = require('../utils/apiKeys');
+const { PERMISSIONS, API_KEY_SCOPES } = require('../utils/permissions');
+
+// Bring the in-memory database up to date; resolves to the id of the default
+// tenant the migrations create
+async function setupDatabase() {
+  await migrate(connection);
+  const { id } = await connection.get('SELECT id FROM tenants ORDER BY id LIMIT 1');
+  return id;
+}
+
+// An app serving `router` at `path` to a signed-in user of tenant `tenantId`
+// with every permission, or with `permissions`
+function createApp(path, router, tenantId, permissions = PERMISSIONS) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 1, username: 'tester', role: 'admin', permissions, tenants: [tenantId] };
+    next();
+  });
+  app.use(path, requireTenant, router);
+  return app;
+}
+
+// Another tenant besides the default one; resolves to its id
+function createTenant(name) {
+  return tenantRepository.create(name);
+}
+
+// Authorization header for the whole app (index.js) of a user with `role`
+// who belongs to `tenantIds`
+function bearer(tenantIds, role = 'admin', username = 'tester') {
+  return `Bearer ${signAccessToken({ id: 1, username, role }, tenantIds)}`;
+}
+
+// A new API key of tenant `tenantId`; resolves to { id, key }
+async function createKey(tenantId, { scopes = API_KEY_SCOPES, expiresAt = null } = {}) {
+  const { key, hash, prefix } = createApiKey();
+  const id = await apiKeyRepository.create(tenantId, { name: 'Test key', prefix, keyHash: hash, scopes, createdBy: null, expiresAt });
+  return { id, key };
+}
+
+module.exports = { connection, setupDatabase, createApp, createTenant, bearer, createKey };
@@ -0,0 +1,150 @@
+const request = require('supertest');
+const { connection, setupDatabase, createTenant, bearer, createKey } = require('./support');
+const app = require('../index');
+const { repositoriesFor } = require('../repositories');
+
+describe('Tenant isolation', () => {
+  let tenantA;
+  let tenantB;
+  let userA;
+  let keyA;
+  // Tenant B's customer and address, which tenant A must never reach
+  let customerB;
+  let addressB;
+
+  beforeAll(async () => {
+    tenantA = await setupDatabase();
+    tenantB = await createTenant('Other');
+    userA = bearer([tenantA]);
+    ({ key: keyA } = await createKey(tenantA));
+
+    await repositoriesFor(tenantA).customerRepository.create(
+      { first_name: 'Asha', last_name: 'Kumar', phone_number: '9000000001', email: 'asha@example.com' },
+      [{ address_line1: '12 MG Road', city: 'Pune', state: 'Maharashtra', pin_code: '411001', is_primary: true }]
+    );
+    const { customerRepository, addressRepository } = repositoriesFor(tenantB);
+    customerB = await customerRepository.create(
+      { first_name: 'Zoravar', last_name: 'Singh', phone_number: '9000000002', email: 'zoravar@example.com' },
+      [{ address_line1: '7 Mall Road', city: 'Shimla', state: 'Himachal Pradesh', pin_code: '171001', is_primary: true }]
+    );
+    [{ id: addressB }] = await addressRepository.listForCustomer(customerB);
+  });
+
+  afterAll(() => connection.close());
+
+  const asUserA = (req) => req.set('Authorization', userA);
+  const asKeyA = (req) => req.set('X-API-Key', keyA);
+
+  describe('picking a tenant the caller does not belong to', () => {
+    test.each([
+      ['a user', asUserA],
+      ['an API key', asKeyA]
+    ])('is refused for %s', async (caller, as) => {
+      for (const path of ['/api/customers', '/api/addresses', `/api/customers/${customerB}`]) {
+        const response = await as(request(app).get(path)).set('X-Tenant-Id', String(tenantB)).expect(403);
+        expect(response.body).toEqual({ success: false, message: 'You do not belong to this organisation' });
+      }
+      await as(request(app).post('/graphql')).set('X-Tenant-Id', String(tenantB)).send({ query: '{ customers { items { id } } }' }).expect(403);
+    });
+
+    test('is refused on routes for users only', async () => {
+      await asUserA(request(app).get('/api/trash')).set('X-Tenant-Id', String(tenantB)).expect(403);
+      await asUserA(request(app).get('/api/stats')).set('X-Tenant-Id', String(tenantB)).expect(403);
+    });
+  });
+
+  describe("another tenant's records", () => {
+    const customerBody = { first_name: 'Hacked', last_name: 'Name', phone_number: '9000000009' };
+    const addressBody = { address_line1: '1 Other Street', city: 'Delhi', state: 'Delhi', pin_code: '110001' };
+
+    test.each([
+      ['a user', asUserA],
+      ['an API key', asKeyA]
+    ])('are not found for %s', async (caller, as) => {
+      await as(request(app).get(`/api/customers/${customerB}`)).expect(404);
+      await as(request(app).put(`/api/customers/${customerB}`)).set('If-Match', '"1"').send(customerBody).expect(404);
+      await as(request(app).delete(`/api/customers/${customerB}`)).set('If-Match', '"1"').expect(404);
+
+      await as(request(app).get(`/api/addresses/${addressB}`)).expect(404);
+      await as(request(app).put(`/api/addresses/${addressB}`)).set('If-Match', '"1"').send(addressBody).expect(404);
+      await as(request(app).delete(`/api/addresses/${addressB}`)).set('If-Match', '"1"').expect(404);
+      await as(request(app).get(`/api/addresses/customer/${customerB}`)).expect(404);
+
+      const stored = await repositoriesFor(tenantB).customerRepository.findById(customerB);
+      expect(stored).toMatchObject({ first_name: 'Zoravar', version: 1, addresses: [expect.objectContaining({ id: addressB, version: 1 })] });
+    });
+
+    test('never appear in lists or search', async () => {
+      const customers = await asUserA(request(app).get('/api/customers')).expect(200);
+      expect(customers.body.data.map(customer => customer.first_name)).toEqual(['Asha']);
+
+      const search = await asUserA(request(app).get('/api/customers').query({ search: 'Zoravar' })).expect(200);
+      expect(search.body.pagination.total).toBe(0);
+
+      const byCity = await asKeyA(request(app).get('/api/customers').query({ city: 'Shimla' })).expect(200);
+      expect(byCity.body.data).toEqual([]);
+
+      const addresses = await asUserA(request(app).get('/api/addresses')).expect(200);
+      expect(addresses.body.data.map(address => address.city)).toEqual(['Pune']);
+
+      const trash = await asUserA(request(app).get('/api/trash')).expect(200);
+      expect(JSON.stringify(trash.body)).not.toContain('Zoravar');
+    });
+
+    test('never appear in exports', async () => {
+      const customers = await asUserA(request(app).get('/api/customers/export').query({ format: 'ndjson' })).expect(200);
+      const records = customers.text.trim().split('\n').map(line => JSON.parse(line));
+      expect(records.map(record => record.first_name)).toEqual(['Asha']);
+
+      const csv = await asUserA(request(app).get('/api/customers/export').query({ format: 'csv' })).expect(200);
+      expect(csv.text).not.toContain('Zoravar');
+
+      const addresses = await asUserA(request(app).get('/api/addresses/export').query({ format: 'csv' })).expect(200);
+      expect(addresses.text).not.toContain('Shimla');
+    });
+
+    test('never appear in GraphQL', async () => {
+      const response = await asKeyA(request(app).post('/graphql')).send({
+        query: `{
+          customers(search: "Zoravar") { items { id } }
+          all: customers { items { first_name } }
+          addresses { items { city } }
+          customer(id: ${customerB}) { id }
+          address(id: ${addressB}) { id }
+        }`
+      }).expect(200);
+
+      expect(response.body.errors).toBeUndefined();
+      expect(response.body.data).toEqual({
+        customers: { items: [] },
+        all: { items: [{ first_name: 'Asha' }] },
+        addresses: { items: [{ city: 'Pune' }] },
+        customer: null,
+        address: null
+      });
+    });
+  });
+
+  describe('phone number and email uniqueness', () => {
+    test('applies within a tenant, not across tenants', async () => {
+      // Tenant B already has this phone number and email
+      const taken = { first_name: 'Zoravar', last_name: 'Singh', phone_number: '9000000002', email: 'zoravar@example.com' };
+      await asUserA(request(app).post('/api/customers')).send(taken).expect(201);
+
+      const samePhone = await asUserA(request(app).post('/api/customers'))
+        .send({ ...taken, email: 'someone.else@example.com' })
+        .expect(400);
+      expect(samePhone.body.message).toMatch(/phone number/i);
+
+      const sameEmail = await asUserA(request(app).post('/api/customers'))
+        .send({ ...taken, phone_number: '9000000003' })
+        .expect(400);
+      expect(sameEmail.body.message).toMatch(/email/i);
+
+      const counts = await connection.all(
+        "SELECT tenant_id, COUNT(*) as customers FROM customers WHERE phone_number = '9000000002' GROUP BY tenant_id ORDER BY tenant_id"
+      );
+      expect(counts).toEqual([{ tenant_id: tenantA, customers: 1 }, { tenant_id: tenantB, customers: 1 }]);
+    });
+  });
+});
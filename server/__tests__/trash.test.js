@@ -0,0 +1,127 @@
+const request = require('supertest');
+const { connection, setupDatabase, createApp } = require('./support');
+const trashRoutes = require('../routes/trash');
+const addressRoutes = require('../routes/addresses');
+const { repositoriesFor } = require('../repositories');
+
+describe('Trash', () => {
+  let app;
+  let addressApp;
+  let customers;
+  let addresses;
+
+  beforeAll(async () => {
+    const tenantId = await setupDatabase();
+    app = createApp('/api/trash', trashRoutes, tenantId);
+    addressApp = createApp('/api/addresses', addressRoutes, tenantId);
+    ({ customerRepository: customers, addressRepository: addresses } = repositoriesFor(tenantId));
+  });
+
+  afterAll(() => connection.close());
+
+  let phone = 9000000000;
+  async function trashedCustomer() {
+    phone++;
+    const id = await customers.create(
+      { first_name: 'Asha', last_name: 'Kumar', phone_number: String(phone) },
+      [{ address_line1: '12 MG Road', city: 'Pune', state: 'Maharashtra', pin_code: '411001' }]
+    );
+    await customers.delete(id);
+    return id;
+  }
+
+  test('DELETE /api/trash/:id?purge=true permanently deletes a customer and its addresses', async () => {
+    const id = await trashedCustomer();
+
+    const response = await request(app).delete(`/api/trash/${id}?purge=true`).expect(200);
+    expect(response.body).toMatchObject({ success: true, message: 'Customer permanently deleted' });
+    expect(await connection.get('SELECT id FROM customers WHERE id = ?', [id])).toBeUndefined();
+    expect(await connection.get('SELECT id FROM addresses WHERE customer_id = ?', [id])).toBeUndefined();
+  });
+
+  test('DELETE /api/trash/customers/:id?purge=true does the same', async () => {
+    const id = await trashedCustomer();
+
+    await request(app).delete(`/api/trash/customers/${id}?purge=true`).expect(200);
+    expect(await connection.get('SELECT id FROM customers WHERE id = ?', [id])).toBeUndefined();
+  });
+
+  test('requires purge=true', async () => {
+    const id = await trashedCustomer();
+
+    const response = await request(app).delete(`/api/trash/${id}`).expect(400);
+    expect(response.body.message).toBe('Set purge=true to permanently delete');
+    expect(await connection.get('SELECT id FROM customers WHERE id = ?', [id])).toEqual({ id });
+  });
+
+  test('only deletes customers that are in the trash', async () => {
+    phone++;
+    const id = await customers.create({ first_name: 'Ravi', last_name: 'Shah', phone_number: String(phone) });
+
+    await request(app).delete(`/api/trash/${id}?purge=true`).expect(404);
+    expect(await customers.findById(id)).toBeDefined();
+  });
+
+  test('GET /api/trash lists each trashed customer with the addresses trashed along with it', async () => {
+    const first = await trashedCustomer();
+    const second = await trashedCustomer();
+
+    const { body: { data } } = await request(app).get('/api/trash').expect(200);
+    for (const id of [first, second]) {
+      const customer = data.customers.find(trashed => trashed.id === id);
+      expect(customer.addresses).toEqual([expect.objectContaining({ customer_id: id, address_line1: '12 MG Road' })]);
+    }
+  });
+
+  describe('an address trashed before its customer', () => {
+    async function trashAddressThenCustomer() {
+      phone++;
+      const customerId = await customers.create(
+        { first_name: 'Meena', last_name: 'Iyer', phone_number: String(phone) },
+        [
+          { address_line1: '12 MG Road', city: 'Pune', state: 'Maharashtra', pin_code: '411001', is_primary: true },
+          { address_line1: '4 Park Street', city: 'Kolkata', state: 'West Bengal', pin_code: '700016' }
+        ]
+      );
+      const [kept, trashed] = await addresses.listForCustomer(customerId);
+      await addresses.delete(trashed.id, customerId);
+      await customers.delete(customerId);
+      return { customerId, keptId: kept.id, addressId: trashed.id };
+    }
+
+    test('stays in the trash on its own', async () => {
+      const { customerId, keptId, addressId } = await trashAddressThenCustomer();
+
+      const { body: { data } } = await request(app).get('/api/trash').expect(200);
+      expect(data.addresses.map(address => address.id)).toContain(addressId);
+      expect(data.addresses.map(address => address.id)).not.toContain(keptId);
+      const customer = data.customers.find(trashed => trashed.id === customerId);
+      expect(customer.addresses.map(address => address.id)).toEqual([keptId]);
+    });
+
+    test('is restored after its customer, not with it', async () => {
+      const { customerId, keptId, addressId } = await trashAddressThenCustomer();
+
+      const early = await request(addressApp).post(`/api/addresses/${addressId}/restore`).expect(409);
+      expect(early.body.message).toBe('Restore the customer to restore this address');
+
+      await customers.restore(customerId);
+      expect((await addresses.listForCustomer(customerId)).map(address => address.id)).toEqual([keptId]);
+      const { body: { data } } = await request(app).get('/api/trash').expect(200);
+      expect(data.addresses.map(address => address.id)).toContain(addressId);
+
+      await request(addressApp).post(`/api/addresses/${addressId}/restore`).expect(200);
+      expect((await addresses.listForCustomer(customerId)).map(address => address.id).sort()).toEqual([keptId, addressId].sort());
+    });
+
+    test('can be purged while its customer is in the trash', async () => {
+      const { customerId, keptId, addressId } = await trashAddressThenCustomer();
+
+      await request(app).delete(`/api/trash/addresses/${addressId}?purge=true`).expect(200);
+      expect(await connection.get('SELECT id FROM addresses WHERE id = ?', [addressId])).toBeUndefined();
+
+      await customers.restore(customerId);
+      expect((await addresses.listForCustomer(customerId)).map(address => address.id)).toEqual([keptId]);
+    });
+  });
+});
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const http = require('http');
+const request = require('supertest');
+const { connection, setupDatabase, createApp } = require('./support');
+const { webhookRepository } = require('../repositories');
+const webhookRoutes = require('../routes/webhooks');
+const { createWebhookSecret, createWebhookWorker } = require('../utils/webhooks');
+
+// The receiver listens on loopback, which only the allowlist lets through
+const SETTINGS = { maxAttempts: 3, retryBaseSeconds: 0.05, timeoutMs: 200, pollIntervalMs: 60000, allowedHosts: ['127.0.0.1'] };
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Webhook deliveries', () => {
+  let tenantId;
+  let server;
+  let url;
+  let worker;
+  // What the receiver does with each request, in order: a status to answer
+  // with, or 'hang' to answer only after the worker has given up. Requests
+  // beyond the list are answered with 200.
+  let replies;
+  let received;
+
+  beforeAll(async () => {
+    tenantId = await setupDatabase();
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        const reply = replies.shift() || 200;
+        if (reply === 'hang') {
+          setTimeout(() => res.writeHead(200).end(), SETTINGS.timeoutMs * 2);
+        } else {
+          res.writeHead(reply).end();
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+    worker = createWebhookWorker(SETTINGS);
+  });
+
+  afterAll(async () => {
+    await worker.stop();
+    await new Promise(resolve => server.close(resolve));
+    await connection.close();
+  });
+
+  let webhookId;
+  let secret;
+  beforeEach(async () => {
+    replies = [];
+    received = [];
+    secret = createWebhookSecret();
+    webhookId = await webhookRepository.create(tenantId, { url, events: ['customer.created'], secret });
+  });
+
+  afterEach(() => webhookRepository.delete(tenantId, webhookId));
+
+  function customerCreated() {
+    return {
+      id: crypto.randomUUID(),
+      type: 'customer.created',
+      tenantId,
+      created_at: new Date().toISOString(),
+      data: { customer: { id: 1, first_name: 'Asha', last_name: 'Kumar' } }
+    };
+  }
+
+  async function onlyDelivery() {
+    const deliveries = await webhookRepository.findDeliveries(webhookId);
+    expect(deliveries).toHaveLength(1);
+    return deliveries[0];
+  }
+
+  // Milliseconds between a delivery's last attempt and its next one
+  function backoff(delivery) {
+    return new Date(delivery.next_attempt_at) - new Date(delivery.last_attempt_at);
+  }
+
+  test('signs the body with the webhook secret', async () => {
+    const event = customerCreated();
+    await worker.enqueue(event);
+    await worker.processDue();
+
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    expect(headers['x-webhook-event']).toBe('customer.created');
+    expect(headers['x-webhook-delivery']).toBe(event.id);
+    expect(JSON.parse(body)).toEqual({ id: event.id, type: event.type, created_at: event.created_at, data: event.data });
+
+    const [, timestamp, signature] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    expect(signature).toBe(expected);
+    expect(Math.abs(Date.now() / 1000 - Number(timestamp))).toBeLessThan(5);
+
+    expect(await onlyDelivery()).toMatchObject({
+      event_id: event.id,
+      status: 'succeeded',
+      attempts: 1,
+      response_status: 200,
+      error: null,
+      next_attempt_at: null
+    });
+  });
+
+  test('retries with exponential backoff after a 5xx answer and a timeout', async () => {
+    replies = [503, 'hang'];
+    const event = customerCreated();
+    await worker.enqueue(event);
+    await worker.processDue();
+
+    let delivery = await onlyDelivery();
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, response_status: 503, error: 'Receiver answered 503' });
+    expect(backoff(delivery)).toBe(50);
+
+    // Not due yet
+    await worker.processDue();
+    expect(received).toHaveLength(1);
+
+    await wait(60);
+    await worker.processDue();
+    delivery = await onlyDelivery();
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 2, response_status: null, error: 'Timed out' });
+    expect(backoff(delivery)).toBe(100);
+
+    await wait(110);
+    await worker.processDue();
+    expect(await onlyDelivery()).toMatchObject({
+      status: 'succeeded',
+      attempts: 3,
+      response_status: 200,
+      error: null,
+      next_attempt_at: null
+    });
+
+    // Every attempt is the same delivery of the same body
+    expect(received).toHaveLength(3);
+    expect(new Set(received.map(({ headers }) => headers['x-webhook-delivery']))).toEqual(new Set([event.id]));
+    expect(new Set(received.map(({ body }) => body)).size).toBe(1);
+  });
+
+  test('records a delivery as failed once its attempts run out', async () => {
+    replies = [500, 500, 500, 500];
+    await worker.enqueue(customerCreated());
+    await worker.processDue();
+    await wait(60);
+    await worker.processDue();
+    await wait(110);
+    await worker.processDue();
+
+    const delivery = await onlyDelivery();
+    expect(delivery).toMatchObject({
+      status: 'failed',
+      attempts: SETTINGS.maxAttempts,
+      response_status: 500,
+      error: 'Receiver answered 500',
+      next_attempt_at: null
+    });
+    expect(delivery.last_attempt_at).not.toBeNull();
+
+    // A failed delivery is not attempted again
+    await wait(250);
+    await worker.processDue();
+    expect(received).toHaveLength(SETTINGS.maxAttempts);
+  });
+
+  describe('private destinations', () => {
+    test('are not delivered to unless allowed', async () => {
+      const strict = createWebhookWorker({ ...SETTINGS, allowedHosts: [] });
+      await strict.enqueue(customerCreated());
+      await strict.processDue();
+      await strict.stop();
+
+      expect(received).toHaveLength(0);
+      expect(await onlyDelivery()).toMatchObject({
+        status: 'pending',
+        attempts: 1,
+        response_status: null,
+        error: '127.0.0.1 is not a public address'
+      });
+    });
+
+    test('are found by resolving the host name', async () => {
+      await webhookRepository.update(tenantId, webhookId, {
+        url: url.replace('127.0.0.1', 'localhost'),
+        events: ['customer.created'],
+        active: true
+      });
+      const strict = createWebhookWorker({ ...SETTINGS, allowedHosts: [] });
+      await strict.enqueue(customerCreated());
+      await strict.processDue();
+      await strict.stop();
+
+      expect(received).toHaveLength(0);
+      expect((await onlyDelivery()).error).toMatch(/^localhost resolves to (127\.0\.0\.1|::1), which is not a public address$/);
+    });
+
+    test('cannot be saved unless allowed', async () => {
+      const app = createApp('/api/webhooks', webhookRoutes, tenantId);
+      const create = (hookUrl) => request(app).post('/api/webhooks').send({ url: hookUrl, events: ['customer.created'] });
+
+      for (const hookUrl of [
+        'http://169.254.169.254/latest/meta-data/',
+        'http://127.0.0.1:5000/hook',
+        'http://localhost/hook',
+        'http://10.0.0.5/hook',
+        'http://192.168.1.20/hook',
+        'http://[::1]/hook'
+      ]) {
+        const response = await create(hookUrl).expect(400);
+        expect(response.body.errors).toEqual([
+          expect.objectContaining({ path: 'url', msg: 'URL must not point at this server or a private network' })
+        ]);
+      }
+
+      process.env.WEBHOOK_ALLOWED_HOSTS = 'hooks.internal, 10.0.0.5';
+      try {
+        const allowed = await create('http://10.0.0.5/hook').expect(201);
+        await webhookRepository.delete(tenantId, allowed.body.data.id);
+      } finally {
+        delete process.env.WEBHOOK_ALLOWED_HOSTS;
+      }
+
+      // Names are only resolved when delivering
+      const named = await create('https://hooks.example.com/customers').expect(201);
+      await webhookRepository.delete(tenantId, named.body.data.id);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+// Command line entry point for timing the customer list endpoints on a large
+// data set.
+//   node database/benchmark.js [customers] [--per-customer]
+// Seeds a separate database (BENCHMARK_DATABASE_URL, database/benchmark.db by
+// default) with `customers` customers (100000 by default) and their
+// addresses, then requests each endpoint a few times over HTTP and reports
+// the median and slowest response times and the queries each request ran.
+// --per-customer times the old way of loading addresses, one query per
+// customer, for comparison.
+const path = require('path');
+
+process.env.DATABASE_URL = process.env.BENCHMARK_DATABASE_URL || `sqlite:${path.join(__dirname, 'benchmark.db')}`;
+
+const express = require('express');
+const { connection } = require('./database');
+const { migrate } = require('./migrator');
+const { CustomerRepository } = require('../repositories');
+const { requireTenant } = require('../utils/tenant');
+const { PERMISSIONS } = require('../utils/permissions');
+const customerRoutes = require('../routes/customers');
+
+const DEFAULT_CUSTOMERS = 100000;
+const RUNS = 5;
+// Rows per INSERT while seeding
+const SEED_BATCH_SIZE = 500;
+
+const CITIES = [
+  ['Pune', 'Maharashtra', '411001'],
+  ['Mumbai', 'Maharashtra', '400001'],
+  ['Chennai', 'Tamil Nadu', '600001'],
+  ['Bengaluru', 'Karnataka', '560001'],
+  ['Jaipur', 'Rajasthan', '302001'],
+  ['Kolkata', 'West Bengal', '700001']
+];
+
+const REQUESTS = [
+  '/api/customers?limit=100',
+  '/api/customers?limit=100&page=500',
+  '/api/customers?limit=100&city=Pune',
+  '/api/customers?limit=100&search=name12',
+  '/api/customers/multiple-addresses?limit=100',
+  '/api/customers/single-address?limit=100',
+  '/api/customers?limit=100&max_addresses=0'
+];
+
+// Customer i has i % 4 addresses: a quarter none, a quarter one and the rest
+// two or three
+function addressesOf(i) {
+  return Array.from({ length: i % 4 }, (_, n) => {
+    const [city, state, pinCode] = CITIES[(i + n) % CITIES.length];
+    return [`${n + 1} Benchmark Road, Block ${i % 97}`, city, state, pinCode, n === 0];
+  });
+}
+
+async function insertRows(table, columns, rows) {
+  const placeholders = `(${columns.map(() => '?').join(', ')})`;
+  for (let start = 0; start < rows.length; start += SEED_BATCH_SIZE) {
+    const batch = rows.slice(start, start + SEED_BATCH_SIZE);
+    await connection.run(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${batch.map(() => placeholders).join(', ')}`,
+      batch.flat()
+    );
+  }
+}
+
+// Add customers until the tenant has `count` of them
+async function seed(tenantId, count) {
+  const { existing } = await connection.get('SELECT COUNT(*) as existing FROM customers WHERE tenant_id = ?', [tenantId]);
+  if (existing >= count) return;
+
+  console.log(`Seeding ${count - existing} customers...`);
+  for (let first = existing; first < count; first += SEED_BATCH_SIZE * 10) {
+    const ids = Array.from({ length: Math.min(SEED_BATCH_SIZE * 10, count - first) }, (_, n) => first + n);
+    await connection.transaction(async () => {
+      await insertRows('customers', ['tenant_id', 'first_name', 'last_name', 'phone_number', 'email', 'has_multiple_addresses', 'only_one_address'], ids.map(i => [
+        tenantId, 'Bench', `Name${i}`, String(6000000000 + i), `bench${i}@example.com`, i % 4 > 1, i % 4 === 1
+      ]));
+      const rows = await connection.all(
+        `SELECT id, phone_number FROM customers WHERE tenant_id = ? AND phone_number IN (${ids.map(() => '?').join(', ')})`,
+        [tenantId, ...ids.map(i => String(6000000000 + i))]
+      );
+      await insertRows(
+        'addresses',
+        ['tenant_id', 'customer_id', 'address_line1', 'city', 'state', 'pin_code', 'is_primary'],
+        rows.flatMap(({ id, phone_number }) => addressesOf(Number(phone_number) - 6000000000).map(address => [tenantId, id, ...address]))
+      );
+    });
+  }
+}
+
+// The address loading the list endpoints used before it was batched
+function loadAddressesPerCustomer() {
+  CustomerRepository.prototype.withAddresses = function (customers, filters = {}) {
+    return Promise.all(customers.map(async (customer) => ({
+      ...customer,
+      addresses: await this.addresses.listForCustomer(customer.id, filters)
+    })));
+  };
+}
+
+// Count the queries run on the connection while `work` runs
+async function countQueries(work) {
+  let queries = 0;
+  const methods = ['all', 'get', 'run'].map(name => [name, connection[name]]);
+  for (const [name, method] of methods) {
+    connection[name] = (...args) => {
+      queries++;
+      return method(...args);
+    };
+  }
+  try {
+    await work();
+  } finally {
+    for (const [name, method] of methods) connection[name] = method;
+  }
+  return queries;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const perCustomer = args.includes('--per-customer');
+  const count = parseInt(args.find(arg => /^\d+$/.test(arg))) || DEFAULT_CUSTOMERS;
+
+  await migrate(connection);
+  const { id: tenantId } = await connection.get('SELECT id FROM tenants ORDER BY id LIMIT 1');
+  await seed(tenantId, count);
+  if (perCustomer) loadAddressesPerCustomer();
+
+  // Signed in as someone allowed to read the tenant's customers
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { id: 0, username: 'benchmark', permissions: PERMISSIONS, tenants: [tenantId] };
+    next();
+  });
+  app.use('/api/customers', requireTenant, customerRoutes);
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  console.log(`${count} customers, addresses loaded ${perCustomer ? 'per customer' : 'in batches'}\n`);
+  console.log('request'.padEnd(42), 'median ms'.padStart(10), 'max ms'.padStart(8), 'queries'.padStart(8), 'rows'.padStart(7));
+  try {
+    for (const url of REQUESTS) {
+      const times = [];
+      let queries = 0;
+      let rows = 0;
+      for (let run = 0; run <= RUNS; run++) {
+        const started = process.hrtime.bigint();
+        queries = await countQueries(async () => {
+          const response = await fetch(base + url);
+          rows = (await response.json()).data.length;
+        });
+        // The first run warms caches and is not counted
+        if (run > 0) times.push(Number(process.hrtime.bigint() - started) / 1e6);
+      }
+      console.log(url.padEnd(42), median(times).toFixed(1).padStart(10), Math.max(...times).toFixed(1).padStart(8), String(queries).padStart(8), String(rows).padStart(7));
+    }
+  } finally {
+    server.close();
+  }
+}
+
+main()
+  .then(() => connection.close())
+  .catch(async (error) => {
+    console.error(error.message);
+    await connection.close();
+    process.exit(1);
+  });
@@ -0,0 +1,57 @@
+// Command line entry point for managing users who can sign in.
+//   node database/create-user.js <username> <password> [role] [tenant]
+// Creates the user, or sets a new password (and role, if given) if the
+// username already exists. Roles are listed in utils/permissions.js; new
+// users are agents unless a role is given. The user is added to `tenant`
+// (created if it does not exist yet, "Default" when omitted); run again with
+// another tenant to add them to more than one.
+const { connection } = require('./database');
+const { UserRepository } = require('../repositories/UserRepository');
+const { TenantRepository } = require('../repositories/TenantRepository');
+const { hashPassword } = require('../utils/auth');
+const { ROLES } = require('../utils/permissions');
+
+const MIN_PASSWORD_LENGTH = 8;
+const DEFAULT_TENANT = 'Default';
+
+async function main() {
+  const [username, password, role, tenantName = DEFAULT_TENANT] = process.argv.slice(2);
+  if (!username || !password) {
+    throw new Error('Usage: node database/create-user.js <username> <password> [role] [tenant]');
+  }
+  if (role && !ROLES.includes(role)) {
+    throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const users = new UserRepository(connection);
+  const tenants = new TenantRepository(connection);
+  const passwordHash = await hashPassword(password);
+  const existing = await users.findByUsername(username);
+
+  await connection.transaction(async () => {
+    const tenant = await tenants.findByName(tenantName);
+    const tenantId = tenant ? tenant.id : await tenants.create(tenantName);
+
+    if (existing) {
+      await users.setPassword(existing.id, passwordHash);
+      if (role) await users.setRole(existing.id, role);
+      await users.revokeUserSessions(existing.id);
+      await tenants.addMember(tenantId, existing.id);
+      console.log(`Updated ${username} (${role || existing.role}) in ${tenantName}`);
+    } else {
+      const userId = await users.create(username, passwordHash, role || 'agent');
+      await tenants.addMember(tenantId, userId);
+      console.log(`Created ${username} (${role || 'agent'}) in ${tenantName}`);
+    }
+  });
+}
+
+main()
+  .catch((error) => {
+    console.error('Failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => connection.close());
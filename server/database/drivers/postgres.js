@@ -0,0 +1,126 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// pg type OIDs whose default parsing differs from what SQLite returns
+const INT8_OID = 20;
+const TIMESTAMP_OID = 1114;
+
+// Parse COUNT(*) results as numbers and keep timestamps as the database's own
+// text, the way the SQLite driver returns them
+function getTypeParser(pgTypes) {
+  return (oid, format) => {
+    if (oid === INT8_OID) return value => parseInt(value, 10);
+    if (oid === TIMESTAMP_OID) return value => value;
+    return pgTypes.getTypeParser(oid, format);
+  };
+}
+
+// SQLite has no boolean type and returns flags such as is_primary as 1/0;
+// do the same here so API responses do not depend on the driver
+function normalizeRow(row) {
+  for (const key of Object.keys(row)) {
+    if (typeof row[key] === 'boolean') {
+      row[key] = row[key] ? 1 : 0;
+    }
+  }
+  return row;
+}
+
+// Rewrite SQLite-style `?` placeholders as $1, $2, ... skipping quoted text
+function toPositionalParams(sql) {
+  let index = 0;
+  let quote = null;
+  let result = '';
+
+  for (const char of sql) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '?') {
+      result += `$${++index}`;
+      continue;
+    }
+    result += char;
+  }
+
+  return result;
+}
+
+// PostgreSQL storage driver with the same interface as the SQLite driver.
+// Accepts a connection string, or an existing pg-compatible Pool (used to
+// run against pg-mem).
+function createPostgresDriver({ connectionString, pool } = {}) {
+  if (!pool) {
+    const pg = require('pg');
+    pool = new pg.Pool({ connectionString, types: { getTypeParser: getTypeParser(pg.types) } });
+  }
+
+  // Statements issued inside transaction() go to its dedicated client
+  const transactionContext = new AsyncLocalStorage();
+
+  function query(sql, params = []) {
+    const client = transactionContext.getStore() || pool;
+    return client.query(toPositionalParams(sql), params);
+  }
+
+  async function run(sql, params = []) {
+    // Postgres has no lastID; ask INSERTs to hand back the new row instead
+    const isInsert = /^\s*INSERT\b/i.test(sql) && !/\bRETURNING\b/i.test(sql);
+    const result = await query(isInsert ? `${sql} RETURNING *` : sql, params);
+    return {
+      lastID: isInsert && result.rows[0] ? result.rows[0].id : undefined,
+      changes: result.rowCount
+    };
+  }
+
+  async function get(sql, params = []) {
+    const { rows } = await query(sql, params);
+    return rows[0] && normalizeRow(rows[0]);
+  }
+
+  async function all(sql, params = []) {
+    const { rows } = await query(sql, params);
+    return rows.map(normalizeRow);
+  }
+
+  // Run `work` inside BEGIN/COMMIT on one pooled client, rolling back if it
+  // throws. Nested calls join the transaction that is already open.
+  async function transaction(work) {
+    if (transactionContext.getStore()) {
+      return work();
+    }
+
+    const client = await pool.connect();
+    try {
+      return await transactionContext.run(client, async () => {
+        await client.query('BEGIN');
+        try {
+          const value = await work();
+          await client.query('COMMIT');
+          return value;
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        }
+      });
+    } finally {
+      client.release();
+    }
+  }
+
+  // SQLSTATE class 23 covers NOT NULL, UNIQUE, FOREIGN KEY and CHECK failures
+  function isConstraintError(error) {
+    return typeof error.code === 'string' && error.code.startsWith('23');
+  }
+
+  function close() {
+    return pool.end();
+  }
+
+  return { dialect: 'postgres', run, get, all, transaction, isConstraintError, close };
+}
+
+module.exports = {
+  createPostgresDriver,
+  toPositionalParams
+};
@@ -0,0 +1,100 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3').verbose();
+
+// SQLite storage driver. Wraps the callback-style sqlite3 API in the promise
+// interface shared by every driver:
+//   run(sql, params)   -> { lastID, changes }
+//   get(sql, params)   -> first row or undefined
+//   all(sql, params)   -> array of rows
+//   transaction(work)  -> result of work(), committed or rolled back
+//   isConstraintError(error), close(), dialect
+function createSqliteDriver(filename) {
+  const db = new sqlite3.Database(filename);
+
+  // All requests share this one connection. While a transaction is open,
+  // statements from other requests wait for it so they never run inside it;
+  // the transaction's own statements are recognised through async context.
+  const transactionContext = new AsyncLocalStorage();
+  let transactionQueue = Promise.resolve();
+
+  function outsideTransaction() {
+    return transactionContext.getStore() ? Promise.resolve() : transactionQueue;
+  }
+
+  async function run(sql, params = []) {
+    await outsideTransaction();
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  async function get(sql, params = []) {
+    await outsideTransaction();
+    return new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row);
+      });
+    });
+  }
+
+  async function all(sql, params = []) {
+    await outsideTransaction();
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows);
+      });
+    });
+  }
+
+  // Run `work` inside BEGIN/COMMIT, rolling back if it throws. Nested calls
+  // join the transaction that is already open.
+  function transaction(work) {
+    if (transactionContext.getStore()) {
+      return work();
+    }
+
+    const result = transactionQueue.then(() => transactionContext.run(true, async () => {
+      await run('BEGIN IMMEDIATE');
+      try {
+        const value = await work();
+        await run('COMMIT');
+        return value;
+      } catch (error) {
+        await run('ROLLBACK');
+        throw error;
+      }
+    }));
+    transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  function isConstraintError(error) {
+    return error.code === 'SQLITE_CONSTRAINT';
+  }
+
+  function close() {
+    return new Promise((resolve, reject) => {
+      db.close(err => (err ? reject(err) : resolve()));
+    });
+  }
+
+  return { dialect: 'sqlite', run, get, all, transaction, isConstraintError, close };
+}
+
+module.exports = {
+  createSqliteDriver
+};
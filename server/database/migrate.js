@@ -0,0 +1,47 @@
+// Command line entry point for the schema migration runner.
+//   node database/migrate.js up              Apply all pending migrations
+//   node database/migrate.js down [steps]    Roll back the last N migrations (default 1)
+//   node database/migrate.js status          List migrations and whether they are applied
+const { connection } = require('./database');
+const { migrate, rollback, getStatus } = require('./migrator');
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrate(connection);
+      if (applied.length === 0) {
+        console.log('No pending migrations');
+      }
+      applied.forEach(m => console.log(`Applied ${m.version}_${m.name}`));
+      break;
+    }
+    case 'down': {
+      const steps = parseInt(arg) || 1;
+      const reverted = await rollback(connection, steps);
+      if (reverted.length === 0) {
+        console.log('No migrations to roll back');
+      }
+      reverted.forEach(m => console.log(`Rolled back ${m.version}_${m.name}`));
+      break;
+    }
+    case 'status': {
+      const status = await getStatus(connection);
+      status.forEach(m => {
+        const state = m.applied ? `applied ${m.applied_at}` : 'pending';
+        console.log(`${m.version}_${m.name}  ${state}`);
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down or status.`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => connection.close());
@@ -0,0 +1,89 @@
+// Initial customers/addresses schema. Uses IF NOT EXISTS so databases created
+// before the migration runner existed can adopt it without losing data.
+module.exports = {
+  up: async (db) => {
+    if (db.dialect === 'postgres') {
+      await createPostgresTables(db);
+    } else {
+      await createSqliteTables(db);
+    }
+
+    // Indexes for better performance
+    await db.run('CREATE INDEX IF NOT EXISTS idx_customers_phone ON customers(phone_number)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_customers_email ON customers(email)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_addresses_customer_id ON addresses(customer_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_addresses_city ON addresses(city)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_addresses_state ON addresses(state)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_addresses_pin_code ON addresses(pin_code)');
+  },
+
+  down: async (db) => {
+    await db.run('DROP TABLE IF EXISTS addresses');
+    await db.run('DROP TABLE IF EXISTS customers');
+  }
+};
+
+async function createSqliteTables(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS customers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      first_name TEXT NOT NULL,
+      last_name TEXT NOT NULL,
+      phone_number TEXT UNIQUE NOT NULL,
+      email TEXT UNIQUE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      has_multiple_addresses BOOLEAN DEFAULT FALSE,
+      only_one_address BOOLEAN DEFAULT FALSE
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS addresses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_id INTEGER NOT NULL,
+      address_line1 TEXT NOT NULL,
+      address_line2 TEXT,
+      city TEXT NOT NULL,
+      state TEXT NOT NULL,
+      pin_code TEXT NOT NULL,
+      country TEXT DEFAULT 'India',
+      is_primary BOOLEAN DEFAULT FALSE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers (id) ON DELETE CASCADE
+    )
+  `);
+}
+
+async function createPostgresTables(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS customers (
+      id SERIAL PRIMARY KEY,
+      first_name TEXT NOT NULL,
+      last_name TEXT NOT NULL,
+      phone_number TEXT UNIQUE NOT NULL,
+      email TEXT UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      has_multiple_addresses BOOLEAN DEFAULT FALSE,
+      only_one_address BOOLEAN DEFAULT FALSE
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS addresses (
+      id SERIAL PRIMARY KEY,
+      customer_id INTEGER NOT NULL REFERENCES customers (id) ON DELETE CASCADE,
+      address_line1 TEXT NOT NULL,
+      address_line2 TEXT,
+      city TEXT NOT NULL,
+      state TEXT NOT NULL,
+      pin_code TEXT NOT NULL,
+      country TEXT DEFAULT 'India',
+      is_primary BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
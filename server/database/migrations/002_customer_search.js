@@ -0,0 +1,96 @@
+// Full-text index over customers and their addresses. One customer_search row
+// per customer (rowid = customers.id) holds the name, contact details and the
+// concatenated text of every address, kept current by triggers.
+//
+// FTS5 is SQLite-only; on PostgreSQL this migration is a no-op and customer
+// search falls back to LIKE matching.
+
+// Address text for one customer, as stored in customer_search.addresses
+const addressText = (customerId) => `
+  COALESCE((
+    SELECT group_concat(address_line1 || ' ' || COALESCE(address_line2, '') || ' ' || city || ' ' || state || ' ' || pin_code, ' ')
+    FROM addresses
+    WHERE customer_id = ${customerId}
+  ), '')
+`;
+
+const refreshAddresses = (customerId) => `
+  UPDATE customer_search SET addresses = ${addressText(customerId)} WHERE rowid = ${customerId};
+`;
+
+module.exports = {
+  up: async (db) => {
+    if (db.dialect !== 'sqlite') return;
+
+    await db.run(`
+      CREATE VIRTUAL TABLE customer_search USING fts5(
+        name,
+        phone_number,
+        email,
+        addresses,
+        tokenize = 'unicode61'
+      )
+    `);
+
+    await db.run(`
+      CREATE TRIGGER customers_search_insert AFTER INSERT ON customers BEGIN
+        INSERT INTO customer_search (rowid, name, phone_number, email, addresses)
+        VALUES (new.id, new.first_name || ' ' || new.last_name, new.phone_number, COALESCE(new.email, ''), ${addressText('new.id')});
+      END
+    `);
+
+    await db.run(`
+      CREATE TRIGGER customers_search_update AFTER UPDATE OF first_name, last_name, phone_number, email ON customers BEGIN
+        UPDATE customer_search
+        SET name = new.first_name || ' ' || new.last_name,
+            phone_number = new.phone_number,
+            email = COALESCE(new.email, '')
+        WHERE rowid = new.id;
+      END
+    `);
+
+    await db.run(`
+      CREATE TRIGGER customers_search_delete AFTER DELETE ON customers BEGIN
+        DELETE FROM customer_search WHERE rowid = old.id;
+      END
+    `);
+
+    await db.run(`
+      CREATE TRIGGER addresses_search_insert AFTER INSERT ON addresses BEGIN
+        ${refreshAddresses('new.customer_id')}
+      END
+    `);
+
+    await db.run(`
+      CREATE TRIGGER addresses_search_update AFTER UPDATE ON addresses BEGIN
+        ${refreshAddresses('old.customer_id')}
+        ${refreshAddresses('new.customer_id')}
+      END
+    `);
+
+    await db.run(`
+      CREATE TRIGGER addresses_search_delete AFTER DELETE ON addresses BEGIN
+        ${refreshAddresses('old.customer_id')}
+      END
+    `);
+
+    // Index the customers that already exist
+    await db.run(`
+      INSERT INTO customer_search (rowid, name, phone_number, email, addresses)
+      SELECT c.id, c.first_name || ' ' || c.last_name, c.phone_number, COALESCE(c.email, ''), ${addressText('c.id')}
+      FROM customers c
+    `);
+  },
+
+  down: async (db) => {
+    if (db.dialect !== 'sqlite') return;
+
+    await db.run('DROP TRIGGER IF EXISTS customers_search_insert');
+    await db.run('DROP TRIGGER IF EXISTS customers_search_update');
+    await db.run('DROP TRIGGER IF EXISTS customers_search_delete');
+    await db.run('DROP TRIGGER IF EXISTS addresses_search_insert');
+    await db.run('DROP TRIGGER IF EXISTS addresses_search_update');
+    await db.run('DROP TRIGGER IF EXISTS addresses_search_delete');
+    await db.run('DROP TABLE IF EXISTS customer_search');
+  }
+};
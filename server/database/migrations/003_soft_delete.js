@@ -0,0 +1,72 @@
+// Soft delete: customers and addresses get a deleted_at timestamp instead of
+// being removed, so they can be restored from the trash. Addresses trashed
+// along with their customer are marked deleted_with_customer so restoring
+// the customer brings back exactly those. On SQLite the
+// address triggers from 002 are recreated to leave deleted addresses out of
+// the full-text index.
+
+// Recreate the customer_search address triggers; `filter` narrows which
+// addresses count towards a customer's indexed address text
+async function recreateAddressSearchTriggers(db, filter) {
+  const refresh = (customerId) => `
+    UPDATE customer_search SET addresses = COALESCE((
+      SELECT group_concat(address_line1 || ' ' || COALESCE(address_line2, '') || ' ' || city || ' ' || state || ' ' || pin_code, ' ')
+      FROM addresses
+      WHERE customer_id = ${customerId}${filter}
+    ), '') WHERE rowid = ${customerId};
+  `;
+
+  await db.run('DROP TRIGGER IF EXISTS addresses_search_insert');
+  await db.run('DROP TRIGGER IF EXISTS addresses_search_update');
+  await db.run('DROP TRIGGER IF EXISTS addresses_search_delete');
+
+  await db.run(`
+    CREATE TRIGGER addresses_search_insert AFTER INSERT ON addresses BEGIN
+      ${refresh('new.customer_id')}
+    END
+  `);
+
+  await db.run(`
+    CREATE TRIGGER addresses_search_update AFTER UPDATE ON addresses BEGIN
+      ${refresh('old.customer_id')}
+      ${refresh('new.customer_id')}
+    END
+  `);
+
+  await db.run(`
+    CREATE TRIGGER addresses_search_delete AFTER DELETE ON addresses BEGIN
+      ${refresh('old.customer_id')}
+    END
+  `);
+}
+
+module.exports = {
+  up: async (db) => {
+    await db.run('ALTER TABLE customers ADD COLUMN deleted_at TIMESTAMP');
+    await db.run('ALTER TABLE addresses ADD COLUMN deleted_at TIMESTAMP');
+    await db.run('ALTER TABLE addresses ADD COLUMN deleted_with_customer BOOLEAN DEFAULT FALSE');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_customers_deleted_at ON customers(deleted_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_addresses_deleted_at ON addresses(deleted_at)');
+
+    if (db.dialect === 'sqlite') {
+      await recreateAddressSearchTriggers(db, ' AND deleted_at IS NULL');
+    }
+  },
+
+  down: async (db) => {
+    // Rows in the trash were deleted as far as the old schema is concerned
+    await db.run('DELETE FROM addresses WHERE deleted_at IS NOT NULL');
+    await db.run('DELETE FROM addresses WHERE customer_id IN (SELECT id FROM customers WHERE deleted_at IS NOT NULL)');
+    await db.run('DELETE FROM customers WHERE deleted_at IS NOT NULL');
+
+    if (db.dialect === 'sqlite') {
+      await recreateAddressSearchTriggers(db, '');
+    }
+
+    await db.run('DROP INDEX IF EXISTS idx_addresses_deleted_at');
+    await db.run('DROP INDEX IF EXISTS idx_customers_deleted_at');
+    await db.run('ALTER TABLE addresses DROP COLUMN deleted_with_customer');
+    await db.run('ALTER TABLE addresses DROP COLUMN deleted_at');
+    await db.run('ALTER TABLE customers DROP COLUMN deleted_at');
+  }
+};
@@ -0,0 +1,28 @@
+// Audit log of customer and address mutations. `customer_id` is the customer
+// an event belongs to, so a customer's timeline includes its addresses.
+// `changes` holds a JSON object of { field: { before, after } }.
+module.exports = {
+  up: async (db) => {
+    const id = db.dialect === 'postgres' ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+
+    await db.run(`
+      CREATE TABLE audit_events (
+        id ${id},
+        actor TEXT NOT NULL,
+        entity_type TEXT NOT NULL,
+        entity_id INTEGER NOT NULL,
+        customer_id INTEGER,
+        action TEXT NOT NULL,
+        changes TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run('CREATE INDEX idx_audit_events_entity ON audit_events(entity_type, entity_id)');
+    await db.run('CREATE INDEX idx_audit_events_customer_id ON audit_events(customer_id)');
+  },
+
+  down: async (db) => {
+    await db.run('DROP TABLE IF EXISTS audit_events');
+  }
+};
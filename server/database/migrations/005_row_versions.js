@@ -0,0 +1,15 @@
+// Row versions for optimistic concurrency. Every write to a customer or
+// address bumps its version, and address writes also bump the owning
+// customer's, since a customer is read and written together with its
+// addresses. The API serves versions as ETags and checks them on If-Match.
+module.exports = {
+  up: async (db) => {
+    await db.run('ALTER TABLE customers ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+    await db.run('ALTER TABLE addresses ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+  },
+
+  down: async (db) => {
+    await db.run('ALTER TABLE addresses DROP COLUMN version');
+    await db.run('ALTER TABLE customers DROP COLUMN version');
+  }
+};
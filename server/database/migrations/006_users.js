@@ -0,0 +1,36 @@
+// Users who can sign in, and their refresh-token sessions. Passwords are
+// stored as bcrypt hashes and refresh tokens as SHA-256 hashes, so neither
+// can be read back from the database.
+module.exports = {
+  up: async (db) => {
+    const id = db.dialect === 'postgres' ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+
+    await db.run(`
+      CREATE TABLE users (
+        id ${id},
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE sessions (
+        id ${id},
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run('CREATE INDEX idx_sessions_user_id ON sessions(user_id)');
+  },
+
+  down: async (db) => {
+    await db.run('DROP TABLE IF EXISTS sessions');
+    await db.run('DROP TABLE IF EXISTS users');
+  }
+};
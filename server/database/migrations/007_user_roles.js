@@ -0,0 +1,13 @@
+// Give every user a role (see utils/permissions.js). Users created before
+// roles existed could do everything, so they become admins; new users default
+// to the least privileged role.
+module.exports = {
+  up: async (db) => {
+    await db.run("ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'agent'");
+    await db.run("UPDATE users SET role = 'admin'");
+  },
+
+  down: async (db) => {
+    await db.run('ALTER TABLE users DROP COLUMN role');
+  }
+};
@@ -0,0 +1,125 @@
+// Tenants: several organisations share one deployment. Customers, addresses
+// and audit events belong to a tenant, users are members of one or more, and
+// phone number and email uniqueness applies per tenant instead of globally.
+// Existing data and users move to a "Default" tenant.
+//
+// SQLite cannot drop the column-level UNIQUE constraints from 001, so there
+// the customers table is rebuilt, keeping its indexes and search triggers.
+
+const DEFAULT_TENANT = 'Default';
+
+// Customer columns other than tenant_id; `unique` adds the old global
+// UNIQUE constraints back for down()
+const customerColumns = (unique) => `
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  first_name TEXT NOT NULL,
+  last_name TEXT NOT NULL,
+  phone_number TEXT${unique ? ' UNIQUE' : ''} NOT NULL,
+  email TEXT${unique ? ' UNIQUE' : ''},
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  has_multiple_addresses BOOLEAN DEFAULT FALSE,
+  only_one_address BOOLEAN DEFAULT FALSE,
+  deleted_at TIMESTAMP,
+  version INTEGER NOT NULL DEFAULT 1
+`;
+
+const COPIED_COLUMNS = 'id, first_name, last_name, phone_number, email, created_at, updated_at, has_multiple_addresses, only_one_address, deleted_at, version';
+
+// Replace the SQLite customers table with one created from `definition`,
+// copying rows with `select` (which reads from the old table). Indexes and
+// triggers on the old table are recreated on the new one.
+async function rebuildSqliteCustomers(db, definition, columns, select) {
+  const dependents = await db.all(
+    "SELECT sql FROM sqlite_master WHERE tbl_name = 'customers' AND type IN ('index', 'trigger') AND sql IS NOT NULL"
+  );
+
+  await db.run(`CREATE TABLE customers_new (${definition})`);
+  await db.run(`INSERT INTO customers_new (${columns}) ${select}`);
+  await db.run('DROP TABLE customers');
+  await db.run('ALTER TABLE customers_new RENAME TO customers');
+
+  for (const { sql } of dependents) {
+    await db.run(sql);
+  }
+}
+
+module.exports = {
+  up: async (db) => {
+    const id = db.dialect === 'postgres' ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+
+    await db.run(`
+      CREATE TABLE tenants (
+        id ${id},
+        name TEXT UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run(`
+      CREATE TABLE user_tenants (
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        tenant_id INTEGER NOT NULL REFERENCES tenants (id) ON DELETE CASCADE,
+        PRIMARY KEY (user_id, tenant_id)
+      )
+    `);
+
+    await db.run('INSERT INTO tenants (name) VALUES (?)', [DEFAULT_TENANT]);
+    const { id: tenantId } = await db.get('SELECT id FROM tenants WHERE name = ?', [DEFAULT_TENANT]);
+    await db.run('INSERT INTO user_tenants (user_id, tenant_id) SELECT id, CAST(? AS INTEGER) FROM users', [tenantId]);
+
+    if (db.dialect === 'postgres') {
+      await db.run('ALTER TABLE customers ADD COLUMN tenant_id INTEGER REFERENCES tenants (id)');
+      await db.run('UPDATE customers SET tenant_id = ?', [tenantId]);
+      await db.run('ALTER TABLE customers ALTER COLUMN tenant_id SET NOT NULL');
+      await db.run('ALTER TABLE customers DROP CONSTRAINT IF EXISTS customers_phone_number_key');
+      await db.run('ALTER TABLE customers DROP CONSTRAINT IF EXISTS customers_email_key');
+    } else {
+      await rebuildSqliteCustomers(
+        db,
+        `${customerColumns(false)}, tenant_id INTEGER NOT NULL REFERENCES tenants (id)`,
+        `${COPIED_COLUMNS}, tenant_id`,
+        `SELECT ${COPIED_COLUMNS}, ${Number(tenantId)} FROM customers`
+      );
+    }
+
+    // Addresses carry their customer's tenant so address queries can be
+    // scoped without a join. Every customer is in the default tenant so far.
+    await db.run('ALTER TABLE addresses ADD COLUMN tenant_id INTEGER REFERENCES tenants (id)');
+    await db.run('UPDATE addresses SET tenant_id = ?', [tenantId]);
+    await db.run('ALTER TABLE audit_events ADD COLUMN tenant_id INTEGER');
+    await db.run('UPDATE audit_events SET tenant_id = ?', [tenantId]);
+    if (db.dialect === 'postgres') {
+      await db.run('ALTER TABLE addresses ALTER COLUMN tenant_id SET NOT NULL');
+    }
+
+    await db.run('CREATE UNIQUE INDEX idx_customers_tenant_phone ON customers(tenant_id, phone_number)');
+    await db.run('CREATE UNIQUE INDEX idx_customers_tenant_email ON customers(tenant_id, email)');
+    await db.run('CREATE INDEX idx_addresses_tenant_id ON addresses(tenant_id)');
+    await db.run('CREATE INDEX idx_audit_events_tenant_id ON audit_events(tenant_id)');
+  },
+
+  down: async (db) => {
+    const { tenants } = await db.get('SELECT COUNT(DISTINCT tenant_id) as tenants FROM customers');
+    if (tenants > 1) {
+      throw new Error('Cannot remove tenants while customers belong to more than one tenant');
+    }
+
+    await db.run('DROP INDEX IF EXISTS idx_audit_events_tenant_id');
+    await db.run('DROP INDEX IF EXISTS idx_addresses_tenant_id');
+    await db.run('DROP INDEX IF EXISTS idx_customers_tenant_email');
+    await db.run('DROP INDEX IF EXISTS idx_customers_tenant_phone');
+    await db.run('ALTER TABLE audit_events DROP COLUMN tenant_id');
+    await db.run('ALTER TABLE addresses DROP COLUMN tenant_id');
+
+    if (db.dialect === 'postgres') {
+      await db.run('ALTER TABLE customers DROP COLUMN tenant_id');
+      await db.run('ALTER TABLE customers ADD CONSTRAINT customers_phone_number_key UNIQUE (phone_number)');
+      await db.run('ALTER TABLE customers ADD CONSTRAINT customers_email_key UNIQUE (email)');
+    } else {
+      await rebuildSqliteCustomers(db, customerColumns(true), COPIED_COLUMNS, `SELECT ${COPIED_COLUMNS} FROM customers`);
+    }
+
+    await db.run('DROP TABLE IF EXISTS user_tenants');
+    await db.run('DROP TABLE IF EXISTS tenants');
+  }
+};
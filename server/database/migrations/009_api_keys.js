@@ -0,0 +1,32 @@
+// API keys for integrations that cannot sign in interactively. A key belongs
+// to one tenant and carries a list of scopes (permission names, stored as a
+// JSON array). Keys are stored as SHA-256 hashes; `prefix` is the start of
+// the key, kept so people can tell their keys apart.
+module.exports = {
+  up: async (db) => {
+    const id = db.dialect === 'postgres' ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+
+    await db.run(`
+      CREATE TABLE api_keys (
+        id ${id},
+        tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        scopes TEXT NOT NULL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        request_count INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run('CREATE INDEX idx_api_keys_tenant_id ON api_keys(tenant_id)');
+  },
+
+  down: async (db) => {
+    await db.run('DROP TABLE IF EXISTS api_keys');
+  }
+};
@@ -0,0 +1,50 @@
+// Webhook subscriptions and their deliveries. A webhook belongs to one tenant
+// and lists the event types it wants (JSON array); `secret` signs every
+// payload sent to it, so it is stored as is. Each event sent to a webhook is
+// one delivery, retried until it succeeds or runs out of attempts; the rows
+// double as the delivery log.
+module.exports = {
+  up: async (db) => {
+    const id = db.dialect === 'postgres' ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+
+    await db.run(`
+      CREATE TABLE webhooks (
+        id ${id},
+        tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        description TEXT,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE webhook_deliveries (
+        id ${id},
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT,
+        response_status INTEGER,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_attempt_at TEXT
+      )
+    `);
+
+    await db.run('CREATE INDEX idx_webhooks_tenant_id ON webhooks(tenant_id)');
+    await db.run('CREATE INDEX idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id)');
+    await db.run('CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)');
+  },
+
+  down: async (db) => {
+    await db.run('DROP TABLE IF EXISTS webhook_deliveries');
+    await db.run('DROP TABLE IF EXISTS webhooks');
+  }
+};
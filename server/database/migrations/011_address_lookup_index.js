@@ -0,0 +1,12 @@
+// Addresses are read by tenant and customer together. With one busy tenant the
+// tenant index alone matches nearly every row, and SQLite picks it over the
+// customer index, so reading one customer's addresses scanned the table.
+module.exports = {
+  up: async (db) => {
+    await db.run('CREATE INDEX idx_addresses_tenant_customer ON addresses(tenant_id, customer_id)');
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS idx_addresses_tenant_customer');
+  }
+};
@@ -0,0 +1,26 @@
+// Customer and address lists are read a page at a time in the order of a sort
+// column, with the id breaking ties. Without an index on that order every
+// page, by cursor or offset, sorted all of the tenant's rows first. The id is
+// listed explicitly because Postgres, unlike SQLite, does not append it.
+const INDEXES = [
+  ['idx_customers_tenant_created', 'customers', 'tenant_id, created_at, id'],
+  ['idx_customers_tenant_first_name', 'customers', 'tenant_id, first_name, id'],
+  ['idx_customers_tenant_last_name', 'customers', 'tenant_id, last_name, id'],
+  ['idx_addresses_tenant_created', 'addresses', 'tenant_id, created_at, id'],
+  ['idx_addresses_tenant_city', 'addresses', 'tenant_id, city, id'],
+  ['idx_addresses_tenant_state', 'addresses', 'tenant_id, state, id']
+];
+
+module.exports = {
+  up: async (db) => {
+    for (const [name, table, columns] of INDEXES) {
+      await db.run(`CREATE INDEX ${name} ON ${table}(${columns})`);
+    }
+  },
+
+  down: async (db) => {
+    for (const [name] of INDEXES) {
+      await db.run(`DROP INDEX IF EXISTS ${name}`);
+    }
+  }
+};
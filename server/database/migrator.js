@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+const migrationsDir = path.join(__dirname, 'migrations');
+
+// Migration files are named NNN_description.js and export async up(db)/down(db).
+// `db` is a storage driver connection; branch on db.dialect for DDL that
+// differs between SQLite and PostgreSQL.
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Load every migration module, ordered by its numeric version
+function loadMigrations() {
+  return fs.readdirSync(migrationsDir)
+    .map((file) => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+
+      const migration = require(path.join(migrationsDir, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+
+      return {
+        version: match[1],
+        name: match[2],
+        file,
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => parseInt(a.version, 10) - parseInt(b.version, 10));
+}
+
+function ensureMigrationsTable(db) {
+  return db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Returns every known migration with its applied state
+async function getStatus(db) {
+  await ensureMigrationsTable(db);
+  const rows = await db.all('SELECT version, applied_at FROM schema_migrations');
+  const applied = new Map(rows.map(row => [row.version, row.applied_at]));
+
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+    applied_at: applied.get(migration.version) || null
+  }));
+}
+
+async function getPendingMigrations(db) {
+  const status = await getStatus(db);
+  return status.filter(migration => !migration.applied);
+}
+
+// Apply all pending migrations in order; returns the applied migrations
+async function migrate(db) {
+  const pending = await getPendingMigrations(db);
+  const migrations = loadMigrations();
+  const applied = [];
+
+  for (const { version } of pending) {
+    const migration = migrations.find(m => m.version === version);
+    await db.transaction(async () => {
+      await migration.up(db);
+      await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    });
+    applied.push(migration);
+  }
+
+  return applied;
+}
+
+// Revert the most recently applied migrations; returns the reverted migrations
+async function rollback(db, steps = 1) {
+  await ensureMigrationsTable(db);
+  const rows = await db.all('SELECT version FROM schema_migrations');
+  const appliedVersions = new Set(rows.map(row => row.version));
+  const toRevert = loadMigrations()
+    .filter(migration => appliedVersions.has(migration.version))
+    .reverse()
+    .slice(0, steps);
+
+  for (const migration of toRevert) {
+    await db.transaction(async () => {
+      await migration.down(db);
+      await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    });
+  }
+
+  return toRevert;
+}
+
+module.exports = {
+  loadMigrations,
+  getStatus,
+  getPendingMigrations,
+  migrate,
+  rollback
+};
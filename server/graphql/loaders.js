@@ -0,0 +1,23 @@
+const DataLoader = require('dataloader');
+
+// DataLoaders over one tenant's repositories, created for each request. Each
+// one collects the ids asked for while a level of the query is resolved and
+// reads them in a single query, then caches them for the rest of the request.
+function createLoaders({ customerRepository, addressRepository }) {
+  return {
+    // Addresses of each customer id, primary first
+    addressesByCustomer: new DataLoader(async (customerIds) => {
+      const addresses = await addressRepository.listForCustomers([...customerIds]);
+      return customerIds.map(id => addresses.get(id));
+    }),
+
+    // Customer of each id (without addresses), or null when there is none
+    customerById: new DataLoader(async (ids) => {
+      const customers = await customerRepository.findByIds([...ids]);
+      const byId = new Map(customers.map(customer => [customer.id, customer]));
+      return ids.map(id => byId.get(id) || null);
+    })
+  };
+}
+
+module.exports = { createLoaders };
@@ -0,0 +1,503 @@
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLInputObjectType,
+  GraphQLEnumType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLID,
+  GraphQLInt,
+  GraphQLString,
+  GraphQLBoolean,
+  GraphQLError
+} = require('graphql');
+const { validationResult } = require('express-validator');
+const { transaction } = require('../database/database');
+const { AddressWriteError, VersionConflictError } = require('../repositories');
+const { actorOf } = require('../utils/actor');
+const { findDuplicate } = require('../utils/duplicates');
+const { publishCustomerChange, writeAddressAndPublish } = require('../utils/events');
+const {
+  validateCustomer,
+  validateAddress,
+  CUSTOMER_SORT_FIELDS,
+  ADDRESS_SORT_FIELDS
+} = require('../utils/validators');
+
+// Customers and addresses of the request's tenant, read and written with the
+// same rules, audit events and change events as the REST endpoints. Resolvers
+// get the Express request as `context.req` and per-request DataLoaders as
+// `context.loaders` (see loaders.js). Errors carry an `extensions.code`:
+// BAD_USER_INPUT, FORBIDDEN, NOT_FOUND or CONFLICT.
+
+const nonNull = (type) => new GraphQLNonNull(type);
+const listOf = (type) => nonNull(new GraphQLList(nonNull(type)));
+
+function userError(message, code, extensions = {}) {
+  return new GraphQLError(message, { extensions: { code, ...extensions } });
+}
+
+function checkPermission({ req }, permission) {
+  if (!req.user.permissions.includes(permission)) {
+    throw userError(`Missing permission: ${permission}`, 'FORBIDDEN');
+  }
+}
+
+// Run express-validator chains against `input` the way the REST routes run
+// them against a request body; resolves to the sanitized input
+async function validateInput(chains, input) {
+  const req = { body: { ...input } };
+  for (const chain of chains) {
+    await chain.run(req);
+  }
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw userError('Validation errors', 'BAD_USER_INPUT', { errors: errors.array() });
+  }
+  return req.body;
+}
+
+// Page and limit with the REST defaults and bounds
+function pageArgs({ page = 1, limit = 10 }) {
+  if (page < 1) throw userError('Page must be a positive integer', 'BAD_USER_INPUT');
+  if (limit < 1 || limit > 100) throw userError('Limit must be between 1 and 100', 'BAD_USER_INPUT');
+  return { page, limit };
+}
+
+// Address count bounds with the REST rules; comparisons with a missing
+// bound are false
+function addressCountArgs(args) {
+  const minAddresses = args.min_addresses === null ? undefined : args.min_addresses;
+  const maxAddresses = args.max_addresses === null ? undefined : args.max_addresses;
+  if (minAddresses < 0) throw userError('min_addresses must be a non-negative integer', 'BAD_USER_INPUT');
+  if (maxAddresses < 0) throw userError('max_addresses must be a non-negative integer', 'BAD_USER_INPUT');
+  if (maxAddresses < minAddresses) throw userError('max_addresses must not be less than min_addresses', 'BAD_USER_INPUT');
+  return { minAddresses, maxAddresses };
+}
+
+function paginationOf(page, limit, total) {
+  const totalPages = Math.ceil(total / limit);
+  return { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1 };
+}
+
+// The stored version when it differs from the one the client read
+function checkVersion(row, version, label) {
+  if (row.version !== version) {
+    throw userError(`${label} was modified by someone else`, 'CONFLICT', { version: row.version });
+  }
+}
+
+function conflictError(error, label) {
+  return userError(`${label} was modified by someone else`, 'CONFLICT', { id: String(error.id) });
+}
+
+function addressWriteError(error) {
+  if (!error.constraintViolation) return error;
+  return userError(`Failed to save address at index ${error.index}`, 'BAD_USER_INPUT', {
+    errors: [{ type: 'address', index: error.index, path: `addresses[${error.index}]`, msg: error.cause.message }]
+  });
+}
+
+const sortOrderType = new GraphQLEnumType({
+  name: 'SortOrder',
+  values: { asc: {}, desc: {} }
+});
+
+const enumOf = (name, values) => new GraphQLEnumType({
+  name,
+  values: Object.fromEntries(values.map(value => [value, {}]))
+});
+
+const customerSortType = enumOf('CustomerSort', CUSTOMER_SORT_FIELDS);
+const addressSortType = enumOf('AddressSort', ADDRESS_SORT_FIELDS);
+
+const paginationType = new GraphQLObjectType({
+  name: 'Pagination',
+  fields: {
+    page: { type: nonNull(GraphQLInt) },
+    limit: { type: nonNull(GraphQLInt) },
+    total: { type: nonNull(GraphQLInt) },
+    totalPages: { type: nonNull(GraphQLInt) },
+    hasNext: { type: nonNull(GraphQLBoolean) },
+    hasPrev: { type: nonNull(GraphQLBoolean) }
+  }
+});
+
+// The customer's addresses: those already read with it, or a batched load
+function addressesOf(customer, { loaders }) {
+  return customer.addresses || loaders.addressesByCustomer.load(customer.id);
+}
+
+const addressType = new GraphQLObjectType({
+  name: 'Address',
+  fields: () => ({
+    id: { type: nonNull(GraphQLID) },
+    customer_id: { type: nonNull(GraphQLID) },
+    address_line1: { type: nonNull(GraphQLString) },
+    address_line2: { type: GraphQLString },
+    city: { type: nonNull(GraphQLString) },
+    state: { type: nonNull(GraphQLString) },
+    pin_code: { type: nonNull(GraphQLString) },
+    country: { type: nonNull(GraphQLString) },
+    is_primary: { type: nonNull(GraphQLBoolean), resolve: (address) => Boolean(address.is_primary) },
+    version: { type: nonNull(GraphQLInt) },
+    created_at: { type: nonNull(GraphQLString) },
+    updated_at: { type: GraphQLString },
+    customer: {
+      type: customerType,
+      resolve: (address, args, context) => context.loaders.customerById.load(address.customer_id)
+    }
+  })
+});
+
+const customerType = new GraphQLObjectType({
+  name: 'Customer',
+  fields: () => ({
+    id: { type: nonNull(GraphQLID) },
+    first_name: { type: nonNull(GraphQLString) },
+    last_name: { type: nonNull(GraphQLString) },
+    phone_number: { type: nonNull(GraphQLString) },
+    email: { type: GraphQLString },
+    version: { type: nonNull(GraphQLInt) },
+    created_at: { type: nonNull(GraphQLString) },
+    updated_at: { type: GraphQLString },
+    addresses: { type: listOf(addressType), resolve: (customer, args, context) => addressesOf(customer, context) },
+    primary_address: {
+      type: addressType,
+      resolve: async (customer, args, context) => {
+        const addresses = await addressesOf(customer, context);
+        return addresses.find(address => address.is_primary) || null;
+      }
+    },
+    address_count: {
+      type: nonNull(GraphQLInt),
+      resolve: async (customer, args, context) => (await addressesOf(customer, context)).length
+    }
+  })
+});
+
+const pageType = (name, itemType) => new GraphQLObjectType({
+  name,
+  fields: {
+    items: { type: listOf(itemType) },
+    pagination: { type: nonNull(paginationType) }
+  }
+});
+
+const addressInputType = new GraphQLInputObjectType({
+  name: 'AddressInput',
+  fields: {
+    id: { type: GraphQLID, description: 'Existing address to keep, within CustomerInput.addresses' },
+    address_line1: { type: nonNull(GraphQLString) },
+    address_line2: { type: GraphQLString },
+    city: { type: nonNull(GraphQLString) },
+    state: { type: nonNull(GraphQLString) },
+    pin_code: { type: nonNull(GraphQLString) },
+    country: { type: GraphQLString },
+    is_primary: { type: GraphQLBoolean }
+  }
+});
+
+const customerInputType = new GraphQLInputObjectType({
+  name: 'CustomerInput',
+  fields: {
+    first_name: { type: nonNull(GraphQLString) },
+    last_name: { type: nonNull(GraphQLString) },
+    phone_number: { type: nonNull(GraphQLString) },
+    email: { type: GraphQLString },
+    addresses: {
+      type: new GraphQLList(nonNull(addressInputType)),
+      description: 'The full address list. Addresses left out move to the trash; on update, omit it to keep the current addresses.'
+    }
+  }
+});
+
+// Nested addresses as the repositories expect them, with numeric ids
+function toAddresses(addresses) {
+  return addresses.map(address => ({ ...address, id: address.id === undefined ? undefined : Number(address.id) }));
+}
+
+const queryType = new GraphQLObjectType({
+  name: 'Query',
+  fields: {
+    customers: {
+      type: nonNull(pageType('CustomerPage', customerType)),
+      description: 'Customers matching the search and address filters, like GET /api/customers',
+      args: {
+        page: { type: GraphQLInt },
+        limit: { type: GraphQLInt },
+        search: { type: GraphQLString },
+        city: { type: GraphQLString },
+        state: { type: GraphQLString },
+        pin_code: { type: GraphQLString },
+        min_addresses: { type: GraphQLInt },
+        max_addresses: { type: GraphQLInt },
+        sort: { type: customerSortType },
+        order: { type: sortOrderType }
+      },
+      resolve: async (root, args, context) => {
+        checkPermission(context, 'customer:read');
+        const { customerRepository } = context.req.repositories;
+        const { page, limit } = pageArgs(args);
+
+        // Addresses are loaded only if asked for, all customers' in one query
+        const { rows, total } = await customerRepository.findPageRows({
+          page,
+          limit,
+          search: args.search || '',
+          city: args.city || '',
+          state: args.state || '',
+          pinCode: args.pin_code || '',
+          ...addressCountArgs(args),
+          sort: args.sort,
+          order: args.order || 'desc'
+        });
+        return { items: rows, pagination: paginationOf(page, limit, total) };
+      }
+    },
+    customer: {
+      type: customerType,
+      args: { id: { type: nonNull(GraphQLID) } },
+      resolve: (root, { id }, context) => {
+        checkPermission(context, 'customer:read');
+        const { customerRepository } = context.req.repositories;
+        return customerRepository.findById(Number(id));
+      }
+    },
+    addresses: {
+      type: nonNull(pageType('AddressPage', addressType)),
+      description: 'Addresses matching the filters, like GET /api/addresses',
+      args: {
+        page: { type: GraphQLInt },
+        limit: { type: GraphQLInt },
+        customer_id: { type: GraphQLID },
+        city: { type: GraphQLString },
+        state: { type: GraphQLString },
+        pin_code: { type: GraphQLString },
+        sort: { type: addressSortType },
+        order: { type: sortOrderType }
+      },
+      resolve: async (root, args, context) => {
+        checkPermission(context, 'customer:read');
+        const { addressRepository } = context.req.repositories;
+        const { page, limit } = pageArgs(args);
+
+        const { rows, total } = await addressRepository.findPage({
+          page,
+          limit,
+          customerId: args.customer_id ? Number(args.customer_id) : undefined,
+          city: args.city || '',
+          state: args.state || '',
+          pinCode: args.pin_code || '',
+          sort: args.sort || 'created_at',
+          order: args.order || 'desc'
+        });
+        return { items: rows, pagination: paginationOf(page, limit, total) };
+      }
+    },
+    address: {
+      type: addressType,
+      args: { id: { type: nonNull(GraphQLID) } },
+      resolve: (root, { id }, context) => {
+        checkPermission(context, 'customer:read');
+        const { addressRepository } = context.req.repositories;
+        return addressRepository.findById(Number(id));
+      }
+    }
+  }
+});
+
+const mutationType = new GraphQLObjectType({
+  name: 'Mutation',
+  fields: {
+    createCustomer: {
+      type: nonNull(customerType),
+      args: { input: { type: nonNull(customerInputType) } },
+      resolve: async (root, { input }, context) => {
+        checkPermission(context, 'customer:write');
+        const { req } = context;
+        const { customerRepository, auditRepository } = req.repositories;
+        const { first_name, last_name, phone_number, email = null, addresses = [] } = await validateInput(validateCustomer, input);
+
+        const duplicate = await findDuplicate(req.repositories, phone_number, email);
+        if (duplicate) throw userError(duplicate, 'BAD_USER_INPUT');
+
+        try {
+          const created = await transaction(async () => {
+            const id = await customerRepository.create({ first_name, last_name, phone_number, email }, toAddresses(addresses));
+            const customer = await customerRepository.findById(id);
+            await auditRepository.recordCustomer(actorOf(req), 'create', null, customer);
+            return customer;
+          });
+          publishCustomerChange(req.tenantId, 'customer.created', null, created);
+          return created;
+        } catch (error) {
+          if (error instanceof AddressWriteError) throw addressWriteError(error);
+          throw error;
+        }
+      }
+    },
+    updateCustomer: {
+      type: nonNull(customerType),
+      description: 'Update a customer. `version` is the version last read; a stale one is a CONFLICT.',
+      args: {
+        id: { type: nonNull(GraphQLID) },
+        version: { type: nonNull(GraphQLInt) },
+        input: { type: nonNull(customerInputType) }
+      },
+      resolve: async (root, { id, version, input }, context) => {
+        checkPermission(context, 'customer:write');
+        const { req } = context;
+        const { customerRepository, auditRepository } = req.repositories;
+        const customerId = Number(id);
+        const { first_name, last_name, phone_number, email = null, addresses } = await validateInput(validateCustomer, input);
+
+        const before = await customerRepository.findById(customerId);
+        if (!before) throw userError('Customer not found', 'NOT_FOUND');
+        checkVersion(before, version, 'Customer');
+
+        const duplicate = await findDuplicate(req.repositories, phone_number, email, customerId);
+        if (duplicate) throw userError(duplicate, 'BAD_USER_INPUT');
+
+        try {
+          const after = await transaction(async () => {
+            await customerRepository.update(
+              customerId,
+              { first_name, last_name, phone_number, email },
+              addresses ? toAddresses(addresses) : before.addresses,
+              version
+            );
+            const updated = await customerRepository.findById(customerId);
+            await auditRepository.recordCustomer(actorOf(req), 'update', before, updated);
+            return updated;
+          });
+          publishCustomerChange(req.tenantId, 'customer.updated', before, after);
+          return after;
+        } catch (error) {
+          if (error instanceof AddressWriteError) throw addressWriteError(error);
+          if (error instanceof VersionConflictError) throw conflictError(error, 'Customer');
+          throw error;
+        }
+      }
+    },
+    deleteCustomer: {
+      type: nonNull(GraphQLID),
+      description: 'Move a customer and its addresses to the trash; resolves to its id',
+      args: {
+        id: { type: nonNull(GraphQLID) },
+        version: { type: nonNull(GraphQLInt) }
+      },
+      resolve: async (root, { id, version }, context) => {
+        checkPermission(context, 'customer:delete');
+        const { req } = context;
+        const { customerRepository, auditRepository } = req.repositories;
+        const customerId = Number(id);
+
+        const before = await customerRepository.findById(customerId);
+        if (!before) throw userError('Customer not found', 'NOT_FOUND');
+        checkVersion(before, version, 'Customer');
+
+        try {
+          await transaction(async () => {
+            await customerRepository.delete(customerId, version);
+            await auditRepository.recordCustomer(actorOf(req), 'delete', before, null);
+          });
+        } catch (error) {
+          if (error instanceof VersionConflictError) throw conflictError(error, 'Customer');
+          throw error;
+        }
+        publishCustomerChange(req.tenantId, 'customer.deleted', before, null);
+        return id;
+      }
+    },
+    createAddress: {
+      type: nonNull(addressType),
+      args: {
+        customer_id: { type: nonNull(GraphQLID) },
+        input: { type: nonNull(addressInputType) }
+      },
+      resolve: async (root, { customer_id, input }, context) => {
+        checkPermission(context, 'address:write');
+        const { req } = context;
+        const { customerRepository, addressRepository, auditRepository } = req.repositories;
+        const customerId = Number(customer_id);
+        const address = await validateInput(validateAddress, input);
+
+        if (!(await customerRepository.exists(customerId))) throw userError('Customer not found', 'NOT_FOUND');
+
+        return writeAddressAndPublish(req, customerId, 'address.created', async () => {
+          const id = await addressRepository.create(customerId, address);
+          const row = await addressRepository.findRow(id);
+          await auditRepository.recordAddress(actorOf(req), 'create', null, row);
+          return row;
+        });
+      }
+    },
+    updateAddress: {
+      type: nonNull(addressType),
+      description: 'Update an address. `version` is the version last read; a stale one is a CONFLICT.',
+      args: {
+        id: { type: nonNull(GraphQLID) },
+        version: { type: nonNull(GraphQLInt) },
+        input: { type: nonNull(addressInputType) }
+      },
+      resolve: async (root, { id, version, input }, context) => {
+        checkPermission(context, 'address:write');
+        const { req } = context;
+        const { addressRepository, auditRepository } = req.repositories;
+        const addressId = Number(id);
+        const fields = await validateInput(validateAddress, input);
+
+        const address = await addressRepository.findRow(addressId);
+        if (!address) throw userError('Address not found', 'NOT_FOUND');
+        checkVersion(address, version, 'Address');
+
+        try {
+          return await writeAddressAndPublish(req, address.customer_id, 'address.updated', async () => {
+            await addressRepository.update(addressId, address.customer_id, fields, version);
+            const updated = await addressRepository.findRow(addressId);
+            await auditRepository.recordAddress(actorOf(req), 'update', address, updated);
+            return updated;
+          });
+        } catch (error) {
+          if (error instanceof VersionConflictError) throw conflictError(error, 'Address');
+          throw error;
+        }
+      }
+    },
+    deleteAddress: {
+      type: nonNull(GraphQLID),
+      description: 'Move an address to the trash; resolves to its id',
+      args: {
+        id: { type: nonNull(GraphQLID) },
+        version: { type: nonNull(GraphQLInt) }
+      },
+      resolve: async (root, { id, version }, context) => {
+        checkPermission(context, 'address:delete');
+        const { req } = context;
+        const { addressRepository, auditRepository } = req.repositories;
+        const addressId = Number(id);
+
+        const address = await addressRepository.findRow(addressId);
+        if (!address) throw userError('Address not found', 'NOT_FOUND');
+        checkVersion(address, version, 'Address');
+
+        try {
+          await writeAddressAndPublish(req, address.customer_id, 'address.deleted', async () => {
+            await addressRepository.delete(addressId, address.customer_id, version);
+            await auditRepository.recordAddress(actorOf(req), 'delete', address, null);
+            return address;
+          });
+        } catch (error) {
+          if (error instanceof VersionConflictError) throw conflictError(error, 'Address');
+          throw error;
+        }
+        return id;
+      }
+    }
+  }
+});
+
+const schema = new GraphQLSchema({ query: queryType, mutation: mutationType });
+
+module.exports = { schema };
@@ -5,11 +5,33 @@ const morgan = require('morgan');
 const { createLogger, format, transports } = require('winston');
 const customerRoutes = require('./routes/customers');
 const addressRoutes = require('./routes/addresses');
+const trashRoutes = require('./routes/trash');
+const auditRoutes = require('./routes/audit');
+const authRoutes = require('./routes/auth');
+const apiKeyRoutes = require('./routes/apiKeys');
+const webhookRoutes = require('./routes/webhooks');
+const eventRoutes = require('./routes/events');
+const statsRoutes = require('./routes/stats');
+const docsRoutes = require('./routes/docs');
+const graphqlRoutes = require('./routes/graphql');
+const { requireAuth } = require('./utils/auth');
+const { requireTenant } = require('./utils/tenant');
+const { requireAuthOrApiKey } = require('./utils/apiKeys');
+const { createWebhookWorker } = require('./utils/webhooks');
+const { createRateLimiter, createRateLimitStore, loadPolicies, RATE_LIMIT_HEADERS } = require('./utils/rateLimit');
 const { initializeDatabase } = require('./database/database');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy, set TRUST_PROXY (a hop count or the proxy's
+// addresses) so req.ip, and with it per-IP rate limiting, sees real clients
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+const rateLimit = createRateLimiter({ store: createRateLimitStore(), policies: loadPolicies() });
+
 // Winston logger configuration
 const logger = createLogger({
   format: format.combine(
@@ -31,10 +53,17 @@ const logger = createLogger({
 
 // Middleware
 app.use(helmet());
-app.use(cors());
+// Expose ETag so the client can send it back in If-Match, and the rate limit
+// headers so it can back off
+app.use(cors({ exposedHeaders: ['ETag', ...RATE_LIMIT_HEADERS] }));
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Clients revalidate API responses every time rather than reusing cached ones
+app.use('/api', (req, res, next) => {
+  res.set('Cache-Control', 'no-cache');
+  next();
+});
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -55,9 +84,23 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Routes
-app.use('/api/customers', customerRoutes);
-app.use('/api/addresses', addressRoutes);
+// Routes. Everything except login, the health check and the API docs needs an
+// access token, and customer data is read and written within the tenant the
+// request picks. Integrations can use an API key instead on customers,
+// addresses, GraphQL and the event stream. Rate limits apply per IP before
+// authentication and then per route group (see utils/rateLimit.js).
+app.use(['/api', '/graphql'], rateLimit('ip'));
+app.use('/api', docsRoutes);
+app.use('/api/auth', rateLimit('auth'), authRoutes);
+app.use('/api/customers', requireAuthOrApiKey, rateLimit('customers'), requireTenant, customerRoutes);
+app.use('/api/addresses', requireAuthOrApiKey, rateLimit('addresses'), requireTenant, addressRoutes);
+app.use('/api/trash', requireAuth, rateLimit('trash'), requireTenant, trashRoutes);
+app.use('/api/audit', requireAuth, rateLimit('audit'), requireTenant, auditRoutes);
+app.use('/api/stats', requireAuth, rateLimit('stats'), requireTenant, statsRoutes);
+app.use('/api/api-keys', requireAuth, rateLimit('apiKeys'), requireTenant, apiKeyRoutes);
+app.use('/api/webhooks', requireAuth, rateLimit('webhooks'), requireTenant, webhookRoutes);
+app.use('/api/events', requireAuthOrApiKey, rateLimit('events'), requireTenant, eventRoutes);
+app.use('/graphql', requireAuthOrApiKey, rateLimit('graphql'), requireTenant, graphqlRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -73,6 +116,9 @@ async function startServer() {
   try {
     await initializeDatabase();
     logger.info('Database initialized successfully');
+
+    // Send change events to webhooks (see utils/webhooks.js)
+    createWebhookWorker().start();
     
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
@@ -84,6 +130,9 @@ async function startServer() {
   }
 }
 
-startServer();
+// Started by `node index.js`; tests require the app without starting it
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
@@ -0,0 +1,366 @@
+const { VersionConflictError } = require('./errors');
+const { orderByOf, findAfter } = require('./keyset');
+
+// Columns a client may write on an address, in the order used by INSERT/UPDATE
+const ADDRESS_COLUMNS = ['address_line1', 'address_line2', 'city', 'state', 'pin_code', 'country', 'is_primary'];
+
+const INSERT_ADDRESS = `INSERT INTO addresses (${ADDRESS_COLUMNS.join(', ')}, customer_id, tenant_id) VALUES (${ADDRESS_COLUMNS.map(() => '?').join(', ')}, ?, ?)`;
+const UPDATE_ADDRESS = `UPDATE addresses SET ${ADDRESS_COLUMNS.map(column => `${column} = ?`).join(', ')}, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND tenant_id = ?`;
+
+// Rows read per query when iterating over a whole table for an export
+const EXPORT_BATCH_SIZE = 500;
+
+// Customer ids per query when reading several customers' addresses, well
+// under the bound parameter limits of SQLite (32766) and PostgreSQL (65535)
+const CUSTOMER_ID_BATCH_SIZE = 1000;
+
+// Unset the primary flag on a customer's other addresses
+const UNSET_PRIMARY = 'UPDATE addresses SET is_primary = FALSE, version = version + 1 WHERE customer_id = ? AND tenant_id = ? AND is_primary = TRUE';
+
+// Address rows are returned together with the owning customer's contact details
+const SELECT_WITH_CUSTOMER = `
+  SELECT 
+    a.*,
+    c.first_name,
+    c.last_name,
+    c.phone_number,
+    c.email
+  FROM addresses a
+  LEFT JOIN customers c ON a.customer_id = c.id
+`;
+
+// Raised when one of the nested addresses in a customer write fails, so the
+// transaction rolls back and the client is told which entry was rejected.
+class AddressWriteError extends Error {
+  constructor(index, cause, constraintViolation = false) {
+    super(`Failed to save address at index ${index}: ${cause.message}`);
+    this.name = 'AddressWriteError';
+    this.index = index;
+    this.cause = cause;
+    this.constraintViolation = constraintViolation;
+  }
+}
+
+// Apply the same defaults the API has always used for optional fields
+function toParams(address) {
+  return [
+    address.address_line1,
+    address.address_line2 || '',
+    address.city,
+    address.state,
+    address.pin_code,
+    address.country || 'India',
+    address.is_primary || false
+  ];
+}
+
+// Build the WHERE clause shared by the list and count queries. Only the
+// tenant's addresses match, deleted addresses are excluded and matching is
+// case-insensitive on every driver.
+function buildFilters(tenantId, { customerId, customerIds, city, state, pinCode }) {
+  let where = 'WHERE a.tenant_id = ? AND a.deleted_at IS NULL';
+  const params = [tenantId];
+
+  if (customerId) {
+    where += ' AND a.customer_id = ?';
+    params.push(customerId);
+  }
+  if (customerIds) {
+    where += ` AND a.customer_id IN (${customerIds.map(() => '?').join(', ')})`;
+    params.push(...customerIds);
+  }
+  if (city) {
+    where += ' AND LOWER(a.city) LIKE LOWER(?)';
+    params.push(`%${city}%`);
+  }
+  if (state) {
+    where += ' AND LOWER(a.state) LIKE LOWER(?)';
+    params.push(`%${state}%`);
+  }
+  if (pinCode) {
+    where += ' AND a.pin_code LIKE ?';
+    params.push(`%${pinCode}%`);
+  }
+
+  return { where, params };
+}
+
+class AddressRepository {
+  // `connection` is a storage driver connection, such as the one returned by
+  // createConnection() in database/database.js. Every query only reads and
+  // writes the addresses of tenant `tenantId`.
+  constructor(connection, tenantId) {
+    this.db = connection;
+    this.tenantId = tenantId;
+  }
+
+  // One page of addresses plus the total number of matches and the cursor of
+  // the next page (null on the last page). Pages are picked by `page`, or by
+  // `cursor`, the nextCursor of the page before; throws InvalidCursorError
+  // for a cursor that does not belong to this sort.
+  async findPage({ page = 1, limit = 10, cursor, customerId, city, state, pinCode, sort = 'created_at', order = 'desc' } = {}) {
+    const { where, params } = buildFilters(this.tenantId, { customerId, city, state, pinCode });
+    const descending = order === 'desc';
+    // The id breaks ties so rows sharing a city or timestamp keep a fixed order
+    const keys = [
+      { name: sort, expression: `a.${sort}`, descending },
+      { name: 'id', expression: 'a.id', descending }
+    ];
+    const offset = cursor ? 0 : (page - 1) * limit;
+
+    const { total } = await this.db.get(`SELECT COUNT(*) as total FROM addresses a ${where}`, params);
+    const { rows, nextCursor } = await findAfter(keys, cursor, limit, (condition, conditionParams, rowLimit) => this.db.all(
+      `${SELECT_WITH_CUSTOMER} ${where}${condition} ORDER BY ${orderByOf(keys)} LIMIT ? OFFSET ?`,
+      [...params, ...conditionParams, rowLimit, offset]
+    ));
+
+    return { rows, total, nextCursor };
+  }
+
+  // Every matching address with contact details, in id order, read in
+  // batches so exports never hold the whole table in memory. Takes the same
+  // filters as findPage().
+  async *iterate({ customerId, city, state, pinCode } = {}, batchSize = EXPORT_BATCH_SIZE) {
+    const { where, params } = buildFilters(this.tenantId, { customerId, city, state, pinCode });
+    let lastId = 0;
+
+    for (;;) {
+      const rows = await this.db.all(
+        `${SELECT_WITH_CUSTOMER} ${where} AND a.id > ? ORDER BY a.id LIMIT ?`,
+        [...params, lastId, batchSize]
+      );
+      yield* rows;
+      if (rows.length < batchSize) return;
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+
+  findById(id) {
+    return this.db.get(`${SELECT_WITH_CUSTOMER} WHERE a.id = ? AND a.tenant_id = ? AND a.deleted_at IS NULL`, [id, this.tenantId]);
+  }
+
+  // Plain address row without the customer's contact details
+  findRow(id) {
+    return this.db.get('SELECT * FROM addresses WHERE id = ? AND tenant_id = ? AND deleted_at IS NULL', [id, this.tenantId]);
+  }
+
+  // All addresses of one customer with contact details, primary first
+  findByCustomerId(customerId) {
+    return this.db.all(
+      `${SELECT_WITH_CUSTOMER} WHERE a.customer_id = ? AND a.tenant_id = ? AND a.deleted_at IS NULL ORDER BY a.is_primary DESC, a.created_at ASC`,
+      [customerId, this.tenantId]
+    );
+  }
+
+  // Addresses in the trash that were deleted on their own, most recent first,
+  // whether or not their customer has been trashed since. Addresses deleted
+  // together with their customer are listed with it.
+  findDeleted() {
+    return this.db.all(`
+      ${SELECT_WITH_CUSTOMER}
+      WHERE a.tenant_id = ? AND a.deleted_at IS NOT NULL AND a.deleted_with_customer = FALSE
+      ORDER BY a.deleted_at DESC
+    `, [this.tenantId]);
+  }
+
+  // A trashed address by id, or undefined when it is not in the trash
+  findDeletedById(id) {
+    return this.db.get(
+      `SELECT a.*, c.deleted_at as customer_deleted_at FROM addresses a LEFT JOIN customers c ON a.customer_id = c.id WHERE a.id = ? AND a.tenant_id = ? AND a.deleted_at IS NOT NULL`,
+      [id, this.tenantId]
+    );
+  }
+
+  // Plain address rows nested under a customer. Optional city/state/pin code
+  // filters narrow the result the same way they narrow customer lists.
+  listForCustomer(customerId, filters = {}) {
+    const { where, params } = buildFilters(this.tenantId, { ...filters, customerId });
+    return this.db.all(`SELECT a.* FROM addresses a ${where}`, params);
+  }
+
+  // Plain address rows of several customers, as a Map from customer id to
+  // that customer's addresses (primary first). One query per
+  // CUSTOMER_ID_BATCH_SIZE customers rather than one per customer. Takes the
+  // same filters as listForCustomer().
+  async listForCustomers(customerIds, filters = {}) {
+    const byCustomer = new Map(customerIds.map(id => [id, []]));
+
+    for (let start = 0; start < customerIds.length; start += CUSTOMER_ID_BATCH_SIZE) {
+      const batch = customerIds.slice(start, start + CUSTOMER_ID_BATCH_SIZE);
+      const { where, params } = buildFilters(this.tenantId, { ...filters, customerIds: batch });
+      const rows = await this.db.all(`SELECT a.* FROM addresses a ${where} ORDER BY a.is_primary DESC, a.id`, params);
+      for (const row of rows) {
+        byCustomer.get(row.customer_id).push(row);
+      }
+    }
+    return byCustomer;
+  }
+
+  // Addresses that went to the trash together with one of `customerIds`, as a
+  // Map from customer id to that customer's addresses. Batched like
+  // listForCustomers().
+  async listDeletedWithCustomers(customerIds) {
+    const byCustomer = new Map(customerIds.map(id => [id, []]));
+
+    for (let start = 0; start < customerIds.length; start += CUSTOMER_ID_BATCH_SIZE) {
+      const batch = customerIds.slice(start, start + CUSTOMER_ID_BATCH_SIZE);
+      const rows = await this.db.all(
+        `SELECT * FROM addresses WHERE tenant_id = ? AND deleted_with_customer = TRUE AND customer_id IN (${batch.map(() => '?').join(', ')}) ORDER BY is_primary DESC, id`,
+        [this.tenantId, ...batch]
+      );
+      for (const row of rows) {
+        byCustomer.get(row.customer_id).push(row);
+      }
+    }
+    return byCustomer;
+  }
+
+  // Insert an address, keeping a single primary per customer; returns the new id
+  create(customerId, address) {
+    return this.db.transaction(async () => {
+      if (address.is_primary) {
+        await this.db.run(UNSET_PRIMARY, [customerId, this.tenantId]);
+      }
+
+      const { lastID } = await this.db.run(INSERT_ADDRESS, [...toParams(address), customerId, this.tenantId]);
+      await this.recomputeAddressFlags(customerId);
+      await this.touchCustomer(customerId);
+      return lastID;
+    });
+  }
+
+  // Update an address in place; returns the number of rows changed. With
+  // `expectedVersion`, throws VersionConflictError if the address has been
+  // modified since that version was read.
+  update(id, customerId, address, expectedVersion = null) {
+    return this.db.transaction(async () => {
+      if (address.is_primary) {
+        await this.db.run(`${UNSET_PRIMARY} AND id != ?`, [customerId, this.tenantId, id]);
+      }
+
+      const { changes } = expectedVersion === null
+        ? await this.db.run(UPDATE_ADDRESS, [...toParams(address), id, this.tenantId])
+        : await this.db.run(`${UPDATE_ADDRESS} AND version = ?`, [...toParams(address), id, this.tenantId, expectedVersion]);
+      if (changes === 0 && expectedVersion !== null) {
+        throw new VersionConflictError('Address', id);
+      }
+
+      await this.recomputeAddressFlags(customerId);
+      await this.touchCustomer(customerId);
+      return changes;
+    });
+  }
+
+  // Move an address to the trash; returns the number of rows changed. With
+  // `expectedVersion`, throws VersionConflictError if the address has been
+  // modified since that version was read.
+  delete(id, customerId, expectedVersion = null) {
+    return this.db.transaction(async () => {
+      let sql = 'UPDATE addresses SET deleted_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = ? AND tenant_id = ? AND deleted_at IS NULL';
+      const params = [id, this.tenantId];
+      if (expectedVersion !== null) {
+        sql += ' AND version = ?';
+        params.push(expectedVersion);
+      }
+
+      const { changes } = await this.db.run(sql, params);
+      if (changes === 0 && expectedVersion !== null) {
+        throw new VersionConflictError('Address', id);
+      }
+
+      await this.recomputeAddressFlags(customerId);
+      await this.touchCustomer(customerId);
+      return changes;
+    });
+  }
+
+  // Bring an address back from the trash. It stays primary only if its
+  // customer has not picked another primary address in the meantime.
+  restore(id, customerId) {
+    return this.db.transaction(async () => {
+      const { changes } = await this.db.run(
+        'UPDATE addresses SET deleted_at = NULL, version = version + 1 WHERE id = ? AND tenant_id = ? AND deleted_at IS NOT NULL',
+        [id, this.tenantId]
+      );
+      await this.db.run(`
+        UPDATE addresses SET is_primary = FALSE
+        WHERE id = ? AND tenant_id = ? AND EXISTS (
+          SELECT 1 FROM addresses other
+          WHERE other.customer_id = ? AND other.id != ? AND other.is_primary = TRUE AND other.deleted_at IS NULL
+        )
+      `, [id, this.tenantId, customerId, id]);
+      await this.recomputeAddressFlags(customerId);
+      await this.touchCustomer(customerId);
+      return changes;
+    });
+  }
+
+  // Permanently remove an address that is in the trash; returns the number
+  // of rows removed
+  async purge(id) {
+    const { changes } = await this.db.run('DELETE FROM addresses WHERE id = ? AND tenant_id = ? AND deleted_at IS NOT NULL', [id, this.tenantId]);
+    return changes;
+  }
+
+  // Make the customer's stored addresses match `addresses`: entries carrying the
+  // id of an existing address are updated in place, entries without one are
+  // inserted, and stored addresses missing from the list move to the trash.
+  // Does not open a transaction of its own; call it inside one.
+  async sync(customerId, addresses) {
+    const existing = await this.db.all('SELECT id FROM addresses WHERE customer_id = ? AND tenant_id = ? AND deleted_at IS NULL', [customerId, this.tenantId]);
+    const existingIds = new Set(existing.map(address => address.id));
+    const keptIds = new Set();
+
+    for (const [index, address] of addresses.entries()) {
+      try {
+        if (existingIds.has(address.id)) {
+          await this.db.run(UPDATE_ADDRESS, [...toParams(address), address.id, this.tenantId]);
+          keptIds.add(address.id);
+        } else {
+          await this.db.run(INSERT_ADDRESS, [...toParams(address), customerId, this.tenantId]);
+        }
+      } catch (err) {
+        throw new AddressWriteError(index, err, this.db.isConstraintError(err));
+      }
+    }
+
+    for (const id of existingIds) {
+      if (!keptIds.has(id)) {
+        await this.db.run('UPDATE addresses SET deleted_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = ? AND tenant_id = ?', [id, this.tenantId]);
+      }
+    }
+
+    await this.recomputeAddressFlags(customerId);
+  }
+
+  // Refresh the denormalised has_multiple_addresses/only_one_address flags
+  // from the customer's addresses that are not in the trash
+  recomputeAddressFlags(customerId) {
+    return this.db.run(`
+      UPDATE customers 
+      SET has_multiple_addresses = (
+        SELECT COUNT(*) > 1 
+        FROM addresses 
+        WHERE customer_id = ? AND deleted_at IS NULL
+      ),
+      only_one_address = (
+        SELECT COUNT(*) = 1 
+        FROM addresses 
+        WHERE customer_id = ? AND deleted_at IS NULL
+      )
+      WHERE id = ? AND tenant_id = ?
+    `, [customerId, customerId, customerId, this.tenantId]);
+  }
+
+  // Bump the owning customer's version, whose representation includes its
+  // addresses. CustomerRepository.update bumps it itself around sync().
+  touchCustomer(customerId) {
+    return this.db.run('UPDATE customers SET version = version + 1 WHERE id = ? AND tenant_id = ?', [customerId, this.tenantId]);
+  }
+}
+
+module.exports = {
+  AddressRepository,
+  EXPORT_BATCH_SIZE,
+  AddressWriteError
+};
@@ -0,0 +1,75 @@
+// Columns safe to show when listing keys; never the hash
+const LIST_COLUMNS = 'k.id, k.name, k.prefix, k.scopes, k.expires_at, k.revoked_at, k.last_used_at, k.request_count, k.created_at, u.username as created_by';
+
+function toApiKey(row) {
+  return row && { ...row, scopes: JSON.parse(row.scopes) };
+}
+
+// API keys and their usage. Callers hash keys before they get here; this
+// repository only stores and looks up the hashes.
+class ApiKeyRepository {
+  // `connection` is a storage driver connection, such as the one returned by
+  // createConnection() in database/database.js
+  constructor(connection) {
+    this.db = connection;
+  }
+
+  // Insert a key for a tenant; returns the new id. `expiresAt` is a Date or
+  // null for a key that does not expire.
+  async create(tenantId, { name, prefix, keyHash, scopes, createdBy, expiresAt }) {
+    const { lastID } = await this.db.run(`
+      INSERT INTO api_keys (tenant_id, name, prefix, key_hash, scopes, created_by, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [tenantId, name, prefix, keyHash, JSON.stringify(scopes), createdBy, expiresAt ? expiresAt.toISOString() : null]);
+    return lastID;
+  }
+
+  // A tenant's keys, revoked and expired ones included, newest first
+  async findForTenant(tenantId) {
+    const rows = await this.db.all(`
+      SELECT ${LIST_COLUMNS}
+      FROM api_keys k
+      LEFT JOIN users u ON u.id = k.created_by
+      WHERE k.tenant_id = ?
+      ORDER BY k.id DESC
+    `, [tenantId]);
+    return rows.map(toApiKey);
+  }
+
+  // One of a tenant's keys, or undefined
+  async findById(tenantId, id) {
+    const row = await this.db.get(`
+      SELECT ${LIST_COLUMNS}
+      FROM api_keys k
+      LEFT JOIN users u ON u.id = k.created_by
+      WHERE k.tenant_id = ? AND k.id = ?
+    `, [tenantId, id]);
+    return toApiKey(row);
+  }
+
+  // Key for a hash, revoked or not, or undefined
+  async findByHash(keyHash) {
+    return toApiKey(await this.db.get('SELECT * FROM api_keys WHERE key_hash = ?', [keyHash]));
+  }
+
+  // Revoke one of a tenant's keys; returns 0 if it was already revoked
+  async revoke(tenantId, id) {
+    const { changes } = await this.db.run(
+      'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE tenant_id = ? AND id = ? AND revoked_at IS NULL',
+      [tenantId, id]
+    );
+    return changes;
+  }
+
+  // Count one request made with a key
+  recordUse(id) {
+    return this.db.run(
+      'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, request_count = request_count + 1 WHERE id = ?',
+      [id]
+    );
+  }
+}
+
+module.exports = {
+  ApiKeyRepository
+};
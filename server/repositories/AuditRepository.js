@@ -0,0 +1,131 @@
+// Bookkeeping columns that change on every write and say nothing about what
+// the user changed
+const IGNORED_FIELDS = new Set([
+  'id', 'version', 'addresses', 'created_at', 'updated_at', 'deleted_at', 'deleted_with_customer',
+  'has_multiple_addresses', 'only_one_address', 'search_rank', 'search_snippet'
+]);
+
+// Field-level diff between two snapshots of a row: { field: { before, after } }.
+// Either side may be null for creates and deletes.
+function diff(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const from = before ? before[field] ?? null : null;
+    const to = after ? after[field] ?? null : null;
+    if (from !== to) {
+      changes[field] = { before: from, after: to };
+    }
+  }
+  return changes;
+}
+
+function toEvent(row) {
+  return { ...row, changes: JSON.parse(row.changes) };
+}
+
+class AuditRepository {
+  // Events are recorded for and read from tenant `tenantId` only
+  constructor(db, tenantId) {
+    this.db = db;
+    this.tenantId = tenantId;
+  }
+
+  // Write one audit event. Updates that change nothing are not recorded.
+  async record({ actor, entityType, entityId, customerId, action, before = null, after = null }) {
+    const changes = diff(before, after);
+    if (action === 'update' && Object.keys(changes).length === 0) return;
+
+    await this.db.run(`
+      INSERT INTO audit_events (actor, entity_type, entity_id, customer_id, action, changes, tenant_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [actor, entityType, entityId, customerId, action, JSON.stringify(changes), this.tenantId]);
+  }
+
+  // Record a customer mutation from before/after snapshots as returned by
+  // CustomerRepository.findById. Creates and updates also record an event per
+  // nested address that was added, changed or removed; deletes and restores
+  // move the addresses along with the customer and record the customer only.
+  async recordCustomer(actor, action, before, after) {
+    const customerId = (after || before).id;
+    await this.record({ actor, entityType: 'customer', entityId: customerId, customerId, action, before, after });
+
+    if (action !== 'create' && action !== 'update') return;
+
+    const beforeAddresses = new Map(((before && before.addresses) || []).map(address => [address.id, address]));
+    const afterAddresses = new Map(((after && after.addresses) || []).map(address => [address.id, address]));
+
+    for (const [id, address] of afterAddresses) {
+      const previous = beforeAddresses.get(id) || null;
+      await this.recordAddress(actor, previous ? 'update' : 'create', previous, address);
+    }
+    for (const [id, address] of beforeAddresses) {
+      if (!afterAddresses.has(id)) {
+        await this.recordAddress(actor, 'delete', address, null);
+      }
+    }
+  }
+
+  // Record an address mutation from before/after snapshots
+  recordAddress(actor, action, before, after) {
+    const address = after || before;
+    return this.record({
+      actor,
+      entityType: 'address',
+      entityId: address.id,
+      customerId: address.customer_id,
+      action,
+      before,
+      after
+    });
+  }
+
+  // Record a merge: the survivor's field changes (noting which customer was
+  // merged into it), the duplicate's removal, and every address that moved
+  async recordMerge(actor, survivorBefore, survivorAfter, duplicate) {
+    await this.record({
+      actor,
+      entityType: 'customer',
+      entityId: survivorAfter.id,
+      customerId: survivorAfter.id,
+      action: 'merge',
+      before: survivorBefore,
+      after: { ...survivorAfter, merged_from: duplicate.id }
+    });
+    await this.record({
+      actor,
+      entityType: 'customer',
+      entityId: duplicate.id,
+      customerId: duplicate.id,
+      action: 'merge',
+      before: duplicate,
+      after: { merged_into: survivorAfter.id }
+    });
+
+    const moved = new Map(survivorAfter.addresses.map(address => [address.id, address]));
+    for (const address of duplicate.addresses) {
+      if (moved.has(address.id)) {
+        await this.recordAddress(actor, 'update', address, moved.get(address.id));
+      }
+    }
+  }
+
+  // Events for one entity, newest first. A customer's events include those
+  // of its addresses.
+  async findByEntity(entityType, entityId) {
+    const where = entityType === 'customer'
+      ? 'WHERE tenant_id = ? AND customer_id = ?'
+      : 'WHERE tenant_id = ? AND entity_type = ? AND entity_id = ?';
+    const params = entityType === 'customer' ? [this.tenantId, entityId] : [this.tenantId, entityType, entityId];
+
+    const rows = await this.db.all(
+      `SELECT * FROM audit_events ${where} ORDER BY created_at DESC, id DESC`,
+      params
+    );
+    return rows.map(toEvent);
+  }
+}
+
+module.exports = { AuditRepository };
@@ -0,0 +1,435 @@
+const { AddressRepository, EXPORT_BATCH_SIZE } = require('./AddressRepository');
+const { VersionConflictError } = require('./errors');
+const { orderByOf, findAfter } = require('./keyset');
+
+// Column weights for bm25() ranking: name, phone_number, email, addresses
+const SEARCH_WEIGHTS = '10.0, 5.0, 5.0, 1.0';
+
+// Number of addresses a customer has outside the trash, for filtering and
+// sorting customer lists
+const ADDRESS_COUNT = '(SELECT COUNT(*) FROM addresses ac WHERE ac.customer_id = c.id AND ac.tenant_id = c.tenant_id AND ac.deleted_at IS NULL)';
+
+// Turn free text into an FTS5 query where every word must match as a prefix,
+// e.g. "jo mum" -> "jo"* "mum"*. Quoting each word keeps FTS5 operators and
+// punctuation in user input from being interpreted.
+function toSearchQuery(search) {
+  const words = search.match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map(word => `"${word}"*`).join(' ');
+}
+
+// Build the FROM/WHERE clause shared by the customer list and count queries.
+// On SQLite, search runs against the customer_search FTS5 index; other
+// drivers fall back to case-insensitive LIKE matching. Full-text matches are
+// read from the index first, as `matches` with their search_rank and
+// search_snippet; CROSS JOIN keeps SQLite from starting with the tenant's
+// customers instead and running the match once for each of them. Address filters keep
+// customers with at least one matching address and combine with search.
+// minAddresses and maxAddresses bound how many addresses a customer has, so
+// maxAddresses = 0 finds customers without any. Only the tenant's customers
+// match, and customers and addresses in the trash are never matched.
+function buildFilters(tenantId, { search, city, state, pinCode, minAddresses, maxAddresses }, dialect) {
+  let from = 'FROM customers c';
+  let where = 'WHERE c.tenant_id = ? AND c.deleted_at IS NULL';
+  const fromParams = [];
+  const params = [tenantId];
+  let fullText = false;
+
+  if (search && dialect === 'sqlite') {
+    const searchQuery = toSearchQuery(search);
+    if (searchQuery) {
+      from = `FROM (
+        SELECT rowid,
+          bm25(customer_search, ${SEARCH_WEIGHTS}) as search_rank,
+          snippet(customer_search, -1, '<mark>', '</mark>', '…', 12) as search_snippet
+        FROM customer_search
+        WHERE customer_search MATCH ?
+      ) matches CROSS JOIN customers c`;
+      where += ' AND c.id = matches.rowid';
+      fromParams.push(searchQuery);
+      fullText = true;
+    }
+  } else if (search) {
+    where += ' AND (LOWER(c.first_name) LIKE LOWER(?) OR LOWER(c.last_name) LIKE LOWER(?) OR c.phone_number LIKE ? OR LOWER(c.email) LIKE LOWER(?))';
+    const searchParam = `%${search}%`;
+    params.push(searchParam, searchParam, searchParam, searchParam);
+  }
+
+  if (city || state || pinCode) {
+    let addressWhere = '';
+    if (city) {
+      addressWhere += ' AND LOWER(a.city) LIKE LOWER(?)';
+      params.push(`%${city}%`);
+    }
+    if (state) {
+      addressWhere += ' AND LOWER(a.state) LIKE LOWER(?)';
+      params.push(`%${state}%`);
+    }
+    if (pinCode) {
+      addressWhere += ' AND a.pin_code LIKE ?';
+      params.push(`%${pinCode}%`);
+    }
+    where += ` AND c.id IN (SELECT a.customer_id FROM addresses a WHERE a.deleted_at IS NULL${addressWhere})`;
+  }
+
+  if (minAddresses !== undefined) {
+    where += ` AND ${ADDRESS_COUNT} >= ?`;
+    params.push(minAddresses);
+  }
+  if (maxAddresses !== undefined) {
+    where += ` AND ${ADDRESS_COUNT} <= ?`;
+    params.push(maxAddresses);
+  }
+
+  return { from, where, params: [...fromParams, ...params], fullText };
+}
+
+// Sort keys of a customer list (see keyset.js), ending with the id so rows
+// that tie on the sort column keep a fixed order. Relevance ranks full-text
+// matches first and otherwise falls back to newest first.
+function sortKeysOf({ sort, order, search, fullText }) {
+  if (sort === 'relevance' || (!sort && search)) {
+    const newest = [
+      { name: 'created_at', expression: 'c.created_at', descending: true },
+      { name: 'id', expression: 'c.id', descending: true }
+    ];
+    if (!fullText) return newest;
+    return [{ name: 'search_rank', expression: 'matches.search_rank', descending: false }, ...newest];
+  }
+
+  const column = sort || 'created_at';
+  const descending = order === 'desc';
+  return [
+    { name: column, expression: column === 'address_count' ? ADDRESS_COUNT : `c.${column}`, descending },
+    { name: 'id', expression: 'c.id', descending }
+  ];
+}
+
+class CustomerRepository {
+  // `connection` is a storage driver connection, such as the one returned by
+  // createConnection() in database/database.js. Every query only reads and
+  // writes the customers of tenant `tenantId`.
+  constructor(connection, tenantId, addressRepository = new AddressRepository(connection, tenantId)) {
+    this.db = connection;
+    this.tenantId = tenantId;
+    this.addresses = addressRepository;
+  }
+
+  // One page of customers, each with its addresses and address_count, plus
+  // the total number of matches and the cursor of the next page (null on the
+  // last page). Pages are picked by `page`, or by `cursor`, the nextCursor of
+  // the page before. With address filters only the matching addresses are
+  // attached, while address_count counts them all.
+  // Full-text matches carry search_rank (lower is better) and search_snippet,
+  // with matched words wrapped in <mark></mark>; sort = 'relevance' (the
+  // default while searching) orders by rank. Throws InvalidCursorError for a
+  // cursor that does not belong to this sort.
+  async findPage(options = {}) {
+    const { city, state, pinCode } = options;
+    const { rows, total, nextCursor } = await this.findPageRows(options);
+    return { rows: await this.withAddresses(rows, { city, state, pinCode }), total, nextCursor };
+  }
+
+  // Like findPage(), without attaching addresses
+  async findPageRows({ page = 1, limit = 10, cursor, search, city, state, pinCode, minAddresses, maxAddresses, sort, order = 'desc' } = {}) {
+    const { from, where, params, fullText } = buildFilters(this.tenantId, { search, city, state, pinCode, minAddresses, maxAddresses }, this.db.dialect);
+    const keys = sortKeysOf({ sort, order, search, fullText });
+    const offset = cursor ? 0 : (page - 1) * limit;
+
+    const columns = fullText ? 'c.*, matches.search_rank, matches.search_snippet' : 'c.*';
+
+    const { total } = await this.db.get(`SELECT COUNT(*) as total ${from} ${where}`, params);
+    // address_count is read for the page's rows only, rather than for every
+    // row the database sorts; it is needed before the cursor is made from
+    // the last row
+    const { rows, nextCursor } = await findAfter(keys, cursor, limit, async (condition, conditionParams, rowLimit) => this.withAddressCounts(
+      await this.db.all(
+        `SELECT ${columns} ${from} ${where}${condition} ORDER BY ${orderByOf(keys)} LIMIT ? OFFSET ?`,
+        [...params, ...conditionParams, rowLimit, offset]
+      )
+    ));
+
+    return { rows, total, nextCursor };
+  }
+
+  // Every matching customer with its addresses, in id order, read in batches
+  // so exports never hold the whole table in memory. Takes the same filters as
+  // findPage(), and like it attaches only the addresses matching them.
+  async *iterate({ search, city, state, pinCode, minAddresses, maxAddresses } = {}, batchSize = EXPORT_BATCH_SIZE) {
+    const { from, where, params } = buildFilters(this.tenantId, { search, city, state, pinCode, minAddresses, maxAddresses }, this.db.dialect);
+    let lastId = 0;
+
+    for (;;) {
+      const customers = await this.db.all(
+        `SELECT c.* ${from} ${where} AND c.id > ? ORDER BY c.id LIMIT ?`,
+        [...params, lastId, batchSize]
+      );
+      const addresses = await this.addresses.listForCustomers(customers.map(customer => customer.id), { city, state, pinCode });
+      for (const customer of customers) {
+        yield { ...customer, addresses: addresses.get(customer.id) };
+      }
+      if (customers.length < batchSize) return;
+      lastId = customers[customers.length - 1].id;
+    }
+  }
+
+  // Customer with its addresses, or undefined when it does not exist
+  async findById(id) {
+    const customer = await this.db.get('SELECT * FROM customers WHERE id = ? AND tenant_id = ? AND deleted_at IS NULL', [id, this.tenantId]);
+    if (!customer) return undefined;
+
+    const [withAddresses] = await this.withAddresses([customer]);
+    return withAddresses;
+  }
+
+  // Customers with the given ids, without their addresses, in no particular
+  // order. Ids that do not exist or are in the trash are left out.
+  findByIds(ids) {
+    if (ids.length === 0) return Promise.resolve([]);
+    return this.db.all(
+      `SELECT * FROM customers WHERE tenant_id = ? AND deleted_at IS NULL AND id IN (${ids.map(() => '?').join(', ')})`,
+      [this.tenantId, ...ids]
+    );
+  }
+
+  // Pairs of customers outside the trash that share a blocking key, each
+  // customer with its addresses, the lower id first and in id order. The keys
+  // are the first letter of the first name with the first two of the last
+  // name, the last `phoneSuffix` digits of the phone number and the pin code
+  // of each address. Keys shared by more than `maxBlockSize` customers are
+  // too common to say anything and are skipped. Pairs are found by the
+  // database and read `batchSize` at a time, so the whole table is never
+  // held in memory.
+  async *iterateDuplicateCandidates({ phoneSuffix, maxBlockSize }, batchSize = EXPORT_BATCH_SIZE) {
+    const keys = `
+      SELECT id AS customer_id, 'name:' || lower(substr(first_name, 1, 1) || substr(last_name, 1, 2)) AS block_key
+      FROM customers WHERE tenant_id = ? AND deleted_at IS NULL
+      UNION
+      SELECT id, 'phone:' || substr(phone_number, ?)
+      FROM customers WHERE tenant_id = ? AND deleted_at IS NULL
+      UNION
+      SELECT a.customer_id, 'pin:' || a.pin_code
+      FROM addresses a JOIN customers c ON c.id = a.customer_id
+      WHERE a.tenant_id = ? AND a.deleted_at IS NULL AND c.deleted_at IS NULL
+    `;
+    // Phone numbers are always 10 digits
+    const keyParams = [this.tenantId, 10 - phoneSuffix + 1, this.tenantId, this.tenantId];
+    let after = [0, 0];
+
+    for (;;) {
+      const pairs = await this.db.all(`
+        WITH keys AS (${keys}),
+        blocks AS (SELECT block_key FROM keys GROUP BY block_key HAVING COUNT(*) BETWEEN 2 AND ?)
+        SELECT DISTINCT ka.customer_id AS a_id, kb.customer_id AS b_id
+        FROM keys ka
+        JOIN blocks ON blocks.block_key = ka.block_key
+        JOIN keys kb ON kb.block_key = ka.block_key AND kb.customer_id > ka.customer_id
+        WHERE ka.customer_id > ? OR (ka.customer_id = ? AND kb.customer_id > ?)
+        ORDER BY a_id, b_id
+        LIMIT ?
+      `, [...keyParams, maxBlockSize, after[0], after[0], after[1], batchSize]);
+
+      const ids = [...new Set(pairs.flatMap(pair => [pair.a_id, pair.b_id]))];
+      const customers = new Map((await this.withAddresses(await this.findByIds(ids))).map(customer => [customer.id, customer]));
+      for (const pair of pairs) {
+        yield [customers.get(pair.a_id), customers.get(pair.b_id)];
+      }
+      if (pairs.length < batchSize) return;
+      after = [pairs[pairs.length - 1].a_id, pairs[pairs.length - 1].b_id];
+    }
+  }
+
+  // True when the customer exists and is not in the trash
+  async exists(id) {
+    const row = await this.db.get('SELECT id FROM customers WHERE id = ? AND tenant_id = ? AND deleted_at IS NULL', [id, this.tenantId]);
+    return Boolean(row);
+  }
+
+  // Customers in the trash, most recently deleted first, each with the
+  // addresses that were deleted along with it
+  async findDeleted() {
+    const customers = await this.db.all('SELECT * FROM customers WHERE tenant_id = ? AND deleted_at IS NOT NULL ORDER BY deleted_at DESC', [this.tenantId]);
+    const addresses = await this.addresses.listDeletedWithCustomers(customers.map(customer => customer.id));
+    return customers.map(customer => ({ ...customer, addresses: addresses.get(customer.id) }));
+  }
+
+  // Customer of this tenant owning `phoneNumber`, ignoring `excludeId` (the
+  // one being edited). Trashed customers are included since they keep their
+  // phone number.
+  findByPhone(phoneNumber, excludeId = null) {
+    return this.findByUniqueColumn('phone_number', phoneNumber, excludeId);
+  }
+
+  // Customer of this tenant owning `email`, ignoring `excludeId` (the one
+  // being edited)
+  findByEmail(email, excludeId = null) {
+    return this.findByUniqueColumn('email', email, excludeId);
+  }
+
+  findByUniqueColumn(column, value, excludeId) {
+    if (excludeId === null) {
+      return this.db.get(`SELECT id, deleted_at FROM customers WHERE tenant_id = ? AND ${column} = ?`, [this.tenantId, value]);
+    }
+    return this.db.get(`SELECT id, deleted_at FROM customers WHERE tenant_id = ? AND ${column} = ? AND id != ?`, [this.tenantId, value, excludeId]);
+  }
+
+  // Insert a customer and its addresses atomically; returns the new id.
+  // A failing address raises AddressWriteError and nothing is written.
+  create({ first_name, last_name, phone_number, email }, addresses = []) {
+    return this.db.transaction(async () => {
+      const { lastID } = await this.db.run(
+        'INSERT INTO customers (first_name, last_name, phone_number, email, tenant_id) VALUES (?, ?, ?, ?, ?)',
+        [first_name, last_name, phone_number, email, this.tenantId]
+      );
+      await this.addresses.sync(lastID, addresses);
+      return lastID;
+    });
+  }
+
+  // Update a customer and replace its address list atomically; returns the
+  // number of customer rows changed. With `expectedVersion`, throws
+  // VersionConflictError if the customer has been modified since that
+  // version was read.
+  update(id, { first_name, last_name, phone_number, email }, addresses = [], expectedVersion = null) {
+    return this.db.transaction(async () => {
+      let sql = 'UPDATE customers SET first_name = ?, last_name = ?, phone_number = ?, email = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND tenant_id = ?';
+      const params = [first_name, last_name, phone_number, email, id, this.tenantId];
+      if (expectedVersion !== null) {
+        sql += ' AND version = ?';
+        params.push(expectedVersion);
+      }
+
+      const { changes } = await this.db.run(sql, params);
+      if (changes === 0 && expectedVersion !== null) {
+        throw new VersionConflictError('Customer', id);
+      }
+      if (changes > 0) {
+        await this.addresses.sync(id, addresses);
+      }
+      return changes;
+    });
+  }
+
+  // Move a customer and its addresses to the trash; returns the number of
+  // customer rows changed. The addresses are marked deleted_with_customer so
+  // restore() can tell them apart from ones deleted earlier on their own.
+  // With `expectedVersion`, throws VersionConflictError if the customer has
+  // been modified since that version was read.
+  delete(id, expectedVersion = null) {
+    return this.db.transaction(async () => {
+      let sql = 'UPDATE customers SET deleted_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = ? AND tenant_id = ? AND deleted_at IS NULL';
+      const params = [id, this.tenantId];
+      if (expectedVersion !== null) {
+        sql += ' AND version = ?';
+        params.push(expectedVersion);
+      }
+
+      const { changes } = await this.db.run(sql, params);
+      if (changes === 0 && expectedVersion !== null) {
+        throw new VersionConflictError('Customer', id);
+      }
+      await this.db.run(
+        'UPDATE addresses SET deleted_at = CURRENT_TIMESTAMP, deleted_with_customer = TRUE, version = version + 1 WHERE customer_id = ? AND tenant_id = ? AND deleted_at IS NULL',
+        [id, this.tenantId]
+      );
+      return changes;
+    });
+  }
+
+  // Bring a customer back from the trash together with the addresses that
+  // were deleted along with it; returns the number of customer rows changed
+  restore(id) {
+    return this.db.transaction(async () => {
+      const { changes } = await this.db.run(
+        'UPDATE customers SET deleted_at = NULL, version = version + 1 WHERE id = ? AND tenant_id = ? AND deleted_at IS NOT NULL',
+        [id, this.tenantId]
+      );
+      if (changes > 0) {
+        await this.db.run(
+          'UPDATE addresses SET deleted_at = NULL, deleted_with_customer = FALSE, version = version + 1 WHERE customer_id = ? AND tenant_id = ? AND deleted_with_customer = TRUE',
+          [id, this.tenantId]
+        );
+      }
+      await this.recomputeAddressFlags(id);
+      return changes;
+    });
+  }
+
+  // Permanently remove a customer that is in the trash, with all of its
+  // addresses; returns the number of customer rows removed
+  purge(id) {
+    return this.db.transaction(async () => {
+      const { changes } = await this.db.run('DELETE FROM customers WHERE id = ? AND tenant_id = ? AND deleted_at IS NOT NULL', [id, this.tenantId]);
+      if (changes > 0) {
+        await this.db.run('DELETE FROM addresses WHERE customer_id = ? AND tenant_id = ?', [id, this.tenantId]);
+      }
+      return changes;
+    });
+  }
+
+  // Merge `duplicateId` into `survivorId`: the duplicate's addresses move to
+  // the survivor, the duplicate is removed permanently and the survivor takes
+  // `values` for its contact fields. The duplicate goes first so the survivor
+  // can take over its phone number or email. Throws VersionConflictError if
+  // either customer changed since the given versions were read.
+  merge(survivorId, survivorVersion, duplicateId, duplicateVersion, { first_name, last_name, phone_number, email }) {
+    return this.db.transaction(async () => {
+      // Moved addresses only stay primary if the survivor has no primary yet
+      const survivorPrimary = await this.db.get(
+        'SELECT id FROM addresses WHERE customer_id = ? AND tenant_id = ? AND is_primary = TRUE AND deleted_at IS NULL',
+        [survivorId, this.tenantId]
+      );
+      await this.db.run(`
+        UPDATE addresses
+        SET customer_id = ?, is_primary = ${survivorPrimary ? 'FALSE' : 'is_primary'}, version = version + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE customer_id = ? AND tenant_id = ?
+      `, [survivorId, duplicateId, this.tenantId]);
+
+      const removed = await this.db.run(
+        'DELETE FROM customers WHERE id = ? AND tenant_id = ? AND version = ? AND deleted_at IS NULL',
+        [duplicateId, this.tenantId, duplicateVersion]
+      );
+      if (removed.changes === 0) {
+        throw new VersionConflictError('Customer', duplicateId);
+      }
+
+      const updated = await this.db.run(`
+        UPDATE customers
+        SET first_name = ?, last_name = ?, phone_number = ?, email = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND tenant_id = ? AND version = ? AND deleted_at IS NULL
+      `, [first_name, last_name, phone_number, email, survivorId, this.tenantId, survivorVersion]);
+      if (updated.changes === 0) {
+        throw new VersionConflictError('Customer', survivorId);
+      }
+
+      await this.recomputeAddressFlags(survivorId);
+    });
+  }
+
+  recomputeAddressFlags(id) {
+    return this.addresses.recomputeAddressFlags(id);
+  }
+
+  // Attach each customer's number of addresses outside the trash as
+  // `customer.address_count`, read for all of them in one query
+  async withAddressCounts(customers) {
+    if (customers.length === 0) return customers;
+
+    const counts = await this.db.all(
+      `SELECT customer_id, COUNT(*) as address_count FROM addresses WHERE tenant_id = ? AND deleted_at IS NULL AND customer_id IN (${customers.map(() => '?').join(', ')}) GROUP BY customer_id`,
+      [this.tenantId, ...customers.map(customer => customer.id)]
+    );
+    const byCustomer = new Map(counts.map(row => [row.customer_id, row.address_count]));
+    return customers.map(customer => ({ ...customer, address_count: byCustomer.get(customer.id) || 0 }));
+  }
+
+  // Attach each customer's addresses as `customer.addresses`, primary first,
+  // read for all of them together rather than one query per customer
+  async withAddresses(customers, filters = {}) {
+    const addresses = await this.addresses.listForCustomers(customers.map(customer => customer.id), filters);
+    return customers.map(customer => ({ ...customer, addresses: addresses.get(customer.id) }));
+  }
+}
+
+module.exports = {
+  CustomerRepository
+};
@@ -0,0 +1,158 @@
+// SQL for the first day of the day, week (starting Monday) or month a
+// customer was created in, as YYYY-MM-DD
+const PERIOD_START_SQL = {
+  sqlite: {
+    day: "date(c.created_at)",
+    week: "date(c.created_at, 'weekday 0', '-6 days')",
+    month: "strftime('%Y-%m-01', c.created_at)"
+  },
+  postgres: {
+    day: "to_char(date_trunc('day', c.created_at), 'YYYY-MM-DD')",
+    week: "to_char(date_trunc('week', c.created_at), 'YYYY-MM-DD')",
+    month: "to_char(date_trunc('month', c.created_at), 'YYYY-MM-DD')"
+  }
+};
+
+const GROWTH_INTERVALS = Object.keys(PERIOD_START_SQL.sqlite);
+
+// First day of the period `date` (a UTC date) falls in, matching the SQL above
+function periodStart(date, interval) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  if (interval === 'month') start.setUTCDate(1);
+  return start;
+}
+
+function nextPeriod(start, interval) {
+  const next = new Date(start);
+  if (interval === 'day') next.setUTCDate(next.getUTCDate() + 1);
+  if (interval === 'week') next.setUTCDate(next.getUTCDate() + 7);
+  if (interval === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+}
+
+function toDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Starts of every period from the one holding `from` to the one holding `to`
+function periodsBetween(from, to, interval) {
+  const periods = [];
+  for (let start = periodStart(from, interval); start <= to; start = nextPeriod(start, interval)) {
+    periods.push(toDay(start));
+  }
+  return periods;
+}
+
+// Aggregate figures for the dashboard, computed in SQL over the customers and
+// addresses of one tenant that are not in the trash
+class StatsRepository {
+  // `connection` is a storage driver connection, such as the one returned by
+  // createConnection() in database/database.js
+  constructor(connection, tenantId) {
+    this.db = connection;
+    this.tenantId = tenantId;
+  }
+
+  // Customer and address counts, with customers split by how many addresses
+  // they have
+  async totals() {
+    const row = await this.db.get(`
+      SELECT
+        COUNT(*) as customers,
+        COALESCE(SUM(counts.address_count), 0) as addresses,
+        COALESCE(SUM(CASE WHEN counts.address_count > 1 THEN 1 ELSE 0 END), 0) as multiple_addresses,
+        COALESCE(SUM(CASE WHEN counts.address_count = 1 THEN 1 ELSE 0 END), 0) as single_address,
+        COALESCE(SUM(CASE WHEN counts.address_count IS NULL THEN 1 ELSE 0 END), 0) as no_address
+      FROM customers c
+      LEFT JOIN (
+        SELECT customer_id, COUNT(*) as address_count
+        FROM addresses
+        WHERE tenant_id = ? AND deleted_at IS NULL
+        GROUP BY customer_id
+      ) counts ON counts.customer_id = c.id
+      WHERE c.tenant_id = ? AND c.deleted_at IS NULL
+    `, [this.tenantId, this.tenantId]);
+
+    // PostgreSQL sums counts as numeric, which pg returns as a string
+    return Object.fromEntries(Object.entries(row).map(([key, value]) => [key, Number(value)]));
+  }
+
+  // How many customers have each number of addresses, fewest first:
+  // [{ address_count, customers }], customers without addresses counting 0
+  addressDistribution() {
+    return this.db.all(`
+      SELECT COALESCE(counts.address_count, 0) as address_count, COUNT(*) as customers
+      FROM customers c
+      LEFT JOIN (
+        SELECT customer_id, COUNT(*) as address_count
+        FROM addresses
+        WHERE tenant_id = ? AND deleted_at IS NULL
+        GROUP BY customer_id
+      ) counts ON counts.customer_id = c.id
+      WHERE c.tenant_id = ? AND c.deleted_at IS NULL
+      GROUP BY COALESCE(counts.address_count, 0)
+      ORDER BY address_count
+    `, [this.tenantId, this.tenantId]);
+  }
+
+  // The `limit` states with the most addresses: [{ state, addresses, customers }]
+  addressesByState(limit) {
+    return this.addressesBy(['state'], limit);
+  }
+
+  // The `limit` cities with the most addresses:
+  // [{ city, state, addresses, customers }]
+  addressesByCity(limit) {
+    return this.addressesBy(['city', 'state'], limit);
+  }
+
+  addressesBy(columns, limit) {
+    const groupBy = columns.map(column => `a.${column}`).join(', ');
+    return this.db.all(`
+      SELECT ${groupBy}, COUNT(*) as addresses, COUNT(DISTINCT a.customer_id) as customers
+      FROM addresses a
+      INNER JOIN customers c ON c.id = a.customer_id AND c.deleted_at IS NULL
+      WHERE a.tenant_id = ? AND a.deleted_at IS NULL
+      GROUP BY ${groupBy}
+      ORDER BY addresses DESC, ${groupBy}
+      LIMIT ?
+    `, [this.tenantId, limit]);
+  }
+
+  // Customers created per day, week or month in the periods from the one
+  // holding `from` to the one holding `to` (UTC dates), so the first and last
+  // periods are counted whole: [{ period, new_customers, total_customers }],
+  // one entry per period including empty ones. `period` is the period's first
+  // day and `total_customers` the running total at its end.
+  async growth(interval, from, to) {
+    const periodSql = PERIOD_START_SQL[this.db.dialect][interval];
+    const rangeStart = toDay(periodStart(from, interval));
+    const rangeEnd = toDay(nextPeriod(periodStart(to, interval), interval));
+
+    const rows = await this.db.all(`
+      SELECT ${periodSql} as period, COUNT(*) as new_customers
+      FROM customers c
+      WHERE c.tenant_id = ? AND c.deleted_at IS NULL AND c.created_at >= ? AND c.created_at < ?
+      GROUP BY ${periodSql}
+    `, [this.tenantId, rangeStart, rangeEnd]);
+    const { earlier } = await this.db.get(`
+      SELECT COUNT(*) as earlier
+      FROM customers c
+      WHERE c.tenant_id = ? AND c.deleted_at IS NULL AND c.created_at < ?
+    `, [this.tenantId, rangeStart]);
+
+    const created = new Map(rows.map(row => [row.period, row.new_customers]));
+    let total = earlier;
+    return periodsBetween(from, to, interval).map(period => {
+      const newCustomers = created.get(period) || 0;
+      total += newCustomers;
+      return { period, new_customers: newCustomers, total_customers: total };
+    });
+  }
+}
+
+module.exports = {
+  GROWTH_INTERVALS,
+  StatsRepository
+};
@@ -0,0 +1,44 @@
+// Tenants (the organisations sharing this deployment) and which users
+// belong to them
+class TenantRepository {
+  // `connection` is a storage driver connection, such as the one returned by
+  // createConnection() in database/database.js
+  constructor(connection) {
+    this.db = connection;
+  }
+
+  findByName(name) {
+    return this.db.get('SELECT * FROM tenants WHERE name = ?', [name]);
+  }
+
+  // Insert a tenant; returns the new id
+  async create(name) {
+    const { lastID } = await this.db.run('INSERT INTO tenants (name) VALUES (?)', [name]);
+    return lastID;
+  }
+
+  // Tenants a user belongs to as { id, name }, oldest first
+  findForUser(userId) {
+    return this.db.all(`
+      SELECT t.id, t.name
+      FROM tenants t
+      INNER JOIN user_tenants ut ON ut.tenant_id = t.id
+      WHERE ut.user_id = ?
+      ORDER BY t.id
+    `, [userId]);
+  }
+
+  // Make a user a member of a tenant; does nothing if they already are
+  async addMember(tenantId, userId) {
+    const existing = await this.db.get(
+      'SELECT 1 as member FROM user_tenants WHERE tenant_id = ? AND user_id = ?',
+      [tenantId, userId]
+    );
+    if (existing) return;
+    await this.db.run('INSERT INTO user_tenants (tenant_id, user_id) VALUES (?, ?)', [tenantId, userId]);
+  }
+}
+
+module.exports = {
+  TenantRepository
+};
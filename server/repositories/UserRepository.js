@@ -0,0 +1,83 @@
+// Users and their refresh-token sessions. Callers hash passwords and tokens
+// before they get here; this repository only stores and looks up the hashes.
+class UserRepository {
+  // `connection` is a storage driver connection, such as the one returned by
+  // createConnection() in database/database.js
+  constructor(connection) {
+    this.db = connection;
+  }
+
+  // User row including password_hash, or undefined
+  findByUsername(username) {
+    return this.db.get('SELECT * FROM users WHERE username = ?', [username]);
+  }
+
+  // User without the password hash, or undefined
+  findById(id) {
+    return this.db.get('SELECT id, username, role, created_at, updated_at FROM users WHERE id = ?', [id]);
+  }
+
+  // Insert a user; returns the new id
+  async create(username, passwordHash, role) {
+    const { lastID } = await this.db.run(
+      'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+      [username, passwordHash, role]
+    );
+    return lastID;
+  }
+
+  // Change a user's role; returns the number of rows changed
+  async setRole(id, role) {
+    const { changes } = await this.db.run(
+      'UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [role, id]
+    );
+    return changes;
+  }
+
+  // Replace a user's password hash; returns the number of rows changed
+  async setPassword(id, passwordHash) {
+    const { changes } = await this.db.run(
+      'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [passwordHash, id]
+    );
+    return changes;
+  }
+
+  // Start a session for a refresh token that expires at `expiresAt` (a Date)
+  async createSession(userId, tokenHash, expiresAt) {
+    const { lastID } = await this.db.run(
+      'INSERT INTO sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+      [userId, tokenHash, expiresAt.toISOString()]
+    );
+    return lastID;
+  }
+
+  // Session for a refresh token hash, revoked or not, or undefined
+  findSession(tokenHash) {
+    return this.db.get('SELECT * FROM sessions WHERE token_hash = ?', [tokenHash]);
+  }
+
+  // Revoke one session; returns 0 if it was already revoked, so two requests
+  // racing to rotate the same refresh token cannot both succeed
+  async revokeSession(id) {
+    const { changes } = await this.db.run(
+      'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+      [id]
+    );
+    return changes;
+  }
+
+  // Revoke every open session of a user
+  async revokeUserSessions(userId) {
+    const { changes } = await this.db.run(
+      'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+      [userId]
+    );
+    return changes;
+  }
+}
+
+module.exports = {
+  UserRepository
+};
@@ -0,0 +1,120 @@
+// Columns shown when reading webhooks back; the secret is only returned when
+// a webhook is created
+const WEBHOOK_COLUMNS = 'id, url, description, events, active, created_at, updated_at';
+
+function toWebhook(row) {
+  return row && { ...row, events: JSON.parse(row.events), active: Boolean(row.active) };
+}
+
+// Webhook subscriptions and the log of deliveries made to them. Times the
+// delivery worker compares (next_attempt_at, last_attempt_at) are ISO strings.
+class WebhookRepository {
+  // `connection` is a storage driver connection, such as the one returned by
+  // createConnection() in database/database.js
+  constructor(connection) {
+    this.db = connection;
+  }
+
+  // Insert a webhook for a tenant; returns the new id
+  async create(tenantId, { url, description, events, secret, active = true }) {
+    const { lastID } = await this.db.run(
+      'INSERT INTO webhooks (tenant_id, url, description, events, secret, active) VALUES (?, ?, ?, ?, ?, ?)',
+      [tenantId, url, description || null, JSON.stringify(events), secret, active]
+    );
+    return lastID;
+  }
+
+  async findForTenant(tenantId) {
+    const rows = await this.db.all(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE tenant_id = ? ORDER BY id`, [tenantId]);
+    return rows.map(toWebhook);
+  }
+
+  async findById(tenantId, id) {
+    return toWebhook(await this.db.get(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE tenant_id = ? AND id = ?`, [tenantId, id]));
+  }
+
+  // Replace a webhook's settings; returns the number of rows changed
+  async update(tenantId, id, { url, description, events, active }) {
+    const { changes } = await this.db.run(`
+      UPDATE webhooks
+      SET url = ?, description = ?, events = ?, active = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE tenant_id = ? AND id = ?
+    `, [url, description || null, JSON.stringify(events), active, tenantId, id]);
+    return changes;
+  }
+
+  // Remove a webhook and its delivery log; returns the number of webhooks removed
+  delete(tenantId, id) {
+    return this.db.transaction(async () => {
+      const { changes } = await this.db.run('DELETE FROM webhooks WHERE tenant_id = ? AND id = ?', [tenantId, id]);
+      if (changes > 0) {
+        await this.db.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+      }
+      return changes;
+    });
+  }
+
+  // Active webhooks of a tenant subscribed to `eventType`, with their secrets
+  async findSubscribed(tenantId, eventType) {
+    const rows = await this.db.all('SELECT * FROM webhooks WHERE tenant_id = ? AND active = TRUE', [tenantId]);
+    return rows.map(toWebhook).filter(webhook => webhook.events.includes(eventType));
+  }
+
+  // Queue an event for a webhook, due immediately; returns the delivery id
+  async createDelivery(webhookId, event, payload) {
+    const { lastID } = await this.db.run(
+      'INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, next_attempt_at) VALUES (?, ?, ?, ?, ?)',
+      [webhookId, event.id, event.type, payload, new Date().toISOString()]
+    );
+    return lastID;
+  }
+
+  // Pending deliveries due by `now` (a Date), oldest first, with the URL and
+  // secret of their webhook
+  findDueDeliveries(now, limit) {
+    return this.db.all(`
+      SELECT d.*, w.url, w.secret
+      FROM webhook_deliveries d
+      INNER JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+      ORDER BY d.next_attempt_at, d.id
+      LIMIT ?
+    `, [now.toISOString(), limit]);
+  }
+
+  // Record the outcome of one attempt. `status` is 'succeeded', 'failed'
+  // (no attempts left) or 'pending' with `nextAttemptAt` set for a retry.
+  recordAttempt(id, { status, responseStatus = null, error = null, nextAttemptAt = null, attemptedAt }) {
+    return this.db.run(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = attempts + 1, response_status = ?, error = ?, next_attempt_at = ?, last_attempt_at = ?
+      WHERE id = ?
+    `, [status, responseStatus, error, nextAttemptAt ? nextAttemptAt.toISOString() : null, attemptedAt.toISOString(), id]);
+  }
+
+  // Delivery log of one webhook, newest first
+  findDeliveries(webhookId, limit = 50) {
+    return this.db.all(`
+      SELECT id, event_id, event_type, status, attempts, response_status, error, next_attempt_at, last_attempt_at, created_at
+      FROM webhook_deliveries
+      WHERE webhook_id = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `, [webhookId, limit]);
+  }
+
+  // Queue a delivery again from scratch, e.g. after the receiver was fixed;
+  // returns the number of rows changed
+  async retryDelivery(webhookId, id) {
+    const { changes } = await this.db.run(`
+      UPDATE webhook_deliveries
+      SET status = 'pending', attempts = 0, next_attempt_at = ?, error = NULL
+      WHERE webhook_id = ? AND id = ?
+    `, [new Date().toISOString(), webhookId, id]);
+    return changes;
+  }
+}
+
+module.exports = {
+  WebhookRepository
+};
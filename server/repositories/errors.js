@@ -0,0 +1,22 @@
+// Raised when a write names the version of a row it expects to change but the
+// row has been modified since, so the transaction rolls back and the client
+// can be answered with 412 Precondition Failed.
+class VersionConflictError extends Error {
+  constructor(entity, id) {
+    super(`${entity} ${id} was modified by another request`);
+    this.name = 'VersionConflictError';
+    this.entity = entity;
+    this.id = id;
+  }
+}
+
+// Raised when a list is asked for the page after a cursor that is malformed or
+// was issued for a different sort, so the client can be answered with 400.
+class InvalidCursorError extends Error {
+  constructor() {
+    super('Invalid cursor');
+    this.name = 'InvalidCursorError';
+  }
+}
+
+module.exports = { VersionConflictError, InvalidCursorError };
@@ -0,0 +1,47 @@
+const { connection } = require('../database/database');
+const { CustomerRepository } = require('./CustomerRepository');
+const { AddressRepository, AddressWriteError } = require('./AddressRepository');
+const { AuditRepository } = require('./AuditRepository');
+const { StatsRepository } = require('./StatsRepository');
+const { UserRepository } = require('./UserRepository');
+const { TenantRepository } = require('./TenantRepository');
+const { ApiKeyRepository } = require('./ApiKeyRepository');
+const { WebhookRepository } = require('./WebhookRepository');
+const { VersionConflictError, InvalidCursorError } = require('./errors');
+
+// Repositories bound to the application's database connection
+const userRepository = new UserRepository(connection);
+const tenantRepository = new TenantRepository(connection);
+const apiKeyRepository = new ApiKeyRepository(connection);
+const webhookRepository = new WebhookRepository(connection);
+
+// Customer, address, audit and statistics repositories bound to the
+// application's database connection and scoped to one tenant
+function repositoriesFor(tenantId) {
+  const addressRepository = new AddressRepository(connection, tenantId);
+  return {
+    customerRepository: new CustomerRepository(connection, tenantId, addressRepository),
+    addressRepository,
+    auditRepository: new AuditRepository(connection, tenantId),
+    statsRepository: new StatsRepository(connection, tenantId)
+  };
+}
+
+module.exports = {
+  CustomerRepository,
+  AddressRepository,
+  AuditRepository,
+  StatsRepository,
+  UserRepository,
+  TenantRepository,
+  ApiKeyRepository,
+  WebhookRepository,
+  AddressWriteError,
+  VersionConflictError,
+  InvalidCursorError,
+  repositoriesFor,
+  userRepository,
+  tenantRepository,
+  apiKeyRepository,
+  webhookRepository
+};
@@ -0,0 +1,80 @@
+const { InvalidCursorError } = require('./errors');
+
+// Keyset pagination. A list's order is given as sort keys such as
+// [{ name: 'last_name', expression: 'c.last_name', descending: false },
+//  { name: 'id', expression: 'c.id', descending: false }], where the last key
+// is unique so every row has its own position. A cursor holds the key values
+// of the last row of a page, and the next page is the rows sorting after it.
+// Unlike an OFFSET this never skips or repeats rows when rows are added or
+// removed between pages, and it stays fast however deep the page is.
+
+function signatureOf(keys) {
+  return keys.map(key => `${key.name} ${key.descending ? 'desc' : 'asc'}`).join(',');
+}
+
+function orderByOf(keys) {
+  return keys.map(key => `${key.expression} ${key.descending ? 'DESC' : 'ASC'}`).join(', ');
+}
+
+// Opaque cursor positioned at `row`, which must have a property named after
+// each key. It records the sort so it cannot be used with a different one.
+function encodeCursor(keys, row) {
+  const payload = { sort: signatureOf(keys), after: keys.map(key => row[key.name]) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// The key values held by a cursor from encodeCursor(); throws
+// InvalidCursorError if it is malformed or was made for other keys
+function decodeCursor(keys, cursor) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (error) {
+    throw new InvalidCursorError();
+  }
+
+  const valid = payload
+    && payload.sort === signatureOf(keys)
+    && Array.isArray(payload.after)
+    && payload.after.length === keys.length
+    && payload.after.every(value => typeof value === 'string' || typeof value === 'number');
+  if (!valid) throw new InvalidCursorError();
+  return payload.after;
+}
+
+// SQL condition and parameters matching the rows that sort after `values`:
+// (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ..., with < for descending keys
+function afterCondition(keys, values) {
+  const alternatives = [];
+  const params = [];
+
+  keys.forEach((key, index) => {
+    const terms = keys.slice(0, index).map(earlier => `${earlier.expression} = ?`);
+    terms.push(`${key.expression} ${key.descending ? '<' : '>'} ?`);
+    alternatives.push(`(${terms.join(' AND ')})`);
+    params.push(...values.slice(0, index + 1));
+  });
+
+  return { condition: `(${alternatives.join(' OR ')})`, params };
+}
+
+// One page of a keyset-paginated query: `query(condition, params, limit)`
+// runs the list query with `condition` (SQL text, empty without a cursor)
+// added to its WHERE clause. Reads one row more than `limit` to tell whether
+// another page follows; returns the rows and the cursor of the next page, or
+// null when this is the last one.
+async function findAfter(keys, cursor, limit, query) {
+  let rows;
+  if (cursor) {
+    const { condition, params } = afterCondition(keys, decodeCursor(keys, cursor));
+    rows = await query(` AND ${condition}`, params, limit + 1);
+  } else {
+    rows = await query('', [], limit + 1);
+  }
+
+  const hasNext = rows.length > limit;
+  if (hasNext) rows.pop();
+  return { rows, nextCursor: hasNext ? encodeCursor(keys, rows[rows.length - 1]) : null };
+}
+
+module.exports = { orderByOf, findAfter };
@@ -1,30 +1,37 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
-const { db } = require('../database/database');
+const { validationResult, query } = require('express-validator');
+const { VersionConflictError, InvalidCursorError } = require('../repositories');
+const { actorOf } = require('../utils/actor');
+const { etagOf, checkIfMatch, sendVersionConflict } = require('../utils/etag');
+const { validateAddress, ADDRESS_SORT_FIELDS } = require('../utils/validators');
+const { streamExport, EXPORT_FORMATS } = require('../utils/export');
+const { writeAddressAndPublish } = require('../utils/events');
+const { requirePermission } = require('../utils/auth');
+const { validatePagination, paginationOf, sendInvalidCursor } = require('../utils/pagination');
 const router = express.Router();
 
-// Validation middleware
-const validateAddress = [
-  body('address_line1').trim().isLength({ min: 5, max: 200 }).withMessage('Address line 1 must be between 5 and 200 characters'),
-  body('address_line2').optional().trim().isLength({ max: 200 }).withMessage('Address line 2 must be less than 200 characters'),
-  body('city').trim().isLength({ min: 2, max: 50 }).withMessage('City must be between 2 and 50 characters'),
-  body('state').trim().isLength({ min: 2, max: 50 }).withMessage('State must be between 2 and 50 characters'),
-  body('pin_code').matches(/^[0-9]{6}$/).withMessage('Pin code must be exactly 6 digits'),
-  body('country').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Country must be between 2 and 50 characters'),
-  body('is_primary').optional().isBoolean().withMessage('is_primary must be a boolean')
+// Filters shared by the list and export endpoints
+const validateListFilters = [
+  query('city').optional().isString().withMessage('City must be a string'),
+  query('state').optional().isString().withMessage('State must be a string'),
+  query('pin_code').optional().isString().withMessage('Pin code must be a string')
 ];
 
+// Export columns: the address with its customer's contact details
+const EXPORT_COLUMNS = [
+  'id', 'customer_id', 'first_name', 'last_name', 'phone_number', 'email',
+  'address_line1', 'address_line2', 'city', 'state', 'pin_code', 'country', 'is_primary', 'created_at'
+].map(key => ({ key, header: key }));
+
 // GET /api/addresses - Get all addresses with pagination and search
-router.get('/', [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('city').optional().isString().withMessage('City must be a string'),
-  query('state').optional().isString().withMessage('State must be a string'),
-  query('pin_code').optional().isString().withMessage('Pin code must be a string'),
-  query('sort').optional().isIn(['city', 'state', 'created_at']).withMessage('Invalid sort field'),
+router.get('/', requirePermission('customer:read'), [
+  ...validatePagination,
+  ...validateListFilters,
+  query('sort').optional().isIn(ADDRESS_SORT_FIELDS).withMessage('Invalid sort field'),
   query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc')
 ], async (req, res) => {
   try {
+    const { addressRepository } = req.repositories;
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -36,153 +43,109 @@ router.get('/', [
 
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-    const customerId = req.query.customer_id;
-    const city = req.query.city || '';
-    const state = req.query.state || '';
-    const pinCode = req.query.pin_code || '';
-    const sort = req.query.sort || 'created_at';
-    const order = req.query.order || 'desc';
-
-    let whereClause = 'WHERE 1=1';
-    let params = [];
-
-    if (customerId) {
-      whereClause += ' AND a.customer_id = ?';
-      params.push(customerId);
-    }
-
-    if (city) {
-      whereClause += ' AND a.city LIKE ?';
-      params.push(`%${city}%`);
-    }
+    const cursor = req.query.cursor;
+
+    const { rows, total, nextCursor } = await addressRepository.findPage({
+      page,
+      limit,
+      cursor,
+      customerId: req.query.customer_id,
+      city: req.query.city || '',
+      state: req.query.state || '',
+      pinCode: req.query.pin_code || '',
+      sort: req.query.sort || 'created_at',
+      order: req.query.order || 'desc'
+    });
 
-    if (state) {
-      whereClause += ' AND a.state LIKE ?';
-      params.push(`%${state}%`);
+    res.json({
+      success: true,
+      data: rows,
+      pagination: paginationOf({ page, limit, cursor, total, nextCursor })
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return sendInvalidCursor(res, req.query.cursor);
     }
+    console.error('Error in GET /addresses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching addresses'
+    });
+  }
+});
 
-    if (pinCode) {
-      whereClause += ' AND a.pin_code LIKE ?';
-      params.push(`%${pinCode}%`);
+// GET /api/addresses/export - Download every address matching the list
+// filters, in id order, with its customer's contact details
+router.get('/export', requirePermission('customer:export'), [
+  ...validateListFilters,
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS)).withMessage('Format must be csv, xlsx or ndjson')
+], async (req, res) => {
+  try {
+    const { addressRepository } = req.repositories;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
     }
 
-    // Count total records
-    const countQuery = `
-      SELECT COUNT(*) as total
-      FROM addresses a
-      ${whereClause}
-    `;
-
-    db.get(countQuery, params, (err, countResult) => {
-      if (err) {
-        console.error('Error counting addresses:', err);
-        return res.status(500).json({
-          success: false,
-          message: 'Error counting addresses'
-        });
-      }
-
-      const total = countResult.total;
-      const totalPages = Math.ceil(total / limit);
-
-      // Get addresses with customer info
-      const query = `
-        SELECT 
-          a.*,
-          c.first_name,
-          c.last_name,
-          c.phone_number,
-          c.email
-        FROM addresses a
-        LEFT JOIN customers c ON a.customer_id = c.id
-        ${whereClause}
-        ORDER BY a.${sort} ${order.toUpperCase()}
-        LIMIT ? OFFSET ?
-      `;
-
-      db.all(query, [...params, limit, offset], (err, addresses) => {
-        if (err) {
-          console.error('Error fetching addresses:', err);
-          return res.status(500).json({
-            success: false,
-            message: 'Error fetching addresses'
-          });
-        }
-
-        res.json({
-          success: true,
-          data: addresses,
-          pagination: {
-            page,
-            limit,
-            total,
-            totalPages,
-            hasNext: page < totalPages,
-            hasPrev: page > 1
-          }
-        });
-      });
+    await streamExport(res, {
+      format: req.query.format || 'csv',
+      filename: 'addresses',
+      columns: EXPORT_COLUMNS,
+      items: addressRepository.iterate({
+        customerId: req.query.customer_id,
+        city: req.query.city || '',
+        state: req.query.state || '',
+        pinCode: req.query.pin_code || ''
+      }),
+      toRows: address => [exportAddress(address)],
+      toRecord: exportAddress
     });
   } catch (error) {
-    console.error('Error in GET /addresses:', error);
+    console.error('Error in GET /addresses/export:', error);
+    if (res.headersSent) return;
     res.status(500).json({
       success: false,
-      message: 'Internal server error'
+      message: 'Error exporting addresses'
     });
   }
 });
 
 // GET /api/addresses/:id - Get address by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('customer:read'), async (req, res) => {
   try {
+    const { addressRepository } = req.repositories;
     const addressId = parseInt(req.params.id);
+    const address = await addressRepository.findById(addressId);
 
-    const query = `
-      SELECT 
-        a.*,
-        c.first_name,
-        c.last_name,
-        c.phone_number,
-        c.email
-      FROM addresses a
-      LEFT JOIN customers c ON a.customer_id = c.id
-      WHERE a.id = ?
-    `;
-
-    db.get(query, [addressId], (err, address) => {
-      if (err) {
-        console.error('Error fetching address:', err);
-        return res.status(500).json({
-          success: false,
-          message: 'Error fetching address'
-        });
-      }
-
-      if (!address) {
-        return res.status(404).json({
-          success: false,
-          message: 'Address not found'
-        });
-      }
-
-      res.json({
-        success: true,
-        data: address
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
       });
+    }
+
+    res.set('ETag', etagOf(address));
+    res.json({
+      success: true,
+      data: address
     });
   } catch (error) {
     console.error('Error in GET /addresses/:id:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error'
+      message: 'Error fetching address'
     });
   }
 });
 
 // POST /api/addresses - Create new address
-router.post('/', validateAddress, async (req, res) => {
+router.post('/', requirePermission('address:write'), validateAddress, async (req, res) => {
   try {
+    const { customerRepository, addressRepository, auditRepository } = req.repositories;
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -194,80 +157,53 @@ router.post('/', validateAddress, async (req, res) => {
 
     const { customer_id, address_line1, address_line2, city, state, pin_code, country, is_primary } = req.body;
 
-    // Check if customer exists
-    db.get('SELECT id FROM customers WHERE id = ?', [customer_id], (err, customer) => {
-      if (err) {
-        console.error('Error checking customer existence:', err);
-        return res.status(500).json({
-          success: false,
-          message: 'Error checking customer existence'
-        });
-      }
-
-      if (!customer) {
-        return res.status(404).json({
-          success: false,
-          message: 'Customer not found'
-        });
-      }
+    if (!(await customerRepository.exists(customer_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
 
-      // If this is a primary address, unset other primary addresses for this customer
-      if (is_primary) {
-        db.run('UPDATE addresses SET is_primary = FALSE WHERE customer_id = ?', [customer_id], (err) => {
-          if (err) {
-            console.error('Error updating primary addresses:', err);
-          }
-        });
+    // Inserting a primary address unsets the customer's other primary addresses
+    const created = await writeAddressAndPublish(req, customer_id, 'address.created', async () => {
+      const id = await addressRepository.create(customer_id, {
+        address_line1, address_line2, city, state, pin_code, country, is_primary
+      });
+      const row = await addressRepository.findRow(id);
+      await auditRepository.recordAddress(actorOf(req), 'create', null, row);
+      return row;
+    });
+    const addressId = created.id;
+
+    res.status(201).json({
+      success: true,
+      message: 'Address created successfully',
+      data: { 
+        id: addressId, 
+        customer_id, 
+        address_line1, 
+        address_line2, 
+        city, 
+        state, 
+        pin_code, 
+        country, 
+        is_primary 
       }
-
-      // Insert new address
-      db.run(
-        'INSERT INTO addresses (customer_id, address_line1, address_line2, city, state, pin_code, country, is_primary) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-        [customer_id, address_line1, address_line2 || '', city, state, pin_code, country || 'India', is_primary || false],
-        function(err) {
-          if (err) {
-            console.error('Error creating address:', err);
-            return res.status(500).json({
-              success: false,
-              message: 'Error creating address'
-            });
-          }
-
-          const addressId = this.lastID;
-
-          // Update customer address flags
-          updateCustomerAddressFlags(customer_id);
-
-          res.status(201).json({
-            success: true,
-            message: 'Address created successfully',
-            data: { 
-              id: addressId, 
-              customer_id, 
-              address_line1, 
-              address_line2, 
-              city, 
-              state, 
-              pin_code, 
-              country, 
-              is_primary 
-            }
-          });
-        }
-      );
     });
   } catch (error) {
     console.error('Error in POST /addresses:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error'
+      message: 'Error creating address'
     });
   }
 });
 
-// PUT /api/addresses/:id - Update address
-router.put('/:id', validateAddress, async (req, res) => {
+// PUT /api/addresses/:id - Update address. Requires If-Match with the
+// address's current ETag; answers 412 with the current address when stale.
+router.put('/:id', requirePermission('address:write'), validateAddress, async (req, res) => {
   try {
+    const { addressRepository, auditRepository } = req.repositories;
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -280,216 +216,188 @@ router.put('/:id', validateAddress, async (req, res) => {
     const addressId = parseInt(req.params.id);
     const { address_line1, address_line2, city, state, pin_code, country, is_primary } = req.body;
 
-    // Check if address exists and get customer_id
-    db.get('SELECT customer_id FROM addresses WHERE id = ?', [addressId], (err, address) => {
-      if (err) {
-        console.error('Error checking address existence:', err);
-        return res.status(500).json({
-          success: false,
-          message: 'Error checking address existence'
-        });
-      }
+    const address = await addressRepository.findRow(addressId);
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
 
-      if (!address) {
-        return res.status(404).json({
-          success: false,
-          message: 'Address not found'
-        });
-      }
+    const version = checkIfMatch(req, res, address, 'Address');
+    if (version === null) return;
 
-      const customerId = address.customer_id;
+    const customerId = address.customer_id;
 
-      // If this is a primary address, unset other primary addresses for this customer
-      if (is_primary) {
-        db.run('UPDATE addresses SET is_primary = FALSE WHERE customer_id = ? AND id != ?', [customerId, addressId], (err) => {
-          if (err) {
-            console.error('Error updating primary addresses:', err);
-          }
-        });
-      }
+    // Marking this address primary unsets the customer's other primary addresses
+    const after = await writeAddressAndPublish(req, customerId, 'address.updated', async () => {
+      await addressRepository.update(addressId, customerId, {
+        address_line1, address_line2, city, state, pin_code, country, is_primary
+      }, version);
+      const updated = await addressRepository.findRow(addressId);
+      await auditRepository.recordAddress(actorOf(req), 'update', address, updated);
+      return updated;
+    });
 
-      // Update address
-      db.run(
-        'UPDATE addresses SET address_line1 = ?, address_line2 = ?, city = ?, state = ?, pin_code = ?, country = ?, is_primary = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [address_line1, address_line2 || '', city, state, pin_code, country || 'India', is_primary || false, addressId],
-        function(err) {
-          if (err) {
-            console.error('Error updating address:', err);
-            return res.status(500).json({
-              success: false,
-              message: 'Error updating address'
-            });
-          }
-
-          if (this.changes === 0) {
-            return res.status(404).json({
-              success: false,
-              message: 'Address not found'
-            });
-          }
-
-          // Update customer address flags
-          updateCustomerAddressFlags(customerId);
-
-          res.json({
-            success: true,
-            message: 'Address updated successfully',
-            data: { 
-              id: addressId, 
-              customer_id: customerId, 
-              address_line1, 
-              address_line2, 
-              city, 
-              state, 
-              pin_code, 
-              country, 
-              is_primary 
-            }
-          });
-        }
-      );
+    res.set('ETag', etagOf(after));
+    res.json({
+      success: true,
+      message: 'Address updated successfully',
+      data: { 
+        id: addressId, 
+        customer_id: customerId, 
+        address_line1, 
+        address_line2, 
+        city, 
+        state, 
+        pin_code, 
+        country, 
+        is_primary,
+        version: after.version
+      }
     });
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendAddressConflict(req.repositories, res, error.id);
+    }
     console.error('Error in PUT /addresses/:id:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error'
+      message: 'Error updating address'
     });
   }
 });
 
-// DELETE /api/addresses/:id - Delete address
-router.delete('/:id', async (req, res) => {
+// DELETE /api/addresses/:id - Move address to the trash. Requires If-Match
+// like PUT.
+router.delete('/:id', requirePermission('address:delete'), async (req, res) => {
   try {
+    const { addressRepository, auditRepository } = req.repositories;
     const addressId = parseInt(req.params.id);
 
-    // Check if address exists and get customer_id
-    db.get('SELECT customer_id FROM addresses WHERE id = ?', [addressId], (err, address) => {
-      if (err) {
-        console.error('Error checking address existence:', err);
-        return res.status(500).json({
-          success: false,
-          message: 'Error checking address existence'
-        });
-      }
+    const address = await addressRepository.findRow(addressId);
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
 
-      if (!address) {
-        return res.status(404).json({
-          success: false,
-          message: 'Address not found'
-        });
-      }
+    const version = checkIfMatch(req, res, address, 'Address');
+    if (version === null) return;
 
-      const customerId = address.customer_id;
-
-      // Delete address
-      db.run('DELETE FROM addresses WHERE id = ?', [addressId], function(err) {
-        if (err) {
-          console.error('Error deleting address:', err);
-          return res.status(500).json({
-            success: false,
-            message: 'Error deleting address'
-          });
-        }
-
-        // Update customer address flags
-        updateCustomerAddressFlags(customerId);
-
-        res.json({
-          success: true,
-          message: 'Address deleted successfully'
-        });
-      });
+    await writeAddressAndPublish(req, address.customer_id, 'address.deleted', async () => {
+      await addressRepository.delete(addressId, address.customer_id, version);
+      await auditRepository.recordAddress(actorOf(req), 'delete', address, null);
+      return address;
+    });
+
+    res.json({
+      success: true,
+      message: 'Address moved to trash'
     });
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendAddressConflict(req.repositories, res, error.id);
+    }
     console.error('Error in DELETE /addresses/:id:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error'
+      message: 'Error deleting address'
+    });
+  }
+});
+
+// POST /api/addresses/:id/restore - Restore address from the trash
+router.post('/:id/restore', requirePermission('address:delete'), async (req, res) => {
+  try {
+    const { addressRepository, auditRepository } = req.repositories;
+    const addressId = parseInt(req.params.id);
+
+    const address = await addressRepository.findDeletedById(addressId);
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found in trash'
+      });
+    }
+
+    // Addresses deleted with their customer come back when it is restored.
+    // One deleted on its own before its customer waits for the customer.
+    if (address.customer_deleted_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'Restore the customer to restore this address'
+      });
+    }
+
+    await writeAddressAndPublish(req, address.customer_id, 'address.restored', async () => {
+      await addressRepository.restore(addressId, address.customer_id);
+      const restored = await addressRepository.findRow(addressId);
+      await auditRepository.recordAddress(actorOf(req), 'restore', null, restored);
+      return restored;
+    });
+
+    res.json({
+      success: true,
+      message: 'Address restored successfully',
+      data: await addressRepository.findById(addressId)
+    });
+  } catch (error) {
+    console.error('Error in POST /addresses/:id/restore:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring address'
     });
   }
 });
 
 // GET /api/addresses/customer/:customerId - Get all addresses for a customer
-router.get('/customer/:customerId', async (req, res) => {
+router.get('/customer/:customerId', requirePermission('customer:read'), async (req, res) => {
   try {
+    const { customerRepository, addressRepository } = req.repositories;
     const customerId = parseInt(req.params.customerId);
 
-    // Check if customer exists
-    db.get('SELECT id FROM customers WHERE id = ?', [customerId], (err, customer) => {
-      if (err) {
-        console.error('Error checking customer existence:', err);
-        return res.status(500).json({
-          success: false,
-          message: 'Error checking customer existence'
-        });
-      }
+    if (!(await customerRepository.exists(customerId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
 
-      if (!customer) {
-        return res.status(404).json({
-          success: false,
-          message: 'Customer not found'
-        });
-      }
+    const addresses = await addressRepository.findByCustomerId(customerId);
 
-      // Get all addresses for the customer
-      const query = `
-        SELECT 
-          a.*,
-          c.first_name,
-          c.last_name,
-          c.phone_number,
-          c.email
-        FROM addresses a
-        LEFT JOIN customers c ON a.customer_id = c.id
-        WHERE a.customer_id = ?
-        ORDER BY a.is_primary DESC, a.created_at ASC
-      `;
-
-      db.all(query, [customerId], (err, addresses) => {
-        if (err) {
-          console.error('Error fetching customer addresses:', err);
-          return res.status(500).json({
-            success: false,
-            message: 'Error fetching customer addresses'
-          });
-        }
-
-        res.json({
-          success: true,
-          data: addresses
-        });
-      });
+    res.json({
+      success: true,
+      data: addresses
     });
   } catch (error) {
     console.error('Error in GET /addresses/customer/:customerId:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error'
+      message: 'Error fetching customer addresses'
     });
   }
 });
 
-// Helper function to update customer address flags
-function updateCustomerAddressFlags(customerId) {
-  db.run(`
-    UPDATE customers 
-    SET has_multiple_addresses = (
-      SELECT COUNT(*) > 1 
-      FROM addresses 
-      WHERE customer_id = ?
-    ),
-    only_one_address = (
-      SELECT COUNT(*) = 1 
-      FROM addresses 
-      WHERE customer_id = ?
-    )
-    WHERE id = ?
-  `, [customerId, customerId, customerId], (err) => {
-    if (err) {
-      console.error('Error updating customer address flags:', err);
-    }
-  });
+// Another request changed the address between our read and our write
+async function sendAddressConflict(repositories, res, addressId) {
+  const { addressRepository } = repositories;
+  const current = await addressRepository.findRow(addressId);
+  if (!current) {
+    return res.status(404).json({
+      success: false,
+      message: 'Address not found'
+    });
+  }
+  sendVersionConflict(res, current, 'Address');
+}
+
+function exportAddress(address) {
+  return Object.fromEntries(EXPORT_COLUMNS.map(({ key }) => [
+    key,
+    key === 'is_primary' ? Boolean(address.is_primary) : address[key]
+  ]));
 }
 
 module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { apiKeyRepository } = require('../repositories');
+const { createApiKey } = require('../utils/apiKeys');
+const { API_KEY_SCOPES } = require('../utils/permissions');
+const { requirePermission } = require('../utils/auth');
+const router = express.Router();
+
+const validateApiKey = [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(API_KEY_SCOPES).withMessage(`Scopes must be among ${API_KEY_SCOPES.join(', ')}`),
+  body('expires_at')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('Expiry must be a date')
+    .custom(value => new Date(value) > new Date()).withMessage('Expiry must be in the future')
+];
+
+// GET /api/api-keys - List the tenant's API keys, revoked and expired ones
+// included. Keys themselves are never returned, only their prefixes.
+router.get('/', requirePermission('api-key:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await apiKeyRepository.findForTenant(req.tenantId)
+    });
+  } catch (error) {
+    console.error('Error in GET /api-keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys'
+    });
+  }
+});
+
+// POST /api/api-keys - Create an API key for the tenant. The response holds
+// the key itself, which cannot be retrieved again.
+router.post('/', requirePermission('api-key:manage'), validateApiKey, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expires_at } = req.body;
+    const { key, hash, prefix } = createApiKey();
+    const id = await apiKeyRepository.create(req.tenantId, {
+      name,
+      prefix,
+      keyHash: hash,
+      scopes: [...new Set(scopes)],
+      createdBy: req.user.id,
+      expiresAt: expires_at ? new Date(expires_at) : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully',
+      data: { ...(await apiKeyRepository.findById(req.tenantId, id)), key }
+    });
+  } catch (error) {
+    console.error('Error in POST /api-keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key'
+    });
+  }
+});
+
+// DELETE /api/api-keys/:id - Revoke an API key. Revoked keys stay listed.
+router.delete('/:id', requirePermission('api-key:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const apiKey = await apiKeyRepository.findById(req.tenantId, id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    await apiKeyRepository.revoke(req.tenantId, id);
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: await apiKeyRepository.findById(req.tenantId, id)
+    });
+  } catch (error) {
+    console.error('Error in DELETE /api-keys/:id:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const { requirePermission } = require('../utils/auth');
+const router = express.Router();
+
+// GET /api/audit?entity=customer&id= - Audit events for a customer or address
+router.get('/', requirePermission('customer:read'), [
+  query('entity').isIn(['customer', 'address']).withMessage('Entity must be customer or address'),
+  query('id').isInt({ min: 1 }).withMessage('Id must be a positive integer')
+], async (req, res) => {
+  try {
+    const { auditRepository } = req.repositories;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const events = await auditRepository.findByEntity(req.query.entity, parseInt(req.query.id));
+
+    res.json({
+      success: true,
+      data: events
+    });
+  } catch (error) {
+    console.error('Error in GET /audit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit events'
+    });
+  }
+});
+
+module.exports = router;
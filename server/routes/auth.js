@@ -0,0 +1,165 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { transaction } = require('../database/database');
+const { userRepository, tenantRepository } = require('../repositories');
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  verifyPassword,
+  signAccessToken,
+  createRefreshToken,
+  hashToken,
+  refreshTokenExpiry
+} = require('../utils/auth');
+const { permissionsFor } = require('../utils/permissions');
+const router = express.Router();
+
+const validateLogin = [
+  body('username').isString().trim().notEmpty().withMessage('Username is required'),
+  body('password').isString().notEmpty().withMessage('Password is required')
+];
+
+const validateRefreshToken = [
+  body('refreshToken').isString().notEmpty().withMessage('refreshToken is required')
+];
+
+// POST /api/auth/login - Exchange a username and password for an access token
+// and a refresh token
+router.post('/login', validateLogin, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { username, password } = req.body;
+    const user = await userRepository.findByUsername(username);
+    const valid = await verifyPassword(password, user && user.password_hash);
+    if (!user || !valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid username or password'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged in successfully',
+      data: await startSession(user)
+    });
+  } catch (error) {
+    console.error('Error in POST /auth/login:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in'
+    });
+  }
+});
+
+// POST /api/auth/refresh - Swap a refresh token for a new access token and
+// refresh token. Each refresh token works once; presenting one that was
+// already used ends all of the user's sessions, since it may have been stolen.
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const session = await userRepository.findSession(hashToken(req.body.refreshToken));
+    if (!session || new Date(session.expires_at) <= new Date()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const tokens = await transaction(async () => {
+      if (session.revoked_at || await userRepository.revokeSession(session.id) === 0) {
+        await userRepository.revokeUserSessions(session.user_id);
+        return null;
+      }
+      const user = await userRepository.findById(session.user_id);
+      return user ? startSession(user) : null;
+    });
+
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Error in POST /auth/refresh:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing session'
+    });
+  }
+});
+
+// POST /api/auth/logout - End the session of a refresh token. The access
+// token stays valid until it expires, which is at most a few minutes.
+router.post('/logout', validateRefreshToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const session = await userRepository.findSession(hashToken(req.body.refreshToken));
+    if (session) {
+      await userRepository.revokeSession(session.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error in POST /auth/logout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out'
+    });
+  }
+});
+
+// Open a session for `user`; returns the tokens the client needs along with
+// the user's permissions and the tenants they can switch between
+async function startSession(user) {
+  const refreshToken = createRefreshToken();
+  await userRepository.createSession(user.id, refreshToken.hash, refreshTokenExpiry());
+  const tenants = await tenantRepository.findForUser(user.id);
+
+  return {
+    accessToken: signAccessToken(user, tenants.map(tenant => tenant.id)),
+    refreshToken: refreshToken.token,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      permissions: permissionsFor(user.role),
+      tenants
+    }
+  };
+}
+
+module.exports = router;
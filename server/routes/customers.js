@@ -1,29 +1,150 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const { db } = require('../database/database');
+const { transaction } = require('../database/database');
+const { AddressWriteError, VersionConflictError, InvalidCursorError } = require('../repositories');
+const { actorOf } = require('../utils/actor');
+const { etagOf, checkIfMatch, sendVersionConflict } = require('../utils/etag');
+const { findDuplicatePairs, findDuplicate } = require('../utils/duplicates');
+const { validateCustomer, CUSTOMER_SORT_FIELDS } = require('../utils/validators');
+const { readImport, ImportFormatError, IMPORT_FIELDS } = require('../utils/customerImport');
+const { streamExport, EXPORT_FORMATS } = require('../utils/export');
+const { publishCustomerChange } = require('../utils/events');
+const { requirePermission } = require('../utils/auth');
+const { validatePagination, paginationOf, sendInvalidCursor } = require('../utils/pagination');
 const router = express.Router();
 
-// Validation middleware
-const validateCustomer = [
-  body('first_name').trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
-  body('last_name').trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
-  body('phone_number').matches(/^[0-9]{10}$/).withMessage('Phone number must be exactly 10 digits'),
-  body('email').optional().isEmail().withMessage('Invalid email format'),
-  body('addresses').optional().isArray().withMessage('Addresses must be an array')
+// Contact fields a merge can take from either customer
+const MERGE_FIELDS = ['first_name', 'last_name', 'phone_number', 'email'];
+
+// Export columns, named like the import fields so an export can be imported
+const EXPORT_COLUMNS = ['customer_id', ...IMPORT_FIELDS].map(key => ({ key, header: key }));
+
+// Content types accepted as a raw import file; CSV first
+const IMPORT_TYPES = ['text/csv', 'application/x-ndjson', 'application/jsonl'];
+
+const validateMerge = [
+  body('survivor_id').isInt({ min: 1 }).withMessage('survivor_id must be a positive integer'),
+  body('survivor_version').isInt({ min: 1 }).withMessage('survivor_version must be a positive integer'),
+  body('duplicate_id').isInt({ min: 1 }).withMessage('duplicate_id must be a positive integer')
+    .custom((value, { req }) => parseInt(value) !== parseInt(req.body.survivor_id))
+    .withMessage('Cannot merge a customer into itself'),
+  body('duplicate_version').isInt({ min: 1 }).withMessage('duplicate_version must be a positive integer'),
+  body('fields').optional().isObject().withMessage('fields must be an object'),
+  body('fields.*').isIn(['survivor', 'duplicate']).withMessage('Each field must be taken from survivor or duplicate')
 ];
 
-// GET /api/customers - Get all customers with pagination and search
-router.get('/', [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+// Search and address filters shared by the list and export endpoints
+const validateListFilters = [
   query('search').optional().isString().withMessage('Search must be a string'),
   query('city').optional().isString().withMessage('City must be a string'),
   query('state').optional().isString().withMessage('State must be a string'),
-  query('pin_code').optional().isString().withMessage('Pin code must be a string'),
-  query('sort').optional().isIn(['first_name', 'last_name', 'created_at', 'phone_number']).withMessage('Invalid sort field'),
+  query('pin_code').optional().isString().withMessage('Pin code must be a string')
+];
+
+// Address count bounds; max_addresses=0 finds customers without addresses
+const validateAddressCount = [
+  query('min_addresses').optional().isInt({ min: 0 }).withMessage('min_addresses must be a non-negative integer'),
+  query('max_addresses').optional().isInt({ min: 0 }).withMessage('max_addresses must be a non-negative integer')
+    .custom((value, { req }) => req.query.min_addresses === undefined || parseInt(value) >= parseInt(req.query.min_addresses))
+    .withMessage('max_addresses must not be less than min_addresses')
+];
+
+// Paging, filters and sort shared by the customer list and the address
+// count reports
+const validateList = [
+  ...validatePagination,
+  ...validateListFilters,
+  query('sort').optional().isIn(CUSTOMER_SORT_FIELDS).withMessage('Invalid sort field'),
   query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc')
+];
+
+// The address count bounds of a list or export request
+function addressCountOf(query) {
+  return {
+    minAddresses: query.min_addresses === undefined ? undefined : parseInt(query.min_addresses),
+    maxAddresses: query.max_addresses === undefined ? undefined : parseInt(query.max_addresses)
+  };
+}
+
+// The address count bounds of a report covering `min` to `max` addresses
+// (max undefined for no upper bound), narrowed by those of the request
+function reportRangeOf(query, min, max) {
+  const { minAddresses, maxAddresses } = addressCountOf(query);
+  const upper = [max, maxAddresses].filter(bound => bound !== undefined);
+  return {
+    minAddresses: Math.max(min, minAddresses ?? min),
+    maxAddresses: upper.length > 0 ? Math.min(...upper) : undefined
+  };
+}
+
+// Handler answering with a page of the customers matching the list
+// parameters. `optionsOf(req)` gives the findPage() options an endpoint sets
+// itself, such as the address count bounds of the reports.
+function listCustomers(route, description, optionsOf) {
+  return async (req, res) => {
+    try {
+      const { customerRepository } = req.repositories;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const cursor = req.query.cursor;
+
+      const { rows, total, nextCursor } = await customerRepository.findPage({
+        page,
+        limit,
+        cursor,
+        search: req.query.search || '',
+        city: req.query.city || '',
+        state: req.query.state || '',
+        pinCode: req.query.pin_code || '',
+        // Left unset so searches default to relevance ranking
+        sort: req.query.sort,
+        order: req.query.order || 'desc',
+        ...optionsOf(req)
+      });
+
+      res.json({
+        success: true,
+        data: rows,
+        pagination: paginationOf({ page, limit, cursor, total, nextCursor })
+      });
+    } catch (error) {
+      if (error instanceof InvalidCursorError) {
+        return sendInvalidCursor(res, req.query.cursor);
+      }
+      console.error(`Error in GET ${route}:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Error fetching ${description}`
+      });
+    }
+  };
+}
+
+// GET /api/customers - Get all customers with pagination and search
+router.get('/', requirePermission('customer:read'), [
+  ...validateList,
+  ...validateAddressCount
+], listCustomers('/customers', 'customers', req => addressCountOf(req.query)));
+
+// GET /api/customers/export - Download every customer matching the list
+// filters, in id order. CSV and XLSX have one row per address in the import
+// layout; NDJSON has one customer with its addresses per line.
+router.get('/export', requirePermission('customer:export'), [
+  ...validateListFilters,
+  ...validateAddressCount,
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS)).withMessage('Format must be csv, xlsx or ndjson')
 ], async (req, res) => {
   try {
+    const { customerRepository } = req.repositories;
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -33,331 +154,274 @@ router.get('/', [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-    const search = req.query.search || '';
-    const city = req.query.city || '';
-    const state = req.query.state || '';
-    const pinCode = req.query.pin_code || '';
-    const sort = req.query.sort || 'created_at';
-    const order = req.query.order || 'desc';
-
-    let whereClause = '';
-    let params = [];
-
-    if (search) {
-      whereClause += ' AND (c.first_name LIKE ? OR c.last_name LIKE ? OR c.phone_number LIKE ? OR c.email LIKE ?)';
-      const searchParam = `%${search}%`;
-      params.push(searchParam, searchParam, searchParam, searchParam);
-    }
-
-    if (city) {
-      whereClause += ' AND a.city LIKE ?';
-      params.push(`%${city}%`);
-    }
-
-    if (state) {
-      whereClause += ' AND a.state LIKE ?';
-      params.push(`%${state}%`);
-    }
-
-    if (pinCode) {
-      whereClause += ' AND a.pin_code LIKE ?';
-      params.push(`%${pinCode}%`);
-    }
+    await streamExport(res, {
+      format: req.query.format || 'csv',
+      filename: 'customers',
+      columns: EXPORT_COLUMNS,
+      items: customerRepository.iterate({
+        search: req.query.search || '',
+        city: req.query.city || '',
+        state: req.query.state || '',
+        pinCode: req.query.pin_code || '',
+        ...addressCountOf(req.query)
+      }),
+      toRows: customerExportRows,
+      toRecord: customerExportRecord
+    });
+  } catch (error) {
+    console.error('Error in GET /customers/export:', error);
+    if (res.headersSent) return;
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting customers'
+    });
+  }
+});
 
-    // Count total records
-    let countQuery = 'SELECT COUNT(*) as total FROM customers c';
-    let countParams = [];
-    
-    // If we have address filters, we need to count customers that have matching addresses
-    if (city || state || pinCode) {
-      countQuery = `
-        SELECT COUNT(DISTINCT c.id) as total
-        FROM customers c
-        INNER JOIN addresses a ON c.id = a.customer_id
-        WHERE 1=1
-      `;
-      
-      if (city) {
-        countQuery += ' AND a.city LIKE ?';
-        countParams.push(`%${city}%`);
-      }
-      if (state) {
-        countQuery += ' AND a.state LIKE ?';
-        countParams.push(`%${state}%`);
-      }
-      if (pinCode) {
-        countQuery += ' AND a.pin_code LIKE ?';
-        countParams.push(`%${pinCode}%`);
-      }
+// GET /api/customers/duplicates - Likely duplicate customer pairs, best first
+router.get('/duplicates', requirePermission('customer:read'), [
+  query('min_score').optional().isFloat({ min: 0, max: 1 }).withMessage('min_score must be between 0 and 1'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    const { customerRepository } = req.repositories;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
     }
 
-    db.get(countQuery, countParams, (err, countResult) => {
-      if (err) {
-        console.error('Error counting customers:', err);
-        return res.status(500).json({
-          success: false,
-          message: 'Error counting customers'
-        });
-      }
-
-      const total = countResult.total;
-      const totalPages = Math.ceil(total / limit);
-
-      // Get customers with addresses
-      let query = 'SELECT c.* FROM customers c';
-      let queryParams = [];
-      
-      // If we have address filters, we need to join with addresses
-      if (city || state || pinCode) {
-        query = `
-          SELECT DISTINCT c.*
-          FROM customers c
-          INNER JOIN addresses a ON c.id = a.customer_id
-          WHERE 1=1
-        `;
-        
-        if (city) {
-          query += ' AND a.city LIKE ?';
-          queryParams.push(`%${city}%`);
-        }
-        if (state) {
-          query += ' AND a.state LIKE ?';
-          queryParams.push(`%${state}%`);
-        }
-        if (pinCode) {
-          query += ' AND a.pin_code LIKE ?';
-          queryParams.push(`%${pinCode}%`);
-        }
-      }
-      
-      query += ` ORDER BY c.${sort} ${order.toUpperCase()} LIMIT ? OFFSET ?`;
-      queryParams.push(limit, offset);
-
-      db.all(query, queryParams, async (err, customers) => {
-        if (err) {
-          console.error('Error fetching customers:', err);
-          return res.status(500).json({
-            success: false,
-            message: 'Error fetching customers'
-          });
-        }
-
-        // Fetch addresses for each customer with filtering
-        const customersWithAddresses = await Promise.all(customers.map(async (customer) => {
-          return new Promise((resolve) => {
-            let addressQuery = 'SELECT * FROM addresses WHERE customer_id = ?';
-            let addressParams = [customer.id];
-            
-            // Apply address filters if they exist
-            if (city) {
-              addressQuery += ' AND city LIKE ?';
-              addressParams.push(`%${city}%`);
-            }
-            if (state) {
-              addressQuery += ' AND state LIKE ?';
-              addressParams.push(`%${state}%`);
-            }
-            if (pinCode) {
-              addressQuery += ' AND pin_code LIKE ?';
-              addressParams.push(`%${pinCode}%`);
-            }
-            
-            db.all(addressQuery, addressParams, (err, addresses) => {
-              if (err) {
-                console.error('Error fetching addresses for customer:', customer.id, err);
-                customer.addresses = [];
-              } else {
-                customer.addresses = addresses || [];
-              }
-              resolve(customer);
-            });
-          });
-        }));
-
-        res.json({
-          success: true,
-          data: customersWithAddresses,
-          pagination: {
-            page,
-            limit,
-            total,
-            totalPages,
-            hasNext: page < totalPages,
-            hasPrev: page > 1
-          }
-        });
-      });
+    const minScore = req.query.min_score !== undefined ? parseFloat(req.query.min_score) : 0.6;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const pairs = await findDuplicatePairs(customerRepository, { minScore, limit });
+
+    const round = (value) => Math.round(value * 1000) / 1000;
+    res.json({
+      success: true,
+      data: pairs.map(({ score, reasons, customers: pair }) => ({
+        score: round(score),
+        reasons: {
+          name: round(reasons.name),
+          phone: round(reasons.phone),
+          address: round(reasons.address)
+        },
+        customers: pair
+      }))
     });
   } catch (error) {
-    console.error('Error in GET /customers:', error);
+    console.error('Error in GET /customers/duplicates:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error'
+      message: 'Error finding duplicate customers'
     });
   }
 });
 
-// GET /api/customers/multiple-addresses - Get customers with multiple addresses
-router.get('/multiple-addresses', async (req, res) => {
+// POST /api/customers/merge - Merge a duplicate customer into a survivor.
+// `fields` picks, per contact field, which customer's value the survivor
+// keeps (survivor by default). The duplicate's addresses move across and the
+// duplicate is removed. Versions guard against merging stale data.
+router.post('/merge', requirePermission('customer:write', 'customer:delete'), validateMerge, async (req, res) => {
   try {
-    const query = `
-      SELECT 
-        c.*,
-        COUNT(a.id) as address_count
-      FROM customers c
-      INNER JOIN addresses a ON c.id = a.customer_id
-      GROUP BY c.id
-      HAVING COUNT(a.id) > 1
-      ORDER BY address_count DESC
-    `;
-
-    db.all(query, [], async (err, customers) => {
-      if (err) {
-        console.error('Error fetching customers with multiple addresses:', err);
-        return res.status(500).json({
-          success: false,
-          message: 'Error fetching customers with multiple addresses'
-        });
-      }
+    const { customerRepository, auditRepository } = req.repositories;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
 
-      // Fetch addresses for each customer
-      const customersWithAddresses = await Promise.all(customers.map(async (customer) => {
-        return new Promise((resolve) => {
-          db.all('SELECT * FROM addresses WHERE customer_id = ?', [customer.id], (err, addresses) => {
-            if (err) {
-              console.error('Error fetching addresses for customer:', customer.id, err);
-              customer.addresses = [];
-            } else {
-              customer.addresses = addresses || [];
-            }
-            resolve(customer);
-          });
-        });
-      }));
+    const { survivor_id, survivor_version, duplicate_id, duplicate_version, fields = {} } = req.body;
 
-      res.json({
-        success: true,
-        data: customersWithAddresses
+    const [survivor, duplicate] = await Promise.all([
+      customerRepository.findById(parseInt(survivor_id)),
+      customerRepository.findById(parseInt(duplicate_id))
+    ]);
+    if (!survivor || !duplicate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
       });
+    }
+    if (survivor.version !== parseInt(survivor_version)) {
+      return sendVersionConflict(res, survivor, 'Customer');
+    }
+    if (duplicate.version !== parseInt(duplicate_version)) {
+      return sendVersionConflict(res, duplicate, 'Customer');
+    }
+
+    const values = {};
+    for (const field of MERGE_FIELDS) {
+      values[field] = (fields[field] === 'duplicate' ? duplicate : survivor)[field];
+    }
+
+    const merged = await transaction(async () => {
+      await customerRepository.merge(survivor.id, survivor.version, duplicate.id, duplicate.version, values);
+      const after = await customerRepository.findById(survivor.id);
+      await auditRepository.recordMerge(actorOf(req), survivor, after, duplicate);
+      return after;
+    });
+    publishCustomerChange(req.tenantId, 'customer.updated', survivor, merged);
+    publishCustomerChange(req.tenantId, 'customer.deleted', duplicate, null);
+
+    res.set('ETag', etagOf(merged));
+    res.json({
+      success: true,
+      message: 'Customers merged successfully',
+      data: merged
     });
   } catch (error) {
-    console.error('Error in GET /customers/multiple-addresses:', error);
+    if (error instanceof VersionConflictError) {
+      return sendCustomerConflict(req.repositories, res, error.id);
+    }
+    console.error('Error in POST /customers/merge:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error'
+      message: 'Error merging customers'
     });
   }
 });
 
-// GET /api/customers/single-address - Get customers with only one address
-router.get('/single-address', async (req, res) => {
+// POST /api/customers/import - Import customers from CSV (one row per address,
+// grouped by phone number) or JSON lines (one customer per line), upserting on
+// phone number. Accepts { format, data, mapping, dryRun } as JSON, or the raw
+// file as text/csv or application/x-ndjson with ?dryRun=true. A dry run only
+// reports what would happen; a real run writes nothing if any row is invalid.
+router.post('/import', requirePermission('customer:write'), express.text({ type: IMPORT_TYPES, limit: '10mb' }), async (req, res) => {
   try {
-    const query = `
-      SELECT 
-        c.*,
-        COUNT(a.id) as address_count
-      FROM customers c
-      INNER JOIN addresses a ON c.id = a.customer_id
-      GROUP BY c.id
-      HAVING COUNT(a.id) = 1
-      ORDER BY c.created_at DESC
-    `;
-
-    db.all(query, [], async (err, customers) => {
-      if (err) {
-        console.error('Error fetching customers with single address:', err);
-        return res.status(500).json({
-          success: false,
-          message: 'Error fetching customers with single address'
-        });
-      }
+    const raw = typeof req.body === 'string';
+    const options = raw
+      ? { format: IMPORT_TYPES.indexOf(req.is(IMPORT_TYPES)) === 0 ? 'csv' : 'jsonl', data: req.body }
+      : req.body;
+    const dryRun = raw ? req.query.dryRun === 'true' : options.dryRun === true;
 
-      // Fetch addresses for each customer
-      const customersWithAddresses = await Promise.all(customers.map(async (customer) => {
-        return new Promise((resolve) => {
-          db.all('SELECT * FROM addresses WHERE customer_id = ?', [customer.id], (err, addresses) => {
-            if (err) {
-              console.error('Error fetching addresses for customer:', customer.id, err);
-              customer.addresses = [];
-            } else {
-              customer.addresses = addresses || [];
-            }
-            resolve(customer);
-          });
-        });
-      }));
+    if (typeof options.data !== 'string' || options.data.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        message: 'Import data is required'
+      });
+    }
 
-      res.json({
+    const { customers, errors } = await readImport(options);
+    const plan = await planImport(req.repositories, customers, errors);
+
+    const summary = {
+      dryRun,
+      customers: plan.length,
+      created: plan.filter(entry => !entry.existing).length,
+      updated: plan.filter(entry => entry.existing && !entry.unchanged).length,
+      unchanged: plan.filter(entry => entry.unchanged).length,
+      addresses: plan.reduce((total, entry) => total + entry.addresses.length, 0),
+      errors
+    };
+
+    if (dryRun) {
+      return res.json({
         success: true,
-        data: customersWithAddresses
+        message: errors.length ? 'Import has errors' : 'Import is valid',
+        data: summary
+      });
+    }
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Import has errors; nothing was imported',
+        errors
       });
+    }
+
+    // The whole file is imported or nothing is
+    const changes = await transaction(async () => {
+      const written = [];
+      for (const entry of plan.filter(entry => !entry.unchanged)) {
+        written.push(await importCustomer(req.repositories, actorOf(req), entry));
+      }
+      return written;
+    });
+    for (const { type, before, after } of changes) {
+      publishCustomerChange(req.tenantId, type, before, after);
+    }
+
+    res.json({
+      success: true,
+      message: `Imported ${summary.customers} customers`,
+      data: summary
     });
   } catch (error) {
-    console.error('Error in GET /customers/single-address:', error);
+    if (error instanceof ImportFormatError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error instanceof AddressWriteError) {
+      return sendAddressWriteError(res, error);
+    }
+    console.error('Error in POST /customers/import:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error'
+      message: 'Error importing customers'
     });
   }
 });
 
+// GET /api/customers/multiple-addresses - Get customers with multiple
+// addresses, most addresses first unless another sort is given.
+// min_addresses and max_addresses narrow the report, e.g. to 2-3 addresses.
+router.get('/multiple-addresses', requirePermission('customer:read'), [...validateList, ...validateAddressCount], listCustomers(
+  '/customers/multiple-addresses',
+  'customers with multiple addresses',
+  req => ({ ...reportRangeOf(req.query, 2), sort: req.query.sort || 'address_count' })
+));
+
+// GET /api/customers/single-address - Get customers with only one address.
+// min_addresses and max_addresses apply too, so bounds excluding one address
+// find nobody.
+router.get('/single-address', requirePermission('customer:read'), [...validateList, ...validateAddressCount], listCustomers(
+  '/customers/single-address',
+  'customers with single address',
+  req => reportRangeOf(req.query, 1, 1)
+));
+
 // GET /api/customers/:id - Get customer by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('customer:read'), async (req, res) => {
   try {
+    const { customerRepository } = req.repositories;
     const customerId = parseInt(req.params.id);
+    const customer = await customerRepository.findById(customerId);
 
-    const query = `
-      SELECT c.*
-      FROM customers c
-      WHERE c.id = ?
-    `;
-
-    db.get(query, [customerId], async (err, customer) => {
-      if (err) {
-        console.error('Error fetching customer:', err);
-        return res.status(500).json({
-          success: false,
-          message: 'Error fetching customer'
-        });
-      }
-
-      if (!customer) {
-        return res.status(404).json({
-          success: false,
-          message: 'Customer not found'
-        });
-      }
-
-      // Fetch addresses for the customer
-      db.all('SELECT * FROM addresses WHERE customer_id = ?', [customerId], (err, addresses) => {
-        if (err) {
-          console.error('Error fetching addresses for customer:', customerId, err);
-          customer.addresses = [];
-        } else {
-          customer.addresses = addresses || [];
-        }
-
-        res.json({
-          success: true,
-          data: customer
-        });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
       });
+    }
+
+    res.set('ETag', etagOf(customer));
+    res.json({
+      success: true,
+      data: customer
     });
   } catch (error) {
     console.error('Error in GET /customers/:id:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error'
+      message: 'Error fetching customer'
     });
   }
 });
 
 // POST /api/customers - Create new customer
-router.post('/', validateCustomer, async (req, res) => {
+router.post('/', requirePermission('customer:write'), validateCustomer, async (req, res) => {
   try {
+    const { customerRepository, auditRepository } = req.repositories;
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -370,145 +434,46 @@ router.post('/', validateCustomer, async (req, res) => {
     const { first_name, last_name, phone_number, email, addresses } = req.body;
     console.log('Received customer creation request:', { first_name, last_name, phone_number, email, addresses });
 
-    // Check for duplicate phone number
-    db.get('SELECT id FROM customers WHERE phone_number = ?', [phone_number], (err, existingCustomer) => {
-      if (err) {
-        console.error('Error checking duplicate phone:', err);
-        return res.status(500).json({
-          success: false,
-          message: 'Error checking duplicate phone number'
-        });
-      }
-
-      if (existingCustomer) {
-        return res.status(400).json({
-          success: false,
-          message: 'Phone number already exists'
-        });
-      }
+    const duplicate = await findDuplicate(req.repositories, phone_number, email);
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: duplicate
+      });
+    }
 
-      // Check for duplicate email if provided
-      if (email) {
-        db.get('SELECT id FROM customers WHERE email = ?', [email], (err, existingEmail) => {
-          if (err) {
-            console.error('Error checking duplicate email:', err);
-            return res.status(500).json({
-              success: false,
-              message: 'Error checking duplicate email'
-            });
-          }
-
-          if (existingEmail) {
-            return res.status(400).json({
-              success: false,
-              message: 'Email already exists'
-            });
-          }
-
-          createCustomerWithAddresses();
-        });
-      } else {
-        createCustomerWithAddresses();
-      }
+    // Customer, addresses and audit events are written together or not at all
+    const created = await transaction(async () => {
+      const id = await customerRepository.create({ first_name, last_name, phone_number, email }, addresses || []);
+      const customer = await customerRepository.findById(id);
+      await auditRepository.recordCustomer(actorOf(req), 'create', null, customer);
+      return customer;
+    });
+    publishCustomerChange(req.tenantId, 'customer.created', null, created);
 
-      function createCustomerWithAddresses() {
-        db.run(
-          'INSERT INTO customers (first_name, last_name, phone_number, email) VALUES (?, ?, ?, ?)',
-          [first_name, last_name, phone_number, email],
-          function(err) {
-            if (err) {
-              console.error('Error creating customer:', err);
-              return res.status(500).json({
-                success: false,
-                message: 'Error creating customer'
-              });
-            }
-
-            const customerId = this.lastID;
-
-            // Insert addresses if provided
-            if (addresses && addresses.length > 0) {
-              console.log('Creating addresses for customer:', customerId, 'Addresses:', addresses);
-              let addressCount = 0;
-              addresses.forEach((address, index) => {
-                console.log('Inserting address:', address);
-                db.run(
-                  'INSERT INTO addresses (customer_id, address_line1, address_line2, city, state, pin_code, country, is_primary) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-                  [
-                    customerId,
-                    address.address_line1,
-                    address.address_line2 || '',
-                    address.city,
-                    address.state,
-                    address.pin_code,
-                    address.country || 'India',
-                    address.is_primary || false
-                  ],
-                  function(err) {
-                    if (err) {
-                      console.error('Error inserting address:', err);
-                    } else {
-                      console.log('Address inserted successfully with ID:', this.lastID);
-                    }
-                    
-                    addressCount++;
-                    if (addressCount === addresses.length) {
-                      updateAddressFlags(customerId);
-                    }
-                  }
-                );
-              });
-            } else {
-              console.log('No addresses provided for customer:', customerId);
-              updateAddressFlags(customerId);
-            }
-
-            function updateAddressFlags(customerId) {
-              console.log('Updating address flags for customer:', customerId);
-              // Update has_multiple_addresses flag
-              db.run(`
-                UPDATE customers 
-                SET has_multiple_addresses = (
-                  SELECT COUNT(*) > 1 
-                  FROM addresses 
-                  WHERE customer_id = ?
-                ),
-                only_one_address = (
-                  SELECT COUNT(*) = 1 
-                  FROM addresses 
-                  WHERE customer_id = ?
-                )
-                WHERE id = ?
-              `, [customerId, customerId, customerId], function(err) {
-                if (err) {
-                  console.error('Error updating address flags:', err);
-                } else {
-                  console.log('Address flags updated successfully. Changes:', this.changes);
-                }
-              });
-
-              res.status(201).json({
-                success: true,
-                message: 'Customer created successfully',
-                data: { id: customerId, first_name, last_name, phone_number, email }
-              });
-            }
-          }
-        );
-      }
+    res.set('ETag', etagOf(created));
+    res.status(201).json({
+      success: true,
+      message: 'Customer created successfully',
+      data: { id: created.id, first_name, last_name, phone_number, email, version: created.version }
     });
   } catch (error) {
+    if (error instanceof AddressWriteError) {
+      return sendAddressWriteError(res, error);
+    }
     console.error('Error in POST /customers:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error'
+      message: 'Error creating customer'
     });
   }
 });
 
-// PUT /api/customers/:id - Update customer
-router.put('/:id', validateCustomer, async (req, res) => {
+// PUT /api/customers/:id - Update customer. Requires If-Match with the
+// customer's current ETag; answers 412 with the current customer when stale.
+router.put('/:id', requirePermission('customer:write'), validateCustomer, async (req, res) => {
   try {
+    const { customerRepository, auditRepository } = req.repositories;
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -522,225 +487,274 @@ router.put('/:id', validateCustomer, async (req, res) => {
     const { first_name, last_name, phone_number, email, addresses } = req.body;
     console.log('Received customer update request:', { customerId, first_name, last_name, phone_number, email, addresses });
 
-    // Check if customer exists
-    db.get('SELECT id FROM customers WHERE id = ?', [customerId], (err, customer) => {
-      if (err) {
-        console.error('Error checking customer existence:', err);
-        return res.status(500).json({
-          success: false,
-          message: 'Error checking customer existence'
-        });
-      }
+    const before = await customerRepository.findById(customerId);
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
 
-      if (!customer) {
-        return res.status(404).json({
-          success: false,
-          message: 'Customer not found'
-        });
-      }
+    const version = checkIfMatch(req, res, before, 'Customer');
+    if (version === null) return;
 
-      // Check for duplicate phone number (excluding current customer)
-      db.get('SELECT id FROM customers WHERE phone_number = ? AND id != ?', [phone_number, customerId], (err, existingCustomer) => {
-        if (err) {
-          console.error('Error checking duplicate phone:', err);
-          return res.status(500).json({
-            success: false,
-            message: 'Error checking duplicate phone number'
-          });
-        }
-
-        if (existingCustomer) {
-          return res.status(400).json({
-            success: false,
-            message: 'Phone number already exists'
-          });
-        }
-
-        // Check for duplicate email if provided
-        if (email) {
-          db.get('SELECT id FROM customers WHERE email = ? AND id != ?', [email, customerId], (err, existingEmail) => {
-            if (err) {
-              console.error('Error checking duplicate email:', err);
-              return res.status(500).json({
-                success: false,
-                message: 'Error checking duplicate email'
-              });
-            }
-
-            if (existingEmail) {
-              return res.status(400).json({
-                success: false,
-                message: 'Email already exists'
-              });
-            }
-
-            updateCustomer();
-          });
-        } else {
-          updateCustomer();
-        }
-
-        function updateCustomer() {
-          db.run(
-            'UPDATE customers SET first_name = ?, last_name = ?, phone_number = ?, email = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [first_name, last_name, phone_number, email, customerId],
-            function(err) {
-              if (err) {
-                console.error('Error updating customer:', err);
-                return res.status(500).json({
-                  success: false,
-                  message: 'Error updating customer'
-                });
-              }
-
-              if (this.changes === 0) {
-                return res.status(404).json({
-                  success: false,
-                  message: 'Customer not found'
-                });
-              }
-
-              // Handle addresses if provided
-              if (addresses && addresses.length > 0) {
-                console.log('Updating addresses for customer:', customerId, 'Addresses:', addresses);
-                
-                // First, delete existing addresses
-                db.run('DELETE FROM addresses WHERE customer_id = ?', [customerId], function(err) {
-                  if (err) {
-                    console.error('Error deleting existing addresses:', err);
-                  } else {
-                    console.log('Deleted existing addresses for customer:', customerId);
-                  }
-
-                  // Then insert new addresses
-                  let addressCount = 0;
-                  addresses.forEach((address, index) => {
-                    console.log('Inserting address:', address);
-                    db.run(
-                      'INSERT INTO addresses (customer_id, address_line1, address_line2, city, state, pin_code, country, is_primary) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-                      [
-                        customerId,
-                        address.address_line1,
-                        address.address_line2 || '',
-                        address.city,
-                        address.state,
-                        address.pin_code,
-                        address.country || 'India',
-                        address.is_primary || false
-                      ],
-                      function(err) {
-                        if (err) {
-                          console.error('Error inserting address:', err);
-                        } else {
-                          console.log('Address inserted successfully with ID:', this.lastID);
-                        }
-                        
-                        addressCount++;
-                        if (addressCount === addresses.length) {
-                          updateAddressFlags(customerId);
-                        }
-                      }
-                    );
-                  });
-                });
-              } else {
-                // No addresses provided, delete all existing addresses
-                db.run('DELETE FROM addresses WHERE customer_id = ?', [customerId], function(err) {
-                  if (err) {
-                    console.error('Error deleting addresses:', err);
-                  }
-                  updateAddressFlags(customerId);
-                });
-              }
-
-              function updateAddressFlags(customerId) {
-                console.log('Updating address flags for customer:', customerId);
-                db.run(`
-                  UPDATE customers 
-                  SET has_multiple_addresses = (
-                    SELECT COUNT(*) > 1 
-                    FROM addresses 
-                    WHERE customer_id = ?
-                  ),
-                  only_one_address = (
-                    SELECT COUNT(*) = 1 
-                    FROM addresses 
-                    WHERE customer_id = ?
-                  )
-                  WHERE id = ?
-                `, [customerId, customerId, customerId], function(err) {
-                  if (err) {
-                    console.error('Error updating address flags:', err);
-                  } else {
-                    console.log('Address flags updated successfully. Changes:', this.changes);
-                  }
-                });
-
-                res.json({
-                  success: true,
-                  message: 'Customer updated successfully',
-                  data: { id: customerId, first_name, last_name, phone_number, email }
-                });
-              }
-            }
-          );
-        }
+    const duplicate = await findDuplicate(req.repositories, phone_number, email, customerId);
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: duplicate
       });
+    }
+
+    // Customer, addresses and audit events are written together or not at all
+    const after = await transaction(async () => {
+      await customerRepository.update(customerId, { first_name, last_name, phone_number, email }, addresses || [], version);
+      const updated = await customerRepository.findById(customerId);
+      await auditRepository.recordCustomer(actorOf(req), 'update', before, updated);
+      return updated;
+    });
+    publishCustomerChange(req.tenantId, 'customer.updated', before, after);
+
+    res.set('ETag', etagOf(after));
+    res.json({
+      success: true,
+      message: 'Customer updated successfully',
+      data: { id: customerId, first_name, last_name, phone_number, email, version: after.version }
     });
   } catch (error) {
+    if (error instanceof AddressWriteError) {
+      return sendAddressWriteError(res, error);
+    }
+    if (error instanceof VersionConflictError) {
+      return sendCustomerConflict(req.repositories, res, error.id);
+    }
     console.error('Error in PUT /customers/:id:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error'
+      message: 'Error updating customer'
     });
   }
 });
 
-// DELETE /api/customers/:id - Delete customer
-router.delete('/:id', async (req, res) => {
+// DELETE /api/customers/:id - Move customer and its addresses to the trash.
+// Requires If-Match like PUT.
+router.delete('/:id', requirePermission('customer:delete'), async (req, res) => {
   try {
+    const { customerRepository, auditRepository } = req.repositories;
     const customerId = parseInt(req.params.id);
 
-    // Check if customer exists
-    db.get('SELECT id FROM customers WHERE id = ?', [customerId], (err, customer) => {
-      if (err) {
-        console.error('Error checking customer existence:', err);
-        return res.status(500).json({
-          success: false,
-          message: 'Error checking customer existence'
-        });
-      }
+    const before = await customerRepository.findById(customerId);
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
 
-      if (!customer) {
-        return res.status(404).json({
-          success: false,
-          message: 'Customer not found'
-        });
-      }
+    const version = checkIfMatch(req, res, before, 'Customer');
+    if (version === null) return;
 
-      // Delete customer (addresses will be deleted automatically due to CASCADE)
-      db.run('DELETE FROM customers WHERE id = ?', [customerId], function(err) {
-        if (err) {
-          console.error('Error deleting customer:', err);
-          return res.status(500).json({
-            success: false,
-            message: 'Error deleting customer'
-          });
-        }
-
-        res.json({
-          success: true,
-          message: 'Customer deleted successfully'
-        });
-      });
+    // Soft delete; the customer can be restored from the trash
+    await transaction(async () => {
+      await customerRepository.delete(customerId, version);
+      await auditRepository.recordCustomer(actorOf(req), 'delete', before, null);
+    });
+    publishCustomerChange(req.tenantId, 'customer.deleted', before, null);
+
+    res.json({
+      success: true,
+      message: 'Customer moved to trash'
     });
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendCustomerConflict(req.repositories, res, error.id);
+    }
     console.error('Error in DELETE /customers/:id:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error'
+      message: 'Error deleting customer'
+    });
+  }
+});
+
+// POST /api/customers/:id/restore - Restore customer from the trash
+router.post('/:id/restore', requirePermission('customer:delete'), async (req, res) => {
+  try {
+    const { customerRepository, auditRepository } = req.repositories;
+    const customerId = parseInt(req.params.id);
+    const customer = await transaction(async () => {
+      if (await customerRepository.restore(customerId) === 0) return null;
+      const after = await customerRepository.findById(customerId);
+      await auditRepository.recordCustomer(actorOf(req), 'restore', null, after);
+      return after;
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found in trash'
+      });
+    }
+    publishCustomerChange(req.tenantId, 'customer.restored', null, customer);
+
+    res.json({
+      success: true,
+      message: 'Customer restored successfully',
+      data: customer
+    });
+  } catch (error) {
+    console.error('Error in POST /customers/:id/restore:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring customer'
     });
   }
 });
 
+// Match imported customers to existing ones by phone number and work out
+// which addresses are new. Appends an error for each customer that cannot be
+// imported; returns one { existing, customer, addresses } entry per valid one.
+async function planImport(repositories, customers, errors) {
+  const { customerRepository } = repositories;
+  const plan = [];
+  const emails = new Map();
+
+  for (const { line, customer, addresses, valid } of customers) {
+    if (!valid) continue;
+
+    const owner = await customerRepository.findByPhone(customer.phone_number);
+    if (owner && owner.deleted_at) {
+      errors.push({ line, path: 'phone_number', msg: 'Phone number belongs to a customer in the trash' });
+      continue;
+    }
+    const existing = owner ? await customerRepository.findById(owner.id) : null;
+
+    if (customer.email) {
+      const emailOwner = await customerRepository.findByEmail(customer.email, existing ? existing.id : null);
+      const otherPhone = emails.get(customer.email.toLowerCase());
+      if (emailOwner || (otherPhone && otherPhone !== customer.phone_number)) {
+        errors.push({ line, path: 'email', msg: 'Email already exists' });
+        continue;
+      }
+      emails.set(customer.email.toLowerCase(), customer.phone_number);
+    }
+
+    // Addresses the customer already has are skipped, and there is only ever
+    // one primary address: an existing one wins over imported ones
+    const known = new Set((existing ? existing.addresses : []).map(addressKey));
+    let hasPrimary = existing ? existing.addresses.some(address => address.is_primary) : false;
+    const added = [];
+    for (const address of addresses) {
+      if (known.has(addressKey(address))) continue;
+      known.add(addressKey(address));
+      added.push({ ...address, is_primary: Boolean(address.is_primary) && !hasPrimary });
+      hasPrimary = hasPrimary || Boolean(address.is_primary);
+    }
+
+    // A row that would leave its customer as it is, such as one imported
+    // again, is not written, so it bumps no version and sends no event
+    const unchanged = Boolean(existing) && added.length === 0 &&
+      MERGE_FIELDS.every(field => customer[field] === undefined || customer[field] === existing[field]);
+
+    plan.push({ existing, customer, addresses: added, unchanged });
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return plan;
+}
+
+function addressKey(address) {
+  return [address.address_line1, address.city, address.pin_code]
+    .map(value => String(value || '').trim().toLowerCase())
+    .join('|');
+}
+
+// Write one planned import entry with its audit events. Fields left empty in
+// the import keep their current values. Returns the change to publish once
+// the import is committed: { type, before, after }.
+async function importCustomer(repositories, actor, { existing, customer, addresses }) {
+  const { customerRepository, auditRepository } = repositories;
+  if (!existing) {
+    const id = await customerRepository.create({ email: null, ...customer }, addresses);
+    const created = await customerRepository.findById(id);
+    await auditRepository.recordCustomer(actor, 'create', null, created);
+    return { type: 'customer.created', before: null, after: created };
+  }
+
+  const fields = Object.fromEntries(
+    MERGE_FIELDS.map(field => [field, customer[field] !== undefined ? customer[field] : existing[field]])
+  );
+  await customerRepository.update(existing.id, fields, [...existing.addresses, ...addresses]);
+  const updated = await customerRepository.findById(existing.id);
+  await auditRepository.recordCustomer(actor, 'update', existing, updated);
+  return { type: 'customer.updated', before: existing, after: updated };
+}
+
+// One export row per address; customers without addresses get a single row
+// with the address columns empty
+function customerExportRows(customer) {
+  const contact = {
+    customer_id: customer.id,
+    first_name: customer.first_name,
+    last_name: customer.last_name,
+    phone_number: customer.phone_number,
+    email: customer.email
+  };
+  if (customer.addresses.length === 0) return [contact];
+  return customer.addresses.map(address => ({ ...contact, ...exportAddress(address) }));
+}
+
+function customerExportRecord(customer) {
+  return {
+    id: customer.id,
+    first_name: customer.first_name,
+    last_name: customer.last_name,
+    phone_number: customer.phone_number,
+    email: customer.email,
+    created_at: customer.created_at,
+    updated_at: customer.updated_at,
+    addresses: customer.addresses.map(address => ({ id: address.id, ...exportAddress(address) }))
+  };
+}
+
+function exportAddress(address) {
+  return {
+    address_line1: address.address_line1,
+    address_line2: address.address_line2,
+    city: address.city,
+    state: address.state,
+    pin_code: address.pin_code,
+    country: address.country,
+    is_primary: Boolean(address.is_primary)
+  };
+}
+
+// Another request changed the customer between our read and our write
+async function sendCustomerConflict(repositories, res, customerId) {
+  const { customerRepository } = repositories;
+  const current = await customerRepository.findById(customerId);
+  if (!current) {
+    return res.status(404).json({
+      success: false,
+      message: 'Customer not found'
+    });
+  }
+  sendVersionConflict(res, current, 'Customer');
+}
+
+function sendAddressWriteError(res, error) {
+  // Constraint failures come from bad input; anything else is our problem
+  const status = error.constraintViolation ? 400 : 500;
+  res.status(status).json({
+    success: false,
+    message: `Failed to save address at index ${error.index}`,
+    errors: [{
+      type: 'address',
+      index: error.index,
+      path: `addresses[${error.index}]`,
+      msg: error.cause.message
+    }]
+  });
+}
+
 module.exports = router;
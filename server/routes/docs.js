@@ -0,0 +1,406 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const { createDocument } = require('../utils/openapi');
+const { EXPORT_FORMATS } = require('../utils/export');
+const { version } = require('../package.json');
+const customerRoutes = require('./customers');
+const addressRoutes = require('./addresses');
+const trashRoutes = require('./trash');
+const router = express.Router();
+
+// Routers the document covers, by the path index.js mounts them on
+const DOCUMENTED_ROUTERS = [
+  { prefix: '/api/customers', router: customerRoutes, tag: 'Customers' },
+  { prefix: '/api/addresses', router: addressRoutes, tag: 'Addresses' },
+  { prefix: '/api/trash', router: trashRoutes, tag: 'Trash' }
+];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// 200 (or `status`) response with `data` of the given schema
+function ok(description, data, { status = 200, headers, extra } = {}) {
+  return {
+    [status]: {
+      description,
+      headers,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: { success: { type: 'boolean', example: true }, message: { type: 'string' }, data, ...extra }
+          }
+        }
+      }
+    }
+  };
+}
+
+const errorResponse = (description) => ({ description, content: { 'application/json': { schema: ref('Error') } } });
+
+const ETAG_HEADER = { ETag: { description: 'Current version, to send back in If-Match', schema: { type: 'string' } } };
+const NOT_FOUND = { 404: { $ref: '#/components/responses/NotFound' } };
+const PRECONDITIONS = {
+  412: {
+    description: 'If-Match is stale; `data` is the current version',
+    headers: ETAG_HEADER,
+    content: { 'application/json': { schema: ref('Error') } }
+  },
+  428: { description: 'If-Match is missing', content: { 'application/json': { schema: ref('Error') } } }
+};
+const IF_MATCH = { $ref: '#/components/parameters/IfMatch' };
+const TENANT = { $ref: '#/components/parameters/TenantId' };
+const PURGE = { $ref: '#/components/parameters/Purge' };
+
+const exportResponse = (description) => ({
+  200: {
+    description,
+    content: Object.fromEntries(Object.values(EXPORT_FORMATS).map(({ contentType }) => [
+      contentType.split(';')[0],
+      { schema: { type: 'string', format: 'binary' } }
+    ]))
+  }
+});
+
+// Summaries and responses of each route. Parameters, request bodies and
+// permissions come from the routes (see utils/openapi.js).
+const OPERATIONS = {
+  'GET /api/customers': {
+    summary: 'List customers',
+    description: 'Customers matching the search and address filters, a page at a time. Searches are ranked by relevance unless another sort is given. `min_addresses` and `max_addresses` bound how many addresses a customer has; `max_addresses=0` finds customers without any. Pass `cursor` (the `next_cursor` of the previous page) instead of `page` to page through without skipping or repeating rows as customers change.',
+    responses: ok('A page of customers', { type: 'array', items: ref('Customer') }, { extra: { pagination: ref('Pagination') } })
+  },
+  'GET /api/customers/export': {
+    summary: 'Export customers',
+    description: 'Every customer matching the list filters, in id order. CSV and XLSX have one row per address in the import layout; NDJSON has one customer with its addresses per line.',
+    responses: exportResponse('The export file')
+  },
+  'GET /api/customers/duplicates': {
+    summary: 'Find likely duplicate customers',
+    responses: ok('Duplicate pairs, best first', { type: 'array', items: ref('DuplicatePair') })
+  },
+  'POST /api/customers/merge': {
+    summary: 'Merge a duplicate customer into a survivor',
+    description: '`fields` picks, per contact field, which customer\'s value the survivor keeps (survivor by default). The duplicate\'s addresses move across and the duplicate is removed.',
+    body: 'CustomerMerge',
+    responses: {
+      ...ok('The merged customer', ref('Customer'), { headers: ETAG_HEADER }),
+      ...NOT_FOUND,
+      412: PRECONDITIONS[412]
+    }
+  },
+  'POST /api/customers/import': {
+    summary: 'Import customers',
+    description: 'Imports customers from CSV (one row per address, grouped by phone number) or JSON lines (one customer per line), upserting on phone number. Send the file as JSON, or raw as text/csv or application/x-ndjson with `?dryRun=true` for a dry run. A dry run only reports what would happen; a real run writes nothing if any row is invalid.',
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': { schema: ref('CustomerImport') },
+        'text/csv': { schema: { type: 'string' } },
+        'application/x-ndjson': { schema: { type: 'string' } },
+        'application/jsonl': { schema: { type: 'string' } }
+      }
+    },
+    parameters: [{ name: 'dryRun', in: 'query', description: 'With a raw file, only check it', schema: { type: 'boolean' } }],
+    responses: {
+      ...ok('What was, or would be, imported', ref('ImportSummary')),
+      400: { description: 'The file cannot be read, or has invalid rows and nothing was imported', content: { 'application/json': { schema: ref('Error') } } }
+    }
+  },
+  'GET /api/customers/multiple-addresses': {
+    summary: 'List customers with more than one address',
+    description: 'Like `GET /api/customers` with `min_addresses=2`, most addresses first unless another sort is given. `min_addresses` and `max_addresses` narrow the range further.',
+    responses: ok('A page of customers with their addresses', { type: 'array', items: ref('Customer') }, { extra: { pagination: ref('Pagination') } })
+  },
+  'GET /api/customers/single-address': {
+    summary: 'List customers with exactly one address',
+    description: 'Like `GET /api/customers` with `min_addresses=1&max_addresses=1`. `min_addresses` and `max_addresses` apply as well, so bounds leaving out one address find nobody.',
+    responses: ok('A page of customers with their address', { type: 'array', items: ref('Customer') }, { extra: { pagination: ref('Pagination') } })
+  },
+  'GET /api/customers/{id}': {
+    summary: 'Get a customer with its addresses',
+    responses: { ...ok('The customer', ref('Customer'), { headers: ETAG_HEADER }), ...NOT_FOUND }
+  },
+  'POST /api/customers': {
+    summary: 'Create a customer',
+    description: 'Addresses given with the customer are created with it.',
+    body: 'CustomerInput',
+    responses: ok('The created customer', ref('CustomerSummary'), { status: 201, headers: ETAG_HEADER })
+  },
+  'PUT /api/customers/{id}': {
+    summary: 'Update a customer',
+    description: 'Requires If-Match with the customer\'s current ETag.',
+    body: 'CustomerInput',
+    parameters: [IF_MATCH],
+    responses: { ...ok('The updated customer', ref('CustomerSummary'), { headers: ETAG_HEADER }), ...NOT_FOUND, ...PRECONDITIONS }
+  },
+  'DELETE /api/customers/{id}': {
+    summary: 'Move a customer to the trash',
+    description: 'The customer\'s addresses go to the trash with it. Requires If-Match like PUT.',
+    parameters: [IF_MATCH],
+    responses: { ...ok('The customer is in the trash'), ...NOT_FOUND, ...PRECONDITIONS }
+  },
+  'POST /api/customers/{id}/restore': {
+    summary: 'Restore a customer from the trash',
+    responses: { ...ok('The restored customer', ref('Customer')), ...NOT_FOUND }
+  },
+
+  'GET /api/addresses': {
+    summary: 'List addresses',
+    description: 'Addresses matching the filters, a page at a time, with their customer\'s contact details. Pass `cursor` (the `next_cursor` of the previous page) instead of `page` to page through without skipping or repeating rows.',
+    responses: ok('A page of addresses', { type: 'array', items: ref('Address') }, { extra: { pagination: ref('Pagination') } })
+  },
+  'GET /api/addresses/export': {
+    summary: 'Export addresses',
+    description: 'Every address matching the list filters, in id order, with its customer\'s contact details.',
+    responses: exportResponse('The export file')
+  },
+  'GET /api/addresses/{id}': {
+    summary: 'Get an address',
+    responses: { ...ok('The address', ref('Address'), { headers: ETAG_HEADER }), ...NOT_FOUND }
+  },
+  'POST /api/addresses': {
+    summary: 'Add an address to a customer',
+    description: 'A primary address replaces the customer\'s current primary address.',
+    body: 'AddressInput',
+    // Checked against the customer table rather than by a validator
+    bodyProperties: { customer_id: { type: 'integer', minimum: 1, description: 'Customer the address belongs to' } },
+    responses: { ...ok('The created address', ref('Address'), { status: 201 }), ...NOT_FOUND }
+  },
+  'PUT /api/addresses/{id}': {
+    summary: 'Update an address',
+    description: 'Requires If-Match with the address\'s current ETag.',
+    body: 'AddressInput',
+    parameters: [IF_MATCH],
+    responses: { ...ok('The updated address', ref('Address'), { headers: ETAG_HEADER }), ...NOT_FOUND, ...PRECONDITIONS }
+  },
+  'DELETE /api/addresses/{id}': {
+    summary: 'Move an address to the trash',
+    description: 'Requires If-Match like PUT.',
+    parameters: [IF_MATCH],
+    responses: { ...ok('The address is in the trash'), ...NOT_FOUND, ...PRECONDITIONS }
+  },
+  'POST /api/addresses/{id}/restore': {
+    summary: 'Restore an address from the trash',
+    responses: { ...ok('The restored address', ref('Address')), ...NOT_FOUND }
+  },
+  'GET /api/addresses/customer/{customerId}': {
+    summary: 'List a customer\'s addresses',
+    responses: { ...ok('The customer\'s addresses, primary first', { type: 'array', items: ref('Address') }), ...NOT_FOUND }
+  },
+
+  'GET /api/trash': {
+    summary: 'List the trash',
+    description: 'Deleted customers, each with the addresses deleted along with it, and addresses deleted on their own.',
+    responses: ok('The trash', {
+      type: 'object',
+      properties: {
+        customers: { type: 'array', items: ref('Customer') },
+        addresses: { type: 'array', items: ref('Address') }
+      }
+    })
+  },
+  'DELETE /api/trash/{id}': {
+    summary: 'Permanently delete a customer in the trash',
+    description: 'Removes the customer and all of its addresses. Cannot be undone, so `purge=true` is required.',
+    parameters: [PURGE],
+    responses: { ...ok('The customer is deleted'), 400: errorResponse('`purge=true` is missing'), ...NOT_FOUND }
+  },
+  'DELETE /api/trash/customers/{id}': {
+    summary: 'Permanently delete a customer in the trash',
+    description: 'The same as `DELETE /api/trash/{id}`.',
+    parameters: [PURGE],
+    responses: { ...ok('The customer is deleted'), 400: errorResponse('`purge=true` is missing'), ...NOT_FOUND }
+  },
+  'DELETE /api/trash/addresses/{id}': {
+    summary: 'Permanently delete an address in the trash',
+    description: 'Cannot be undone, so `purge=true` is required.',
+    parameters: [PURGE],
+    responses: { ...ok('The address is deleted'), 400: errorResponse('`purge=true` is missing'), ...NOT_FOUND }
+  }
+};
+
+// Response schemas. Writable fields come from the request schemas derived
+// from the validators.
+const SCHEMAS = {
+  Customer: {
+    allOf: [ref('CustomerInput'), {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        version: { type: 'integer' },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' },
+        addresses: { type: 'array', items: ref('Address') },
+        address_count: { type: 'integer', description: 'Addresses outside the trash, including any left out of `addresses` by address filters' }
+      }
+    }]
+  },
+  CustomerSummary: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      first_name: { type: 'string' },
+      last_name: { type: 'string' },
+      phone_number: { type: 'string' },
+      email: { type: 'string', nullable: true },
+      version: { type: 'integer' }
+    }
+  },
+  Address: {
+    allOf: [ref('AddressInput'), {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        customer_id: { type: 'integer' },
+        version: { type: 'integer' },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' },
+        // The customer's contact details, on reads
+        first_name: { type: 'string' },
+        last_name: { type: 'string' },
+        phone_number: { type: 'string' },
+        email: { type: 'string', nullable: true }
+      }
+    }]
+  },
+  DuplicatePair: {
+    type: 'object',
+    properties: {
+      score: { type: 'number', minimum: 0, maximum: 1 },
+      reasons: {
+        type: 'object',
+        properties: { name: { type: 'number' }, phone: { type: 'number' }, address: { type: 'number' } }
+      },
+      customers: { type: 'array', items: ref('Customer'), minItems: 2, maxItems: 2 }
+    }
+  },
+  CustomerImport: {
+    type: 'object',
+    required: ['format', 'data'],
+    properties: {
+      format: { type: 'string', enum: ['csv', 'jsonl'] },
+      data: { type: 'string', description: 'The file\'s contents' },
+      mapping: {
+        type: 'object',
+        description: 'CSV column header for each import field, or null to leave the field out',
+        additionalProperties: { type: 'string', nullable: true }
+      },
+      dryRun: { type: 'boolean' }
+    }
+  },
+  ImportSummary: {
+    type: 'object',
+    properties: {
+      dryRun: { type: 'boolean' },
+      customers: { type: 'integer' },
+      created: { type: 'integer' },
+      updated: { type: 'integer' },
+      unchanged: { type: 'integer', description: 'Existing customers the file would not change; they are not written' },
+      addresses: { type: 'integer' },
+      errors: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    description: 'page, totalPages and hasPrev are left out of pages fetched by cursor',
+    properties: {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      totalPages: { type: 'integer' },
+      hasNext: { type: 'boolean' },
+      hasPrev: { type: 'boolean' },
+      next_cursor: { type: 'string', nullable: true, description: 'Cursor of the next page, null on the last page' }
+    }
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: false },
+      message: { type: 'string' },
+      errors: { type: 'array', items: { type: 'object' } }
+    }
+  }
+};
+
+const COMPONENTS = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Access token from POST /api/auth/login' },
+    apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+  },
+  parameters: {
+    TenantId: {
+      name: 'X-Tenant-Id',
+      in: 'header',
+      description: 'Tenant to work in; defaults to the first tenant of the user or key',
+      schema: { type: 'integer' }
+    },
+    IfMatch: {
+      name: 'If-Match',
+      in: 'header',
+      required: true,
+      description: 'ETag from the last read of the record',
+      schema: { type: 'string' }
+    },
+    Purge: {
+      name: 'purge',
+      in: 'query',
+      required: true,
+      description: 'Confirms the permanent delete',
+      schema: { type: 'boolean', enum: [true] }
+    }
+  },
+  responses: {
+    ValidationError: errorResponse('Validation errors'),
+    Unauthorized: errorResponse('Missing, invalid or expired credentials'),
+    Forbidden: errorResponse('Missing permission, or no access to the tenant'),
+    NotFound: errorResponse('Not found'),
+    RateLimited: errorResponse('Rate limit exceeded; see Retry-After')
+  },
+  schemas: SCHEMAS
+};
+
+// Every operation also takes the tenant header
+const operations = Object.fromEntries(Object.entries(OPERATIONS).map(([key, operation]) => [
+  key,
+  { ...operation, parameters: [TENANT, ...(operation.parameters || [])] }
+]));
+
+const apiDocument = createDocument({
+  info: {
+    title: 'Customer Management API',
+    version,
+    description: 'Customers and their addresses. Responses are `{ success, message, data }`; errors are `{ success: false, message, errors }`.'
+  },
+  routers: DOCUMENTED_ROUTERS,
+  operations,
+  components: COMPONENTS,
+  security: [{ bearerAuth: [] }, { apiKey: [] }]
+});
+
+// GET /api/openapi.json - The OpenAPI document
+router.get('/openapi.json', (req, res) => {
+  res.json(apiDocument);
+});
+
+// GET /api/docs - Swagger UI for the document. The page's script is served
+// as a file, since the Content-Security-Policy blocks inline scripts.
+router.get('/docs/swagger-initializer.js', (req, res) => {
+  res.type('application/javascript').send(`window.onload = function () {
+  window.ui = SwaggerUIBundle({
+    url: '../openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    persistAuthorization: true,
+    validatorUrl: null,
+    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+    layout: 'StandaloneLayout'
+  });
+};
+`);
+});
+router.use('/docs', express.static(swaggerUi.getAbsoluteFSPath()));
+
+module.exports = router;
+module.exports.apiDocument = apiDocument;
+module.exports.DOCUMENTED_ROUTERS = DOCUMENTED_ROUTERS;
@@ -0,0 +1,46 @@
+const express = require('express');
+const { subscribe } = require('../utils/events');
+const { requirePermission } = require('../utils/auth');
+const router = express.Router();
+
+// A comment line is sent this often so proxies and browsers keep an idle
+// stream open
+const HEARTBEAT_MS = 25 * 1000;
+// Longest delay setTimeout() accepts
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// GET /api/events - Server-Sent Events stream of the tenant's change events,
+// as they are committed. Each message is named after the event type and
+// carries { id, type, created_at, data }, the same body a webhook receives.
+// Nothing is replayed, so a client that reconnects should reload what it
+// shows. The stream ends when the access token (or API key) expires, for the
+// client to reconnect with a fresh one.
+router.get('/', requirePermission('customer:read'), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stops nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribe((event) => {
+    if (event.tenantId !== req.tenantId) return;
+    const body = { id: event.id, type: event.type, created_at: event.created_at, data: event.data };
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(body)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  const expiry = req.user.expiresAt
+    ? setTimeout(() => res.end(), Math.min(Math.max(req.user.expiresAt - Date.now(), 0), MAX_TIMEOUT_MS))
+    : null;
+
+  res.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const { createHandler } = require('graphql-http/lib/use/express');
+const { GraphQLError } = require('graphql');
+const { schema } = require('../graphql/schema');
+const { createLoaders } = require('../graphql/loaders');
+const router = express.Router();
+
+// Errors thrown by resolvers that are not GraphQLErrors are bugs or storage
+// failures; log them and keep their details out of the response
+function maskError(error) {
+  if (!error.originalError || error.originalError instanceof GraphQLError) return error;
+
+  console.error('Error in /graphql:', error.originalError);
+  return new GraphQLError('Internal server error', {
+    path: error.path,
+    nodes: error.nodes,
+    extensions: { code: 'INTERNAL_SERVER_ERROR' }
+  });
+}
+
+// POST /graphql (or GET for queries) - Customers and addresses of the
+// request's tenant; see graphql/schema.js. Loaders live for one request.
+router.use('/', createHandler({
+  schema,
+  context: (req) => ({ req: req.raw, loaders: createLoaders(req.raw.repositories) }),
+  onOperation: (req, args, result) => {
+    if (result.errors) {
+      return { ...result, errors: result.errors.map(maskError) };
+    }
+  }
+}));
+
+module.exports = router;
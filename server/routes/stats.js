@@ -0,0 +1,106 @@
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const { GROWTH_INTERVALS } = require('../repositories/StatsRepository');
+const { requirePermission } = require('../utils/auth');
+const router = express.Router();
+
+// Growth covers this many periods, ending today, unless `from` is given
+const DEFAULT_PERIODS = { day: 30, week: 12, month: 12 };
+// Longest growth series a request may ask for
+const MAX_DAYS = { day: 366, week: 7 * 156, month: 31 * 120 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const validateStatsQuery = [
+  query('interval').optional().isIn(GROWTH_INTERVALS).withMessage(`Interval must be ${GROWTH_INTERVALS.join(', ')}`),
+  query('from').optional().isISO8601({ strict: true }).withMessage('From must be a date'),
+  query('to').optional().isISO8601({ strict: true }).withMessage('To must be a date'),
+  query('top').optional().isInt({ min: 1, max: 50 }).withMessage('Top must be between 1 and 50')
+];
+
+// UTC date (midnight) of an ISO date string
+function utcDay(value) {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// The growth range asked for, or the default one ending today
+function growthRange(interval, from, to) {
+  const end = to ? utcDay(to) : utcDay(new Date());
+  if (from) return { from: utcDay(from), to: end };
+
+  const start = new Date(end);
+  if (interval === 'day') start.setUTCDate(start.getUTCDate() - (DEFAULT_PERIODS.day - 1));
+  if (interval === 'week') start.setUTCDate(start.getUTCDate() - 7 * (DEFAULT_PERIODS.week - 1));
+  if (interval === 'month') start.setUTCMonth(start.getUTCMonth() - (DEFAULT_PERIODS.month - 1));
+  return { from: start, to: end };
+}
+
+// GET /api/stats?interval=&from=&to=&top= - Dashboard figures for the
+// tenant: customer and address totals (including customers with no address),
+// how many customers have each number of addresses, the `top` states and
+// cities by number of addresses, and customers created per `interval` (day,
+// week or month) between `from` and `to`. Only growth is limited to the
+// range; the other figures are all-time. Customers and addresses in the
+// trash are left out.
+router.get('/', requirePermission('customer:read'), validateStatsQuery, async (req, res) => {
+  try {
+    const { statsRepository } = req.repositories;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const interval = req.query.interval || 'day';
+    const top = parseInt(req.query.top) || 10;
+    const { from, to } = growthRange(interval, req.query.from, req.query.to);
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'From must not be after to'
+      });
+    }
+    if ((to - from) / DAY_MS > MAX_DAYS[interval]) {
+      return res.status(400).json({
+        success: false,
+        message: `Range is too long for interval ${interval}; use a longer interval or a shorter range`
+      });
+    }
+
+    const [totals, distribution, byState, byCity, growth] = await Promise.all([
+      statsRepository.totals(),
+      statsRepository.addressDistribution(),
+      statsRepository.addressesByState(top),
+      statsRepository.addressesByCity(top),
+      statsRepository.growth(interval, from, to)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        totals,
+        address_distribution: distribution,
+        by_state: byState,
+        by_city: byCity,
+        growth: {
+          interval,
+          from: from.toISOString().slice(0, 10),
+          to: to.toISOString().slice(0, 10),
+          periods: growth
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error in GET /stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching statistics'
+    });
+  }
+});
+
+module.exports = router;
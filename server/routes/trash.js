@@ -0,0 +1,121 @@
+const express = require('express');
+const { transaction } = require('../database/database');
+const { actorOf } = require('../utils/actor');
+const { requirePermission } = require('../utils/auth');
+
+const router = express.Router();
+
+// GET /api/trash - List deleted customers and addresses
+router.get('/', requirePermission('customer:read'), async (req, res) => {
+  try {
+    const { customerRepository, addressRepository } = req.repositories;
+    const [customers, addresses] = await Promise.all([
+      customerRepository.findDeleted(),
+      addressRepository.findDeleted()
+    ]);
+
+    res.json({
+      success: true,
+      data: { customers, addresses }
+    });
+  } catch (error) {
+    console.error('Error in GET /trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trash'
+    });
+  }
+});
+
+// DELETE /api/trash/:id?purge=true - Permanently delete a customer and its
+// addresses. DELETE /api/trash/customers/:id?purge=true does the same, next to
+// the address route below.
+router.delete('/:id', requirePermission('customer:delete'), purgeCustomer);
+router.delete('/customers/:id', requirePermission('customer:delete'), purgeCustomer);
+
+async function purgeCustomer(req, res) {
+  try {
+    const { customerRepository, auditRepository } = req.repositories;
+    if (!requirePurge(req, res)) return;
+
+    const customerId = parseInt(req.params.id);
+    const changes = await transaction(async () => {
+      const purged = await customerRepository.purge(customerId);
+      if (purged > 0) {
+        await auditRepository.record({
+          actor: actorOf(req), entityType: 'customer', entityId: customerId, customerId, action: 'purge'
+        });
+      }
+      return purged;
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found in trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Customer permanently deleted'
+    });
+  } catch (error) {
+    console.error(`Error in DELETE /trash${req.route.path}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error purging customer'
+    });
+  }
+}
+
+// DELETE /api/trash/addresses/:id?purge=true - Permanently delete an address
+router.delete('/addresses/:id', requirePermission('address:delete'), async (req, res) => {
+  try {
+    const { addressRepository, auditRepository } = req.repositories;
+    if (!requirePurge(req, res)) return;
+
+    const addressId = parseInt(req.params.id);
+    const address = await addressRepository.findDeletedById(addressId);
+    const changes = await transaction(async () => {
+      const purged = await addressRepository.purge(addressId);
+      if (purged > 0) {
+        await auditRepository.record({
+          actor: actorOf(req), entityType: 'address', entityId: addressId, customerId: address.customer_id, action: 'purge'
+        });
+      }
+      return purged;
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found in trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Address permanently deleted'
+    });
+  } catch (error) {
+    console.error('Error in DELETE /trash/addresses/:id:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error purging address'
+    });
+  }
+});
+
+// Purging cannot be undone, so callers have to ask for it explicitly
+function requirePurge(req, res) {
+  if (req.query.purge === 'true') return true;
+
+  res.status(400).json({
+    success: false,
+    message: 'Set purge=true to permanently delete'
+  });
+  return false;
+}
+
+module.exports = router;
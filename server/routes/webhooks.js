@@ -0,0 +1,206 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { webhookRepository } = require('../repositories');
+const { createWebhookSecret, isBlockedUrl } = require('../utils/webhooks');
+const { EVENT_TYPES } = require('../utils/events');
+const { requirePermission } = require('../utils/auth');
+const router = express.Router();
+
+router.use(requirePermission('webhook:manage'));
+
+const validateWebhook = [
+  body('url')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be an http or https address')
+    .bail()
+    .custom(url => !isBlockedUrl(url))
+    .withMessage('URL must not point at this server or a private network'),
+  body('description').optional({ values: 'null' }).isString().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('events').isArray({ min: 1 }).withMessage('At least one event is required'),
+  body('events.*').isIn(EVENT_TYPES).withMessage(`Events must be among ${EVENT_TYPES.join(', ')}`),
+  body('active').optional().isBoolean().withMessage('Active must be true or false').toBoolean()
+];
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+}
+
+function settingsOf(reqBody) {
+  return {
+    url: reqBody.url,
+    description: reqBody.description,
+    events: [...new Set(reqBody.events)],
+    active: reqBody.active !== false
+  };
+}
+
+async function findWebhook(req, res) {
+  const webhook = await webhookRepository.findById(req.tenantId, parseInt(req.params.id));
+  if (!webhook) {
+    res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+  }
+  return webhook;
+}
+
+// GET /api/webhooks - List the tenant's webhooks. Secrets are not returned.
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await webhookRepository.findForTenant(req.tenantId)
+    });
+  } catch (error) {
+    console.error('Error in GET /webhooks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhooks'
+    });
+  }
+});
+
+// GET /api/webhooks/:id - Get a webhook
+router.get('/:id', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    console.error('Error in GET /webhooks/:id:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook'
+    });
+  }
+});
+
+// POST /api/webhooks - Create a webhook. The response holds the secret its
+// payloads are signed with, which cannot be retrieved again.
+router.post('/', validateWebhook, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const secret = createWebhookSecret();
+    const id = await webhookRepository.create(req.tenantId, { ...settingsOf(req.body), secret });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: { ...(await webhookRepository.findById(req.tenantId, id)), secret }
+    });
+  } catch (error) {
+    console.error('Error in POST /webhooks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating webhook'
+    });
+  }
+});
+
+// PUT /api/webhooks/:id - Update a webhook's URL, description, events or
+// active flag. Deliveries already queued still go to the new URL.
+router.put('/:id', validateWebhook, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    await webhookRepository.update(req.tenantId, webhook.id, settingsOf(req.body));
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: await webhookRepository.findById(req.tenantId, webhook.id)
+    });
+  } catch (error) {
+    console.error('Error in PUT /webhooks/:id:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating webhook'
+    });
+  }
+});
+
+// DELETE /api/webhooks/:id - Delete a webhook along with its delivery log
+router.delete('/:id', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    await webhookRepository.delete(req.tenantId, webhook.id);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in DELETE /webhooks/:id:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting webhook'
+    });
+  }
+});
+
+// GET /api/webhooks/:id/deliveries - Delivery log of a webhook, newest first
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    res.json({
+      success: true,
+      data: await webhookRepository.findDeliveries(webhook.id)
+    });
+  } catch (error) {
+    console.error('Error in GET /webhooks/:id/deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook deliveries'
+    });
+  }
+});
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/retry - Queue a delivery
+// again with a fresh set of attempts, e.g. one that failed for good
+router.post('/:id/deliveries/:deliveryId/retry', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const changes = await webhookRepository.retryDelivery(webhook.id, parseInt(req.params.deliveryId));
+    if (changes === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery queued for retry'
+    });
+  } catch (error) {
+    console.error('Error in POST /webhooks/:id/deliveries/:deliveryId/retry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrying webhook delivery'
+    });
+  }
+});
+
+module.exports = router;
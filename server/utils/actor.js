@@ -0,0 +1,7 @@
+// Who is making a request, as recorded in the audit log: the signed-in user
+// set by requireAuth
+function actorOf(req) {
+  return req.user ? req.user.username : 'anonymous';
+}
+
+module.exports = { actorOf };
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { apiKeyRepository } = require('../repositories');
+const { requireAuth, hashToken } = require('./auth');
+
+// Every key starts with this, which is how a Bearer token is told apart from
+// an access token (a JWT)
+const API_KEY_PREFIX = 'ck_';
+// Characters of a key kept in the clear to identify it in listings
+const DISPLAY_PREFIX_LENGTH = API_KEY_PREFIX.length + 8;
+
+// A new API key, the hash to store for it and its display prefix. The key
+// itself is shown once and never stored.
+function createApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { key, hash: hashToken(key), prefix: key.slice(0, DISPLAY_PREFIX_LENGTH) };
+}
+
+// API key sent with a request, from X-API-Key or an Authorization: Bearer
+// header holding a key rather than an access token
+function apiKeyOf(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header;
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && token && token.startsWith(API_KEY_PREFIX) ? token : null;
+}
+
+// Middleware: like requireAuth, but also accepts an API key. A key acts as a
+// user whose permissions are the key's scopes and who belongs to the key's
+// tenant only; every request made with it is counted.
+async function requireAuthOrApiKey(req, res, next) {
+  const key = apiKeyOf(req);
+  if (!key) return requireAuth(req, res, next);
+
+  try {
+    const apiKey = await apiKeyRepository.findByHash(hashToken(key));
+    if (!apiKey || apiKey.revoked_at || (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date())) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid, expired or revoked API key'
+      });
+    }
+
+    await apiKeyRepository.recordUse(apiKey.id);
+    req.user = {
+      id: null,
+      username: `api-key:${apiKey.name}`,
+      role: null,
+      permissions: apiKey.scopes,
+      tenants: [apiKey.tenant_id],
+      expiresAt: apiKey.expires_at ? new Date(apiKey.expires_at).getTime() : null,
+      apiKeyId: apiKey.id
+    };
+    next();
+  } catch (error) {
+    console.error('Error checking API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking API key'
+    });
+  }
+}
+
+module.exports = {
+  createApiKey,
+  requireAuthOrApiKey
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { permissionsFor } = require('./permissions');
+
+// Access tokens are short-lived JWTs; refresh tokens are random strings that
+// live in the sessions table and are swapped for new ones on every refresh
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const BCRYPT_ROUNDS = 12;
+
+// Without a configured secret, tokens are signed with a random one and stop
+// working when the server restarts. That is fine in development only.
+const JWT_SECRET = process.env.JWT_SECRET || (() => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  console.warn('JWT_SECRET is not set; using a random secret, sessions end when the server restarts');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+// Compared against when a username does not exist, so a failed login takes
+// as long whether or not the user exists
+const DUMMY_HASH = bcrypt.hashSync('not a real password', BCRYPT_ROUNDS);
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+function verifyPassword(password, passwordHash) {
+  return bcrypt.compare(password, passwordHash || DUMMY_HASH);
+}
+
+// `tenantIds` are the tenants the user belongs to; requireTenant() checks
+// requests against them
+function signAccessToken(user, tenantIds) {
+  return jwt.sign({ username: user.username, role: user.role, tenants: tenantIds }, JWT_SECRET, {
+    subject: String(user.id),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  });
+}
+
+// A new refresh token and the hash to store for it
+function createRefreshToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashToken(token) };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function refreshTokenExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Middleware: require a valid access token in the Authorization header and
+// expose its user as req.user = { id, username, role, permissions, tenants,
+// expiresAt }, `tenants` being tenant ids and `expiresAt` when the token
+// expires (ms). Role and membership changes reach the token at the next
+// refresh.
+function requireAuth(req, res, next) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.user = {
+      id: parseInt(payload.sub),
+      username: payload.username,
+      role: payload.role,
+      permissions: permissionsFor(payload.role),
+      tenants: payload.tenants || [],
+      expiresAt: payload.exp * 1000
+    };
+    next();
+  } catch (error) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'
+    });
+  }
+}
+
+// Middleware: let the request through only if the signed-in user has every
+// one of `permissions`. Goes after requireAuth.
+function requirePermission(...permissions) {
+  const middleware = (req, res, next) => {
+    const missing = permissions.filter(permission => !req.user || !req.user.permissions.includes(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Missing permission: ${missing.join(', ')}`
+      });
+    }
+    next();
+  };
+  // Listed in the OpenAPI document (see utils/openapi.js)
+  middleware.permissions = permissions;
+  return middleware;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  createRefreshToken,
+  hashToken,
+  refreshTokenExpiry,
+  requireAuth,
+  requirePermission
+};
@@ -0,0 +1,73 @@
+// Minimal RFC 4180 CSV parsing: quoted fields may contain commas, newlines
+// and doubled quotes. Returns one { line, values } record per non-blank row,
+// where `line` is the 1-based line the row starts on.
+function parseCsv(text) {
+  const records = [];
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endRecord = () => {
+    values.push(field);
+    if (values.length > 1 || values[0].trim() !== '') {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || values.length > 0) {
+    endRecord();
+  }
+  return records;
+}
+
+// Leading characters that make spreadsheet apps treat a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// One CSV line (with trailing CRLF) for `values`. Fields are quoted when they
+// contain separators or quotes, and text that a spreadsheet would run as a
+// formula is prefixed with a single quote.
+function formatCsvRow(values) {
+  return values.map((value) => {
+    let field = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(field)) {
+      field = `'${field}`;
+    }
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  }).join(',') + '\r\n';
+}
+
+module.exports = { parseCsv, formatCsvRow };
@@ -0,0 +1,166 @@
+const { validationResult } = require('express-validator');
+const { parseCsv } = require('./csv');
+const { validateCustomer, validateAddress } = require('./validators');
+
+const CUSTOMER_FIELDS = ['first_name', 'last_name', 'phone_number', 'email'];
+const ADDRESS_FIELDS = ['address_line1', 'address_line2', 'city', 'state', 'pin_code', 'country', 'is_primary'];
+const IMPORT_FIELDS = [...CUSTOMER_FIELDS, ...ADDRESS_FIELDS];
+
+// Raised when the file as a whole cannot be read (bad header, unknown format)
+class ImportFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFormatError';
+  }
+}
+
+function normalizeHeader(header) {
+  return header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function parseBoolean(value) {
+  if (typeof value !== 'string') return value;
+  const normalized = value.trim().toLowerCase();
+  if (['true', '1', 'yes', 'y'].includes(normalized)) return true;
+  if (['false', '0', 'no', 'n', ''].includes(normalized)) return false;
+  return value;
+}
+
+// Empty optional cells should be treated as missing, not as empty strings
+function compact(record) {
+  return Object.fromEntries(
+    Object.entries(record).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+}
+
+// CSV rows as { line, record }. `mapping` maps an import field to a column
+// header, or to null to leave it out; fields missing from the mapping use the
+// column with the same name.
+function readCsv(data, mapping = {}) {
+  const [header, ...rows] = parseCsv(data);
+  if (!header) {
+    throw new ImportFormatError('CSV file is empty');
+  }
+
+  const columns = header.values.map(value => value.trim());
+  const indexes = {};
+  for (const field of IMPORT_FIELDS) {
+    if (field in mapping && !mapping[field]) continue;
+    const column = mapping[field];
+    const index = column
+      ? columns.indexOf(column)
+      : columns.findIndex(name => normalizeHeader(name) === field);
+    if (column && index === -1) {
+      throw new ImportFormatError(`Column "${column}" mapped to ${field} is not in the CSV header`);
+    }
+    if (index !== -1) indexes[field] = index;
+  }
+  if (indexes.phone_number === undefined) {
+    throw new ImportFormatError('No column is mapped to phone_number');
+  }
+
+  return rows.map(({ line, values }) => ({
+    line,
+    record: Object.fromEntries(
+      Object.entries(indexes).map(([field, index]) => [field, (values[index] || '').trim()])
+    )
+  }));
+}
+
+// JSON lines as { line, record }; each line is a customer with an optional
+// `addresses` array. Unparseable lines come back with an `error`.
+function readJsonLines(data) {
+  return data.split(/\r?\n/).flatMap((text, index) => {
+    if (!text.trim()) return [];
+    try {
+      const record = JSON.parse(text);
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return [{ line: index + 1, error: 'Each line must be a JSON object' }];
+      }
+      return [{ line: index + 1, record }];
+    } catch (err) {
+      return [{ line: index + 1, error: 'Invalid JSON' }];
+    }
+  });
+}
+
+// Group rows into customers by phone number. A CSV row carries one address;
+// a JSON line may carry several. The first row of a phone number supplies the
+// customer's details.
+function groupByPhone(rows) {
+  const groups = new Map();
+  const errors = [];
+
+  for (const { line, record, error } of rows) {
+    if (error) {
+      errors.push({ line, path: '', msg: error });
+      continue;
+    }
+
+    const phone = String(record.phone_number || '').trim();
+    if (!groups.has(phone)) {
+      const customer = compact(Object.fromEntries(CUSTOMER_FIELDS.map(field => [field, record[field]])));
+      groups.set(phone, { line, customer, addresses: [] });
+    }
+    const group = groups.get(phone);
+
+    const addresses = Array.isArray(record.addresses)
+      ? record.addresses
+      : [Object.fromEntries(ADDRESS_FIELDS.map(field => [field, record[field]]))];
+    for (const address of addresses) {
+      const fields = compact(address || {});
+      if (Object.keys(fields).length === 0) continue;
+      group.addresses.push({ line, address: { ...fields, is_primary: parseBoolean(fields.is_primary) } });
+    }
+  }
+
+  return { groups: [...groups.values()], errors };
+}
+
+// Run express-validator chains against a plain object; returns the sanitized
+// object and its errors
+async function runValidators(chains, body) {
+  const req = { body: { ...body } };
+  await Promise.all(chains.map(chain => chain.run(req)));
+  return { body: req.body, errors: validationResult(req).array() };
+}
+
+// Parse and validate an import. Returns the customers to import, each with
+// its addresses and the line it came from, plus per-row errors.
+async function readImport({ format, data, mapping }) {
+  if (mapping !== undefined && (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping))) {
+    throw new ImportFormatError('Mapping must be an object of field names to columns');
+  }
+
+  let rows;
+  if (format === 'csv') {
+    rows = readCsv(data, mapping);
+  } else if (format === 'jsonl') {
+    rows = readJsonLines(data);
+  } else {
+    throw new ImportFormatError('Format must be csv or jsonl');
+  }
+
+  const { groups, errors } = groupByPhone(rows);
+  const customers = [];
+
+  for (const group of groups) {
+    const customer = await runValidators(validateCustomer, group.customer);
+    const groupErrors = customer.errors.map(error => ({ line: group.line, path: error.path, msg: error.msg }));
+
+    const addresses = [];
+    for (const { line, address } of group.addresses) {
+      const result = await runValidators(validateAddress, address);
+      groupErrors.push(...result.errors.map(error => ({ line, path: error.path, msg: error.msg })));
+      addresses.push(result.body);
+    }
+
+    errors.push(...groupErrors);
+    customers.push({ line: group.line, customer: customer.body, addresses, valid: groupErrors.length === 0 });
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return { customers, errors };
+}
+
+module.exports = { readImport, ImportFormatError, IMPORT_FIELDS };
@@ -0,0 +1,156 @@
+// Fuzzy duplicate detection for customers. Candidate pairs come from blocking
+// keys (name initials, phone suffix, address pin code) matched by the
+// database, so we never compare every customer with every other one, then
+// each pair is scored on name, phone and shared-address similarity.
+
+// How much each signal contributes to a pair's score (sums to 1)
+const WEIGHTS = { name: 0.5, phone: 0.2, address: 0.3 };
+
+// Blocks bigger than this are too common to say anything about duplicates
+// (e.g. a pin code shared by a whole city) and are skipped
+const MAX_BLOCK_SIZE = 200;
+
+// Matching phone suffixes shorter than this count as coincidence
+const MIN_PHONE_SUFFIX = 4;
+
+// Street lines in the same pin code less similar than this are different
+// addresses
+const MIN_STREET_SIMILARITY = 0.8;
+
+function normalizeText(value) {
+  return (value || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function fullName(customer) {
+  return normalizeText(`${customer.first_name} ${customer.last_name}`);
+}
+
+// Jaro-Winkler similarity in [0, 1]; forgiving of the dropped or swapped
+// letters typical of name typos ("Jon" vs "John")
+function jaroWinkler(a, b) {
+  if (a === b) return a.length ? 1 : 0;
+  if (!a.length || !b.length) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(b.length, i + window + 1);
+    for (let j = start; j < end; j++) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = bMatches[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// Fraction of a 10-digit number shared as a common suffix, ignoring suffixes
+// too short to mean anything
+function phoneSimilarity(a, b) {
+  const digitsA = (a || '').replace(/\D/g, '');
+  const digitsB = (b || '').replace(/\D/g, '');
+  let suffix = 0;
+  while (
+    suffix < digitsA.length && suffix < digitsB.length &&
+    digitsA[digitsA.length - 1 - suffix] === digitsB[digitsB.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  return suffix >= MIN_PHONE_SUFFIX ? Math.min(suffix / 10, 1) : 0;
+}
+
+// Best match between the two customers' addresses. Addresses only count as
+// shared when they are in the same pin code and the street lines are close.
+function addressSimilarity(addressesA = [], addressesB = []) {
+  let best = 0;
+  for (const a of addressesA) {
+    for (const b of addressesB) {
+      if (a.pin_code !== b.pin_code) continue;
+      const street = jaroWinkler(normalizeText(a.address_line1), normalizeText(b.address_line1));
+      if (street >= MIN_STREET_SIMILARITY) {
+        best = Math.max(best, street);
+      }
+    }
+  }
+  return best;
+}
+
+// Score a pair of customers (each with `addresses`) in [0, 1], along with the
+// per-signal similarities that explain it
+function scorePair(a, b) {
+  const reasons = {
+    name: jaroWinkler(fullName(a), fullName(b)),
+    phone: phoneSimilarity(a.phone_number, b.phone_number),
+    address: addressSimilarity(a.addresses, b.addresses)
+  };
+  const score = Object.keys(WEIGHTS).reduce((total, key) => total + WEIGHTS[key] * reasons[key], 0);
+  return { score, reasons };
+}
+
+// Likely duplicate pairs among the customers of `customerRepository`, best
+// first. Each result is { score, reasons, customers: [a, b] } with the older
+// customer first. Only the best `limit` pairs are kept while candidates are
+// read.
+async function findDuplicatePairs(customerRepository, { minScore = 0.6, limit = 50 } = {}) {
+  const byScore = (x, y) => y.score - x.score;
+  let pairs = [];
+
+  const candidates = customerRepository.iterateDuplicateCandidates({ phoneSuffix: MIN_PHONE_SUFFIX, maxBlockSize: MAX_BLOCK_SIZE });
+  for await (const [a, b] of candidates) {
+    const { score, reasons } = scorePair(a, b);
+    if (score < minScore) continue;
+
+    pairs.push({ score, reasons, customers: [a, b] });
+    if (pairs.length >= limit * 2) {
+      pairs = pairs.sort(byScore).slice(0, limit);
+    }
+  }
+
+  return pairs.sort(byScore).slice(0, limit);
+}
+
+// Returns an error message when the phone number or email is already used by
+// another customer, or null when both are free. Customers in the trash keep
+// their phone number and email until they are purged.
+async function findDuplicate(repositories, phoneNumber, email, excludeId = null) {
+  const { customerRepository } = repositories;
+  const phoneOwner = await customerRepository.findByPhone(phoneNumber, excludeId);
+  if (phoneOwner) {
+    return phoneOwner.deleted_at
+      ? 'Phone number belongs to a customer in the trash'
+      : 'Phone number already exists';
+  }
+  const emailOwner = email && await customerRepository.findByEmail(email, excludeId);
+  if (emailOwner) {
+    return emailOwner.deleted_at
+      ? 'Email belongs to a customer in the trash'
+      : 'Email already exists';
+  }
+  return null;
+}
+
+module.exports = { findDuplicatePairs, scorePair, findDuplicate };
@@ -0,0 +1,45 @@
+// ETags are the row's version number, which every write bumps
+function etagOf(row) {
+  return `"${row.version}"`;
+}
+
+// Version named by the If-Match header: undefined when the header is missing,
+// null when it is not an ETag this API issued
+function ifMatchVersion(req) {
+  const header = req.get('If-Match');
+  if (!header) return undefined;
+
+  const match = /^"(\d+)"$/.exec(header.trim());
+  return match ? parseInt(match[1]) : null;
+}
+
+// Check the request's If-Match against `current`, answering 428 when it is
+// missing and 412 when it is stale. Returns the matched version, or null
+// when a response has been sent.
+function checkIfMatch(req, res, current, label) {
+  const version = ifMatchVersion(req);
+  if (version === undefined) {
+    res.status(428).json({
+      success: false,
+      message: 'If-Match header is required'
+    });
+    return null;
+  }
+  if (version !== current.version) {
+    sendVersionConflict(res, current, label);
+    return null;
+  }
+  return version;
+}
+
+// 412 with the current representation, so the client can reconcile its edit
+function sendVersionConflict(res, current, label) {
+  res.set('ETag', etagOf(current));
+  res.status(412).json({
+    success: false,
+    message: `${label} was modified by someone else`,
+    data: current
+  });
+}
+
+module.exports = { etagOf, checkIfMatch, sendVersionConflict };
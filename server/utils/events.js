@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { transaction } = require('../database/database');
+
+// In-process bus of change events. Routers publish once a write has been
+// committed; webhook deliveries and the /api/events stream subscribe to it.
+// Every event belongs to the tenant whose data changed:
+//   { id, type, tenantId, created_at, data }
+const EVENT_TYPES = [
+  'customer.created',
+  'customer.updated',
+  'customer.deleted',
+  'customer.restored',
+  'address.created',
+  'address.updated',
+  'address.deleted',
+  'address.restored',
+  'address.primary_changed'
+];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+function publish(tenantId, type, data) {
+  const event = { id: crypto.randomUUID(), type, tenantId, created_at: new Date().toISOString(), data };
+  bus.emit('event', event);
+  return event;
+}
+
+// Call `listener(event)` for every event; returns a function that stops it
+function subscribe(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+// Number of listeners currently subscribed
+function subscriberCount() {
+  return bus.listenerCount('event');
+}
+
+function primaryOf(addresses = []) {
+  return addresses.find(address => address.is_primary) || null;
+}
+
+// Publish address.primary_changed when the customer's primary address is a
+// different one (or none) in `afterAddresses` than in `beforeAddresses`
+function publishPrimaryChange(tenantId, customerId, beforeAddresses, afterAddresses) {
+  const before = primaryOf(beforeAddresses);
+  const after = primaryOf(afterAddresses);
+  if ((before && before.id) === (after && after.id)) return;
+
+  publish(tenantId, 'address.primary_changed', {
+    customer_id: customerId,
+    previous_address_id: before ? before.id : null,
+    address: after
+  });
+}
+
+// Publish a customer event from before/after snapshots as returned by
+// CustomerRepository.findById, plus address.primary_changed if the write
+// moved the primary flag
+function publishCustomerChange(tenantId, type, before, after) {
+  const customer = after || before;
+  publish(tenantId, type, customer);
+  if (type !== 'customer.deleted') {
+    publishPrimaryChange(tenantId, customer.id, before ? before.addresses : [], after ? after.addresses : []);
+  }
+}
+
+// Run an address write in a transaction and, once it commits, publish `type`
+// with the address `write` resolves to, plus address.primary_changed when the
+// write changed which address is the customer's primary. Resolves to that
+// address.
+async function writeAddressAndPublish(req, customerId, type, write) {
+  const { addressRepository } = req.repositories;
+  const { address, before, after } = await transaction(async () => {
+    const before = await addressRepository.listForCustomer(customerId);
+    const address = await write();
+    const after = await addressRepository.listForCustomer(customerId);
+    return { address, before, after };
+  });
+
+  publish(req.tenantId, type, address);
+  publishPrimaryChange(req.tenantId, customerId, before, after);
+  return address;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  publish,
+  subscribe,
+  subscriberCount,
+  publishPrimaryChange,
+  publishCustomerChange,
+  writeAddressAndPublish
+};
@@ -0,0 +1,75 @@
+const ExcelJS = require('exceljs');
+const { formatCsvRow } = require('./csv');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Write to the response, waiting for it to drain when the client reads slower
+// than we produce rows
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+    };
+    const onDrain = () => { cleanup(); resolve(); };
+    const onClose = () => { cleanup(); reject(new Error('Client closed the connection')); };
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+  });
+}
+
+// Stream `items` (an async iterable) to the response as a file download.
+// CSV and XLSX get one row per entry of `toRows(item)`, laid out by `columns`
+// ([{ key, header }]); NDJSON gets `toRecord(item)` on each line. Errors
+// before the first row are thrown to the caller; later ones abort the
+// response since the status has already been sent.
+async function streamExport(res, { format, filename, columns, items, toRows, toRecord }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const iterator = items[Symbol.asyncIterator]();
+  let next = await iterator.next();
+
+  res.status(200);
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+
+  try {
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const worksheet = workbook.addWorksheet(filename);
+      worksheet.columns = columns.map(({ key, header }) => ({ key, header, width: 20 }));
+      worksheet.getRow(1).font = { bold: true };
+      for (; !next.done; next = await iterator.next()) {
+        for (const row of toRows(next.value)) {
+          worksheet.addRow(row).commit();
+        }
+      }
+      worksheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    if (format === 'csv') {
+      await write(res, formatCsvRow(columns.map(({ header }) => header)));
+    }
+    for (; !next.done; next = await iterator.next()) {
+      if (format === 'csv') {
+        const lines = toRows(next.value).map(row => formatCsvRow(columns.map(({ key }) => row[key])));
+        await write(res, lines.join(''));
+      } else {
+        await write(res, `${JSON.stringify(toRecord(next.value))}\n`);
+      }
+    }
+    res.end();
+  } catch (error) {
+    if (iterator.return) await iterator.return();
+    res.destroy(error);
+    throw error;
+  }
+}
+
+module.exports = { streamExport, EXPORT_FORMATS };
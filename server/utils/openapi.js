@@ -0,0 +1,209 @@
+// Builds an OpenAPI 3 document from Express routers. Paths, methods, query and
+// body schemas and required permissions are read from the routes themselves:
+// their express-validator chains and requirePermission() middleware. Only
+// summaries and responses are written by hand, in a table of operations keyed
+// by "METHOD /path" (see routes/docs.js).
+const { body } = require('express-validator');
+
+// JSON Schema keywords for each express-validator validator. `options` are
+// the arguments the validator was called with.
+const VALIDATOR_SCHEMAS = {
+  isLength: ([{ min, max } = {}]) => ({ type: 'string', minLength: min, maxLength: max }),
+  matches: ([pattern]) => ({ type: 'string', pattern: pattern instanceof RegExp ? pattern.source : String(pattern) }),
+  isEmail: () => ({ type: 'string', format: 'email' }),
+  isURL: () => ({ type: 'string', format: 'uri' }),
+  isISO8601: () => ({ type: 'string', format: 'date' }),
+  isIn: ([values]) => ({ type: 'string', enum: [...values] }),
+  isInt: ([{ min, max } = {}]) => ({ type: 'integer', minimum: min, maximum: max }),
+  isFloat: ([{ min, max } = {}]) => ({ type: 'number', minimum: min, maximum: max }),
+  isBoolean: () => ({ type: 'boolean' })
+};
+
+// isString(), isArray() and isObject() are anonymous custom validators, so
+// they are recognised by their source, compared with chains built here
+const CUSTOM_VALIDATOR_SCHEMAS = new Map([
+  [body('value').isString(), { type: 'string' }],
+  [body('value').isArray(), { type: 'array' }],
+  [body('value').isObject(), { type: 'object' }]
+].map(([chain, schema]) => [String(chain.builder.build().stack[0].validator), schema]));
+
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+// Express path to OpenAPI path: /:id/restore -> /{id}/restore
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+// Every route of a router mounted at `prefix`:
+// [{ method, path, validators, permissions }], `path` in OpenAPI form
+function routesOf(router, prefix) {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => {
+      const handlers = layer.route.stack.map(item => item.handle);
+      const path = toOpenApiPath(prefix + (layer.route.path === '/' ? '' : layer.route.path));
+      return Object.keys(layer.route.methods).map(method => ({
+        method,
+        path,
+        validators: handlers.filter(handler => handler.builder).map(handler => handler.builder.build()),
+        permissions: handlers.flatMap(handler => handler.permissions || [])
+      }));
+    });
+}
+
+// Schema of one validated field. Its description is the first validator's
+// message; sanitizers and unknown validators add nothing to it.
+function schemaOf(context) {
+  let schema = {};
+  for (const item of context.stack) {
+    const keywords = item.validator && !item.negated ? validatorSchema(item) : undefined;
+    if (!keywords) continue;
+
+    schema = { ...schema, ...withoutUndefined(keywords) };
+    if (!schema.description && typeof item.message === 'string') schema.description = item.message;
+  }
+  return schema;
+}
+
+// Schema keywords for a validator in a chain's stack. Standard validators
+// carry their options; custom ones do not.
+function validatorSchema(item) {
+  if (!Array.isArray(item.options)) return CUSTOM_VALIDATOR_SCHEMAS.get(String(item.validator));
+  const toSchema = VALIDATOR_SCHEMAS[item.validator.name];
+  return toSchema && toSchema(item.options);
+}
+
+// Object schema for the fields validated in one location. "name.*" fields
+// describe the items (arrays) or values (objects) of "name".
+function objectSchemaOf(contexts) {
+  const properties = {};
+  const required = [];
+
+  for (const context of contexts) {
+    for (const field of context.fields) {
+      if (field.endsWith('.*')) continue;
+      properties[field] = { ...properties[field], ...schemaOf(context) };
+      if (context.optional === false) required.push(field);
+    }
+  }
+  for (const context of contexts) {
+    for (const field of context.fields.filter(name => name.endsWith('.*'))) {
+      const parent = properties[field.slice(0, -2)] || (properties[field.slice(0, -2)] = { type: 'object' });
+      parent[parent.type === 'array' ? 'items' : 'additionalProperties'] = schemaOf(context);
+    }
+  }
+
+  return withoutUndefined({
+    type: 'object',
+    properties,
+    required: required.length ? [...new Set(required)] : undefined
+  });
+}
+
+function parametersOf(route) {
+  const pathParameters = [...route.path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'integer', minimum: 1 }
+  }));
+
+  const queryContexts = route.validators.filter(context => context.locations.includes('query'));
+  const { properties, required = [] } = objectSchemaOf(queryContexts);
+  const queryParameters = Object.entries(properties).map(([name, schema]) => withoutUndefined({
+    name,
+    in: 'query',
+    required: required.includes(name) || undefined,
+    description: schema.description,
+    schema: withoutUndefined({ ...schema, description: undefined })
+  }));
+
+  return [...pathParameters, ...queryParameters];
+}
+
+// Request body derived from the route's body validators, stored as a named
+// schema when the operation gives one (`body`), with `bodyProperties` added
+// for fields the route reads but does not validate
+function requestBodyOf(route, operation, schemas) {
+  if (operation.requestBody) return operation.requestBody;
+
+  const bodyContexts = route.validators.filter(context => context.locations.includes('body'));
+  if (bodyContexts.length === 0) return undefined;
+
+  let schema = objectSchemaOf(bodyContexts);
+  if (operation.body) {
+    schemas[operation.body] = schema;
+    schema = { $ref: `#/components/schemas/${operation.body}` };
+  }
+  if (operation.bodyProperties) {
+    schema = { allOf: [schema, { type: 'object', properties: operation.bodyProperties, required: Object.keys(operation.bodyProperties) }] };
+  }
+
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+function operationOf(route, operation, schemas, tag) {
+  const description = [
+    operation.description,
+    route.permissions.length ? `Requires ${route.permissions.join(' and ')}.` : undefined
+  ].filter(Boolean).join('\n\n');
+
+  const responses = { ...operation.responses };
+  if (route.validators.length && !responses[400]) responses[400] = { $ref: '#/components/responses/ValidationError' };
+  responses[401] = { $ref: '#/components/responses/Unauthorized' };
+  if (route.permissions.length) responses[403] = { $ref: '#/components/responses/Forbidden' };
+  responses[429] = { $ref: '#/components/responses/RateLimited' };
+
+  return withoutUndefined({
+    tags: [tag],
+    summary: operation.summary,
+    description: description || undefined,
+    'x-permissions': route.permissions.length ? route.permissions : undefined,
+    parameters: [
+      ...(operation.parameters || []),
+      ...parametersOf(route)
+    ],
+    requestBody: requestBodyOf(route, operation, schemas),
+    responses
+  });
+}
+
+// The OpenAPI document for `routers` ([{ prefix, router, tag }]). `operations`
+// describes each route by "METHOD /path"; routes without an entry are left
+// out, and routesMissingFrom() lists them.
+function createDocument({ info, routers, operations, components = {}, security }) {
+  const schemas = {};
+  const paths = {};
+
+  for (const { prefix, router, tag } of routers) {
+    for (const route of routesOf(router, prefix)) {
+      const operation = operations[`${route.method.toUpperCase()} ${route.path}`];
+      if (!operation) continue;
+      paths[route.path] = { ...paths[route.path], [route.method]: operationOf(route, operation, schemas, tag) };
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info,
+    security,
+    paths,
+    components: { ...components, schemas: { ...schemas, ...components.schemas } }
+  };
+}
+
+// Routes of `routers` with no operation in `document`, as "METHOD /path"
+function routesMissingFrom(document, routers) {
+  return routers
+    .flatMap(({ prefix, router }) => routesOf(router, prefix))
+    .filter(route => !(document.paths[route.path] && document.paths[route.path][route.method]))
+    .map(route => `${route.method.toUpperCase()} ${route.path}`);
+}
+
+module.exports = {
+  routesOf,
+  createDocument,
+  routesMissingFrom
+};
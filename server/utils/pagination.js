@@ -0,0 +1,35 @@
+const { query } = require('express-validator');
+
+// Query parameters choosing a page of a list: `page` for offset pagination,
+// or `cursor`, the next_cursor of the page before, for keyset pagination
+const validatePagination = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('cursor').optional().isString().withMessage('Cursor must be a string')
+    .custom((value, { req }) => req.query.page === undefined)
+    .withMessage('Use either page or cursor, not both')
+];
+
+// The `pagination` of a list response. Pages reached by cursor have no page
+// number or count and only lead forward; every page carries the cursor of
+// the next one, or null on the last page.
+function paginationOf({ page, limit, cursor, total, nextCursor }) {
+  if (cursor) {
+    return { limit, total, hasNext: nextCursor !== null, next_cursor: nextCursor };
+  }
+
+  const totalPages = Math.ceil(total / limit);
+  return { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1, next_cursor: nextCursor };
+}
+
+// Answer a cursor the repository rejected with InvalidCursorError the way a
+// failed validation is answered
+function sendInvalidCursor(res, cursor) {
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: [{ type: 'field', location: 'query', path: 'cursor', value: cursor, msg: 'Invalid cursor' }]
+  });
+}
+
+module.exports = { validatePagination, paginationOf, sendInvalidCursor };
@@ -0,0 +1,33 @@
+// What each role may do. Routers check permissions, never roles, so a role
+// can be widened or narrowed here without touching them.
+const PERMISSIONS = [
+  'customer:read',
+  'customer:write',
+  'customer:delete',
+  'customer:export',
+  'address:write',
+  'address:delete',
+  'api-key:manage',
+  'webhook:manage'
+];
+
+// Permissions an API key can be granted. Keys only reach the customer and
+// address routes, so they cannot manage keys or webhooks.
+const API_KEY_SCOPES = PERMISSIONS.filter(permission => !['api-key:manage', 'webhook:manage'].includes(permission));
+
+const ROLE_PERMISSIONS = {
+  // Everything, including bulk export, API keys and webhooks
+  admin: PERMISSIONS,
+  // Day-to-day customer management
+  manager: ['customer:read', 'customer:write', 'customer:delete', 'address:write', 'address:delete'],
+  // Field agents look customers up and record addresses
+  agent: ['customer:read', 'address:write']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+module.exports = { PERMISSIONS, API_KEY_SCOPES, ROLES, permissionsFor };
@@ -0,0 +1,207 @@
+const path = require('path');
+const { createConnection } = require('../database/database');
+
+// Token-bucket rate limiting. Every client gets a bucket per route group and
+// kind of request holding up to `capacity` tokens, refilled evenly so that an
+// empty bucket is full again after `windowSeconds`. Each request takes one
+// token; with none left the request is answered with 429.
+//
+// Clients are told apart by API key, then signed-in user, then IP address.
+// Route group limiters go after the authentication middleware so they count
+// per key or user; the `ip` limiter goes before it, so requests that fail
+// authentication are limited as well.
+
+// Limits per route group. Mutations (anything but GET/HEAD) draw from their
+// own, smaller bucket. Override any of them with the RATE_LIMITS environment
+// variable holding JSON in the same shape, e.g.
+//   RATE_LIMITS='{"customers":{"read":{"capacity":300,"windowSeconds":60}}}'
+const READ = { capacity: 120, windowSeconds: 60 };
+const WRITE = { capacity: 30, windowSeconds: 60 };
+
+const DEFAULT_POLICIES = {
+  // Every request, counted per IP before credentials are checked, so guessing
+  // passwords or API keys runs out too. Generous, since everyone behind one
+  // address shares it.
+  ip: { read: { capacity: 600, windowSeconds: 60 }, write: { capacity: 120, windowSeconds: 60 } },
+  // Keyed by IP, since nobody is signed in yet; slows down password guessing
+  auth: { read: { capacity: 10, windowSeconds: 60 }, write: { capacity: 10, windowSeconds: 60 } },
+  customers: { read: READ, write: WRITE },
+  addresses: { read: READ, write: WRITE },
+  trash: { read: READ, write: WRITE },
+  audit: { read: READ, write: WRITE },
+  stats: { read: READ, write: WRITE },
+  apiKeys: { read: READ, write: { capacity: 10, windowSeconds: 60 } },
+  webhooks: { read: READ, write: WRITE },
+  // Each read opens a stream, so this limits reconnects
+  events: { read: { capacity: 30, windowSeconds: 60 }, write: WRITE },
+  // Queries are POSTed like mutations, so both get the read allowance
+  graphql: { read: READ, write: READ }
+};
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Bucket state after refilling it up to `now` (ms) and trying to take a
+// token. `state` is undefined for a client not seen before.
+function takeToken(state, { capacity, windowSeconds }, now) {
+  const perMs = capacity / (windowSeconds * 1000);
+  const tokens = state
+    ? Math.min(capacity, state.tokens + (now - state.updatedAt) * perMs)
+    : capacity;
+
+  const allowed = tokens >= 1;
+  const left = allowed ? tokens - 1 : tokens;
+  return {
+    allowed,
+    tokens: left,
+    updatedAt: now,
+    // When the bucket will be full again, and when the next token arrives
+    fullAt: now + Math.ceil((capacity - left) / perMs),
+    nextTokenAt: now + Math.ceil(Math.max(0, 1 - left) / perMs)
+  };
+}
+
+// Buckets kept in process memory; they start over when the server restarts
+// and are not shared between processes
+class MemoryRateLimitStore {
+  constructor({ pruneIntervalMs = 60 * 1000 } = {}) {
+    this.buckets = new Map();
+    // Full buckets carry no information, so they are dropped now and then
+    this.pruneTimer = setInterval(() => this.prune(Date.now()), pruneIntervalMs);
+    this.pruneTimer.unref();
+  }
+
+  async take(key, policy, now) {
+    const result = takeToken(this.buckets.get(key), policy, now);
+    this.buckets.set(key, result);
+    return result;
+  }
+
+  prune(now) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.fullAt <= now) this.buckets.delete(key);
+    }
+  }
+
+  close() {
+    clearInterval(this.pruneTimer);
+  }
+}
+
+// Buckets kept in a SQLite file of their own, so limits survive restarts
+// without adding write traffic to the application database
+class SqliteRateLimitStore {
+  constructor({ filename, pruneIntervalMs = 60 * 1000 }) {
+    this.db = createConnection(`sqlite:${filename}`);
+    this.ready = this.db.run(`
+      CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+        key TEXT PRIMARY KEY,
+        tokens REAL NOT NULL,
+        updated_at INTEGER NOT NULL,
+        full_at INTEGER NOT NULL
+      )
+    `);
+    this.pruneTimer = setInterval(() => {
+      this.prune(Date.now()).catch(error => console.error('Error pruning rate limit buckets:', error));
+    }, pruneIntervalMs);
+    this.pruneTimer.unref();
+  }
+
+  async take(key, policy, now) {
+    await this.ready;
+    return this.db.transaction(async () => {
+      const row = await this.db.get('SELECT tokens, updated_at FROM rate_limit_buckets WHERE key = ?', [key]);
+      const result = takeToken(row && { tokens: row.tokens, updatedAt: row.updated_at }, policy, now);
+      await this.db.run(`
+        INSERT INTO rate_limit_buckets (key, tokens, updated_at, full_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET tokens = excluded.tokens, updated_at = excluded.updated_at, full_at = excluded.full_at
+      `, [key, result.tokens, result.updatedAt, result.fullAt]);
+      return result;
+    });
+  }
+
+  async prune(now) {
+    await this.ready;
+    await this.db.run('DELETE FROM rate_limit_buckets WHERE full_at <= ?', [now]);
+  }
+
+  close() {
+    clearInterval(this.pruneTimer);
+    return this.db.close();
+  }
+}
+
+// The store picked by RATE_LIMIT_STORE: "memory" (the default) or "sqlite",
+// which keeps buckets in RATE_LIMIT_DB (database/rate_limits.db by default)
+function createRateLimitStore(env = process.env) {
+  if (env.RATE_LIMIT_STORE === 'sqlite') {
+    return new SqliteRateLimitStore({
+      filename: env.RATE_LIMIT_DB || path.join(__dirname, '..', 'database', 'rate_limits.db')
+    });
+  }
+  return new MemoryRateLimitStore();
+}
+
+// Policies for every route group: the defaults with RATE_LIMITS applied
+function loadPolicies(env = process.env) {
+  const overrides = env.RATE_LIMITS ? JSON.parse(env.RATE_LIMITS) : {};
+  return Object.fromEntries(Object.entries(DEFAULT_POLICIES).map(([group, policy]) => [group, {
+    read: { ...policy.read, ...(overrides[group] && overrides[group].read) },
+    write: { ...policy.write, ...(overrides[group] && overrides[group].write) }
+  }]));
+}
+
+// Who a request is counted against
+function clientOf(req) {
+  if (req.user && req.user.apiKeyId) return `key:${req.user.apiKeyId}`;
+  if (req.user && req.user.id) return `user:${req.user.id}`;
+  return `ip:${req.ip}`;
+}
+
+// Middleware factory: limit requests to one route group. Sets the
+// RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy
+// headers on every response, and Retry-After on a 429. If the store fails the
+// request is let through rather than taking the API down with it.
+function createRateLimiter({ store, policies }) {
+  return (group) => async (req, res, next) => {
+    const kind = SAFE_METHODS.has(req.method) ? 'read' : 'write';
+    const policy = policies[group][kind];
+    const now = Date.now();
+
+    let bucket;
+    try {
+      bucket = await store.take(`${group}:${kind}:${clientOf(req)}`, policy, now);
+    } catch (error) {
+      console.error('Error applying rate limit:', error);
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Limit': String(policy.capacity),
+      'RateLimit-Remaining': String(Math.floor(bucket.tokens)),
+      'RateLimit-Reset': String(Math.ceil((bucket.fullAt - now) / 1000)),
+      'RateLimit-Policy': `${policy.capacity};w=${policy.windowSeconds}`
+    });
+
+    if (!bucket.allowed) {
+      res.set('Retry-After', String(Math.ceil((bucket.nextTokenAt - now) / 1000)));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many requests, please try again later'
+      });
+    }
+    next();
+  };
+}
+
+// Headers the browser client may read on cross-origin responses
+const RATE_LIMIT_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'];
+
+module.exports = {
+  DEFAULT_POLICIES,
+  RATE_LIMIT_HEADERS,
+  MemoryRateLimitStore,
+  SqliteRateLimitStore,
+  createRateLimitStore,
+  loadPolicies,
+  createRateLimiter
+};
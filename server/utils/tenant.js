@@ -0,0 +1,29 @@
+const { repositoriesFor } = require('../repositories');
+
+// Middleware: pick the tenant a request works in from the X-Tenant-Id header,
+// defaulting to the first tenant the signed-in user belongs to, and expose
+// it as req.tenantId along with repositories scoped to it as
+// req.repositories. Goes after requireAuth.
+function requireTenant(req, res, next) {
+  const header = req.get('X-Tenant-Id');
+  const tenantId = header === undefined ? req.user.tenants[0] : Number(header);
+
+  if (tenantId === undefined) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not belong to any organisation'
+    });
+  }
+  if (!req.user.tenants.includes(tenantId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not belong to this organisation'
+    });
+  }
+
+  req.tenantId = tenantId;
+  req.repositories = repositoriesFor(tenantId);
+  next();
+}
+
+module.exports = { requireTenant };
@@ -0,0 +1,27 @@
+const { body } = require('express-validator');
+
+// Validation middleware for customer and address request bodies. The import
+// route also runs them against each imported record.
+const validateCustomer = [
+  body('first_name').trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
+  body('last_name').trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
+  body('phone_number').matches(/^[0-9]{10}$/).withMessage('Phone number must be exactly 10 digits'),
+  body('email').optional().isEmail().withMessage('Invalid email format'),
+  body('addresses').optional().isArray().withMessage('Addresses must be an array')
+];
+
+const validateAddress = [
+  body('address_line1').trim().isLength({ min: 5, max: 200 }).withMessage('Address line 1 must be between 5 and 200 characters'),
+  body('address_line2').optional().trim().isLength({ max: 200 }).withMessage('Address line 2 must be less than 200 characters'),
+  body('city').trim().isLength({ min: 2, max: 50 }).withMessage('City must be between 2 and 50 characters'),
+  body('state').trim().isLength({ min: 2, max: 50 }).withMessage('State must be between 2 and 50 characters'),
+  body('pin_code').matches(/^[0-9]{6}$/).withMessage('Pin code must be exactly 6 digits'),
+  body('country').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Country must be between 2 and 50 characters'),
+  body('is_primary').optional().isBoolean().withMessage('is_primary must be a boolean')
+];
+
+// Fields the customer and address lists can be sorted by
+const CUSTOMER_SORT_FIELDS = ['relevance', 'first_name', 'last_name', 'created_at', 'phone_number', 'address_count'];
+const ADDRESS_SORT_FIELDS = ['city', 'state', 'created_at'];
+
+module.exports = { validateCustomer, validateAddress, CUSTOMER_SORT_FIELDS, ADDRESS_SORT_FIELDS };
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { webhookRepository } = require('../repositories');
+const { subscribe } = require('./events');
+
+// Webhook deliveries. Every event published on the event bus is queued as a
+// delivery for each active webhook of its tenant subscribed to it, then POSTed
+// as JSON by a worker that retries failures with exponential backoff. A
+// delivery succeeds when the receiver answers with a 2xx status.
+//
+// Each request carries:
+//   X-Webhook-Event      the event type
+//   X-Webhook-Delivery   the event id, the same on every retry
+//   X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>"
+//                        keyed with the webhook's secret>
+// Receivers should recompute the signature and reject old timestamps.
+//
+// Webhooks only reach public addresses. The host is resolved before every
+// delivery, and a delivery to loopback, private, link-local (including cloud
+// metadata at 169.254.169.254) or other reserved addresses fails without
+// being sent, unless the host or address is in WEBHOOK_ALLOWED_HOSTS.
+// Redirects are not followed, so they cannot lead elsewhere.
+//
+// Settings, from the environment:
+//   WEBHOOK_MAX_ATTEMPTS         attempts before giving up (8)
+//   WEBHOOK_RETRY_BASE_SECONDS   delay before the first retry, doubled after
+//                                every further failure (30)
+//   WEBHOOK_TIMEOUT_MS           time the receiver has to answer (10000)
+//   WEBHOOK_POLL_INTERVAL_MS     how often due retries are looked for (5000)
+//   WEBHOOK_ALLOWED_HOSTS        comma-separated host names and addresses
+//                                that may be private, e.g. an internal
+//                                receiver (none)
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+// Deliveries sent per pass of the worker
+const BATCH_SIZE = 20;
+
+function webhookSettings(env = process.env) {
+  return {
+    maxAttempts: Number(env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    retryBaseSeconds: Number(env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+    timeoutMs: Number(env.WEBHOOK_TIMEOUT_MS) || 10000,
+    pollIntervalMs: Number(env.WEBHOOK_POLL_INTERVAL_MS) || 5000,
+    allowedHosts: (env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+  };
+}
+
+// Addresses webhooks are not delivered to: this host and its networks
+// (unspecified, loopback, private, carrier-grade NAT, link-local), multicast
+// and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// IPv4 addresses written as IPv6 (::ffff:127.0.0.1) are checked as IPv4
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Host of a URL as written, lowercase and without IPv6 brackets
+function hostOf(url) {
+  return new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+}
+
+// Whether a webhook URL names a blocked address or localhost outright, which
+// can be told without resolving it; used to refuse such URLs when a webhook
+// is saved
+function isBlockedUrl(url, { allowedHosts } = webhookSettings()) {
+  const host = hostOf(url);
+  if (allowedHosts.includes(host)) return false;
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return net.isIP(host) !== 0 && isBlockedAddress(host);
+}
+
+// Why a delivery to `url` must not be sent, or null. Unless the host itself
+// is allowed, every address it resolves to must be public or allowed.
+async function destinationError(url, { allowedHosts }) {
+  const host = hostOf(url);
+  if (allowedHosts.includes(host)) return null;
+
+  let addresses = [host];
+  if (net.isIP(host) === 0) {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      return `Could not resolve ${host}: ${error.code || error.message}`;
+    }
+  }
+
+  const blocked = addresses.find(address => isBlockedAddress(address) && !allowedHosts.includes(address));
+  if (!blocked) return null;
+  return blocked === host ? `${host} is not a public address` : `${host} resolves to ${blocked}, which is not a public address`;
+}
+
+function createWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('base64url');
+}
+
+// Signature header value for a payload sent at `timestamp` (unix seconds)
+function signPayload(secret, payload, timestamp) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// Delay before the next attempt after `attempts` failed ones
+function retryDelayMs(attempts, { retryBaseSeconds }) {
+  return retryBaseSeconds * 1000 * 2 ** (attempts - 1);
+}
+
+// The body sent for an event. The tenant is implied by the webhook.
+function payloadOf(event) {
+  return JSON.stringify({ id: event.id, type: event.type, created_at: event.created_at, data: event.data });
+}
+
+// POST a delivery to its webhook; resolves to { ok, status, error }
+async function send(delivery, settings) {
+  const blocked = await destinationError(delivery.url, settings);
+  if (blocked) return { ok: false, status: null, error: blocked };
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'customer-management-webhooks',
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': delivery.event_id,
+        [SIGNATURE_HEADER]: signPayload(delivery.secret, delivery.payload, timestamp)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(settings.timeoutMs)
+    });
+    // The body is not used, but reading it frees the connection
+    await response.arrayBuffer().catch(() => {});
+    return {
+      ok: response.ok,
+      status: response.status,
+      error: response.ok ? null : `Receiver answered ${response.status}`
+    };
+  } catch (error) {
+    if (error.name === 'TimeoutError') return { ok: false, status: null, error: 'Timed out' };
+    // fetch reports connection failures as "fetch failed", with the reason in `cause`
+    const reason = error.cause && (error.cause.code || error.cause.message);
+    return { ok: false, status: null, error: reason ? `${error.message}: ${reason}` : error.message };
+  }
+}
+
+// Attempt one delivery and record the outcome
+async function attempt(delivery, settings) {
+  const result = await send(delivery, settings);
+  const attemptedAt = new Date();
+  const attempts = delivery.attempts + 1;
+
+  let status = 'succeeded';
+  let nextAttemptAt = null;
+  if (!result.ok) {
+    status = attempts >= settings.maxAttempts ? 'failed' : 'pending';
+    if (status === 'pending') nextAttemptAt = new Date(attemptedAt.getTime() + retryDelayMs(attempts, settings));
+  }
+
+  await webhookRepository.recordAttempt(delivery.id, {
+    status,
+    responseStatus: result.status,
+    error: result.error,
+    nextAttemptAt,
+    attemptedAt
+  });
+}
+
+// Delivery worker. Sends due deliveries when an event is queued and on every
+// poll; only one pass runs at a time, and a pass requested while one is
+// running is made right after it.
+function createWebhookWorker(settings = webhookSettings()) {
+  let running = null;
+  let again = false;
+
+  async function pass() {
+    let due;
+    do {
+      due = await webhookRepository.findDueDeliveries(new Date(), BATCH_SIZE);
+      for (const delivery of due) {
+        await attempt(delivery, settings);
+      }
+    } while (due.length === BATCH_SIZE);
+  }
+
+  // Send everything due now; resolves when done
+  function processDue() {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = pass()
+      .catch(error => console.error('Error delivering webhooks:', error))
+      .finally(() => {
+        running = null;
+        if (again) {
+          again = false;
+          processDue();
+        }
+      });
+    return running;
+  }
+
+  // Queue an event for every webhook subscribed to it
+  async function enqueue(event) {
+    const webhooks = await webhookRepository.findSubscribed(event.tenantId, event.type);
+    if (webhooks.length === 0) return;
+
+    const payload = payloadOf(event);
+    for (const webhook of webhooks) {
+      await webhookRepository.createDelivery(webhook.id, event, payload);
+    }
+    processDue();
+  }
+
+  let unsubscribe = null;
+  let pollTimer = null;
+
+  return {
+    processDue,
+    enqueue,
+    start() {
+      unsubscribe = subscribe(event => {
+        enqueue(event).catch(error => console.error('Error queueing webhook deliveries:', error));
+      });
+      pollTimer = setInterval(processDue, settings.pollIntervalMs);
+      pollTimer.unref();
+      // Pick up deliveries left pending by a previous run
+      processDue();
+    },
+    stop() {
+      if (unsubscribe) unsubscribe();
+      clearInterval(pollTimer);
+      return running || Promise.resolve();
+    }
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  webhookSettings,
+  createWebhookSecret,
+  isBlockedUrl,
+  signPayload,
+  retryDelayMs,
+  createWebhookWorker
+};